@@ -5,6 +5,7 @@ const logger = require('./logger');
 const { startServer, stopServer } = require('./src/server');
 const configService = require('./src/services/config-service');
 const scheduleService = require('./src/services/schedule-service');
+const lockService = require('./src/services/lock-service');
 
 /**
  * 애플리케이션 시작
@@ -13,9 +14,9 @@ function startApplication() {
     logger.info('🚀 Starting Naverworks Message Cron Server...');
     
     // 서버 시작
-    const server = startServer(() => {
-        // 초기 설정 로드 및 스케줄링 시작
-        initializeApplication();
+    const server = startServer(async () => {
+        // 초기 설정 로드, 놓친 실행 처리 및 스케줄링 시작
+        await initializeApplication();
         
         // 성공 메시지 출력
         logger.info("Initial configuration loaded and scheduling completed.");
@@ -33,15 +34,23 @@ function startApplication() {
 
 /**
  * 애플리케이션 초기화
+ * 리더 선출을 시작하고, 서버가 중단된 동안 놓친 실행을 작업별 처리 방식대로 처리한 뒤 스케줄링 시작
  */
-function initializeApplication() {
+async function initializeApplication() {
     try {
         // 설정 로드
         const initialConfig = configService.loadConfig();
         logger.info(`Configuration loaded: ${initialConfig.teamMembers.length} team members, ${initialConfig.schedules.length} custom schedules`);
         
-        // 스케줄링 시작
-        scheduleService.rescheduleJobs(initialConfig);
+        // 리더 선출 (놓친 실행은 리더만 처리, 팔로워로 시작했으면 나중에 리더가 되었을 때 처리)
+        lockService.onLeadershipGained(scheduleService.handleLeadershipGained);
+        await lockService.startLeaderElection();
+        
+        // 놓친 실행 처리
+        await scheduleService.catchUpMissedRuns(initialConfig);
+        
+        // 스케줄링 시작 (놓친 실행 처리에서 정리된 일회성 스케줄 반영)
+        scheduleService.rescheduleJobs(configService.loadConfig());
         logger.info('Application initialized successfully');
         
     } catch (error) {
@@ -61,10 +70,12 @@ function setupGracefulShutdown(server) {
         // 스케줄된 작업 정리
         scheduleService.clearAllScheduledJobs();
         
-        // 서버 종료
-        stopServer(server, () => {
-            logger.info('Application shutdown completed successfully.');
-            process.exit(0);
+        // 리더 임기 반납 후 서버 종료
+        lockService.stopLeaderElection().finally(() => {
+            stopServer(server, () => {
+                logger.info('Application shutdown completed successfully.');
+                process.exit(0);
+            });
         });
     };
     
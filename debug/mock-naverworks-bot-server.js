@@ -0,0 +1,100 @@
+// debug/mock-naverworks-bot-server.js
+// 네이버웍스 Bot API 2.0 목업 서버 - naverworks-bot transport 로컬 테스트용
+//
+// 사용법:
+//   node debug/mock-naverworks-bot-server.js
+//   config.json의 messaging 섹션을 아래처럼 설정한 후 서버 실행
+//   "transport": "naverworks-bot",
+//   "transports": { "naverworks-bot": {
+//       "apiBaseUrl": "http://localhost:4010/v1.0",
+//       "authUrl": "http://localhost:4010/oauth2/v2.0/token",
+//       "botId": "mock-bot", "clientId": "mock-client", "clientSecret": "mock-secret",
+//       "serviceAccount": "mock@serviceaccount", "privateKeyPath": "<PEM 파일 경로>" } }
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_PORT || 4010;
+// 토큰 만료 시간 (짧게 설정하면 자동 갱신 동작 확인 가능)
+const TOKEN_TTL_SECONDS = parseInt(process.env.MOCK_TOKEN_TTL || '86400', 10);
+
+const issuedTokens = new Set();
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => resolve(body));
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(data));
+}
+
+function issueToken(res) {
+    const accessToken = `mock-access-${crypto.randomBytes(8).toString('hex')}`;
+    issuedTokens.add(accessToken);
+    setTimeout(() => issuedTokens.delete(accessToken), TOKEN_TTL_SECONDS * 1000).unref();
+
+    sendJson(res, 200, {
+        access_token: accessToken,
+        refresh_token: `mock-refresh-${crypto.randomBytes(8).toString('hex')}`,
+        token_type: 'Bearer',
+        expires_in: String(TOKEN_TTL_SECONDS),
+        scope: 'bot'
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+
+    if (req.method === 'POST' && req.url === '/oauth2/v2.0/token') {
+        const params = new URLSearchParams(body);
+        const grantType = params.get('grant_type');
+        console.log(`[token] grant_type=${grantType}`);
+
+        if (grantType === 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+            const [, payload] = (params.get('assertion') || '').split('.');
+            if (!payload) {
+                sendJson(res, 400, { error: 'invalid_request', error_description: 'assertion missing' });
+                return;
+            }
+            console.log(`[token] assertion claims: ${Buffer.from(payload, 'base64').toString('utf8')}`);
+            issueToken(res);
+            return;
+        }
+
+        if (grantType === 'refresh_token') {
+            issueToken(res);
+            return;
+        }
+
+        sendJson(res, 400, { error: 'unsupported_grant_type' });
+        return;
+    }
+
+    const match = req.method === 'POST' && req.url.match(/^\/v1\.0\/bots\/([^/]+)\/(users|channels)\/([^/]+)\/messages$/);
+    if (match) {
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (!issuedTokens.has(token)) {
+            sendJson(res, 401, { code: 'UNAUTHORIZED', description: 'Authentication failed' });
+            return;
+        }
+
+        const [, botId, targetType, targetId] = match;
+        console.log(`[message] bot=${botId} ${targetType}/${decodeURIComponent(targetId)}`);
+        console.log(body);
+        res.writeHead(201);
+        res.end();
+        return;
+    }
+
+    sendJson(res, 404, { code: 'NOT_FOUND' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock NAVER WORKS Bot API listening on http://localhost:${PORT}`);
+    console.log(`Token TTL: ${TOKEN_TTL_SECONDS}s`);
+});
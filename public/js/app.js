@@ -1,5 +1,11 @@
 // 메인 애플리케이션 초기화
 document.addEventListener('DOMContentLoaded', function() {
+    // 화면 언어 설정 및 언어 선택 목록 초기화
+    initUiLocale();
+    renderLocaleOptions(document.getElementById('teamMemberLocaleSelect'), { includeDefault: true });
+    renderLocaleOptions(document.getElementById('channelLocaleSelect'), { includeDefault: true });
+    renderLocaleOptions(document.getElementById('templateLocaleSelect'));
+
     // DOM 요소들
     const tabButtons = document.querySelectorAll('.tab-btn');
     const tabContents = document.querySelectorAll('.tab-content');
@@ -26,12 +32,28 @@ document.addEventListener('DOMContentLoaded', function() {
             if (targetTab === 'github') {
                 loadGitHubStatus();
             }
+            
+            // 메시지 탭이 활성화되면 발송함 및 발송 이력 로드
+            if (targetTab === 'messages') {
+                loadMessageOutbox();
+                loadMessageHistory(historyCurrentPage);
+            }
         });
     });
 
+    // URL 해시로 탭 지정 (예: 메시지의 대시보드 링크 /#github)
+    const hashTab = window.location.hash.replace('#', '');
+    const hashTabButton = hashTab && document.querySelector(`.tab-btn[data-tab="${hashTab}"]`);
+    if (hashTabButton) {
+        hashTabButton.click();
+    }
+
     // 초기 설정 로드
     loadInitialConfig();
     
+    // 메시지 템플릿 로드
+    loadTemplates();
+    
     // GitHub 상태 로드
     loadGitHubStatus();
     
@@ -0,0 +1,154 @@
+// 팀원 부재 일정 관리 함수들
+const memberAvailabilityListDiv = document.getElementById('memberAvailabilityList');
+const availabilityMemberSelect = document.getElementById('availabilityMemberSelect');
+const availabilityStartDateInput = document.getElementById('availabilityStartDateInput');
+const availabilityEndDateInput = document.getElementById('availabilityEndDateInput');
+const availabilityWeekdayOptionsDiv = document.getElementById('availabilityWeekdayOptions');
+const availabilityPeriodSelect = document.getElementById('availabilityPeriodSelect');
+const availabilityReasonInput = document.getElementById('availabilityReasonInput');
+const addMemberAvailabilityButton = document.getElementById('addMemberAvailabilityButton');
+const availabilityStatusMessageDiv = document.getElementById('availabilityStatusMessage');
+
+// 부재 시간대 (서버 availability-service 의 AVAILABILITY_PERIODS 와 같음)
+const AVAILABILITY_PERIOD_LABELS = {
+    full: '종일',
+    am: '오전 반차',
+    pm: '오후 반차'
+};
+
+// 0=일요일 ~ 6=토요일 (월요일부터 표시)
+const AVAILABILITY_WEEKDAYS = [
+    { value: 1, label: '월요일' },
+    { value: 2, label: '화요일' },
+    { value: 3, label: '수요일' },
+    { value: 4, label: '목요일' },
+    { value: 5, label: '금요일' },
+    { value: 6, label: '토요일' },
+    { value: 0, label: '일요일' }
+];
+
+function renderAvailabilityFormOptions() {
+    availabilityWeekdayOptionsDiv.innerHTML = `
+        <div class="target-options">
+            ${AVAILABILITY_WEEKDAYS.map(weekday => `
+                <label><input type="checkbox" value="${weekday.value}">${t(weekday.label)}</label>
+            `).join('')}
+        </div>
+    `;
+    availabilityPeriodSelect.innerHTML = Object.entries(AVAILABILITY_PERIOD_LABELS)
+        .map(([period, label]) => `<option value="${period}">${t(label)}</option>`)
+        .join('');
+}
+
+function describeAvailabilityDates(record) {
+    const range = record.startDate ? `${record.startDate} ~ ${record.endDate}` : t('매주');
+    if (record.weekdays.length === 0) {
+        return range;
+    }
+    const weekdays = AVAILABILITY_WEEKDAYS
+        .filter(weekday => record.weekdays.includes(weekday.value))
+        .map(weekday => t(weekday.label))
+        .join(', ');
+    return `${range} (${weekdays})`;
+}
+
+function renderMemberAvailabilityList() {
+    const members = currentConfig.teamMembers || [];
+    availabilityMemberSelect.innerHTML = members
+        .map(member => `<option value="${escapeHtml(member.id)}">${escapeHtml(member.name)} (${escapeHtml(member.id)})</option>`)
+        .join('');
+
+    const records = currentConfig.memberAvailability || [];
+    if (records.length === 0) {
+        memberAvailabilityListDiv.innerHTML = `<p>${t('등록된 부재 일정이 없습니다.')}</p>`;
+        return;
+    }
+
+    const rowsHtml = records.map(record => {
+        const member = members.find(m => m.id === record.memberId);
+        return `
+            <tr>
+                <td>${escapeHtml(member ? member.name : record.memberId)}</td>
+                <td>${describeAvailabilityDates(record)}</td>
+                <td>${t(AVAILABILITY_PERIOD_LABELS[record.period] || record.period)}</td>
+                <td>${escapeHtml(record.reason || '')}</td>
+                <td><button class="delete-btn" data-id="${escapeHtml(record.id)}">${t('삭제')}</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    memberAvailabilityListDiv.innerHTML = `
+        <table class="history-table holiday-table">
+            <thead>
+                <tr>
+                    <th>팀원</th>
+                    <th>기간</th>
+                    <th>시간</th>
+                    <th>사유</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+
+    memberAvailabilityListDiv.querySelectorAll('.delete-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (confirm(t('이 부재 일정을 삭제하시겠습니까?'))) {
+                await saveMemberAvailability(records.filter(record => record.id !== button.dataset.id));
+            }
+        });
+    });
+}
+
+async function saveMemberAvailability(records) {
+    try {
+        const response = await fetch('/update-member-availability', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(records)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showStatus(availabilityStatusMessageDiv, result.message, 'success');
+            currentConfig.memberAvailability = result.records;
+            renderMemberAvailabilityList();
+            return true;
+        }
+        showStatus(availabilityStatusMessageDiv, t('부재 일정 저장 실패: {message}', { message: result.message || t('알 수 없는 오류') }), 'error');
+    } catch (error) {
+        console.error('Member availability save error:', error);
+        showStatus(availabilityStatusMessageDiv, '네트워크 오류로 부재 일정을 저장할 수 없습니다.', 'error');
+    }
+    return false;
+}
+
+addMemberAvailabilityButton.addEventListener('click', async () => {
+    const memberId = availabilityMemberSelect.value;
+    const startDate = availabilityStartDateInput.value;
+    const endDate = availabilityEndDateInput.value || startDate;
+    const weekdays = [...availabilityWeekdayOptionsDiv.querySelectorAll('input:checked')].map(input => Number(input.value));
+    if (!memberId || (!startDate && weekdays.length === 0)) {
+        showStatus(availabilityStatusMessageDiv, '팀원과 기간 또는 반복 요일을 입력해주세요.', 'error');
+        return;
+    }
+
+    const records = [...(currentConfig.memberAvailability || []), {
+        memberId,
+        startDate,
+        endDate,
+        weekdays,
+        period: availabilityPeriodSelect.value,
+        reason: availabilityReasonInput.value.trim()
+    }];
+
+    if (await saveMemberAvailability(records)) {
+        availabilityStartDateInput.value = '';
+        availabilityEndDateInput.value = '';
+        availabilityReasonInput.value = '';
+        renderAvailabilityFormOptions();
+    }
+});
+
+renderAvailabilityFormOptions();
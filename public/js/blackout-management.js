@@ -0,0 +1,119 @@
+// 발송 중지 기간 관리 함수들
+const blackoutPeriodListDiv = document.getElementById('blackoutPeriodList');
+const blackoutNameInput = document.getElementById('blackoutNameInput');
+const blackoutStartDateInput = document.getElementById('blackoutStartDateInput');
+const blackoutEndDateInput = document.getElementById('blackoutEndDateInput');
+const blackoutJobTypeOptionsDiv = document.getElementById('blackoutJobTypeOptions');
+const addBlackoutPeriodButton = document.getElementById('addBlackoutPeriodButton');
+const blackoutStatusMessageDiv = document.getElementById('blackoutStatusMessage');
+
+// 발송 중지 대상 작업 종류 (서버 blackout-service 의 BLACKOUT_JOB_TYPES 와 같음)
+const BLACKOUT_JOB_TYPE_LABELS = {
+    duty: '당직 편성·알림',
+    laptop_duty: '노트북 지참 알림',
+    code_review: '코드 리뷰 짝꿍',
+    github_report: 'GitHub 리포트',
+    message: '일반 메시지'
+};
+
+function renderBlackoutJobTypeOptions() {
+    blackoutJobTypeOptionsDiv.innerHTML = `
+        <div class="target-options">
+            ${Object.entries(BLACKOUT_JOB_TYPE_LABELS).map(([jobType, label]) => `
+                <label><input type="checkbox" value="${jobType}">${t(label)}</label>
+            `).join('')}
+        </div>
+    `;
+}
+
+function describeBlackoutJobTypes(jobTypes) {
+    if (jobTypes.length === 0) {
+        return t('모든 작업');
+    }
+    return jobTypes.map(jobType => t(BLACKOUT_JOB_TYPE_LABELS[jobType] || jobType)).join(', ');
+}
+
+function renderBlackoutPeriodList() {
+    const periods = currentConfig.blackoutPeriods || [];
+    if (periods.length === 0) {
+        blackoutPeriodListDiv.innerHTML = `<p>${t('등록된 발송 중지 기간이 없습니다.')}</p>`;
+        return;
+    }
+
+    const rowsHtml = periods.map(period => `
+        <tr>
+            <td>${period.startDate} ~ ${period.endDate}</td>
+            <td>${escapeHtml(period.name)}</td>
+            <td>${describeBlackoutJobTypes(period.jobTypes)}</td>
+            <td><button class="delete-btn" data-id="${escapeHtml(period.id)}">${t('삭제')}</button></td>
+        </tr>
+    `).join('');
+
+    blackoutPeriodListDiv.innerHTML = `
+        <table class="history-table holiday-table">
+            <thead>
+                <tr>
+                    <th>기간</th>
+                    <th>이름</th>
+                    <th>중지할 작업 종류</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+
+    blackoutPeriodListDiv.querySelectorAll('.delete-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (confirm(t('이 발송 중지 기간을 삭제하시겠습니까?'))) {
+                await saveBlackoutPeriods(periods.filter(period => period.id !== button.dataset.id));
+            }
+        });
+    });
+}
+
+async function saveBlackoutPeriods(periods) {
+    try {
+        const response = await fetch('/update-blackout-periods', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(periods)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showStatus(blackoutStatusMessageDiv, result.message, 'success');
+            currentConfig.blackoutPeriods = result.periods;
+            renderBlackoutPeriodList();
+            updateStatusTab();
+            return true;
+        }
+        showStatus(blackoutStatusMessageDiv, t('발송 중지 기간 저장 실패: {message}', { message: result.message || t('알 수 없는 오류') }), 'error');
+    } catch (error) {
+        console.error('Blackout period save error:', error);
+        showStatus(blackoutStatusMessageDiv, '네트워크 오류로 발송 중지 기간을 저장할 수 없습니다.', 'error');
+    }
+    return false;
+}
+
+addBlackoutPeriodButton.addEventListener('click', async () => {
+    const name = blackoutNameInput.value.trim();
+    const startDate = blackoutStartDateInput.value;
+    const endDate = blackoutEndDateInput.value || startDate;
+    if (!name || !startDate) {
+        showStatus(blackoutStatusMessageDiv, '이름과 시작일을 입력해주세요.', 'error');
+        return;
+    }
+
+    const jobTypes = [...blackoutJobTypeOptionsDiv.querySelectorAll('input:checked')].map(input => input.value);
+    const periods = [...(currentConfig.blackoutPeriods || []), { name, startDate, endDate, jobTypes }];
+
+    if (await saveBlackoutPeriods(periods)) {
+        blackoutNameInput.value = '';
+        blackoutStartDateInput.value = '';
+        blackoutEndDateInput.value = '';
+        renderBlackoutJobTypeOptions();
+    }
+});
+
+renderBlackoutJobTypeOptions();
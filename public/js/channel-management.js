@@ -0,0 +1,244 @@
+// 채널 및 발송 대상 관리 함수들
+const channelKeyInput = document.getElementById('channelKeyInput');
+const channelNameInput = document.getElementById('channelNameInput');
+const channelIdInput = document.getElementById('channelIdInput');
+const channelDescriptionInput = document.getElementById('channelDescriptionInput');
+const channelLocaleSelect = document.getElementById('channelLocaleSelect');
+const saveChannelButton = document.getElementById('saveChannelButton');
+const channelStatusMessageDiv = document.getElementById('channelStatusMessage');
+const channelListDiv = document.getElementById('channelList');
+const jobTargetListDiv = document.getElementById('jobTargetList');
+const saveJobTargetsButton = document.getElementById('saveJobTargetsButton');
+const jobTargetStatusMessageDiv = document.getElementById('jobTargetStatusMessage');
+
+// 발송 대상으로 지정할 수 있는 팀 그룹 (서버의 TEAM_GROUPS와 동일)
+const TEAM_GROUP_OPTIONS = [
+    { id: 'all', name: '전체 팀원' },
+    { id: 'authorized', name: '권한 있는 팀원' }
+];
+
+// 기본 작업 이름
+const DEFAULT_JOB_LABELS = {
+    weekly_duty: '주간 당직 편성',
+    duty_reminder: '당직 알림',
+    code_review_pairs: '코드 리뷰 짝꿍',
+    laptop_duty: '노트북 지참 알림',
+    github_weekly_report: 'GitHub 주간 리포트',
+    github_monthly_report: 'GitHub 월간 리포트',
+    admin_alerts: '관리자 알림 (놓친 스케줄)',
+    duty_ack_escalation: '당직 미확인 알림'
+};
+
+let editingChannelKey = null;
+
+// 발송 대상 선택 UI 렌더링 (채널, 팀 그룹 체크박스 / 개별 수신자 입력)
+function renderTargetPicker(container, target = {}, { includeUsers = false } = {}) {
+    const channels = currentConfig.channels || [];
+    const selectedChannels = target.channels || [];
+    const selectedGroups = target.groups || [];
+
+    // 등록되지 않은 채널 ID도 선택 상태로 유지
+    const unknownChannels = selectedChannels.filter(key => !channels.some(channel => channel.id === key));
+    const channelOptions = [
+        ...channels.map(channel => ({ value: channel.id, label: channel.name || channel.id })),
+        ...unknownChannels.map(key => ({ value: key, label: t('{key} (미등록)', { key }) }))
+    ];
+
+    container.innerHTML = `
+        <div class="target-options">
+            ${channelOptions.length > 0 ? channelOptions.map(option => `
+                <label><input type="checkbox" data-target="channels" value="${escapeHtml(option.value)}" ${selectedChannels.includes(option.value) ? 'checked' : ''}>📢 ${escapeHtml(option.label)}</label>
+            `).join('') : '<small>등록된 채널이 없습니다.</small>'}
+        </div>
+        <div class="target-options">
+            ${TEAM_GROUP_OPTIONS.map(group => `
+                <label><input type="checkbox" data-target="groups" value="${group.id}" ${selectedGroups.includes(group.id) ? 'checked' : ''}>👥 ${group.name}</label>
+            `).join('')}
+        </div>
+        ${includeUsers ? `
+            <input type="text" data-target="users" value="${escapeHtml((target.users || []).join(', '))}" placeholder="${t('개별 수신자 ID 또는 이메일 (콤마로 구분)')}">
+        ` : ''}
+    `;
+}
+
+// 발송 대상 선택 UI에서 값 읽기
+function readTargetPicker(container) {
+    const checkedValues = (type) => Array.from(container.querySelectorAll(`input[data-target="${type}"]:checked`)).map(input => input.value);
+    const usersInput = container.querySelector('input[data-target="users"]');
+
+    return {
+        channels: checkedValues('channels'),
+        users: usersInput ? parseIdList(usersInput.value) : [],
+        groups: checkedValues('groups')
+    };
+}
+
+// 콤마 구분 문자열을 ID 배열로 변환
+function parseIdList(value) {
+    return value.split(',').map(id => id.trim()).filter(id => id.length > 0);
+}
+
+// 발송 대상 표시 문자열
+function describeTarget(target) {
+    if (!target) return t('기본 채널');
+
+    const channels = (target.channels || []).map(key => {
+        const channel = (currentConfig.channels || []).find(c => c.id === key);
+        return `📢 ${channel ? channel.name || channel.id : key}`;
+    });
+    const groups = (target.groups || []).map(id => `👥 ${t(TEAM_GROUP_OPTIONS.find(g => g.id === id)?.name || id)}`);
+    const users = (target.users || []).map(id => `👤 ${id}`);
+    const parts = [...channels, ...groups, ...users];
+
+    return parts.length > 0 ? parts.map(escapeHtml).join(', ') : t('기본 채널');
+}
+
+function renderChannelList() {
+    const channels = currentConfig.channels || [];
+    channelListDiv.innerHTML = '';
+
+    if (channels.length === 0) {
+        channelListDiv.innerHTML = '<p>등록된 채널이 없습니다. 기본 채널로만 발송됩니다.</p>';
+        return;
+    }
+
+    channels.forEach(channel => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'channel-item';
+        itemDiv.innerHTML = `
+            <p><strong>${escapeHtml(channel.name || channel.id)}</strong> (${escapeHtml(channel.id)})</p>
+            <p><strong>채널 ID:</strong> <code>${escapeHtml(channel.channelId)}</code></p>
+            ${channel.description ? `<p><strong>설명:</strong> ${escapeHtml(channel.description)}</p>` : ''}
+            <p><strong>언어:</strong> ${escapeHtml(getLocaleName(channel.locale))}</p>
+            <div class="actions">
+                <button class="edit-btn" data-id="${escapeHtml(channel.id)}">편집</button>
+                <button class="delete-btn" data-id="${escapeHtml(channel.id)}">삭제</button>
+            </div>
+        `;
+        channelListDiv.appendChild(itemDiv);
+    });
+
+    channelListDiv.querySelectorAll('.edit-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const channel = channels.find(c => c.id === button.dataset.id);
+            if (channel) {
+                channelKeyInput.value = channel.id;
+                channelNameInput.value = channel.name || '';
+                channelIdInput.value = channel.channelId;
+                channelDescriptionInput.value = channel.description || '';
+                channelLocaleSelect.value = channel.locale || '';
+                editingChannelKey = channel.id;
+                saveChannelButton.textContent = t('채널 업데이트');
+            }
+        });
+    });
+
+    channelListDiv.querySelectorAll('.delete-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (confirm(t('정말로 이 채널을 삭제하시겠습니까? 이 채널을 사용하는 작업은 채널 ID를 그대로 사용합니다.'))) {
+                await sendChannelsToServer(channels.filter(c => c.id !== button.dataset.id));
+            }
+        });
+    });
+}
+
+function renderJobTargets() {
+    const jobTargets = currentConfig.jobTargets || {};
+    jobTargetListDiv.innerHTML = '';
+
+    Object.entries(DEFAULT_JOB_LABELS).forEach(([jobKey, label]) => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'job-target-item';
+        itemDiv.dataset.job = jobKey;
+        itemDiv.innerHTML = `<h4>${label}</h4><div class="target-picker"></div>`;
+        jobTargetListDiv.appendChild(itemDiv);
+
+        renderTargetPicker(itemDiv.querySelector('.target-picker'), jobTargets[jobKey], { includeUsers: true });
+    });
+}
+
+saveChannelButton.addEventListener('click', async () => {
+    const channel = {
+        id: channelKeyInput.value.trim(),
+        name: channelNameInput.value.trim(),
+        channelId: channelIdInput.value.trim(),
+        description: channelDescriptionInput.value.trim(),
+        locale: channelLocaleSelect.value
+    };
+
+    if (!channel.id || !channel.channelId) {
+        showStatus(channelStatusMessageDiv, '채널 키와 채널 ID를 입력해주세요.', 'error');
+        return;
+    }
+
+    const channels = currentConfig.channels || [];
+    if (channel.id !== editingChannelKey && channels.some(c => c.id === channel.id)) {
+        showStatus(channelStatusMessageDiv, '이미 존재하는 채널 키입니다.', 'error');
+        return;
+    }
+
+    const updatedChannels = editingChannelKey
+        ? channels.map(c => c.id === editingChannelKey ? channel : c)
+        : [...channels, channel];
+
+    await sendChannelsToServer(updatedChannels);
+
+    channelKeyInput.value = '';
+    channelNameInput.value = '';
+    channelIdInput.value = '';
+    channelDescriptionInput.value = '';
+    channelLocaleSelect.value = '';
+    editingChannelKey = null;
+    saveChannelButton.textContent = t('채널 추가');
+});
+
+saveJobTargetsButton.addEventListener('click', async () => {
+    const jobTargets = {};
+    jobTargetListDiv.querySelectorAll('.job-target-item').forEach(itemDiv => {
+        jobTargets[itemDiv.dataset.job] = readTargetPicker(itemDiv.querySelector('.target-picker'));
+    });
+
+    try {
+        const response = await fetch('/update-job-targets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(jobTargets)
+        });
+        const data = await response.json();
+        if (response.ok) {
+            showStatus(jobTargetStatusMessageDiv, data.message, 'success');
+            currentConfig.jobTargets = data.jobTargets;
+            renderJobTargets();
+        } else {
+            showStatus(jobTargetStatusMessageDiv, t('발송 대상 저장 실패: {message}', { message: data.message || t('알 수 없는 오류') }), 'error');
+        }
+    } catch (error) {
+        showStatus(jobTargetStatusMessageDiv, '네트워크 오류로 발송 대상을 저장할 수 없습니다.', 'error');
+        console.error('Job targets save error:', error);
+    }
+});
+
+async function sendChannelsToServer(channelsToSend) {
+    try {
+        const response = await fetch('/update-channels', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(channelsToSend)
+        });
+        const data = await response.json();
+        if (response.ok) {
+            showStatus(channelStatusMessageDiv, data.message, 'success');
+            currentConfig.channels = data.channels;
+            renderChannelList();
+            renderJobTargets();
+            renderScheduleTargetPicker();
+            renderScheduledList();
+            renderDefaultJobList();
+        } else {
+            showStatus(channelStatusMessageDiv, t('채널 저장 실패: {message}', { message: data.message || t('알 수 없는 오류') }), 'error');
+        }
+    } catch (error) {
+        showStatus(channelStatusMessageDiv, '네트워크 오류로 채널을 저장할 수 없습니다.', 'error');
+        console.error('Channel save error:', error);
+    }
+}
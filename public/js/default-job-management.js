@@ -0,0 +1,215 @@
+// 기본 작업 관리 함수들
+const defaultJobListDiv = document.getElementById('defaultJobList');
+const defaultJobEditorDiv = document.getElementById('defaultJobEditor');
+const defaultJobEditorTitle = document.getElementById('defaultJobEditorTitle');
+const defaultJobCronInput = document.getElementById('defaultJobCronInput');
+const defaultJobTimezoneInput = document.getElementById('defaultJobTimezoneInput');
+const defaultJobCronPreviewDiv = document.getElementById('defaultJobCronPreview');
+const defaultJobEnabledCheckbox = document.getElementById('defaultJobEnabledCheckbox');
+const defaultJobCatchUpSelect = document.getElementById('defaultJobCatchUpSelect');
+const defaultJobSkipHolidaysCheckbox = document.getElementById('defaultJobSkipHolidaysCheckbox');
+const defaultJobTargetGroup = document.getElementById('defaultJobTargetGroup');
+const defaultJobCustomTargetCheckbox = document.getElementById('defaultJobCustomTargetCheckbox');
+const defaultJobTargetPicker = document.getElementById('defaultJobTargetPicker');
+const defaultJobTemplateGroup = document.getElementById('defaultJobTemplateGroup');
+const defaultJobTemplateKoInput = document.getElementById('defaultJobTemplateKoInput');
+const defaultJobTemplateEnInput = document.getElementById('defaultJobTemplateEnInput');
+const saveDefaultJobButton = document.getElementById('saveDefaultJobButton');
+const resetDefaultJobButton = document.getElementById('resetDefaultJobButton');
+const cancelDefaultJobButton = document.getElementById('cancelDefaultJobButton');
+const defaultJobStatusMessageDiv = document.getElementById('defaultJobStatusMessage');
+
+let defaultJobs = [];
+let editingDefaultJobId = null;
+
+const refreshDefaultJobCronPreview = bindCronPreview(defaultJobCronInput, defaultJobTimezoneInput, defaultJobCronPreviewDiv);
+
+// 기본 작업 목록 로드
+async function loadDefaultJobs() {
+    try {
+        const response = await fetch('/default-jobs');
+        const result = await response.json();
+
+        if (result.success) {
+            defaultJobs = result.data;
+            renderDefaultJobList();
+        } else {
+            showStatus(defaultJobStatusMessageDiv, '기본 작업을 불러올 수 없습니다.', 'error');
+        }
+    } catch (error) {
+        console.error('Default job load error:', error);
+        showStatus(defaultJobStatusMessageDiv, '네트워크 오류로 기본 작업을 불러올 수 없습니다.', 'error');
+    }
+}
+
+// 실행 중인 기본 작업 수 (현황 탭용)
+function getActiveDefaultJobCount() {
+    return defaultJobs.filter(job => job.enabled && job.available).length;
+}
+
+function describeDefaultJobState(job) {
+    if (!job.available) return t('사용 불가 (GitHub 설정 확인)');
+    return job.enabled ? t('사용') : t('중지');
+}
+
+// 발송 대상(targetKey)이 없는 작업은 당직자에게 개인 메시지로만 발송
+function describeDefaultJobRecipients(job) {
+    if (!job.targetKey) return t('당직자 개인 메시지');
+    return job.target ? describeTarget(job.target) : t('기본 작업 발송 대상');
+}
+
+function renderDefaultJobList() {
+    defaultJobListDiv.innerHTML = '';
+
+    defaultJobs.forEach(job => {
+        const hasCustomTemplate = Object.keys(job.template || {}).length > 0;
+        const itemDiv = document.createElement('div');
+        itemDiv.className = `schedule-item type-default_job${job.enabled && job.available ? '' : ' disabled'}`;
+        itemDiv.innerHTML = `
+            <p><strong>${escapeHtml(t(job.name))}</strong>${job.isCustomized ? t(' (수정됨)') : ''}</p>
+            <p>${escapeHtml(t(job.description))}</p>
+            <p><strong>스케줄:</strong> <code>${escapeHtml(job.cronSchedule)}</code>${describeTimezone(job.timezone)} | <strong>상태:</strong> ${describeDefaultJobState(job)}</p>
+            <p><strong>놓친 실행:</strong> ${t(CATCH_UP_POLICY_LABELS[job.catchUpPolicy] || job.catchUpPolicy)}${job.skipOnHolidays ? ` | ${t('휴일에는 실행 안 함')}` : ''}</p>
+            <p><strong>수신자:</strong> ${describeDefaultJobRecipients(job)}</p>
+            ${job.templateKey ? `<p><strong>템플릿:</strong> ${hasCustomTemplate ? t('작업 전용 템플릿') : t('공용 템플릿')}</p>` : ''}
+            <div class="actions">
+                <button class="execute-btn" data-id="${job.id}" ${job.available ? '' : 'disabled'}>즉시 실행</button>
+                <button class="edit-btn" data-id="${job.id}">편집</button>
+            </div>
+        `;
+        defaultJobListDiv.appendChild(itemDiv);
+    });
+
+    defaultJobListDiv.querySelectorAll('.execute-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            const job = defaultJobs.find(j => j.id === button.dataset.id);
+            if (job && confirm(t('"{type}" 스케줄을 지금 실행하시겠습니까?', { type: t(job.name) }))) {
+                await executeDefaultJob(job.id);
+            }
+        });
+    });
+
+    defaultJobListDiv.querySelectorAll('.edit-btn').forEach(button => {
+        button.addEventListener('click', () => openDefaultJobEditor(button.dataset.id));
+    });
+}
+
+// 기본 작업 편집기 열기
+function openDefaultJobEditor(jobId) {
+    const job = defaultJobs.find(j => j.id === jobId);
+    if (!job) return;
+
+    editingDefaultJobId = job.id;
+    defaultJobEditorTitle.textContent = t(job.name);
+    defaultJobCronInput.value = job.cronSchedule;
+    defaultJobTimezoneInput.value = job.timezone === DEFAULT_TIMEZONE ? '' : job.timezone;
+    refreshDefaultJobCronPreview();
+    defaultJobEnabledCheckbox.checked = job.enabled;
+    defaultJobCatchUpSelect.value = job.catchUpPolicy;
+    defaultJobSkipHolidaysCheckbox.checked = !!job.skipOnHolidays;
+    defaultJobCustomTargetCheckbox.checked = !!job.target;
+    renderTargetPicker(defaultJobTargetPicker, job.target || {}, { includeUsers: true });
+    defaultJobTargetPicker.style.display = job.target ? 'block' : 'none';
+    defaultJobTargetGroup.style.display = job.targetKey ? 'block' : 'none';
+    defaultJobTemplateGroup.style.display = job.templateKey ? 'block' : 'none';
+    defaultJobTemplateKoInput.value = (job.template || {}).ko || '';
+    defaultJobTemplateEnInput.value = (job.template || {}).en || '';
+    resetDefaultJobButton.disabled = !job.isCustomized;
+    defaultJobEditorDiv.style.display = 'block';
+}
+
+function closeDefaultJobEditor() {
+    editingDefaultJobId = null;
+    defaultJobEditorDiv.style.display = 'none';
+}
+
+defaultJobCustomTargetCheckbox.addEventListener('change', () => {
+    defaultJobTargetPicker.style.display = defaultJobCustomTargetCheckbox.checked ? 'block' : 'none';
+});
+
+cancelDefaultJobButton.addEventListener('click', closeDefaultJobEditor);
+
+saveDefaultJobButton.addEventListener('click', async () => {
+    const cronSchedule = defaultJobCronInput.value.trim();
+    if (!cronSchedule) {
+        showStatus(defaultJobStatusMessageDiv, '스케줄을 입력해주세요.', 'error');
+        return;
+    }
+    const timezone = defaultJobTimezoneInput.value.trim();
+    if (timezone && !isValidTimezone(timezone)) {
+        showStatus(defaultJobStatusMessageDiv, t('올바르지 않은 시간대입니다: {timezone}', { timezone }), 'error');
+        return;
+    }
+
+    const target = defaultJobCustomTargetCheckbox.checked ? readTargetPicker(defaultJobTargetPicker) : null;
+    if (target && isEmptyTarget(target)) {
+        showStatus(defaultJobStatusMessageDiv, '별도 발송 대상을 하나 이상 선택해주세요.', 'error');
+        return;
+    }
+
+    await sendDefaultJobRequest('/default-jobs/update', {
+        id: editingDefaultJobId,
+        cronSchedule,
+        timezone: timezone || null,
+        enabled: defaultJobEnabledCheckbox.checked,
+        catchUpPolicy: defaultJobCatchUpSelect.value,
+        skipOnHolidays: defaultJobSkipHolidaysCheckbox.checked,
+        target,
+        template: {
+            ko: defaultJobTemplateKoInput.value,
+            en: defaultJobTemplateEnInput.value
+        }
+    }, '기본 작업 저장 실패: {message}');
+});
+
+resetDefaultJobButton.addEventListener('click', async () => {
+    if (!confirm(t('이 작업의 설정을 기본값으로 복원하시겠습니까?'))) {
+        return;
+    }
+    await sendDefaultJobRequest('/default-jobs/reset', { id: editingDefaultJobId }, '기본 작업 복원 실패: {message}');
+});
+
+async function sendDefaultJobRequest(url, payload, failureMessage) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showStatus(defaultJobStatusMessageDiv, result.message, 'success');
+            defaultJobs = result.jobs;
+            renderDefaultJobList();
+            closeDefaultJobEditor();
+        } else {
+            showStatus(defaultJobStatusMessageDiv, t(failureMessage, { message: result.message || t('알 수 없는 오류') }), 'error');
+        }
+    } catch (error) {
+        console.error('Default job save error:', error);
+        showStatus(defaultJobStatusMessageDiv, '네트워크 오류로 기본 작업을 저장할 수 없습니다.', 'error');
+    }
+}
+
+async function executeDefaultJob(jobId) {
+    try {
+        showStatus(defaultJobStatusMessageDiv, '스케줄 실행 중...', 'info');
+
+        const response = await fetch('/execute-schedule', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ scheduleId: jobId })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            showSendResultStatus(defaultJobStatusMessageDiv, data);
+        } else {
+            showStatus(defaultJobStatusMessageDiv, t('스케줄 실행 실패: {message}', { message: data.message || t('알 수 없는 오류') }), 'error');
+        }
+    } catch (error) {
+        showStatus(defaultJobStatusMessageDiv, '네트워크 오류로 스케줄을 실행할 수 없습니다.', 'error');
+        console.error('Default job execution error:', error);
+    }
+}
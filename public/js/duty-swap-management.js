@@ -0,0 +1,170 @@
+// 당직 교환 관리 함수들
+const dutySwapListDiv = document.getElementById('dutySwapList');
+const swapApproverGroup = document.getElementById('swapApproverGroup');
+const swapApproverSelect = document.getElementById('swapApproverSelect');
+const swapRequesterSelect = document.getElementById('swapRequesterSelect');
+const swapRequesterDateInput = document.getElementById('swapRequesterDateInput');
+const swapTargetSelect = document.getElementById('swapTargetSelect');
+const swapTargetDateInput = document.getElementById('swapTargetDateInput');
+const swapReasonInput = document.getElementById('swapReasonInput');
+const createDutySwapButton = document.getElementById('createDutySwapButton');
+const dutySwapStatusMessageDiv = document.getElementById('dutySwapStatusMessage');
+
+// 처리 중인 요청만 버튼 표시
+const OPEN_SWAP_STATUSES = ['pending', 'awaiting_approval'];
+
+let dutySwapState = { requireApproval: false, statuses: {}, requests: [] };
+
+function memberOptionsHtml(members) {
+    return members
+        .map(member => `<option value="${escapeHtml(member.id)}">${escapeHtml(member.name)} (${escapeHtml(member.id)})</option>`)
+        .join('');
+}
+
+function getSwapMemberName(memberId) {
+    const member = (currentConfig.teamMembers || []).find(m => m.id === memberId);
+    return escapeHtml(member ? member.name : memberId);
+}
+
+function describeSwapRequest(request) {
+    const requester = getSwapMemberName(request.requesterId);
+    const target = getSwapMemberName(request.targetId);
+    if (request.targetDate) {
+        return `${requester} ${request.requesterDate} ↔ ${target} ${request.targetDate}`;
+    }
+    return t('{requester} {date} → {target} 대신 맡기', { requester, date: request.requesterDate, target });
+}
+
+function renderSwapActions(request) {
+    if (!OPEN_SWAP_STATUSES.includes(request.status)) {
+        return request.failureReason ? escapeHtml(request.failureReason) : '';
+    }
+
+    const buttons = request.status === 'pending'
+        ? [['accept', '수락'], ['decline', '거절']]
+        : [['approve', '승인'], ['reject', '반려']];
+    return [...buttons, ['cancel', '취소']]
+        .map(([action, label]) => `<button class="${action === 'accept' || action === 'approve' ? 'execute-btn' : 'delete-btn'}" data-id="${escapeHtml(request.id)}" data-action="${action}">${t(label)}</button>`)
+        .join(' ');
+}
+
+function renderDutySwapList() {
+    const members = currentConfig.teamMembers || [];
+    swapRequesterSelect.innerHTML = memberOptionsHtml(members);
+    swapTargetSelect.innerHTML = memberOptionsHtml(members);
+    swapApproverSelect.innerHTML = memberOptionsHtml(members.filter(member => member.isAuthorized));
+    swapApproverGroup.style.display = dutySwapState.requireApproval ? 'block' : 'none';
+
+    const requests = dutySwapState.requests;
+    if (requests.length === 0) {
+        dutySwapListDiv.innerHTML = `<p>${t('당직 교환 요청이 없습니다.')}</p>`;
+        return;
+    }
+
+    const rowsHtml = requests.map(request => `
+        <tr>
+            <td>${new Date(request.createdAt).toLocaleString()}</td>
+            <td>${describeSwapRequest(request)}${request.reason ? `<br><small>${escapeHtml(request.reason)}</small>` : ''}</td>
+            <td>${t(dutySwapState.statuses[request.status] || request.status)}</td>
+            <td>${renderSwapActions(request)}</td>
+        </tr>
+    `).join('');
+
+    dutySwapListDiv.innerHTML = `
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>요청 시각</th>
+                    <th>내용</th>
+                    <th>상태</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+
+    dutySwapListDiv.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', () => handleDutySwapAction(requests.find(request => request.id === button.dataset.id), button.dataset.action));
+    });
+}
+
+async function loadDutySwaps() {
+    try {
+        const response = await fetch('/duty-swaps');
+        if (response.ok) {
+            const result = await response.json();
+            dutySwapState = { requireApproval: result.requireApproval, statuses: result.statuses, requests: result.requests };
+        }
+    } catch (error) {
+        console.error('Duty swap load error:', error);
+    }
+    renderDutySwapList();
+}
+
+async function postDutySwap(url, payload) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        if (response.ok && result.success) {
+            showSendResultStatus(dutySwapStatusMessageDiv, { ...result, status: result.partialFailure ? 'partial' : 'success' });
+            await loadDutySwaps();
+            updateStatusTab();
+            return true;
+        }
+        showStatus(dutySwapStatusMessageDiv, t('당직 교환 처리 실패: {message}', { message: result.message || t('알 수 없는 오류') }), 'error');
+    } catch (error) {
+        console.error('Duty swap error:', error);
+        showStatus(dutySwapStatusMessageDiv, '네트워크 오류로 당직 교환을 처리할 수 없습니다.', 'error');
+    }
+    await loadDutySwaps();
+    return false;
+}
+
+async function handleDutySwapAction(request, action) {
+    switch (action) {
+        case 'accept':
+        case 'decline':
+            await postDutySwap('/duty-swaps/respond', { id: request.id, memberId: request.targetId, accept: action === 'accept' });
+            break;
+        case 'approve':
+        case 'reject':
+            if (!swapApproverSelect.value) {
+                showStatus(dutySwapStatusMessageDiv, '승인할 권한 있는 팀원을 선택해주세요.', 'error');
+                return;
+            }
+            await postDutySwap('/duty-swaps/decide', { id: request.id, approverId: swapApproverSelect.value, approve: action === 'approve' });
+            break;
+        case 'cancel':
+            if (confirm(t('이 당직 교환 요청을 취소하시겠습니까?'))) {
+                await postDutySwap('/duty-swaps/cancel', { id: request.id, memberId: request.requesterId });
+            }
+            break;
+    }
+}
+
+createDutySwapButton.addEventListener('click', async () => {
+    const requesterDate = swapRequesterDateInput.value;
+    if (!swapRequesterSelect.value || !swapTargetSelect.value || !requesterDate) {
+        showStatus(dutySwapStatusMessageDiv, '요청하는 팀원, 당직일, 상대 팀원을 입력해주세요.', 'error');
+        return;
+    }
+
+    const created = await postDutySwap('/duty-swaps', {
+        requesterId: swapRequesterSelect.value,
+        requesterDate,
+        targetId: swapTargetSelect.value,
+        targetDate: swapTargetDateInput.value,
+        reason: swapReasonInput.value.trim()
+    });
+    if (created) {
+        swapRequesterDateInput.value = '';
+        swapTargetDateInput.value = '';
+        swapReasonInput.value = '';
+    }
+});
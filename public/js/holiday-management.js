@@ -0,0 +1,130 @@
+// 휴일 관리 함수들
+const holidayYearSelect = document.getElementById('holidayYearSelect');
+const holidayListDiv = document.getElementById('holidayList');
+const customHolidayDateInput = document.getElementById('customHolidayDateInput');
+const customHolidayNameInput = document.getElementById('customHolidayNameInput');
+const addCustomHolidayButton = document.getElementById('addCustomHolidayButton');
+const holidayStatusMessageDiv = document.getElementById('holidayStatusMessage');
+
+const HOLIDAY_TYPE_LABELS = {
+    public: '공휴일',
+    substitute: '대체공휴일',
+    custom: '회사 지정'
+};
+
+let customHolidays = [];
+
+// 연도 선택 옵션 (작년 ~ 3년 뒤)
+function renderHolidayYearOptions() {
+    const currentYear = new Date().getFullYear();
+    holidayYearSelect.innerHTML = '';
+    for (let year = currentYear - 1; year <= currentYear + 3; year++) {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        holidayYearSelect.appendChild(option);
+    }
+    holidayYearSelect.value = currentYear;
+}
+
+// 선택한 연도의 휴일 목록 로드
+async function loadHolidays() {
+    try {
+        const response = await fetch(`/holidays?year=${holidayYearSelect.value}`);
+        const result = await response.json();
+
+        if (result.success) {
+            customHolidays = result.data.customHolidays;
+            renderHolidayList(result.data.holidays);
+        } else {
+            showStatus(holidayStatusMessageDiv, '휴일 목록을 불러올 수 없습니다.', 'error');
+        }
+    } catch (error) {
+        console.error('Holiday load error:', error);
+        showStatus(holidayStatusMessageDiv, '네트워크 오류로 휴일 목록을 불러올 수 없습니다.', 'error');
+    }
+}
+
+function renderHolidayList(holidays) {
+    if (holidays.length === 0) {
+        holidayListDiv.innerHTML = `<p>${t('등록된 휴일이 없습니다.')}</p>`;
+        return;
+    }
+
+    const rowsHtml = holidays.map(holiday => {
+        const weekday = new Date(`${holiday.date}T00:00:00`).toLocaleDateString(getUiDateLocale(), { weekday: 'short' });
+        return `
+            <tr class="${holiday.type === 'custom' ? 'holiday-custom' : ''}">
+                <td>${holiday.date} (${weekday})</td>
+                <td>${escapeHtml(translateHolidayName(holiday.name))}</td>
+                <td><span class="holiday-type">${t(HOLIDAY_TYPE_LABELS[holiday.type])}</span></td>
+                <td>${holiday.type === 'custom' ? `<button class="delete-btn" data-date="${holiday.date}">${t('삭제')}</button>` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    holidayListDiv.innerHTML = `
+        <table class="history-table holiday-table">
+            <thead>
+                <tr>
+                    <th>날짜</th>
+                    <th>휴일 이름</th>
+                    <th>구분</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+
+    holidayListDiv.querySelectorAll('.delete-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (confirm(t('이 회사 지정 휴일을 삭제하시겠습니까?'))) {
+                await saveCustomHolidays(customHolidays.filter(holiday => holiday.date !== button.dataset.date));
+            }
+        });
+    });
+}
+
+async function saveCustomHolidays(holidays) {
+    try {
+        const response = await fetch('/update-custom-holidays', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify(holidays)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showStatus(holidayStatusMessageDiv, result.message, 'success');
+            await loadHolidays();
+            return true;
+        }
+        showStatus(holidayStatusMessageDiv, t('휴일 저장 실패: {message}', { message: result.message || t('알 수 없는 오류') }), 'error');
+    } catch (error) {
+        console.error('Holiday save error:', error);
+        showStatus(holidayStatusMessageDiv, '네트워크 오류로 휴일을 저장할 수 없습니다.', 'error');
+    }
+    return false;
+}
+
+holidayYearSelect.addEventListener('change', loadHolidays);
+
+addCustomHolidayButton.addEventListener('click', async () => {
+    const date = customHolidayDateInput.value;
+    const name = customHolidayNameInput.value.trim();
+    if (!date || !name) {
+        showStatus(holidayStatusMessageDiv, '날짜와 휴일 이름을 모두 입력해주세요.', 'error');
+        return;
+    }
+
+    const holidays = customHolidays.filter(holiday => holiday.date !== date);
+    holidays.push({ date, name });
+
+    if (await saveCustomHolidays(holidays)) {
+        customHolidayDateInput.value = '';
+        customHolidayNameInput.value = '';
+    }
+});
+
+renderHolidayYearOptions();
@@ -0,0 +1,691 @@
+// 화면 언어 전환 함수들
+// 한국어 원문을 키로 사용하며, 번역이 없는 문구는 한국어 그대로 표시
+const UI_LOCALES = [
+    { code: 'ko', name: '한국어', dateLocale: 'ko-KR' },
+    { code: 'en', name: 'English', dateLocale: 'en-US' }
+];
+
+const UI_TRANSLATIONS = {
+    en: {
+        // 공통
+        '네이버웍스 자동 알림 스케줄러': 'NAVER WORKS Notification Scheduler',
+        '로딩 중...': 'Loading...',
+        '편집': 'Edit',
+        '삭제': 'Delete',
+        '취소': 'Cancel',
+        '미리보기': 'Preview',
+        '새로고침': 'Refresh',
+        '조회': 'Search',
+        '이전': 'Prev',
+        '다음': 'Next',
+        '전체': 'All',
+        '개별': 'Direct',
+        '채널': 'Channel',
+        '성공': 'Success',
+        '실패': 'Failed',
+        '예': 'Yes',
+        '아니오': 'No',
+        '오늘': 'Today',
+        '미배정': 'Unassigned',
+        '설명:': 'Description:',
+        '시작일:': 'Start date:',
+        '종료일:': 'End date:',
+        '수신자:': 'Recipients:',
+        '언어:': 'Language:',
+        '기본 언어': 'Default language',
+        '한국어': 'Korean',
+        '화면 언어': 'Display language',
+        '알 수 없는 오류': 'Unknown error',
+        '{count}명': '{count}',
+        '{count}개': '{count}',
+        '{count}건': '{count}',
+        '{count}회': '{count}',
+
+        // 탭
+        '코드리뷰 짝꿍 & 당직 현황': 'Code Review & Duty Status',
+        '팀원 및 당직 관리': 'Team & Duty',
+        '크론메시지 관리': 'Scheduled Messages',
+        '🔥 GitHub 성과 분석': '🔥 GitHub Analytics',
+        '📨 메시지 발송 현황': '📨 Message Delivery',
+
+        // 현황 탭
+        '🚀 자동 스케줄 시스템 가동 중': '🚀 Automatic scheduler running',
+        '주간 당직: 매주 월요일 8시 | 당직 알림: 매일 2시, 4시 | 코드리뷰: 매주 월요일 9시 | 노트북: 매일 9시': 'Weekly duty: Mon 8 AM | Duty reminder: daily 2 PM, 4 PM | Code review: Mon 9 AM | Laptop: daily 9 AM',
+        '등록된 팀원': 'Team members',
+        '권한자': 'Authorized',
+        '활성 스케줄': 'Active schedules',
+        '이번 주': 'This week',
+        '주간 당직 편성 실행': 'Assign weekly duty',
+        '코드리뷰 짝꿍 편성 실행': 'Assign code review pairs',
+        '현황 새로고침': 'Refresh status',
+        '📅 이번주 당직 편성표': '📅 This week\'s duty schedule',
+        '🚨 오늘의 당직자': '🚨 Today\'s duty',
+        '👥 현재 코드리뷰 짝꿍': '👥 Current code review pairs',
+        '짝꿍 {number}:': 'Pair {number}:',
+        '편성 주:': 'Week:',
+        '이번 주 코드리뷰 짝꿍이 아직 편성되지 않았습니다.': 'Code review pairs have not been assigned this week.',
+        '매주 월요일 오전 9시에 자동으로 편성되거나, 수동으로 편성할 수 있습니다.': 'Pairs are assigned automatically every Monday at 9 AM, or you can assign them manually.',
+        '주간 당직 편성표를 불러올 수 없습니다.': 'Could not load the weekly duty schedule.',
+        '주간 당직 편성표 로드 중 오류가 발생했습니다.': 'An error occurred while loading the weekly duty schedule.',
+        '이번주 당직 편성표가 없습니다. 주간 당직 편성을 실행해주세요.': 'There is no duty schedule for this week. Please assign weekly duty.',
+        '오늘의 당직자 정보를 불러올 수 없습니다.': 'Could not load today\'s duty.',
+        '오늘의 당직자 정보 로드 중 오류가 발생했습니다.': 'An error occurred while loading today\'s duty.',
+        '📅 오늘({date})': '📅 Today ({date})',
+        '당직자가 배정되지 않았습니다.': 'No duty members are assigned.',
+        '주간 당직 편성을 실행하여 당직자를 배정해주세요.': 'Assign weekly duty to pick duty members.',
+        '날짜: {date}': 'Date: {date}',
+        '당직 업무': 'Duty tasks',
+        '매일 오후 2시, 4시 당직 체크': 'Duty check every day at 2 PM and 4 PM',
+        '사무실 보안 상태 확인': 'Check office security',
+        '시설 이상 유무 점검': 'Inspect facilities for issues',
+        '긴급상황 발생시 즉시 보고': 'Report emergencies immediately',
+        '당직 확인': 'Duty acknowledgement',
+        '미확인': 'Not acknowledged',
+        '확인 처리': 'Mark acknowledged',
+        '{time} 확인 ({method})': 'Acknowledged at {time} ({method})',
+        '메시지 버튼': 'message button',
+        '웹 링크': 'web link',
+        '대시보드': 'dashboard',
+        '{time} 미확인 당직자에게 확인 요청 DM 발송': '{time} Asked unacknowledged duty members by DM',
+        '{time} 권한 있는 팀원에게 미확인 알림 발송': '{time} Notified authorized members',
+        '네트워크 오류로 당직 확인을 처리할 수 없습니다.': 'Could not record the acknowledgement due to a network error.',
+        '2명 배정': '2 assigned',
+        '월요일': 'Monday',
+        '화요일': 'Tuesday',
+        '수요일': 'Wednesday',
+        '목요일': 'Thursday',
+        '금요일': 'Friday',
+        '토요일': 'Saturday',
+        '일요일': 'Sunday',
+        '당직 편성 미리보기': 'Duty plan preview',
+        '편성 기간:': 'Plan range:',
+        '다음 주': 'Next week',
+        '다음 4주': 'Next 4 weeks',
+        '한 달': 'Whole month',
+        '직접 지정': 'Custom',
+        '기존 당직 횟수': 'Previous duties',
+        '이번 편성': 'This plan',
+        '편성 후': 'After plan',
+        '권한': 'Authorized',
+        '미리보기를 생성하고 있습니다...': 'Generating preview...',
+        '🔄 새로운 조합 만들기': '🔄 Shuffle again',
+        '✅ 확정': '✅ Confirm',
+        '❌ 취소': '❌ Cancel',
+        '확정 중...': 'Confirming...',
+        '❌ 미리보기 생성 실패': '❌ Failed to generate preview',
+        '미리보기 생성 중 네트워크 오류가 발생했습니다.': 'A network error occurred while generating the preview.',
+        '새로운 조합 생성 중 오류가 발생했습니다.': 'An error occurred while generating a new combination.',
+        '미리보기 데이터가 없습니다.': 'There is no preview data.',
+        '확정 실패: {message}': 'Confirmation failed: {message}',
+        '확정 중 네트워크 오류가 발생했습니다.': 'A network error occurred while confirming.',
+        '코드리뷰 짝꿍을 새로 편성하시겠습니까?': 'Assign new code review pairs?',
+        '코드리뷰 짝꿍 편성 중...': 'Assigning code review pairs...',
+        '코드리뷰 짝꿍 편성 실패: {message}': 'Failed to assign code review pairs: {message}',
+        '네트워크 오류로 코드리뷰 짝꿍을 편성할 수 없습니다.': 'Could not assign code review pairs due to a network error.',
+        '현황이 새로고침되었습니다.': 'Status refreshed.',
+        '주간 당직이 편성되어 알림이 전송되었습니다.': 'Weekly duty has been assigned and notifications were sent.',
+        '코드 리뷰 짝꿍이 성공적으로 편성되었습니다.': 'Code review pairs have been assigned.',
+        '리더 인스턴스': 'Leader instance',
+        '없음': 'None',
+        '{time}부터': 'Since {time}',
+        '인스턴스 {count}개 · 이 인스턴스: {id}{leader}': '{count} instance(s) · this one: {id}{leader}',
+        ' (리더)': ' (leader)',
+        '⏱ 스케줄 실행 현황': '⏱ Job runs',
+        '스케줄 실행 현황을 불러올 수 없습니다.': 'Could not load job runs.',
+        '스케줄 실행 현황 로드 중 오류가 발생했습니다.': 'An error occurred while loading job runs.',
+        '⚠️ 마지막 실행이 실패한 작업 {count}개': '⚠️ {count} job(s) failed on their last run',
+        '✅ 최근 실행이 모두 정상입니다.': '✅ All recent runs succeeded.',
+        '일부 실패': 'Partially failed',
+        ' (연속 {count}회)': ' ({count} in a row)',
+        '실행 기록 없음': 'No runs yet',
+        '수동': 'Manual',
+        '자동': 'Scheduled',
+        '놓침': 'Missed',
+        '건너뜀': 'Skipped',
+        '놓친 실행 처리': 'Missed-run catch-up',
+        '작업': 'Job',
+        '다음 실행': 'Next run',
+        '마지막 실행': 'Last run',
+
+        // 팀원 탭
+        '팀원 관리': 'Team members',
+        '팀원 ID:': 'Member ID:',
+        '팀원 이름:': 'Member name:',
+        '예: tmddud333': 'e.g. tmddud333',
+        '예: 홍길동': 'e.g. Jane Doe',
+        '권한 있는 팀원 (당직 필수 포함)': 'Authorized member (always included in duty)',
+        '팀원 추가': 'Add member',
+        '팀원 업데이트': 'Update member',
+        '이름:': 'Name:',
+        '권한:': 'Authorized:',
+        '당직 횟수:': 'Duty count:',
+        '코드리뷰 횟수:': 'Code review count:',
+        '등록된 팀원이 없습니다. 추가해주세요.': 'No team members yet. Please add one.',
+        '정말로 팀원 ID: {id}를 삭제하시겠습니까?': 'Delete team member {id}?',
+        '팀원 ID와 이름을 모두 입력해주세요.': 'Please enter both the member ID and name.',
+        '이미 존재하는 팀원 ID입니다.': 'This member ID already exists.',
+        '팀원 정보 저장 실패: {message}': 'Failed to save team members: {message}',
+        '네트워크 오류로 팀원 정보를 저장할 수 없습니다.': 'Could not save team members due to a network error.',
+        '팀원 정보가 성공적으로 업데이트되었습니다.': 'Team members updated.',
+
+        // 스케줄 탭
+        '새 스케줄 추가 / 편집': 'Add / edit schedule',
+        '스케줄 타입:': 'Schedule type:',
+        '일반 메시지 알림': 'Custom message',
+        '일반 메시지': 'Custom message',
+        '노트북 지참 알림': 'Laptop reminder',
+        '코드 리뷰 짝꿍 알림': 'Code review pairs',
+        '메시지 내용:': 'Message:',
+        '여기에 보낼 메시지를 입력하세요...': 'Type the message to send...',
+        '영어 메시지 (선택):': 'English message (optional):',
+        '영어를 사용하는 팀원과 채널에 보낼 메시지 (비워두면 위 메시지 사용)': 'Sent to English-speaking members and channels (uses the message above if empty)',
+        '변수는 발송 시점의 값으로 바뀝니다.': 'variables are replaced with their values at send time.',
+        '스케줄 (Cron 형식):': 'Schedule (cron):',
+        '예: 0 0 9 * * MON (매주 월요일 오전 9시)': 'e.g. 0 0 9 * * MON (every Monday 9 AM)',
+        'Cron 형식 가이드 보기 (crontab.guru)': 'Cron format guide (crontab.guru)',
+        '초(0-59) 분(0-59) 시(0-23) 일(1-31) 월(1-12) 요일(0-7, 일요일=0 or 7)': 'sec(0-59) min(0-59) hour(0-23) day(1-31) month(1-12) weekday(0-7, Sunday=0 or 7)',
+        '발송 대상:': 'Send to:',
+        '개별 수신자 ID (콤마로 구분):': 'Individual recipient IDs (comma separated):',
+        '예: tmddud333, user2, user_test': 'e.g. tmddud333, user2, user_test',
+        '노트북 지참 / 코드 리뷰 타입은 대상을 비워두면 기본 작업 발송 대상으로 발송됩니다.': 'Laptop / code review schedules use the default job targets when left empty.',
+        '스케줄 저장': 'Save schedule',
+        '스케줄 업데이트': 'Update schedule',
+        '등록된 스케줄': 'Schedules',
+        '타입:': 'Type:',
+        '메시지:': 'Message:',
+        '영어 메시지:': 'English message:',
+        '스케줄:': 'Schedule:',
+        '즉시 실행': 'Run now',
+        '노트북 지참 알림 (자동 생성)': 'Laptop reminder (generated)',
+        '코드 리뷰 짝꿍 알림 (자동 생성)': 'Code review pairs (generated)',
+        '기본 작업 발송 대상': 'Default job targets',
+        '등록된 사용자 정의 스케줄이 없습니다. 새로 추가해주세요.': 'No custom schedules yet. Please add one.',
+        '* 기본 작업(주간당직, 당직알림, 코드리뷰 등)은 아래 "기본 작업"에서 관리합니다.': '* Built-in jobs (weekly duty, duty reminders, code review, etc.) are managed under "Built-in jobs" below.',
+
+        // 기본 작업
+        '⏰ 기본 작업': '⏰ Built-in jobs',
+        '당직 편성, 당직 알림, 코드 리뷰, 노트북 지참, GitHub 리포트 작업의 실행 시각과 사용 여부를 변경할 수 있습니다.': 'Change when the duty, reminder, code review, laptop and GitHub report jobs run, or turn them off.',
+        '사용': 'Enabled',
+        '중지': 'Disabled',
+        '사용 불가 (GitHub 설정 확인)': 'Unavailable (check GitHub settings)',
+        '상태:': 'Status:',
+        '이 작업만 별도 발송 대상 지정': 'Use a separate target for this job',
+        '지정하지 않으면 "기본 작업 발송 대상"의 설정을 사용합니다.': 'If not set, the "Default job targets" setting is used.',
+        '이 작업 전용 템플릿 (한국어):': 'Job-specific template (Korean):',
+        '이 작업 전용 템플릿 (영어):': 'Job-specific template (English):',
+        '비워두면 공용 메시지 템플릿 사용': 'Leave empty to use the shared message template',
+        '작업 전용 템플릿': 'Job-specific template',
+        '공용 템플릿': 'Shared template',
+        '작업 설정 저장': 'Save job settings',
+        '기본 작업을 불러올 수 없습니다.': 'Could not load built-in jobs.',
+        '네트워크 오류로 기본 작업을 불러올 수 없습니다.': 'Could not load built-in jobs due to a network error.',
+        '스케줄을 입력해주세요.': 'Please enter a schedule.',
+        '별도 발송 대상을 하나 이상 선택해주세요.': 'Please select at least one target.',
+        '기본 작업 저장 실패: {message}': 'Failed to save job: {message}',
+        '이 작업의 설정을 기본값으로 복원하시겠습니까?': 'Reset this job to its default settings?',
+        '기본 작업 복원 실패: {message}': 'Failed to reset job: {message}',
+        '네트워크 오류로 기본 작업을 저장할 수 없습니다.': 'Could not save the job due to a network error.',
+        '기본 작업 설정이 저장되었습니다.': 'Job settings saved.',
+        '기본 작업 설정이 기본값으로 복원되었습니다.': 'Job settings reset to default.',
+        '당직 알림 (1차)': 'Duty reminder (1st)',
+        '당직 알림 (2차)': 'Duty reminder (2nd)',
+        '일주일치 당직자를 배정하고 당직표를 발송': 'Assigns the week\'s duty members and sends the duty table',
+        '당일 당직자 알림': 'Reminds today\'s duty members',
+        '당직 확인 요청': 'Duty acknowledgement follow-up',
+        '당직 알림을 확인하지 않은 당직자에게 개인 메시지로 확인 요청': 'Asks duty members who have not acknowledged the reminder by direct message',
+        '당직 미확인 알림': 'Unacknowledged duty alert',
+        '확인 요청 후에도 당직을 확인하지 않은 당직자를 권한 있는 팀원에게 알림': 'Tells authorized members who still has not acknowledged duty after the follow-up',
+        '당직자 개인 메시지': 'Duty members (direct message)',
+        '확인하지 않은 당직자에게 확인 요청을 보냈습니다.': 'Asked unacknowledged duty members to confirm.',
+        '당직 미확인 알림이 전송되었습니다.': 'Unacknowledged duty alert sent.',
+        '오늘 당직자가 모두 확인했습니다.': 'All of today\'s duty members have acknowledged.',
+        '오늘 당직자가 없습니다.': 'Nobody is on duty today.',
+        '코드 리뷰 짝꿍을 편성하고 결과를 발송': 'Assigns code review pairs and sends the result',
+        '당일 당직자 노트북 지참 알림': 'Reminds today\'s duty members to bring laptops',
+        '주간 개발 활동 요약 리포트': 'Weekly development activity report',
+        '월간 개발 활동 요약 리포트': 'Monthly development activity report',
+        '당직 알림이 전송되었습니다.': 'Duty reminder sent.',
+        'GitHub 리포트가 전송되었습니다.': 'GitHub report sent.',
+        '"{type}" 스케줄을 지금 실행하시겠습니까?': 'Run the "{type}" schedule now?',
+        '정말로 이 스케줄을 삭제하시겠습니까?': 'Delete this schedule?',
+        '메시지, 스케줄, 발송 대상을 모두 채워주세요.': 'Please fill in the message, schedule and recipients.',
+        '스케줄 필드를 채워주세요.': 'Please fill in the schedule.',
+        '스케줄 저장 실패: {message}': 'Failed to save schedules: {message}',
+        '네트워크 오류로 스케줄을 저장할 수 없습니다.': 'Could not save schedules due to a network error.',
+        '스케줄 실행 중...': 'Running schedule...',
+        '스케줄 실행 실패: {message}': 'Failed to run schedule: {message}',
+        '네트워크 오류로 스케줄을 실행할 수 없습니다.': 'Could not run the schedule due to a network error.',
+        '스케줄 설정이 성공적으로 업데이트되었습니다.': 'Schedules updated.',
+        '스케줄이 실행되었습니다.': 'Schedule executed.',
+        '서버 중단으로 놓친 실행:': 'Runs missed while the server was down:',
+        '놓친 실행:': 'Missed runs:',
+        '재시작 시 한 번 실행': 'Run once on restart',
+        '건너뛰기': 'Skip',
+        '관리자에게 알림': 'Notify admins',
+        '관리자 알림은 "기본 작업 발송 대상"의 "관리자 알림 (놓친 스케줄)" 대상으로 발송됩니다.': 'Admin notifications go to the "Admin alerts (missed schedules)" entry in "Default job targets".',
+        '공휴일·회사 지정 휴일에는 실행하지 않음': 'Do not run on public or company holidays',
+        '휴일에는 실행 안 함': 'Skipped on holidays',
+        '실행 방식:': 'Repeat:',
+        '반복 (Cron)': 'Recurring (cron)',
+        '한 번 (지정 일시)': 'Once (date and time)',
+        '발송 일시 (스케줄 시간대 기준):': 'Send at (in the schedule time zone):',
+        '실행 후:': 'After sending:',
+        '완료 목록에 보관': 'Keep in completed list',
+        '지정한 일시에 한 번만 발송되며, 서버를 재시작해도 유지됩니다.': 'Sent once at the given time. Survives server restarts.',
+        '한 번': 'Once',
+        '발송 일시를 입력해주세요.': 'Please enter the send time.',
+        '발송 일시는 현재 이후여야 합니다.': 'The send time must be in the future.',
+        '완료된 일회성 스케줄 ({count})': 'Completed one-off schedules ({count})',
+        '유효 기간 (선택):': 'Active period (optional):',
+        '비워두면 기간 제한 없이 실행됩니다. 종료일이 지나면 더 이상 실행되지 않습니다.': 'Leave empty to run without limits. The schedule stops after the end date.',
+        '유효 기간:': 'Active period:',
+        '유효 기간의 종료일이 시작일보다 빠릅니다.': 'The end date is before the start date.',
+        '실행 조건 (선택):': 'Run conditions (optional):',
+        '자동 실행 직전에 확인하며, 선택한 조건을 모두 만족할 때만 발송합니다. 만족하지 않으면 실행 이력에 "건너뜀"으로 기록됩니다. 즉시 실행에는 적용되지 않습니다.': 'Checked right before each scheduled run; the message is sent only when every selected condition holds. Otherwise the run is recorded as "Skipped". Not applied to Run now.',
+        '실행 조건:': 'Run conditions:',
+        '오늘 당직자 있음': 'Someone is on duty today',
+        '당직 미확인 당직자 있음': 'Some duty members have not acknowledged',
+        '근무일 (주말·휴일 아님)': 'Workday (not a weekend or holiday)',
+        'GitHub 활동 부족 팀원 있음': 'Some members have low GitHub activity',
+        '상관없음': 'Ignore',
+        '만족할 때만': 'Only when true',
+        '만족하지 않을 때만': 'Only when false',
+        '아님: {name}': 'Not: {name}',
+        '⏸ 일시 중지됨': '⏸ Paused',
+        '일시 중지': 'Pause',
+        '재개': 'Resume',
+        '기간 종료': 'Ended',
+        '시간대:': 'Time zone:',
+        '비워두면 Asia/Seoul (KST)': 'Leave empty for Asia/Seoul (KST)',
+        'Cron 실행 시각, 발송 일시, 당일 당직자 조회가 이 시간대 기준으로 계산됩니다.': 'Cron times, the send time and the duty lookup for the day use this time zone.',
+        '이 팀원에게 개별 발송하는 메시지의 날짜·시각 변수가 이 시간대 기준으로 표시됩니다.': 'Date and time variables in messages sent directly to this member use this time zone.',
+        '올바르지 않은 시간대입니다: {timezone}': 'Invalid time zone: {timezone}',
+        '다음 실행:': 'Next runs:',
+
+        // 발송 중지 기간
+        '🚫 발송 중지 기간': '🚫 Blackout periods',
+        '전사 휴가 주간처럼 지정한 기간에는 선택한 종류의 작업을 자동 실행하지 않으며, 즉시 실행도 할 수 없습니다. 종류를 선택하지 않으면 모든 작업이 중지됩니다.': 'During a blackout period (e.g. a company-wide vacation week) the selected kinds of jobs neither run automatically nor can be run manually. Select no kinds to stop every job.',
+        '발송 중지 기간 추가': 'Add blackout period',
+        '예: 여름 휴가 주간': 'e.g. Summer vacation week',
+        '기간:': 'Period:',
+        '중지할 작업 종류:': 'Job kinds to stop:',
+        '기간 추가': 'Add period',
+        '기간': 'Period',
+        '이름': 'Name',
+        '중지할 작업 종류': 'Job kinds',
+        '당직 편성·알림': 'Duty assignment and reminders',
+        'GitHub 리포트': 'GitHub reports',
+        '모든 작업': 'All jobs',
+        '등록된 발송 중지 기간이 없습니다.': 'No blackout periods.',
+        '이 발송 중지 기간을 삭제하시겠습니까?': 'Delete this blackout period?',
+        '발송 중지 기간 저장 실패: {message}': 'Failed to save blackout periods: {message}',
+        '네트워크 오류로 발송 중지 기간을 저장할 수 없습니다.': 'Could not save blackout periods due to a network error.',
+        '이름과 시작일을 입력해주세요.': 'Please enter a name and a start date.',
+        '발송 중지 기간이 저장되었습니다.': 'Blackout periods saved.',
+
+        // 휴가·부재 일정
+        '🏖 휴가·부재 일정': '🏖 Leave and unavailability',
+        '종일 부재인 날에는 당직을 배정하지 않고, 반차인 날에는 가능하면 배정하지 않습니다. 이번 주 근무일 내내 부재인 팀원은 코드 리뷰 짝꿍에서 제외됩니다.': 'Members are never assigned duty on full days off and, when possible, not on half days. Members away for every workday this week are left out of code review pairs.',
+        '부재 일정 추가': 'Add unavailability',
+        '팀원:': 'Member:',
+        '요일을 선택하면 기간 안의 그 요일만 부재로 처리합니다. 기간을 비우고 요일만 선택하면 매주 반복됩니다.': 'If weekdays are selected, only those weekdays within the period count. Leave the period empty and select weekdays to repeat every week.',
+        '반복 요일:': 'Weekdays:',
+        '시간:': 'Time:',
+        '사유:': 'Reason:',
+        '예: 여름 휴가': 'e.g. Summer vacation',
+        '팀원': 'Member',
+        '시간': 'Time',
+        '사유': 'Reason',
+        '종일': 'Full day',
+        '오전 반차': 'Morning off',
+        '오후 반차': 'Afternoon off',
+        '매주': 'Every week',
+        '등록된 부재 일정이 없습니다.': 'No unavailability records.',
+        '이 부재 일정을 삭제하시겠습니까?': 'Delete this unavailability record?',
+        '부재 일정 저장 실패: {message}': 'Failed to save unavailability: {message}',
+        '네트워크 오류로 부재 일정을 저장할 수 없습니다.': 'Could not save unavailability due to a network error.',
+        '팀원과 기간 또는 반복 요일을 입력해주세요.': 'Please select a member and enter a period or weekdays.',
+        '부재 일정이 저장되었습니다.': 'Unavailability saved.',
+
+        // 당직 교환
+        '🔄 당직 교환': '🔄 Duty swaps',
+        '상대 팀원의 당직일과 바꾸거나, 상대 날짜를 비워두면 내 당직을 대신 맡아 달라고 요청합니다. 상대 팀원이 웹 화면이나 DM 버튼으로 수락하면(설정에 따라 권한 있는 팀원 승인 후) 당직표에 반영되고 채널에 알림이 전송됩니다.': 'Swap your duty day with another member\'s, or leave their date empty to ask them to cover for you. Once they accept on the web or with the DM button (and an authorized member approves, if required), the schedule is updated and the channel is notified.',
+        '승인자:': 'Approver:',
+        '교환 요청': 'Request swap',
+        '요청하는 팀원 / 당직일:': 'Requesting member / duty day:',
+        '상대 팀원 / 당직일:': 'Other member / duty day:',
+        '예: 병원 예약': 'e.g. Doctor\'s appointment',
+        '요청 시각': 'Requested at',
+        '내용': 'Details',
+        '수락': 'Accept',
+        '거절': 'Decline',
+        '승인': 'Approve',
+        '반려': 'Reject',
+        '수락 대기': 'Awaiting acceptance',
+        '승인 대기': 'Awaiting approval',
+        '반영됨': 'Applied',
+        '거절됨': 'Declined',
+        '반려됨': 'Rejected',
+        '취소됨': 'Cancelled',
+        '반영 실패': 'Failed',
+        '{requester} {date} → {target} 대신 맡기': '{target} covers {requester} on {date}',
+        '당직 교환 요청이 없습니다.': 'No duty swap requests.',
+        '이 당직 교환 요청을 취소하시겠습니까?': 'Cancel this duty swap request?',
+        '승인할 권한 있는 팀원을 선택해주세요.': 'Please select an authorized member to approve.',
+        '당직 교환 처리 실패: {message}': 'Duty swap failed: {message}',
+        '네트워크 오류로 당직 교환을 처리할 수 없습니다.': 'Could not process the duty swap due to a network error.',
+        '요청하는 팀원, 당직일, 상대 팀원을 입력해주세요.': 'Please enter the requesting member, duty day and other member.',
+        '당직 교환을 요청했습니다. 상대 팀원이 수락하면 반영됩니다.': 'Duty swap requested. It is applied once the other member accepts.',
+        '당직 교환 요청을 거절했습니다.': 'Duty swap declined.',
+        '당직 교환을 수락했습니다. 권한 있는 팀원이 승인하면 반영됩니다.': 'Duty swap accepted. It is applied once an authorized member approves.',
+        '당직 교환 요청을 반려했습니다.': 'Duty swap rejected.',
+        '당직 교환 요청을 취소했습니다.': 'Duty swap cancelled.',
+        '당직 교환이 당직표에 반영되었습니다.': 'Duty swap applied to the schedule.',
+
+        // 휴일 관리
+        '🎌 휴일 관리': '🎌 Holidays',
+        '법정 공휴일(설날·추석·부처님오신날과 대체공휴일 포함)은 자동으로 반영됩니다. 휴일은 당직 편성에서 주말처럼 주말 당직자가 담당하고, "휴일에는 실행하지 않음"을 켠 작업은 실행되지 않습니다.': 'Korean public holidays (including Seollal, Chuseok, Buddha\'s Birthday and substitute holidays) are built in. Holidays are covered by the weekend duty members, and jobs set to skip holidays do not run.',
+        '연도:': 'Year:',
+        '회사 지정 휴일 추가': 'Add company holiday',
+        '날짜:': 'Date:',
+        '휴일 이름:': 'Holiday name:',
+        '예: 창립기념일': 'e.g. Founding day',
+        '휴일 추가': 'Add holiday',
+        '날짜': 'Date',
+        '휴일 이름': 'Holiday',
+        '구분': 'Type',
+        '공휴일': 'Public holiday',
+        '대체공휴일': 'Substitute holiday',
+        // 법정 공휴일 이름 (translateHolidayName 에서 사용)
+        '신정': "New Year's Day",
+        '설날': 'Seollal',
+        '삼일절': 'Independence Movement Day',
+        '어린이날': "Children's Day",
+        '부처님오신날': "Buddha's Birthday",
+        '현충일': 'Memorial Day',
+        '광복절': 'Liberation Day',
+        '추석': 'Chuseok',
+        '개천절': 'National Foundation Day',
+        '한글날': 'Hangeul Day',
+        '기독탄신일': 'Christmas Day',
+        '{name} 연휴': '{name} holiday',
+        '대체공휴일({name})': 'Substitute holiday ({name})',
+        '회사 지정': 'Company',
+        '등록된 휴일이 없습니다.': 'No holidays.',
+        '이 회사 지정 휴일을 삭제하시겠습니까?': 'Delete this company holiday?',
+        '휴일 목록을 불러올 수 없습니다.': 'Could not load holidays.',
+        '네트워크 오류로 휴일 목록을 불러올 수 없습니다.': 'Could not load holidays due to a network error.',
+        '휴일 저장 실패: {message}': 'Failed to save holidays: {message}',
+        '네트워크 오류로 휴일을 저장할 수 없습니다.': 'Could not save holidays due to a network error.',
+        '날짜와 휴일 이름을 모두 입력해주세요.': 'Please enter both a date and a name.',
+        '회사 지정 휴일이 저장되었습니다.': 'Company holidays saved.',
+
+        // 채널 / 발송 대상
+        '📢 채널 관리': '📢 Channels',
+        '채널 키:': 'Channel key:',
+        '채널 이름:': 'Channel name:',
+        '채널 ID:': 'Channel ID:',
+        '채널 언어:': 'Channel language:',
+        '예: duty': 'e.g. duty',
+        '예: 당직 채널': 'e.g. Duty channel',
+        '예: daonbe1': 'e.g. daonbe1',
+        '예: 당직 편성 및 알림용': 'e.g. Duty assignments and reminders',
+        '채널 추가': 'Add channel',
+        '채널 업데이트': 'Update channel',
+        '등록된 채널': 'Registered channels',
+        '등록된 채널이 없습니다.': 'No channels registered.',
+        '등록된 채널이 없습니다. 기본 채널로만 발송됩니다.': 'No channels registered. Messages go to the default channel only.',
+        '정말로 이 채널을 삭제하시겠습니까? 이 채널을 사용하는 작업은 채널 ID를 그대로 사용합니다.': 'Delete this channel? Jobs that use it will keep using the channel key as a raw channel ID.',
+        '채널 키와 채널 ID를 입력해주세요.': 'Please enter the channel key and channel ID.',
+        '이미 존재하는 채널 키입니다.': 'This channel key already exists.',
+        '채널 저장 실패: {message}': 'Failed to save channels: {message}',
+        '네트워크 오류로 채널을 저장할 수 없습니다.': 'Could not save channels due to a network error.',
+        '채널 설정이 성공적으로 업데이트되었습니다.': 'Channels updated.',
+        '🎯 기본 작업 발송 대상': '🎯 Default job targets',
+        '대상을 모두 비워두면 기본 채널로 발송됩니다.': 'Jobs with no targets are sent to the default channel.',
+        '발송 대상 저장': 'Save targets',
+        '발송 대상 저장 실패: {message}': 'Failed to save targets: {message}',
+        '네트워크 오류로 발송 대상을 저장할 수 없습니다.': 'Could not save targets due to a network error.',
+        '기본 작업 발송 대상이 성공적으로 업데이트되었습니다.': 'Default job targets updated.',
+        '기본 채널': 'Default channel',
+        '{key} (미등록)': '{key} (unregistered)',
+        '개별 수신자 ID 또는 이메일 (콤마로 구분)': 'Recipient IDs or emails (comma separated)',
+        '전체 팀원': 'All members',
+        '권한 있는 팀원': 'Authorized members',
+        '주간 당직 편성': 'Weekly duty',
+        '당직 알림': 'Duty reminder',
+        '코드 리뷰 짝꿍': 'Code review pairs',
+        'GitHub 주간 리포트': 'GitHub weekly report',
+        'GitHub 월간 리포트': 'GitHub monthly report',
+        '관리자 알림 (놓친 스케줄)': 'Admin alerts (missed schedules)',
+
+        // 메시지 템플릿
+        '📝 메시지 템플릿': '📝 Message templates',
+        '템플릿:': 'Template:',
+        '템플릿 언어:': 'Template language:',
+        '템플릿 본문:': 'Template body:',
+        '변수:': 'Variables:',
+        '· 반복:': '· Loops:',
+        '순번) · 조건:': 'position) · Conditions:',
+        '템플릿 저장': 'Save template',
+        '기본값으로 복원': 'Reset to default',
+        '사용 가능한 변수:': 'Available variables:',
+        ' (수정됨)': ' (customized)',
+        '템플릿을 불러올 수 없습니다.': 'Could not load templates.',
+        '네트워크 오류로 템플릿을 불러올 수 없습니다.': 'Could not load templates due to a network error.',
+        '네트워크 오류로 미리보기를 생성할 수 없습니다.': 'Could not generate the preview due to a network error.',
+        '템플릿 저장 실패: {message}': 'Failed to save template: {message}',
+        '네트워크 오류로 템플릿을 저장할 수 없습니다.': 'Could not save the template due to a network error.',
+        '이 템플릿을 기본값으로 복원하시겠습니까? 수정한 내용은 삭제됩니다.': 'Reset this template to default? Your changes will be lost.',
+        '템플릿 복원 실패: {message}': 'Failed to reset template: {message}',
+        '네트워크 오류로 템플릿을 복원할 수 없습니다.': 'Could not reset the template due to a network error.',
+        '템플릿이 저장되었습니다.': 'Template saved.',
+        '템플릿이 기본값으로 복원되었습니다.': 'Template reset to default.',
+        '템플릿 본문을 입력해주세요.': 'Please enter the template body.',
+        '주간 당직 편성 완료': 'Weekly duty confirmed',
+        '노트북 지참 알림 (당직자 미배정)': 'Laptop reminder (no duty assigned)',
+        '코드 리뷰 짝꿍 (팀원 부족)': 'Code review pairs (not enough members)',
+        '주간 당직 확정 시 발송되는 당직표': 'Duty table sent when the weekly schedule is confirmed',
+        '매일 오후 2시, 4시 당직자 알림': 'Daily duty reminder at 2 PM and 4 PM',
+        '매일 오전 당일 당직자 노트북 지참 안내': 'Morning reminder for today\'s duty members to bring laptops',
+        '오늘 당직자가 없을 때 발송되는 안내': 'Sent when nobody is on duty today',
+        '매주 코드 리뷰 짝꿍 편성 결과와 리뷰 가이드': 'Weekly code review pairs and review guide',
+        '팀원이 2명 미만일 때 발송되는 안내': 'Sent when there are fewer than 2 members',
+        '놓친 스케줄 알림': 'Missed schedule alert',
+        '서버 중단으로 실행되지 못한 작업을 관리자에게 알림': 'Tells admins which jobs did not run while the server was down',
+
+        // GitHub 탭
+        '🔥 GitHub 서비스 상태': '🔥 GitHub service status',
+        'GitHub 서비스': 'GitHub service',
+        '확인 중...': 'Checking...',
+        '모니터링 레포': 'Monitored repos',
+        '분석 대상 멤버': 'Tracked members',
+        '주간 리포트': 'Weekly report',
+        '비활성': 'Inactive',
+        'GitHub 상태 새로고침': 'Refresh GitHub status',
+        'GitHub 주간 리포트 미리보기': 'Preview GitHub weekly report',
+        'GitHub 월간 리포트 미리보기': 'Preview GitHub monthly report',
+        'GitHub 활동 알림 체크': 'Check GitHub activity alerts',
+        '커스텀 리포트 생성': 'Custom report',
+        '채널로 리포트 전송': 'Send report to channel',
+        '개별 멤버 통계': 'Member statistics',
+        '멤버 선택:': 'Member:',
+        '멤버 선택...': 'Select member...',
+        '분석 기간 시작일:': 'Period start:',
+        '분석 기간 종료일:': 'Period end:',
+        '멤버 통계 조회': 'Get member statistics',
+        'GitHub 설정 관리': 'GitHub settings',
+        'GitHub 토큰:': 'GitHub token:',
+        '모니터링 레포지토리 (owner/repo 형식, 엔터로 구분):': 'Monitored repositories (owner/repo, one per line):',
+        'GitHub 팀원 설정 (username:displayName, 줄바꿈으로 구분):': 'GitHub members (username:displayName, one per line):',
+        '주간 리포트 자동 발송': 'Send weekly report automatically',
+        '월간 리포트 자동 발송': 'Send monthly report automatically',
+        'GitHub 설정 저장': 'Save GitHub settings',
+        '리포트 미리보기': 'Report preview',
+        '대기 중': 'Idle',
+        '📊 리포트 미리보기를 보려면 위의 \'미리보기\' 버튼을 클릭하세요.': '📊 Click a \'Preview\' button above to preview a report.',
+        '📤 리포트 전송': '📤 Send report',
+        '생성된 리포트를 네이버웍스 채널로 전송하시겠습니까?': 'Send the generated report to the NAVER WORKS channel?',
+        '리포트 발송': 'Send report',
+        '📁 리포트 관리': '📁 Reports',
+        '저장소 현황': 'Storage',
+        '아카이브': 'Archive',
+        '총 용량': 'Total size',
+        '저장소 새로고침': 'Refresh storage',
+        '캐시 정리': 'Clear cache',
+        '리포트 이력 보기': 'Show report history',
+        '최근 리포트 이력': 'Recent reports',
+
+        // 메시지 발송 현황 탭
+        '📮 메시지 발송함': '📮 Outbox',
+        '재시도 대기': 'Pending retry',
+        '발송 실패 (Dead Letter)': 'Failed (dead letter)',
+        '실패 메시지 전체 재시도': 'Retry all failed',
+        '실패 메시지 전체 삭제': 'Delete all failed',
+        '⏳ 재시도 대기 메시지': '⏳ Pending retries',
+        '☠️ 발송 실패 메시지': '☠️ Failed messages',
+        '📜 발송 이력': '📜 Delivery history',
+        '이메일 또는 채널 ID': 'Email or channel ID',
+        '구분:': 'Kind:',
+        '발송 작업:': 'Job:',
+        '결과:': 'Result:',
+        '본문 검색:': 'Search body:',
+        '메시지 내용': 'Message text',
+        '발송함을 불러올 수 없습니다.': 'Could not load the outbox.',
+        '네트워크 오류로 발송함을 불러올 수 없습니다.': 'Could not load the outbox due to a network error.',
+        '재시도 대기 중인 메시지가 없습니다.': 'No messages waiting for retry.',
+        '발송 실패 메시지가 없습니다.': 'No failed messages.',
+        '이 발송 실패 메시지를 삭제하시겠습니까?': 'Delete this failed message?',
+        '채널 {target}': 'Channel {target}',
+        '실패 확정:': 'Failed at:',
+        '다음 재시도:': 'Next retry:',
+        '수신:': 'To:',
+        '생성:': 'Created:',
+        '시도 횟수:': 'Attempts:',
+        '재시도': 'Retry',
+        '재전송 중...': 'Resending...',
+        '네트워크 오류로 재전송할 수 없습니다.': 'Could not resend due to a network error.',
+        '네트워크 오류로 삭제할 수 없습니다.': 'Could not delete due to a network error.',
+        '발송 이력을 불러올 수 없습니다.': 'Could not load delivery history.',
+        '네트워크 오류로 발송 이력을 불러올 수 없습니다.': 'Could not load delivery history due to a network error.',
+        '{page} / {totalPages} (총 {total}건)': '{page} / {totalPages} ({total} total)',
+        '조건에 맞는 발송 이력이 없습니다.': 'No matching deliveries.',
+        '시각': 'Time',
+        '발송 작업': 'Job',
+        '결과': 'Result',
+        '응답 코드': 'Response',
+        '소요': 'Latency',
+        '본문': 'Body',
+        ' ({attempt}차)': ' (attempt {attempt})',
+        '모든 발송 실패 메시지를 재시도하시겠습니까?': 'Retry all failed messages?',
+        '모든 발송 실패 메시지를 삭제하시겠습니까?': 'Delete all failed messages?',
+
+        // 설정 로드
+        '설정을 불러오지 못했습니다.': 'Could not load settings.',
+        '네트워크 오류로 설정을 불러올 수 없습니다.': 'Could not load settings due to a network error.'
+    }
+};
+
+let uiLocale = normalizeUiLocale(localStorage.getItem('uiLocale'));
+
+function normalizeUiLocale(locale) {
+    return UI_LOCALES.some(option => option.code === locale) ? locale : 'ko';
+}
+
+// 화면 문구 번역 ({name} 형식의 값 치환 지원)
+function t(text, params = {}) {
+    const translations = UI_TRANSLATIONS[uiLocale] || {};
+    const translated = translations[text] || text;
+    return translated.replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+}
+
+// 날짜 표시에 사용할 locale (예: ko-KR, en-US)
+function getUiDateLocale() {
+    return UI_LOCALES.find(option => option.code === uiLocale).dateLocale;
+}
+
+// 날짜 키(YYYY-MM-DD)를 화면 언어의 날짜로 (options 는 toLocaleDateString 옵션)
+function formatUiDateKey(dateKey, options = {}) {
+    return new Date(`${dateKey}T00:00:00`).toLocaleDateString(getUiDateLocale(), options);
+}
+
+// 휴일 이름 번역 (설날 연휴, 대체공휴일(추석)은 원래 공휴일 이름을 번역해 조합, 회사 지정 휴일은 그대로)
+function translateHolidayName(name) {
+    const holiday = name.match(/^(.+) 연휴$/);
+    if (holiday) {
+        return t('{name} 연휴', { name: t(holiday[1]) });
+    }
+    const substitute = name.match(/^대체공휴일\((.+)\)$/);
+    if (substitute) {
+        return t('대체공휴일({name})', { name: translateHolidayName(substitute[1]) });
+    }
+    return t(name);
+}
+
+// 텍스트 노드와 placeholder 중 번역이 있는 문구를 현재 언어로 교체
+function translateElement(root) {
+    if (uiLocale === 'ko' || !root) return;
+    const translations = UI_TRANSLATIONS[uiLocale] || {};
+
+    if (root.nodeType === Node.TEXT_NODE) {
+        const text = root.nodeValue.trim();
+        if (text && translations[text]) {
+            root.nodeValue = root.nodeValue.replace(text, translations[text]);
+        }
+        return;
+    }
+    if (root.nodeType !== Node.ELEMENT_NODE) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    textNodes.forEach(translateElement);
+
+    const elements = [root, ...root.querySelectorAll('[placeholder], [title]')];
+    elements.forEach(element => {
+        ['placeholder', 'title'].forEach(attribute => {
+            const value = element.getAttribute && element.getAttribute(attribute);
+            if (value && translations[value]) {
+                element.setAttribute(attribute, translations[value]);
+            }
+        });
+    });
+}
+
+// 언어 선택 UI 초기화 및 화면 번역 (이후 동적으로 그려지는 내용도 번역)
+function initUiLocale() {
+    const uiLocaleSelect = document.getElementById('uiLocaleSelect');
+    uiLocaleSelect.innerHTML = UI_LOCALES.map(option => `
+        <option value="${option.code}" ${option.code === uiLocale ? 'selected' : ''}>${option.name}</option>
+    `).join('');
+    uiLocaleSelect.addEventListener('change', () => {
+        localStorage.setItem('uiLocale', uiLocaleSelect.value);
+        window.location.reload();
+    });
+
+    document.documentElement.lang = uiLocale;
+    if (uiLocale === 'ko') return;
+
+    translateElement(document.body);
+    document.title = t(document.title);
+
+    new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(translateElement));
+    }).observe(document.body, { childList: true, subtree: true });
+}
+
+// 메시지 언어 선택 옵션 (팀원/채널/템플릿 편집용)
+function renderLocaleOptions(select, { includeDefault = false } = {}) {
+    const options = UI_LOCALES.map(option => `<option value="${option.code}">${option.name}</option>`);
+    if (includeDefault) {
+        options.unshift(`<option value="">${t('기본 언어')}</option>`);
+    }
+    select.innerHTML = options.join('');
+}
+
+function getLocaleName(code) {
+    const option = UI_LOCALES.find(o => o.code === code);
+    return option ? option.name : t('기본 언어');
+}
@@ -0,0 +1,239 @@
+// 메시지 발송함 관리 함수들
+const outboxPendingCountSpan = document.getElementById('outboxPendingCount');
+const outboxDeadLetterCountSpan = document.getElementById('outboxDeadLetterCount');
+const outboxPendingListDiv = document.getElementById('outboxPendingList');
+const outboxDeadLetterListDiv = document.getElementById('outboxDeadLetterList');
+const outboxStatusMessageDiv = document.getElementById('outboxStatusMessage');
+const refreshOutboxBtn = document.getElementById('refreshOutbox');
+const retryAllDeadLettersBtn = document.getElementById('retryAllDeadLetters');
+const purgeAllDeadLettersBtn = document.getElementById('purgeAllDeadLetters');
+const messageHistoryListDiv = document.getElementById('messageHistoryList');
+const historyRecipientInput = document.getElementById('historyRecipientInput');
+const historyKindSelect = document.getElementById('historyKindSelect');
+const historySourceSelect = document.getElementById('historySourceSelect');
+const historyStatusSelect = document.getElementById('historyStatusSelect');
+const historyFromInput = document.getElementById('historyFromInput');
+const historyToInput = document.getElementById('historyToInput');
+const historyKeywordInput = document.getElementById('historyKeywordInput');
+const searchHistoryBtn = document.getElementById('searchHistoryButton');
+const historyPrevPageBtn = document.getElementById('historyPrevPage');
+const historyNextPageBtn = document.getElementById('historyNextPage');
+const historyPageInfoSpan = document.getElementById('historyPageInfo');
+
+let historyCurrentPage = 1;
+let historyTotalPages = 1;
+
+// 발송함 로드
+async function loadMessageOutbox() {
+    try {
+        const response = await fetch('/messages/outbox');
+        const result = await response.json();
+        
+        if (result.success) {
+            renderMessageOutbox(result.data);
+        } else {
+            showStatus(outboxStatusMessageDiv, '발송함을 불러올 수 없습니다.', 'error');
+        }
+    } catch (error) {
+        console.error('Message outbox load error:', error);
+        showStatus(outboxStatusMessageDiv, '네트워크 오류로 발송함을 불러올 수 없습니다.', 'error');
+    }
+}
+
+// 발송함 표시
+function renderMessageOutbox(outbox) {
+    outboxPendingCountSpan.textContent = t('{count}건', { count: outbox.stats.pending });
+    outboxDeadLetterCountSpan.textContent = t('{count}건', { count: outbox.stats.deadLetters });
+    
+    outboxPendingListDiv.innerHTML = outbox.pending.length > 0
+        ? outbox.pending.map(entry => renderOutboxEntry(entry, false)).join('')
+        : '<p>재시도 대기 중인 메시지가 없습니다.</p>';
+    
+    outboxDeadLetterListDiv.innerHTML = outbox.deadLetters.length > 0
+        ? outbox.deadLetters.map(entry => renderOutboxEntry(entry, true)).join('')
+        : '<p>발송 실패 메시지가 없습니다.</p>';
+    
+    outboxDeadLetterListDiv.querySelectorAll('.execute-btn').forEach(button => {
+        button.addEventListener('click', () => retryDeadLetters(button.dataset.id));
+    });
+    
+    outboxDeadLetterListDiv.querySelectorAll('.delete-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            if (confirm(t('이 발송 실패 메시지를 삭제하시겠습니까?'))) {
+                purgeDeadLetters(button.dataset.id);
+            }
+        });
+    });
+}
+
+// 발송함 항목 HTML
+function renderOutboxEntry(entry, isDead) {
+    const messageText = typeof entry.message === 'string' ? entry.message : (entry.message?.text || '');
+    const target = entry.kind === 'channel' ? t('채널 {target}', { target: entry.target }) : entry.target;
+    const timeInfo = isDead
+        ? `<p><strong>실패 확정:</strong> ${new Date(entry.deadAt).toLocaleString(getUiDateLocale())}</p>`
+        : `<p><strong>다음 재시도:</strong> ${new Date(entry.nextAttemptAt).toLocaleString(getUiDateLocale())}</p>`;
+    
+    return `
+        <div class="outbox-item ${isDead ? 'dead' : ''}">
+            <p><strong>수신:</strong> ${escapeHtml(target)}</p>
+            <p><strong>생성:</strong> ${new Date(entry.createdAt).toLocaleString(getUiDateLocale())} | <strong>시도 횟수:</strong> ${t('{count}회', { count: entry.attempts })}</p>
+            ${timeInfo}
+            ${entry.lastError ? `<p class="outbox-error">${escapeHtml(entry.lastError)}</p>` : ''}
+            <div class="outbox-message">${escapeHtml(messageText)}</div>
+            ${isDead ? `
+                <div class="actions">
+                    <button class="execute-btn" data-id="${entry.id}">재시도</button>
+                    <button class="delete-btn" data-id="${entry.id}">삭제</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// 발송 실패 메시지 재시도
+async function retryDeadLetters(id = null) {
+    try {
+        showStatus(outboxStatusMessageDiv, '재전송 중...', 'info');
+        const response = await fetch('/messages/dead-letters/retry', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ id })
+        });
+        const result = await response.json();
+        showStatus(outboxStatusMessageDiv, result.message, result.success ? 'success' : 'error');
+        await loadMessageOutbox();
+    } catch (error) {
+        console.error('Dead letter retry error:', error);
+        showStatus(outboxStatusMessageDiv, '네트워크 오류로 재전송할 수 없습니다.', 'error');
+    }
+}
+
+// 발송 실패 메시지 삭제
+async function purgeDeadLetters(id = null) {
+    try {
+        const response = await fetch('/messages/dead-letters/purge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ id })
+        });
+        const result = await response.json();
+        showStatus(outboxStatusMessageDiv, result.message, result.success ? 'success' : 'error');
+        await loadMessageOutbox();
+    } catch (error) {
+        console.error('Dead letter purge error:', error);
+        showStatus(outboxStatusMessageDiv, '네트워크 오류로 삭제할 수 없습니다.', 'error');
+    }
+}
+
+// 발송 이력 로드
+async function loadMessageHistory(page = 1) {
+    const params = new URLSearchParams({ page, pageSize: 20 });
+    const filters = {
+        recipient: historyRecipientInput.value.trim(),
+        kind: historyKindSelect.value,
+        source: historySourceSelect.value,
+        status: historyStatusSelect.value,
+        from: historyFromInput.value,
+        to: historyToInput.value,
+        q: historyKeywordInput.value.trim()
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) {
+            params.append(key, value);
+        }
+    });
+    
+    try {
+        const response = await fetch(`/messages/history?${params.toString()}`);
+        const result = await response.json();
+        
+        if (result.success) {
+            renderMessageHistory(result.data);
+        } else {
+            messageHistoryListDiv.innerHTML = '<p>발송 이력을 불러올 수 없습니다.</p>';
+        }
+    } catch (error) {
+        console.error('Message history load error:', error);
+        messageHistoryListDiv.innerHTML = '<p>네트워크 오류로 발송 이력을 불러올 수 없습니다.</p>';
+    }
+}
+
+// 발송 이력 표시
+function renderMessageHistory(history) {
+    historyCurrentPage = history.page;
+    historyTotalPages = history.totalPages;
+    historyPageInfoSpan.textContent = t('{page} / {totalPages} (총 {total}건)', { page: history.page, totalPages: history.totalPages, total: history.total });
+    historyPrevPageBtn.disabled = history.page <= 1;
+    historyNextPageBtn.disabled = history.page >= history.totalPages;
+    
+    // 발송 작업 선택지 갱신 (선택값 유지)
+    const selectedSource = historySourceSelect.value;
+    historySourceSelect.innerHTML = '<option value="">전체</option>' +
+        history.sources.map(source => `<option value="${escapeHtml(source)}">${escapeHtml(source)}</option>`).join('');
+    historySourceSelect.value = selectedSource;
+    
+    if (history.items.length === 0) {
+        messageHistoryListDiv.innerHTML = '<p>조건에 맞는 발송 이력이 없습니다.</p>';
+        return;
+    }
+    
+    messageHistoryListDiv.innerHTML = `
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>시각</th>
+                    <th>수신</th>
+                    <th>발송 작업</th>
+                    <th>결과</th>
+                    <th>응답 코드</th>
+                    <th>소요</th>
+                    <th>본문</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${history.items.map(item => `
+                    <tr>
+                        <td>${new Date(item.timestamp).toLocaleString(getUiDateLocale())}</td>
+                        <td>${item.kind === 'channel' ? '📢 ' : '👤 '}${escapeHtml(item.recipient)}</td>
+                        <td>${escapeHtml(item.source || '-')}</td>
+                        <td class="${item.success ? 'history-success' : 'history-failed'}" title="${escapeHtml(item.error || '')}">
+                            ${t(item.success ? '성공' : '실패')}${item.attempt > 1 ? t(' ({attempt}차)', { attempt: item.attempt }) : ''}
+                        </td>
+                        <td>${escapeHtml(item.resCode || '-')}</td>
+                        <td>${item.latencyMs}ms</td>
+                        <td><div class="history-body">${escapeHtml(item.body)}</div></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+refreshOutboxBtn.addEventListener('click', loadMessageOutbox);
+
+searchHistoryBtn.addEventListener('click', () => loadMessageHistory(1));
+
+historyPrevPageBtn.addEventListener('click', () => {
+    if (historyCurrentPage > 1) {
+        loadMessageHistory(historyCurrentPage - 1);
+    }
+});
+
+historyNextPageBtn.addEventListener('click', () => {
+    if (historyCurrentPage < historyTotalPages) {
+        loadMessageHistory(historyCurrentPage + 1);
+    }
+});
+
+retryAllDeadLettersBtn.addEventListener('click', async () => {
+    if (confirm(t('모든 발송 실패 메시지를 재시도하시겠습니까?'))) {
+        await retryDeadLetters();
+    }
+});
+
+purgeAllDeadLettersBtn.addEventListener('click', async () => {
+    if (confirm(t('모든 발송 실패 메시지를 삭제하시겠습니까?'))) {
+        await purgeDeadLetters();
+    }
+});
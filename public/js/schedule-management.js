@@ -2,61 +2,228 @@
 const scheduleTypeSelect = document.getElementById('scheduleTypeSelect');
 const messageGroup = document.getElementById('messageGroup');
 const messageInput = document.getElementById('messageInput');
+const messageEnInput = document.getElementById('messageEnInput');
+const scheduleModeSelect = document.getElementById('scheduleModeSelect');
+const scheduleTimezoneInput = document.getElementById('scheduleTimezoneInput');
+const runAtGroup = document.getElementById('runAtGroup');
+const runAtInput = document.getElementById('runAtInput');
+const afterRunSelect = document.getElementById('afterRunSelect');
+const cronGroup = document.getElementById('cronGroup');
 const cronScheduleInput = document.getElementById('cronScheduleInput');
+const cronPreviewDiv = document.getElementById('cronPreview');
+const scheduleWindowGroup = document.getElementById('scheduleWindowGroup');
+const scheduleStartDateInput = document.getElementById('scheduleStartDateInput');
+const scheduleEndDateInput = document.getElementById('scheduleEndDateInput');
+const catchUpPolicySelect = document.getElementById('catchUpPolicySelect');
+const skipOnHolidaysGroup = document.getElementById('skipOnHolidaysGroup');
+const skipOnHolidaysCheckbox = document.getElementById('skipOnHolidaysCheckbox');
+const scheduleConditionOptionsDiv = document.getElementById('scheduleConditionOptions');
 const recipientsGroup = document.getElementById('recipientsGroup');
 const recipientsInput = document.getElementById('recipientsInput');
+const recipientsGuide = document.getElementById('recipientsGuide');
+const scheduleTargetPicker = document.getElementById('scheduleTargetPicker');
 const saveScheduleButton = document.getElementById('saveScheduleButton');
 const scheduleStatusMessageDiv = document.getElementById('scheduleStatusMessage');
 const scheduledListDiv = document.getElementById('scheduledList');
+const scheduleArchiveListDiv = document.getElementById('scheduleArchiveList');
+
+// Cron 입력이 멈춘 뒤 미리보기를 요청하기까지 기다리는 시간
+const CRON_PREVIEW_DELAY_MS = 400;
+
+// 서버 중단으로 놓친 실행 처리 방식 (기본 작업 편집기에서도 사용)
+const CATCH_UP_POLICY_LABELS = {
+    run_once: '재시작 시 한 번 실행',
+    skip: '건너뛰기',
+    notify: '관리자에게 알림'
+};
+
+// 사용자 정의 스케줄 타입별 이름
+const CUSTOM_SCHEDULE_TYPE_LABELS = {
+    message: '일반 메시지',
+    laptop_duty: '노트북 지참 알림',
+    code_review: '코드 리뷰 짝꿍 알림'
+};
+
+// 스케줄 실행 조건 (서버 schedule-condition-service 의 SCHEDULE_CONDITIONS 와 같음)
+const SCHEDULE_CONDITION_LABELS = {
+    has_duty_today: '오늘 당직자 있음',
+    duty_not_acknowledged: '당직 미확인 당직자 있음',
+    workday: '근무일 (주말·휴일 아님)',
+    github_low_activity: 'GitHub 활동 부족 팀원 있음'
+};
+
+// 조건마다 사용 안 함 / 만족할 때 실행 / 만족하지 않을 때 실행 중 선택
+function renderScheduleConditionOptions(conditions = []) {
+    scheduleConditionOptionsDiv.innerHTML = `
+        <div class="target-options">
+            ${Object.entries(SCHEDULE_CONDITION_LABELS).map(([type, label]) => {
+                const condition = conditions.find(item => item.type === type);
+                const value = condition ? (condition.negate ? 'negate' : 'require') : '';
+                return `
+                    <label>${t(label)}
+                        <select data-condition="${type}">
+                            <option value="" ${value === '' ? 'selected' : ''}>${t('상관없음')}</option>
+                            <option value="require" ${value === 'require' ? 'selected' : ''}>${t('만족할 때만')}</option>
+                            <option value="negate" ${value === 'negate' ? 'selected' : ''}>${t('만족하지 않을 때만')}</option>
+                        </select>
+                    </label>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+function readScheduleConditions() {
+    return [...scheduleConditionOptionsDiv.querySelectorAll('select[data-condition]')]
+        .filter(select => select.value)
+        .map(select => ({ type: select.dataset.condition, negate: select.value === 'negate' }));
+}
+
+function describeScheduleConditions(conditions) {
+    return conditions.map(condition => {
+        const label = t(SCHEDULE_CONDITION_LABELS[condition.type] || condition.type);
+        return condition.negate ? t('아님: {name}', { name: label }) : label;
+    }).join(', ');
+}
 
 // 스케줄 타입 변경 시 UI 업데이트
 scheduleTypeSelect.addEventListener('change', () => {
     const selectedType = scheduleTypeSelect.value;
     if (selectedType === 'message') {
         messageGroup.style.display = 'block';
-        recipientsGroup.style.display = 'block';
+        recipientsGuide.style.display = 'none';
     } else {
         messageGroup.style.display = 'none';
-        recipientsGroup.style.display = 'none';
+        recipientsGuide.style.display = 'block';
     }
 });
 
+// 실행 방식 변경 시 UI 업데이트 (일회성 스케줄은 발송 일시 입력)
+scheduleModeSelect.addEventListener('change', () => {
+    const isOnce = scheduleModeSelect.value === 'once';
+    runAtGroup.style.display = isOnce ? 'block' : 'none';
+    cronGroup.style.display = isOnce ? 'none' : 'block';
+    scheduleWindowGroup.style.display = isOnce ? 'none' : 'block';
+    skipOnHolidaysGroup.style.display = isOnce ? 'none' : 'block';
+});
+
+function renderCronPreview(previewDiv, result) {
+    previewDiv.style.display = 'block';
+    if (!result.success) {
+        previewDiv.className = 'cron-preview error';
+        previewDiv.textContent = result.message || t('알 수 없는 오류');
+        return;
+    }
+
+    previewDiv.className = 'cron-preview';
+    previewDiv.innerHTML = `
+        <strong>${escapeHtml(result.description)}</strong>
+        ${result.nextRuns.length > 0
+            ? `<div>${t('다음 실행:')}</div><ul>${result.nextRuns.map(run => `<li>${escapeHtml(run.display)}</li>`).join('')}</ul>`
+            : `<div>${escapeHtml(result.message)}</div>`}
+    `;
+}
+
+// Cron 입력란에 미리보기 연결 (서버에서 검증하고 설명과 다음 실행 시각 표시, 기본 작업 편집기에서도 사용)
+// 반환하는 함수를 호출하면 입력값을 코드로 바꾼 뒤 미리보기를 갱신
+function bindCronPreview(cronInput, timezoneInput, previewDiv) {
+    let timer = null;
+    let latestRequest = 0;
+
+    const refresh = () => {
+        clearTimeout(timer);
+        const cronSchedule = cronInput.value.trim();
+        if (!cronSchedule) {
+            latestRequest++;
+            previewDiv.style.display = 'none';
+            return;
+        }
+
+        timer = setTimeout(async () => {
+            const requestId = ++latestRequest;
+            try {
+                const response = await fetch('/cron/preview', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+                    body: JSON.stringify({ cronSchedule, timezone: timezoneInput.value.trim() || null })
+                });
+                const result = await response.json();
+                // 더 나중에 보낸 요청의 결과만 표시
+                if (requestId === latestRequest) {
+                    renderCronPreview(previewDiv, result);
+                }
+            } catch (error) {
+                console.error('Cron preview error:', error);
+            }
+        }, CRON_PREVIEW_DELAY_MS);
+    };
+
+    cronInput.addEventListener('input', refresh);
+    timezoneInput.addEventListener('change', refresh);
+    return refresh;
+}
+
+const refreshScheduleCronPreview = bindCronPreview(cronScheduleInput, scheduleTimezoneInput, cronPreviewDiv);
+
+// 스케줄 폼의 발송 대상 선택 UI 렌더링
+function renderScheduleTargetPicker(target = {}) {
+    renderTargetPicker(scheduleTargetPicker, target);
+}
+
+// 스케줄 폼에서 발송 대상 읽기 (개별 수신자는 수신자 ID 입력란 사용)
+function readScheduleTarget() {
+    return {
+        ...readTargetPicker(scheduleTargetPicker),
+        users: parseIdList(recipientsInput.value)
+    };
+}
+
+function isEmptyTarget(target) {
+    return target.channels.length === 0 && target.users.length === 0 && target.groups.length === 0;
+}
+
 function renderScheduledList() {
+    renderScheduleArchive();
     scheduledListDiv.innerHTML = '';
     if (currentConfig.schedules.length === 0) {
-        scheduledListDiv.innerHTML = '<p>등록된 사용자 정의 스케줄이 없습니다. 새로 추가해주세요.</p><p><small>* 기본 스케줄(주간당직, 당직알림, 코드리뷰)은 자동으로 활성화됩니다.</small></p>';
+        scheduledListDiv.innerHTML = '<p>등록된 사용자 정의 스케줄이 없습니다. 새로 추가해주세요.</p><p><small>* 기본 작업(주간당직, 당직알림, 코드리뷰 등)은 아래 "기본 작업"에서 관리합니다.</small></p>';
         return;
     }
 
     currentConfig.schedules.forEach((item, index) => {
         const itemDiv = document.createElement('div');
-        itemDiv.className = `schedule-item type-${item.type}`;
+        itemDiv.className = `schedule-item type-${item.type}${item.paused ? ' disabled' : ''}`;
         
         let messageDisplay = item.message;
-        let recipientsDisplay = item.recipients;
+        let recipientsDisplay = item.target ? describeTarget(item.target) : t('기본 작업 발송 대상');
+        const translatedMessage = (item.messageTranslations || {}).en;
 
         switch(item.type) {
             case 'message':
                 messageDisplay = item.message;
-                recipientsDisplay = item.recipients;
+                recipientsDisplay = item.target ? describeTarget(item.target) : escapeHtml(item.recipients);
                 break;
             case 'laptop_duty':
                 messageDisplay = '노트북 지참 알림 (자동 생성)';
-                recipientsDisplay = '전체 팀원';
                 break;
             case 'code_review':
                 messageDisplay = '코드 리뷰 짝꿍 알림 (자동 생성)';
-                recipientsDisplay = '전체 팀원';
                 break;
         }
 
         itemDiv.innerHTML = `
-            <p><strong>타입:</strong> ${item.type === 'message' ? '일반 메시지' : item.type === 'laptop_duty' ? '노트북 지참 알림' : '코드 리뷰 짝꿍 알림'}</p>
+            <p><strong>타입:</strong> ${t(CUSTOM_SCHEDULE_TYPE_LABELS[item.type] || item.type)}</p>
             <p><strong>메시지:</strong> ${messageDisplay}</p>
-            <p><strong>스케줄:</strong> <code>${item.cronSchedule}</code></p>
+            ${translatedMessage ? `<p><strong>영어 메시지:</strong> ${escapeHtml(translatedMessage)}</p>` : ''}
+            <p><strong>스케줄:</strong> ${item.runAt ? `${t('한 번')} · ${formatRunTime(item.runAt)}` : `<code>${item.cronSchedule}</code>`}${describeTimezone(item.timezone)}</p>
+            ${!item.runAt && (item.startDate || item.endDate) ? `<p><strong>유효 기간:</strong> ${item.startDate || ''} ~ ${item.endDate || ''}</p>` : ''}
+            ${item.paused ? `<p><strong>${t('⏸ 일시 중지됨')}</strong></p>` : ''}
+            ${(item.conditions || []).length > 0 ? `<p><strong>실행 조건:</strong> ${describeScheduleConditions(item.conditions)}</p>` : ''}
+            <p><strong>놓친 실행:</strong> ${t(CATCH_UP_POLICY_LABELS[item.catchUpPolicy || 'skip'])}${!item.runAt && item.skipOnHolidays ? ` | ${t('휴일에는 실행 안 함')}` : ''}</p>
             <p><strong>수신자:</strong> ${recipientsDisplay}</p>
             <div class="actions">
                 <button class="execute-btn" data-id="${item.id}">즉시 실행</button>
+                ${item.runAt ? '' : `<button class="secondary-btn pause-btn" data-id="${item.id}">${item.paused ? t('재개') : t('일시 중지')}</button>`}
                 <button class="edit-btn" data-id="${item.id}">편집</button>
                 <button class="delete-btn" data-id="${item.id}">삭제</button>
             </div>
@@ -68,12 +235,22 @@ function renderScheduledList() {
         button.addEventListener('click', async (event) => {
             const scheduleId = event.target.dataset.id;
             const schedule = currentConfig.schedules.find(item => item.id === scheduleId);
-            if (schedule && confirm(`"${schedule.type}" 스케줄을 지금 실행하시겠습니까?`)) {
+            if (schedule && confirm(t('"{type}" 스케줄을 지금 실행하시겠습니까?', { type: schedule.type }))) {
                 await executeSchedule(scheduleId);
             }
         });
     });
 
+    // 설정은 그대로 두고 실행만 멈추거나 다시 시작
+    document.querySelectorAll('.schedule-item .pause-btn').forEach(button => {
+        button.addEventListener('click', async (event) => {
+            const scheduleId = event.target.dataset.id;
+            await sendSchedulesToServer(currentConfig.schedules.map(item =>
+                item.id === scheduleId ? { ...item, paused: !item.paused } : item
+            ));
+        });
+    });
+
     document.querySelectorAll('.schedule-item .edit-btn').forEach(button => {
         button.addEventListener('click', (event) => {
             const idToEdit = event.target.dataset.id;
@@ -83,10 +260,23 @@ function renderScheduledList() {
                 scheduleTypeSelect.dispatchEvent(new Event('change')); 
 
                 messageInput.value = itemToEdit.message;
-                cronScheduleInput.value = itemToEdit.cronSchedule;
-                recipientsInput.value = itemToEdit.recipients;
+                messageEnInput.value = (itemToEdit.messageTranslations || {}).en || '';
+                scheduleModeSelect.value = itemToEdit.runAt ? 'once' : 'cron';
+                scheduleModeSelect.dispatchEvent(new Event('change'));
+                scheduleTimezoneInput.value = itemToEdit.timezone || '';
+                runAtInput.value = itemToEdit.runAt ? toZonedInputValue(itemToEdit.runAt, itemToEdit.timezone || DEFAULT_TIMEZONE) : '';
+                afterRunSelect.value = itemToEdit.afterRun || 'archive';
+                cronScheduleInput.value = itemToEdit.cronSchedule || '';
+                refreshScheduleCronPreview();
+                scheduleStartDateInput.value = itemToEdit.startDate || '';
+                scheduleEndDateInput.value = itemToEdit.endDate || '';
+                catchUpPolicySelect.value = itemToEdit.catchUpPolicy || 'skip';
+                skipOnHolidaysCheckbox.checked = !!itemToEdit.skipOnHolidays;
+                renderScheduleConditionOptions(itemToEdit.conditions);
+                recipientsInput.value = itemToEdit.target ? (itemToEdit.target.users || []).join(', ') : itemToEdit.recipients;
+                renderScheduleTargetPicker(itemToEdit.target);
                 saveScheduleButton.dataset.editId = itemToEdit.id;
-                saveScheduleButton.textContent = '스케줄 업데이트';
+                saveScheduleButton.textContent = t('스케줄 업데이트');
                 
                 // 스케줄 관리 탭으로 이동
                 document.querySelector('[data-tab="schedule"]').click();
@@ -98,9 +288,8 @@ function renderScheduledList() {
     document.querySelectorAll('.schedule-item .delete-btn').forEach(button => {
         button.addEventListener('click', async (event) => {
             const idToDelete = event.target.dataset.id;
-            if (confirm('정말로 이 스케줄을 삭제하시겠습니까?')) {
-                currentConfig.schedules = currentConfig.schedules.filter(item => item.id !== idToDelete);
-                await sendSchedulesToServer(currentConfig.schedules);
+            if (confirm(t('정말로 이 스케줄을 삭제하시겠습니까?'))) {
+                await sendSchedulesToServer(currentConfig.schedules.filter(item => item.id !== idToDelete));
             }
         });
     });
@@ -109,48 +298,107 @@ function renderScheduledList() {
 saveScheduleButton.addEventListener('click', async () => {
     const type = scheduleTypeSelect.value;
     const newMessage = messageInput.value.trim();
-    const newCronSchedule = cronScheduleInput.value.trim();
-    const newRecipients = recipientsInput.value.trim();
+    const newMessageEn = messageEnInput.value.trim();
+    const isOnce = scheduleModeSelect.value === 'once';
+    const newCronSchedule = isOnce ? '' : cronScheduleInput.value.trim();
+    const newTarget = readScheduleTarget();
     const editId = saveScheduleButton.dataset.editId;
+    const timezone = scheduleTimezoneInput.value.trim();
+    if (timezone && !isValidTimezone(timezone)) {
+        showStatus(scheduleStatusMessageDiv, t('올바르지 않은 시간대입니다: {timezone}', { timezone }), 'error');
+        return;
+    }
 
     let itemToSave = {
         id: editId || Date.now().toString(),
         type: type,
-        cronSchedule: newCronSchedule
+        cronSchedule: newCronSchedule,
+        catchUpPolicy: catchUpPolicySelect.value,
+        skipOnHolidays: !isOnce && skipOnHolidaysCheckbox.checked,
+        conditions: readScheduleConditions()
     };
+    // 기본 시간대(KST)는 저장하지 않음
+    if (timezone && timezone !== DEFAULT_TIMEZONE) {
+        itemToSave.timezone = timezone;
+    }
+
+    if (!isOnce) {
+        const editing = currentConfig.schedules.find(item => item.id === editId);
+        itemToSave.startDate = scheduleStartDateInput.value || null;
+        itemToSave.endDate = scheduleEndDateInput.value || null;
+        itemToSave.paused = !!(editing && editing.paused);
+        if (itemToSave.startDate && itemToSave.endDate && itemToSave.startDate > itemToSave.endDate) {
+            showStatus(scheduleStatusMessageDiv, '유효 기간의 종료일이 시작일보다 빠릅니다.', 'error');
+            return;
+        }
+    }
+
+    if (isOnce) {
+        if (!runAtInput.value) {
+            showStatus(scheduleStatusMessageDiv, '발송 일시를 입력해주세요.', 'error');
+            return;
+        }
+        itemToSave.runAt = fromZonedInputValue(runAtInput.value, timezone || DEFAULT_TIMEZONE);
+        itemToSave.afterRun = afterRunSelect.value;
+        const unchanged = currentConfig.schedules.some(item => item.id === editId && item.runAt === itemToSave.runAt);
+        if (new Date(itemToSave.runAt) <= new Date() && !unchanged) {
+            showStatus(scheduleStatusMessageDiv, '발송 일시는 현재 이후여야 합니다.', 'error');
+            return;
+        }
+    }
 
     if (type === 'message') {
-        if (!newMessage || !newRecipients || !newCronSchedule) {
-            showStatus(scheduleStatusMessageDiv, '메시지, 스케줄, 수신자 필드를 모두 채워주세요.', 'error');
+        if (!newMessage || isEmptyTarget(newTarget) || (!isOnce && !newCronSchedule)) {
+            showStatus(scheduleStatusMessageDiv, '메시지, 스케줄, 발송 대상을 모두 채워주세요.', 'error');
             return;
         }
         itemToSave.message = newMessage;
-        itemToSave.recipients = newRecipients;
+        // 수신자 언어별 메시지 (없는 언어는 기본 메시지 사용)
+        if (newMessageEn) {
+            itemToSave.messageTranslations = { en: newMessageEn };
+        }
+        itemToSave.recipients = newTarget.users.join(',');
+        itemToSave.target = newTarget;
     } else {
-        if (!newCronSchedule) {
+        if (!isOnce && !newCronSchedule) {
             showStatus(scheduleStatusMessageDiv, '스케줄 필드를 채워주세요.', 'error');
             return;
         }
         itemToSave.message = ''; 
         itemToSave.recipients = ''; 
+        // 대상을 비워두면 기본 작업 발송 대상 사용
+        if (!isEmptyTarget(newTarget)) {
+            itemToSave.target = newTarget;
+        }
     }
 
-    if (editId) {
-        currentConfig.schedules = currentConfig.schedules.map(item =>
-            item.id === editId ? itemToSave : item
-        );
-    } else {
-        currentConfig.schedules.push(itemToSave);
-    }
+    const schedulesToSave = editId
+        ? currentConfig.schedules.map(item => item.id === editId ? itemToSave : item)
+        : [...currentConfig.schedules, itemToSave];
     
-    await sendSchedulesToServer(currentConfig.schedules);
+    if (!await sendSchedulesToServer(schedulesToSave)) {
+        return;
+    }
     messageInput.value = '';
+    messageEnInput.value = '';
+    scheduleModeSelect.value = 'cron';
+    scheduleModeSelect.dispatchEvent(new Event('change'));
+    scheduleTimezoneInput.value = '';
+    runAtInput.value = '';
+    afterRunSelect.value = 'archive';
     cronScheduleInput.value = '';
+    refreshScheduleCronPreview();
+    scheduleStartDateInput.value = '';
+    scheduleEndDateInput.value = '';
+    catchUpPolicySelect.value = 'skip';
+    skipOnHolidaysCheckbox.checked = false;
+    renderScheduleConditionOptions();
     recipientsInput.value = '';
+    renderScheduleTargetPicker();
     scheduleTypeSelect.value = 'message';
     scheduleTypeSelect.dispatchEvent(new Event('change'));
     delete saveScheduleButton.dataset.editId;
-    saveScheduleButton.textContent = '스케줄 저장';
+    saveScheduleButton.textContent = t('스케줄 저장');
 });
 
 async function sendSchedulesToServer(schedulesToSend) {
@@ -166,14 +414,39 @@ async function sendSchedulesToServer(schedulesToSend) {
             currentConfig.schedules = data.config;
             renderScheduledList();
             updateStatusTab();
-        } else {
-            const errorData = await response.json();
-            showStatus(scheduleStatusMessageDiv, '스케줄 저장 실패: ' + (errorData.message || '알 수 없는 오류'), 'error');
+            return true;
         }
+        const errorData = await response.json();
+        showStatus(scheduleStatusMessageDiv, t('스케줄 저장 실패: {message}', { message: errorData.message || t('알 수 없는 오류') }), 'error');
     } catch (error) {
         showStatus(scheduleStatusMessageDiv, '네트워크 오류로 스케줄을 저장할 수 없습니다.', 'error');
         console.error('Schedule save error:', error);
     }
+    return false;
+}
+
+// 실행이 끝난 일회성 스케줄 목록 (config.scheduleArchive)
+function renderScheduleArchive() {
+    const archive = currentConfig.scheduleArchive || [];
+    if (archive.length === 0) {
+        scheduleArchiveListDiv.innerHTML = '';
+        return;
+    }
+
+    const itemsHtml = archive.map(item => `
+        <li>
+            ${formatRunTime(item.runAt)} · ${escapeHtml(item.type === 'message' ? item.message : t(CUSTOM_SCHEDULE_TYPE_LABELS[item.type] || item.type))} ·
+            <span class="run-outcome ${item.outcome}">${t(RUN_OUTCOME_LABELS[item.outcome] || item.outcome)}</span>
+            ${item.resultMessage && item.outcome !== 'success' ? `<br><small>${escapeHtml(item.resultMessage)}</small>` : ''}
+        </li>
+    `).join('');
+
+    scheduleArchiveListDiv.innerHTML = `
+        <details class="schedule-archive">
+            <summary>${t('완료된 일회성 스케줄 ({count})', { count: archive.length })}</summary>
+            <ul class="recent-runs">${itemsHtml}</ul>
+        </details>
+    `;
 }
 
 async function executeSchedule(scheduleId) {
@@ -188,13 +461,15 @@ async function executeSchedule(scheduleId) {
         
         if (response.ok) {
             const data = await response.json();
-            showStatus(scheduleStatusMessageDiv, data.message, 'success');
+            showSendResultStatus(scheduleStatusMessageDiv, data);
         } else {
             const errorData = await response.json();
-            showStatus(scheduleStatusMessageDiv, '스케줄 실행 실패: ' + (errorData.message || '알 수 없는 오류'), 'error');
+            showStatus(scheduleStatusMessageDiv, t('스케줄 실행 실패: {message}', { message: errorData.message || t('알 수 없는 오류') }), 'error');
         }
     } catch (error) {
         showStatus(scheduleStatusMessageDiv, '네트워크 오류로 스케줄을 실행할 수 없습니다.', 'error');
         console.error('Schedule execution error:', error);
     }
 }
+
+renderScheduleConditionOptions();
@@ -3,9 +3,12 @@ const totalMembersSpan = document.getElementById('totalMembers');
 const authorizedMembersSpan = document.getElementById('authorizedMembers');
 const activeSchedulesSpan = document.getElementById('activeSchedules');
 const currentWeekSpan = document.getElementById('currentWeek');
+const leaderInstanceSpan = document.getElementById('leaderInstance');
+const clusterInstancesSpan = document.getElementById('clusterInstances');
 const weeklyDutyScheduleDiv = document.getElementById('weeklyDutySchedule');
 const todayDutyStatusDiv = document.getElementById('todayDutyStatus');
 const currentCodeReviewPairsDiv = document.getElementById('currentCodeReviewPairs');
+const scheduleRunStatusDiv = document.getElementById('scheduleRunStatus');
 const statusMessageDiv = document.getElementById('statusMessage');
 const executeWeeklyDutyBtn = document.getElementById('executeWeeklyDuty');
 const executeCodeReviewBtn = document.getElementById('executeCodeReview');
@@ -14,23 +17,36 @@ const refreshStatusBtn = document.getElementById('refreshStatus');
 // 전역 변수 추가
 let currentPreviewData = null;
 
+// 당직 확인 방법 (서버의 ACK_METHODS와 동일)
+const DUTY_ACK_METHOD_LABELS = {
+    button: '메시지 버튼',
+    link: '웹 링크',
+    dashboard: '대시보드'
+};
+
 // 상태 탭 업데이트
 async function updateStatusTab() {
     const totalMembers = currentConfig.teamMembers.length;
     const authorizedCount = currentConfig.teamMembers.filter(m => m.isAuthorized).length;
-    const activeScheduleCount = currentConfig.schedules.length + 4; // 기본 스케줄 4개 포함
+    const activeScheduleCount = currentConfig.schedules.length + getActiveDefaultJobCount(); // 사용 중인 기본 작업 포함
     const weekKey = getWeekKey();
 
-    totalMembersSpan.textContent = `${totalMembers}명`;
-    authorizedMembersSpan.textContent = `${authorizedCount}명`;
-    activeSchedulesSpan.textContent = `${activeScheduleCount}개`;
+    totalMembersSpan.textContent = t('{count}명', { count: totalMembers });
+    authorizedMembersSpan.textContent = t('{count}명', { count: authorizedCount });
+    activeSchedulesSpan.textContent = t('{count}개', { count: activeScheduleCount });
     currentWeekSpan.textContent = weekKey;
 
+    // 리더 인스턴스 로드
+    await loadClusterStatus();
+
     // 이번주 당직 편성표 로드
     await loadWeeklyDutySchedule();
     
     // 오늘의 당직자 로드
     await loadTodayDutyStatus();
+
+    // 스케줄 실행 현황 로드
+    await loadScheduleRunStatus();
     
     // 현재 코드리뷰 짝꿍 현황
     const codeReviewPairs = currentConfig.codeReviewPairs || [];
@@ -40,7 +56,7 @@ async function updateStatusTab() {
             const memberNames = pair.members.map(member => `${member.name}(${member.id})`).join(' & ');
             pairsHtml += `
                 <div class="review-pair-item">
-                    <p><strong>짝꿍 ${pair.pairNumber}:</strong> ${memberNames}</p>
+                    <p><strong>${t('짝꿍 {number}:', { number: pair.pairNumber })}</strong> ${memberNames}</p>
                     <p><strong>편성 주:</strong> ${pair.weekKey}</p>
                 </div>
             `;
@@ -91,9 +107,10 @@ function displayWeeklyDutySchedule(weeklySchedule) {
         scheduleHtml += `
             <div class="duty-day ${todayClass}">
                 <div class="day-header">
-                    <strong>${day.dayName}</strong> (${day.displayDate})
+                    <strong>${formatUiDateKey(day.date, { weekday: 'short' })}</strong> (${formatUiDateKey(day.date, { month: 'numeric', day: 'numeric' })})
                     ${isToday ? '<span class="today-badge">오늘</span>' : ''}
                 </div>
+                ${day.holidayName ? `<div class="holiday-badge">🎌 ${escapeHtml(translateHolidayName(day.holidayName))}</div>` : ''}
                 <div class="duty-members">
                     ${membersText}
                 </div>
@@ -125,11 +142,11 @@ async function loadTodayDutyStatus() {
 function displayTodayDutyStatus(todayDuty) {
     // 당직자가 없거나 hasNoDuty가 true인 경우
     if (!todayDuty || todayDuty.hasNoDuty || !todayDuty.members || todayDuty.members.length === 0) {
-        const currentDate = todayDuty?.displayDate || new Date().toLocaleDateString('ko-KR');
+        const currentDate = todayDuty?.date ? formatUiDateKey(todayDuty.date) : new Date().toLocaleDateString(getUiDateLocale());
         todayDutyStatusDiv.innerHTML = `
             <div class="today-duty-card no-duty">
                 <div class="duty-info">
-                    <h3>📅 오늘(${currentDate})</h3>
+                    <h3>${t('📅 오늘({date})', { date: currentDate })}</h3>
                     <p><strong>당직자가 배정되지 않았습니다.</strong></p>
                     <p>주간 당직 편성을 실행하여 당직자를 배정해주세요.</p>
                 </div>
@@ -144,7 +161,12 @@ function displayTodayDutyStatus(todayDuty) {
             <div class="duty-info">
                 <h3>🚨 오늘의 당직자</h3>
                 <p class="duty-members-large">${membersText}</p>
-                <p class="duty-date">날짜: ${todayDuty.displayDate}</p>
+                <p class="duty-date">${t('날짜: {date}', { date: formatUiDateKey(todayDuty.date) })}</p>
+            </div>
+            <div class="duty-ack-status">
+                <h4>당직 확인</h4>
+                <ul>${todayDuty.members.map(member => renderDutyAckItem(member)).join('')}</ul>
+                ${renderDutyAckEscalations(todayDuty.escalations || {})}
             </div>
             <div class="duty-tasks">
                 <h4>당직 업무</h4>
@@ -157,6 +179,178 @@ function displayTodayDutyStatus(todayDuty) {
             </div>
         </div>
     `;
+    todayDutyStatusDiv.querySelectorAll('.duty-ack-btn').forEach(button => {
+        button.addEventListener('click', () => acknowledgeTodayDuty(todayDuty.date, button.dataset.member, button.dataset.token));
+    });
+}
+
+// 당직자별 확인 상태 (확인하지 않았으면 대시보드에서 대신 확인 처리할 수 있는 버튼)
+function renderDutyAckItem(member) {
+    if (member.acknowledgedAt) {
+        const time = new Date(member.acknowledgedAt).toLocaleTimeString(getUiDateLocale(), { hour: '2-digit', minute: '2-digit' });
+        return `<li>✅ ${escapeHtml(member.name)} - ${t('{time} 확인 ({method})', { time, method: t(DUTY_ACK_METHOD_LABELS[member.method] || member.method) })}</li>`;
+    }
+    return `<li>⏳ ${escapeHtml(member.name)} - ${t('미확인')} <button class="duty-ack-btn" data-member="${escapeHtml(member.id)}" data-token="${escapeHtml(member.ackToken)}">확인 처리</button></li>`;
+}
+
+// 미확인 알림 진행 상황
+function renderDutyAckEscalations(escalations) {
+    const notes = [];
+    if (escalations.members) {
+        notes.push(t('{time} 미확인 당직자에게 확인 요청 DM 발송', { time: new Date(escalations.members).toLocaleTimeString(getUiDateLocale()) }));
+    }
+    if (escalations.authorized) {
+        notes.push(t('{time} 권한 있는 팀원에게 미확인 알림 발송', { time: new Date(escalations.authorized).toLocaleTimeString(getUiDateLocale()) }));
+    }
+    return notes.map(note => `<p class="duty-ack-escalation">⚠️ ${note}</p>`).join('');
+}
+
+// 당직자 대신 확인 처리 (전화 등으로 확인한 경우)
+async function acknowledgeTodayDuty(date, memberId, token) {
+    try {
+        const response = await fetch('/duty-ack', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ date, memberId, token })
+        });
+        const result = await response.json();
+        showStatus(statusMessageDiv, result.message, response.ok && result.success ? 'success' : 'error');
+    } catch (error) {
+        console.error('Duty acknowledgement error:', error);
+        showStatus(statusMessageDiv, '네트워크 오류로 당직 확인을 처리할 수 없습니다.', 'error');
+    }
+    await loadTodayDutyStatus();
+}
+
+// 클러스터 현황 로드 (리더 인스턴스, 살아 있는 인스턴스 수)
+async function loadClusterStatus() {
+    try {
+        const response = await fetch('/cluster/status');
+        const result = await response.json();
+
+        if (!result.success) {
+            leaderInstanceSpan.textContent = '-';
+            return;
+        }
+        const cluster = result.data;
+        leaderInstanceSpan.textContent = cluster.leader ? cluster.leader.owner : t('없음');
+        leaderInstanceSpan.title = cluster.leader ? t('{time}부터', { time: formatRunTime(cluster.leader.acquiredAt) }) : '';
+        clusterInstancesSpan.textContent = t('인스턴스 {count}개 · 이 인스턴스: {id}{leader}', {
+            count: cluster.instances.length,
+            id: cluster.instanceId,
+            leader: cluster.isLeader ? t(' (리더)') : ''
+        });
+    } catch (error) {
+        console.error('Cluster status load error:', error);
+        leaderInstanceSpan.textContent = '-';
+    }
+}
+
+// 스케줄 실행 현황 로드
+async function loadScheduleRunStatus() {
+    try {
+        const response = await fetch('/schedules/status');
+        const result = await response.json();
+
+        if (result.success) {
+            displayScheduleRunStatus(result.data);
+        } else {
+            scheduleRunStatusDiv.innerHTML = '<p>스케줄 실행 현황을 불러올 수 없습니다.</p>';
+        }
+    } catch (error) {
+        console.error('Schedule status load error:', error);
+        scheduleRunStatusDiv.innerHTML = '<p>스케줄 실행 현황 로드 중 오류가 발생했습니다.</p>';
+    }
+}
+
+const RUN_OUTCOME_LABELS = {
+    success: '성공',
+    partial: '일부 실패',
+    failed: '실패',
+    missed: '놓침',
+    skipped: '건너뜀'
+};
+
+const RUN_TRIGGER_LABELS = {
+    cron: '자동',
+    manual: '수동',
+    catch_up: '놓친 실행 처리'
+};
+
+function formatRunTime(value) {
+    return value ? new Date(value).toLocaleString(getUiDateLocale()) : '-';
+}
+
+function formatDuration(durationMs) {
+    return durationMs >= 1000 ? `${(durationMs / 1000).toFixed(1)}s` : `${durationMs}ms`;
+}
+
+// 다음 실행 표시 (일시 중지, 유효 기간 종료 구분)
+function describeNextRun(job) {
+    if (job.paused) return t('일시 중지');
+    if (job.expired) return t('기간 종료');
+    return job.isActive ? formatRunTime(job.nextRunAt) : t('중지');
+}
+
+// 스케줄 실행 현황 표시 (실패한 작업 강조)
+function displayScheduleRunStatus(status) {
+    const { jobs, summary } = status;
+    const healthHtml = summary.failing > 0
+        ? `<p class="schedule-health failing">${t('⚠️ 마지막 실행이 실패한 작업 {count}개', { count: summary.failing })}</p>`
+        : `<p class="schedule-health ok">${t('✅ 최근 실행이 모두 정상입니다.')}</p>`;
+
+    const rowsHtml = jobs.map(job => {
+        const lastRun = job.recentRuns.find(run => run.outcome !== 'missed');
+        // 마지막 실행 이후 서버 중단으로 놓친 실행이 있으면 함께 표시
+        const hasRecentMiss = job.lastMissedAt && (!job.lastRunAt || new Date(job.lastMissedAt) > new Date(job.lastRunAt));
+        const outcomeHtml = job.lastOutcome
+            ? `<span class="run-outcome ${job.lastOutcome}">${t(RUN_OUTCOME_LABELS[job.lastOutcome])}</span>${job.consecutiveFailures > 1 ? t(' (연속 {count}회)', { count: job.consecutiveFailures }) : ''}`
+            : t('실행 기록 없음');
+        const recentRunsHtml = job.recentRuns.map(run => `
+            <li>
+                ${formatRunTime(run.startedAt)} · ${t(RUN_TRIGGER_LABELS[run.trigger] || run.trigger)} ·
+                <span class="run-outcome ${run.outcome}">${t(RUN_OUTCOME_LABELS[run.outcome])}</span> · ${formatDuration(run.durationMs)}
+                ${run.message ? `<br><small>${escapeHtml(run.message)}</small>` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <tr class="${job.lastOutcome === 'failed' ? 'job-failed' : ''}">
+                <td>
+                    <details>
+                        <summary>${escapeHtml(t(job.name))}</summary>
+                        ${recentRunsHtml ? `<ul class="recent-runs">${recentRunsHtml}</ul>` : `<p><small>${t('실행 기록 없음')}</small></p>`}
+                    </details>
+                </td>
+                <td>${job.runAt ? t('한 번') : `<code>${escapeHtml(job.cronSchedule)}</code>`}${describeTimezone(job.timezone)}</td>
+                <td>${describeNextRun(job)}</td>
+                <td>${formatRunTime(job.lastRunAt)}</td>
+                <td>
+                    ${outcomeHtml}
+                    ${job.lastError ? `<br><small class="run-error">${escapeHtml(job.lastError)}</small>` : ''}
+                    ${hasRecentMiss ? `<br><small class="run-missed">${escapeHtml(job.lastMissedMessage || '')}</small>` : ''}
+                </td>
+                <td>${lastRun ? formatDuration(lastRun.durationMs) : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    scheduleRunStatusDiv.innerHTML = `
+        ${healthHtml}
+        <table class="history-table schedule-status-table">
+            <thead>
+                <tr>
+                    <th>작업</th>
+                    <th>스케줄</th>
+                    <th>다음 실행</th>
+                    <th>마지막 실행</th>
+                    <th>결과</th>
+                    <th>소요</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
 }
 
 // 수동 실행 버튼 이벤트
@@ -166,32 +360,83 @@ executeWeeklyDutyBtn.addEventListener('click', async () => {
 });
 
 /**
- * 주간당직 미리보기 모달 열기
+ * 미리보기 편성 기간 요청 본문 (기간 선택 값)
+ */
+function getPreviewRangeOptions() {
+    const range = document.getElementById('previewRangeSelect').value;
+    if (range === 'month') {
+        return { range, month: document.getElementById('previewMonthInput').value };
+    }
+    if (range === 'custom') {
+        return {
+            range,
+            startDate: document.getElementById('previewStartDateInput').value,
+            endDate: document.getElementById('previewEndDateInput').value
+        };
+    }
+    return { range };
+}
+
+/**
+ * 편성 기간 선택에 맞춰 월·날짜 입력 표시
+ */
+function updatePreviewRangeInputs() {
+    const range = document.getElementById('previewRangeSelect').value;
+    const monthInput = document.getElementById('previewMonthInput');
+    monthInput.style.display = range === 'month' ? 'inline-block' : 'none';
+    document.getElementById('previewCustomRange').style.display = range === 'custom' ? 'inline' : 'none';
+
+    // 한 달 기본값: 다음 달
+    if (range === 'month' && !monthInput.value) {
+        const now = new Date();
+        const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        monthInput.value = `${nextMonth.getFullYear()}-${String(nextMonth.getMonth() + 1).padStart(2, '0')}`;
+    }
+}
+
+/**
+ * 선택한 기간의 당직 미리보기 요청 (호출할 때마다 새 시드)
+ */
+async function fetchWeeklyDutyPreview() {
+    const response = await fetch('/preview-weekly-duty', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+        body: JSON.stringify(getPreviewRangeOptions())
+    });
+    return response.json();
+}
+
+/**
+ * 주간당직 미리보기 모달 열기 (편성 기간을 바꿔 다시 미리볼 때도 사용)
  */
 async function openWeeklyDutyPreviewModal() {
     const modal = document.getElementById('weeklyDutyPreviewModal');
     const previewContent = document.getElementById('previewContent');
     const previewScheduleGrid = document.getElementById('previewScheduleGrid');
+    const previewMemberSummary = document.getElementById('previewMemberSummary');
     const previewMessage = document.getElementById('previewMessage');
     const generateNewBtn = document.getElementById('generateNewCombination');
     const confirmBtn = document.getElementById('confirmWeeklyDuty');
     
     // 모달 초기화
     modal.style.display = 'flex';
+    currentPreviewData = null;
+    previewContent.innerHTML = `<div class="preview-loading"><p>${t('미리보기를 생성하고 있습니다...')}</p></div>`;
     previewContent.className = 'preview-content loading';
     previewScheduleGrid.style.display = 'none';
+    previewMemberSummary.style.display = 'none';
     previewMessage.style.display = 'none';
     generateNewBtn.style.display = 'none';
     confirmBtn.style.display = 'none';
+    updatePreviewRangeInputs();
     
     try {
         // 미리보기 데이터 요청
-        const response = await fetch('/preview-weekly-duty', { method: 'POST' });
-        const result = await response.json();
+        const result = await fetchWeeklyDutyPreview();
         
         if (result.status === 'success') {
             currentPreviewData = result.data;
-            displayWeeklyDutyPreview(result.data, result.preview);
+            displayWeeklyDutyPreview(result.data, result.preview, result.memberSummary);
             
             // 버튼들 표시
             generateNewBtn.style.display = 'inline-block';
@@ -210,67 +455,110 @@ async function openWeeklyDutyPreviewModal() {
 }
 
 /**
- * 주간당직 미리보기 표시
+ * 당직 미리보기 표시 (월~일 달력, 기간 밖의 날은 빈 칸)
  */
-function displayWeeklyDutyPreview(scheduleData, previewMessage) {
+function displayWeeklyDutyPreview(scheduleData, previewMessage, memberSummary = []) {
     const previewScheduleGrid = document.getElementById('previewScheduleGrid');
     const previewMessageDiv = document.getElementById('previewMessage');
+    const today = new Date().toISOString().split('T')[0];
     
-    // 금요일 당직자 찾기 (주말 연속 당직자)
-    const fridayData = scheduleData.find(day => day.dayName === '금요일');
-    const weekendDutyPersonId = fridayData && fridayData.members.length > 0 ? fridayData.members[0].id : null;
-    
-    // 스케줄 그리드 생성
-    let gridHtml = '';
+    // 요일 머리글
+    let gridHtml = ['월요일', '화요일', '수요일', '목요일', '금요일', '토요일', '일요일']
+        .map(dayName => `<div class="preview-calendar-heading">${t(dayName)}</div>`)
+        .join('');
+
+    // 첫 날 앞과 마지막 날 뒤는 빈 칸으로 채워 월요일부터 시작하는 주 단위 줄 맞춤
+    const leadingBlanks = scheduleData.length > 0 ? (scheduleData[0].dayOfWeek + 6) % 7 : 0;
+    const trailingBlanks = (7 - (leadingBlanks + scheduleData.length) % 7) % 7;
+    gridHtml += '<div class="preview-day-card outside"></div>'.repeat(leadingBlanks);
+
     scheduleData.forEach(day => {
-        const isToday = day.date === new Date().toISOString().split('T')[0];
+        const isToday = day.date === today;
         const todayClass = isToday ? 'today' : '';
         const weekendClass = day.isWeekend ? 'weekend' : '';
         
-        // 금토일 연속 당직 표시
-        const isWeekendDuty = (day.dayName === '금요일' || day.dayName === '토요일' || day.dayName === '일요일');
-        const specialClass = isWeekendDuty ? 'weekend-duty' : '';
+        // 금토일 및 휴일 연속 당직 표시
+        const specialClass = day.isWeekendRun ? 'weekend-duty' : '';
         
         const membersText = day.members.length > 0 
-            ? day.members.map(m => {
-                const isWeekendDutyPerson = m.id === weekendDutyPersonId;
-                const highlight = isWeekendDutyPerson && isWeekendDuty ? ' 🎆' : '';
-                return `${m.name}(${m.id})${highlight}`;
-            }).join(' & ')
-            : '미배정';
+            ? day.members.map(m => `<span title="${escapeHtml(m.id)}">${escapeHtml(m.name)}</span>`).join(' & ')
+            : t('미배정');
         
         const memberClass = day.members.length === 0 ? 'no-duty' : '';
-        const emoji = day.isWeekend ? '🌴' : '🏢';
-        const specialNote = isWeekendDuty ? ' ✨' : '';
+        const [, month, date] = day.date.split('-').map(Number);
         
         gridHtml += `
             <div class="preview-day-card ${todayClass} ${weekendClass} ${specialClass}">
                 <div class="preview-day-header">
-                    ${emoji} ${day.dayName}${specialNote}
-                    ${isToday ? '<span class="today-badge">오늘</span>' : ''}
+                    ${month}/${date}
+                    ${isToday ? `<span class="today-badge">${t('오늘')}</span>` : ''}
                 </div>
-                <div class="preview-day-date">${day.displayDate}</div>
+                ${day.holidayName ? `<div class="holiday-badge">🎌 ${escapeHtml(translateHolidayName(day.holidayName))}</div>` : ''}
                 <div class="preview-day-members ${memberClass}">
                     ${membersText}
                 </div>
-                ${day.members.length === 2 ? '<div class="member-count-badge">2명 배정</div>' : ''}
             </div>
         `;
     });
+    gridHtml += '<div class="preview-day-card outside"></div>'.repeat(trailingBlanks);
     
     previewScheduleGrid.innerHTML = gridHtml;
     previewScheduleGrid.style.display = 'grid';
+
+    displayPreviewMemberSummary(memberSummary);
     
     // 미리보기 메시지 표시
     previewMessageDiv.textContent = previewMessage;
     previewMessageDiv.style.display = 'block';
 }
 
+/**
+ * 팀원별 편성 횟수 표시 (기간 전체 공평성 확인용)
+ */
+function displayPreviewMemberSummary(memberSummary) {
+    const previewMemberSummary = document.getElementById('previewMemberSummary');
+    if (!memberSummary || memberSummary.length === 0) {
+        previewMemberSummary.style.display = 'none';
+        return;
+    }
+
+    const rowsHtml = memberSummary.map(member => `
+        <tr>
+            <td>${escapeHtml(member.name)} (${escapeHtml(member.id)})</td>
+            <td>${member.isAuthorized ? '예' : '아니오'}</td>
+            <td>${member.previous}</td>
+            <td>+${member.added}</td>
+            <td>${member.total}</td>
+        </tr>
+    `).join('');
+
+    previewMemberSummary.innerHTML = `
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>팀원</th>
+                    <th>권한</th>
+                    <th>기존 당직 횟수</th>
+                    <th>이번 편성</th>
+                    <th>편성 후</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+    previewMemberSummary.style.display = 'block';
+}
+
 /**
  * 미리보기 오류 표시
  */
 function showPreviewError(message) {
     const previewContent = document.getElementById('previewContent');
+    currentPreviewData = null;
+    document.getElementById('previewScheduleGrid').style.display = 'none';
+    document.getElementById('previewMemberSummary').style.display = 'none';
+    document.getElementById('previewMessage').style.display = 'none';
+    document.getElementById('confirmWeeklyDuty').style.display = 'none';
     previewContent.innerHTML = `
         <div class="preview-error" style="text-align: center; padding: 40px 20px; color: #dc3545;">
             <h4>❌ 미리보기 생성 실패</h4>
@@ -280,7 +568,7 @@ function showPreviewError(message) {
 }
 
 /**
- * 새로운 조합 생성
+ * 새로운 조합 생성 (같은 기간, 새 시드)
  */
 async function generateNewWeeklyDutyCombination() {
     const previewContent = document.getElementById('previewContent');
@@ -294,12 +582,11 @@ async function generateNewWeeklyDutyCombination() {
     
     try {
         // 새로운 미리보기 생성
-        const response = await fetch('/preview-weekly-duty', { method: 'POST' });
-        const result = await response.json();
+        const result = await fetchWeeklyDutyPreview();
         
         if (result.status === 'success') {
             currentPreviewData = result.data;
-            displayWeeklyDutyPreview(result.data, result.preview);
+            displayWeeklyDutyPreview(result.data, result.preview, result.memberSummary);
         } else {
             showPreviewError(result.message);
         }
@@ -318,7 +605,7 @@ async function generateNewWeeklyDutyCombination() {
  */
 async function confirmWeeklyDutySchedule() {
     if (!currentPreviewData) {
-        alert('미리보기 데이터가 없습니다.');
+        alert(t('미리보기 데이터가 없습니다.'));
         return;
     }
     
@@ -339,22 +626,22 @@ async function confirmWeeklyDutySchedule() {
         
         const result = await response.json();
         
-        if (result.status === 'success') {
+        if (result.status === 'success' || result.status === 'partial') {
             // 모달 닫기
             closeWeeklyDutyPreviewModal();
             
-            // 성공 메시지 표시
-            showStatus(statusMessageDiv, result.message, 'success');
+            // 결과 메시지 표시 (일부 발송 실패 시 경고)
+            showSendResultStatus(statusMessageDiv, result);
             
             // 상태 탭 새로고침
             await loadInitialConfig();
             await updateStatusTab();
         } else {
-            alert('확정 실패: ' + result.message);
+            alert(t('확정 실패: {message}', { message: result.message }));
         }
     } catch (error) {
         console.error('Confirmation error:', error);
-        alert('확정 중 네트워크 오류가 발생했습니다.');
+        alert(t('확정 중 네트워크 오류가 발생했습니다.'));
     } finally {
         confirmBtn.disabled = false;
         confirmBtn.textContent = originalText;
@@ -390,6 +677,16 @@ document.addEventListener('DOMContentLoaded', () => {
         generateNewBtn.addEventListener('click', generateNewWeeklyDutyCombination);
     }
     
+    // 편성 기간 선택
+    const rangeSelect = document.getElementById('previewRangeSelect');
+    if (rangeSelect) {
+        rangeSelect.addEventListener('change', updatePreviewRangeInputs);
+    }
+    const rangeBtn = document.getElementById('previewRangeButton');
+    if (rangeBtn) {
+        rangeBtn.addEventListener('click', openWeeklyDutyPreviewModal);
+    }
+    
     // 확정 버튼
     const confirmBtn = document.getElementById('confirmWeeklyDuty');
     if (confirmBtn) {
@@ -418,18 +715,18 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 executeCodeReviewBtn.addEventListener('click', async () => {
-    if (confirm('코드리뷰 짝꿍을 새로 편성하시겠습니까?')) {
+    if (confirm(t('코드리뷰 짝꿍을 새로 편성하시겠습니까?'))) {
         try {
             showStatus(statusMessageDiv, '코드리뷰 짝꿍 편성 중...', 'info');
             const response = await fetch('/execute-code-review', { method: 'POST' });
             if (response.ok) {
                 const data = await response.json();
-                showStatus(statusMessageDiv, data.message, 'success');
+                showSendResultStatus(statusMessageDiv, data);
                 await loadInitialConfig();
                 await updateStatusTab();
             } else {
                 const errorData = await response.json();
-                showStatus(statusMessageDiv, '코드리뷰 짝꿍 편성 실패: ' + errorData.message, 'error');
+                showStatus(statusMessageDiv, t('코드리뷰 짝꿍 편성 실패: {message}', { message: errorData.message }), 'error');
             }
         } catch (error) {
             showStatus(statusMessageDiv, '네트워크 오류로 코드리뷰 짝꿍을 편성할 수 없습니다.', 'error');
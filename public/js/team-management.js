@@ -2,6 +2,8 @@
 const teamMemberIdInput = document.getElementById('teamMemberIdInput');
 const teamMemberNameInput = document.getElementById('teamMemberNameInput');
 const isAuthorizedCheckbox = document.getElementById('isAuthorizedCheckbox');
+const teamMemberLocaleSelect = document.getElementById('teamMemberLocaleSelect');
+const teamMemberTimezoneInput = document.getElementById('teamMemberTimezoneInput');
 const addTeamMemberButton = document.getElementById('addTeamMemberButton');
 const teamMemberStatusMessageDiv = document.getElementById('teamMemberStatusMessage');
 const teamMemberListDiv = document.getElementById('teamMemberList');
@@ -22,8 +24,10 @@ function renderTeamMemberList() {
             <p><strong>ID:</strong> ${member.id}</p>
             <p><strong>이름:</strong> ${member.name}</p>
             <p><strong>권한:</strong> ${member.isAuthorized ? '예' : '아니오'}</p>
-            <p><strong>당직 횟수:</strong> ${member.dutyCount || 0}회</p>
-            <p><strong>코드리뷰 횟수:</strong> ${member.codeReviewCount || 0}회</p>
+            <p><strong>언어:</strong> ${escapeHtml(getLocaleName(member.locale))}</p>
+            <p><strong>시간대:</strong> ${escapeHtml(member.timezone || DEFAULT_TIMEZONE)}</p>
+            <p><strong>당직 횟수:</strong> ${t('{count}회', { count: member.dutyCount || 0 })}</p>
+            <p><strong>코드리뷰 횟수:</strong> ${t('{count}회', { count: member.codeReviewCount || 0 })}</p>
             <div class="actions">
                 <button class="edit-btn" data-id="${member.id}">편집</button>
                 <button class="delete-btn" data-id="${member.id}">삭제</button>
@@ -40,8 +44,10 @@ function renderTeamMemberList() {
                 teamMemberIdInput.value = memberToEdit.id;
                 teamMemberNameInput.value = memberToEdit.name;
                 isAuthorizedCheckbox.checked = memberToEdit.isAuthorized;
+                teamMemberLocaleSelect.value = memberToEdit.locale || '';
+                teamMemberTimezoneInput.value = memberToEdit.timezone || '';
                 editingTeamMemberId = memberToEdit.id;
-                addTeamMemberButton.textContent = '팀원 업데이트';
+                addTeamMemberButton.textContent = t('팀원 업데이트');
                 teamMemberIdInput.disabled = true;
                 
                 // 팀원 관리 탭으로 이동
@@ -54,7 +60,7 @@ function renderTeamMemberList() {
     document.querySelectorAll('.team-member-item .delete-btn').forEach(button => {
         button.addEventListener('click', async (event) => {
             const idToDelete = event.target.dataset.id;
-            if (confirm(`정말로 팀원 ID: ${idToDelete}를 삭제하시겠습니까?`)) {
+            if (confirm(t('정말로 팀원 ID: {id}를 삭제하시겠습니까?', { id: idToDelete }))) {
                 currentConfig.teamMembers = currentConfig.teamMembers.filter(m => m.id !== idToDelete);
                 await sendTeamMembersToServer(currentConfig.teamMembers);
             }
@@ -66,20 +72,26 @@ addTeamMemberButton.addEventListener('click', async () => {
     const id = teamMemberIdInput.value.trim();
     const name = teamMemberNameInput.value.trim();
     const isAuthorized = isAuthorizedCheckbox.checked;
+    const locale = teamMemberLocaleSelect.value;
+    const timezone = teamMemberTimezoneInput.value.trim();
 
     if (!id || !name) {
         showStatus(teamMemberStatusMessageDiv, '팀원 ID와 이름을 모두 입력해주세요.', 'error');
         return;
     }
+    if (timezone && !isValidTimezone(timezone)) {
+        showStatus(teamMemberStatusMessageDiv, t('올바르지 않은 시간대입니다: {timezone}', { timezone }), 'error');
+        return;
+    }
 
     let updatedTeamMembers;
     if (editingTeamMemberId) {
         updatedTeamMembers = currentConfig.teamMembers.map(member =>
-            member.id === editingTeamMemberId ? { ...member, name, isAuthorized } : member
+            member.id === editingTeamMemberId ? { ...member, name, isAuthorized, locale, timezone } : member
         );
         editingTeamMemberId = null;
         teamMemberIdInput.disabled = false;
-        addTeamMemberButton.textContent = '팀원 추가';
+        addTeamMemberButton.textContent = t('팀원 추가');
     } else {
         if (currentConfig.teamMembers.some(member => member.id === id)) {
             showStatus(teamMemberStatusMessageDiv, '이미 존재하는 팀원 ID입니다.', 'error');
@@ -89,6 +101,8 @@ addTeamMemberButton.addEventListener('click', async () => {
             id,
             name,
             isAuthorized,
+            locale,
+            timezone,
             dutyCount: 0,
             codeReviewCount: 0
         };
@@ -99,6 +113,8 @@ addTeamMemberButton.addEventListener('click', async () => {
     teamMemberIdInput.value = '';
     teamMemberNameInput.value = '';
     isAuthorizedCheckbox.checked = false;
+    teamMemberLocaleSelect.value = '';
+    teamMemberTimezoneInput.value = '';
 });
 
 async function sendTeamMembersToServer(teamMembersToSend) {
@@ -113,10 +129,11 @@ async function sendTeamMembersToServer(teamMembersToSend) {
             showStatus(teamMemberStatusMessageDiv, data.message, 'success');
             currentConfig.teamMembers = data.teamMembers;
             renderTeamMemberList();
+            renderMemberAvailabilityList();
             updateStatusTab();
         } else {
             const errorData = await response.json();
-            showStatus(teamMemberStatusMessageDiv, '팀원 정보 저장 실패: ' + (errorData.message || '알 수 없는 오류'), 'error');
+            showStatus(teamMemberStatusMessageDiv, t('팀원 정보 저장 실패: {message}', { message: errorData.message || t('알 수 없는 오류') }), 'error');
         }
     } catch (error) {
         showStatus(teamMemberStatusMessageDiv, '네트워크 오류로 팀원 정보를 저장할 수 없습니다.', 'error');
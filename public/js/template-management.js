@@ -0,0 +1,142 @@
+// 메시지 템플릿 관리 함수들
+const templateSelect = document.getElementById('templateSelect');
+const templateLocaleSelect = document.getElementById('templateLocaleSelect');
+const templateDescriptionDiv = document.getElementById('templateDescription');
+const templateBodyInput = document.getElementById('templateBodyInput');
+const templateVariablesDiv = document.getElementById('templateVariables');
+const previewTemplateButton = document.getElementById('previewTemplateButton');
+const saveTemplateButton = document.getElementById('saveTemplateButton');
+const resetTemplateButton = document.getElementById('resetTemplateButton');
+const templateStatusMessageDiv = document.getElementById('templateStatusMessage');
+const templatePreviewPre = document.getElementById('templatePreview');
+
+let messageTemplates = [];
+
+// 템플릿 목록 로드
+async function loadTemplates() {
+    try {
+        const response = await fetch('/templates');
+        const result = await response.json();
+
+        if (result.success) {
+            messageTemplates = result.data;
+            renderTemplateSelect(templateSelect.value);
+        } else {
+            showStatus(templateStatusMessageDiv, '템플릿을 불러올 수 없습니다.', 'error');
+        }
+    } catch (error) {
+        console.error('Template load error:', error);
+        showStatus(templateStatusMessageDiv, '네트워크 오류로 템플릿을 불러올 수 없습니다.', 'error');
+    }
+}
+
+function renderTemplateSelect(selectedKey) {
+    templateSelect.innerHTML = messageTemplates.map(template => `
+        <option value="${template.key}">${escapeHtml(t(template.name))}${template.isCustomized ? t(' (수정됨)') : ''}</option>
+    `).join('');
+
+    if (selectedKey && messageTemplates.some(template => template.key === selectedKey)) {
+        templateSelect.value = selectedKey;
+    }
+    showSelectedTemplate();
+}
+
+// 선택된 템플릿을 편집기에 표시
+function showSelectedTemplate() {
+    const template = messageTemplates.find(t => t.key === templateSelect.value);
+    templatePreviewPre.style.display = 'none';
+
+    if (!template) {
+        templateBodyInput.value = '';
+        templateDescriptionDiv.textContent = '';
+        templateVariablesDiv.innerHTML = '';
+        return;
+    }
+
+    // 선택한 언어의 템플릿 (언어별로 따로 수정/복원)
+    const localized = template.locales[templateLocaleSelect.value];
+    templateBodyInput.value = localized.body;
+    templateDescriptionDiv.textContent = t(template.description);
+    resetTemplateButton.disabled = !localized.isCustomized;
+    templateVariablesDiv.innerHTML = `
+        <strong>사용 가능한 변수:</strong>
+        <ul>
+            ${Object.entries(template.variables).map(([name, description]) => `
+                <li><code>{{${escapeHtml(name)}}}</code> - ${escapeHtml(description)}</li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+templateSelect.addEventListener('change', showSelectedTemplate);
+templateLocaleSelect.addEventListener('change', showSelectedTemplate);
+
+previewTemplateButton.addEventListener('click', async () => {
+    try {
+        const response = await fetch('/templates/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ key: templateSelect.value, body: templateBodyInput.value, locale: templateLocaleSelect.value })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            templatePreviewPre.textContent = result.preview;
+            templatePreviewPre.style.display = 'block';
+        } else {
+            templatePreviewPre.style.display = 'none';
+            showStatus(templateStatusMessageDiv, result.message, 'error');
+        }
+    } catch (error) {
+        console.error('Template preview error:', error);
+        showStatus(templateStatusMessageDiv, '네트워크 오류로 미리보기를 생성할 수 없습니다.', 'error');
+    }
+});
+
+saveTemplateButton.addEventListener('click', async () => {
+    try {
+        const response = await fetch('/templates/update', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ key: templateSelect.value, body: templateBodyInput.value, locale: templateLocaleSelect.value })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showStatus(templateStatusMessageDiv, result.message, 'success');
+            messageTemplates = result.templates;
+            renderTemplateSelect(templateSelect.value);
+        } else {
+            showStatus(templateStatusMessageDiv, t('템플릿 저장 실패: {message}', { message: result.message || t('알 수 없는 오류') }), 'error');
+        }
+    } catch (error) {
+        console.error('Template save error:', error);
+        showStatus(templateStatusMessageDiv, '네트워크 오류로 템플릿을 저장할 수 없습니다.', 'error');
+    }
+});
+
+resetTemplateButton.addEventListener('click', async () => {
+    if (!confirm(t('이 템플릿을 기본값으로 복원하시겠습니까? 수정한 내용은 삭제됩니다.'))) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/templates/reset', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ key: templateSelect.value, locale: templateLocaleSelect.value })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showStatus(templateStatusMessageDiv, result.message, 'success');
+            messageTemplates = result.templates;
+            renderTemplateSelect(templateSelect.value);
+        } else {
+            showStatus(templateStatusMessageDiv, t('템플릿 복원 실패: {message}', { message: result.message || t('알 수 없는 오류') }), 'error');
+        }
+    } catch (error) {
+        console.error('Template reset error:', error);
+        showStatus(templateStatusMessageDiv, '네트워크 오류로 템플릿을 복원할 수 없습니다.', 'error');
+    }
+});
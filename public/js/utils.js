@@ -1,11 +1,63 @@
 // 유틸리티 함수들
-function showStatus(messageDiv, message, type = 'info') {
-    messageDiv.textContent = message;
+function showStatus(messageDiv, message, type = 'info', duration = 5000) {
+    messageDiv.textContent = t(message);
     messageDiv.className = `status-message ${type}`;
     messageDiv.style.display = 'block';
     setTimeout(() => {
         messageDiv.style.display = 'none';
-    }, 5000);
+    }, duration);
+}
+
+// 발송을 포함한 작업 결과 표시 (일부 발송 실패는 경고로 더 오래 표시)
+function showSendResultStatus(messageDiv, data) {
+    if (data.status === 'partial') {
+        showStatus(messageDiv, data.message, 'warning', 15000);
+    } else {
+        showStatus(messageDiv, data.message, 'success');
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 기본 시간대 (서버 cron-utils 의 DEFAULT_TIMEZONE 과 같음)
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 목록 표시용 시간대 (기본 시간대는 생략, 예: " (Asia/Ho_Chi_Minh)")
+function describeTimezone(timeZone) {
+    return timeZone && timeZone !== DEFAULT_TIMEZONE ? ` (${escapeHtml(timeZone)})` : '';
+}
+
+// ISO 시각 → datetime-local 입력값 (지정한 시간대 기준, 예: 2026-11-03T10:00)
+function toZonedInputValue(isoString, timeZone = DEFAULT_TIMEZONE) {
+    return new Date(isoString).toLocaleString('sv-SE', { timeZone }).replace(' ', 'T').slice(0, 16);
+}
+
+// datetime-local 입력값 (지정한 시간대 기준) → ISO 시각
+function fromZonedInputValue(value, timeZone = DEFAULT_TIMEZONE) {
+    // 입력값을 UTC 로 보고 시작해 시간대 오프셋만큼 보정 (서머타임 경계를 위해 한 번 더 보정)
+    const wallTime = new Date(`${value}:00Z`).getTime();
+    let time = wallTime;
+    for (let i = 0; i < 2; i++) {
+        const zonedWallTime = new Date(`${toZonedInputValue(new Date(time).toISOString(), timeZone)}:00Z`).getTime();
+        time -= zonedWallTime - wallTime;
+    }
+    return new Date(time).toISOString();
 }
 
 function getWeekKey(date = new Date()) {
@@ -27,7 +79,9 @@ let currentConfig = {
     teamMembers: [], 
     currentLaptopDutyPair: [],
     dailyDutySchedule: {},
-    codeReviewPairs: []
+    codeReviewPairs: [],
+    channels: [],
+    jobTargets: {}
 };
 
 // 전역 설정 로드
@@ -39,6 +93,14 @@ async function loadInitialConfig() {
             currentConfig = data;
             renderTeamMemberList();
             renderScheduledList();
+            renderChannelList();
+            renderJobTargets();
+            renderScheduleTargetPicker();
+            renderBlackoutPeriodList();
+            renderMemberAvailabilityList();
+            await loadDutySwaps();
+            await loadDefaultJobs();
+            await loadHolidays();
             await updateStatusTab();
             scheduleTypeSelect.dispatchEvent(new Event('change'));
         } else {
@@ -34,7 +34,7 @@ class GitHubServiceMain {
         // 주기적 작업 정리
         setInterval(() => {
             this.taskManager.cleanupOldTasks(24);
-        }, 60 * 60 * 1000);
+        }, 60 * 60 * 1000).unref();
     }
 
     /**
@@ -486,6 +486,13 @@ class GitHubServiceMain {
         return this.storageManager.getReportContent(reportId);
     }
 
+    /**
+     * 리포트 리치 메시지 생성
+     */
+    buildReportMessage(reportText, type, dashboardUrl) {
+        return this.reportGenerator.generateRichReportMessage(reportText, type, dashboardUrl);
+    }
+
     /**
      * 리포트 발송 및 아카이브
      */
@@ -2,6 +2,7 @@
 // 리포트 생성 서비스 - 리포트 생성 및 메시지 포맷 담당
 
 const logger = require('../../logger');
+const { createButtonMessage, createTextMessage, uriAction } = require('../utils/message-content');
 
 class ReportGenerator {
     constructor() {
@@ -282,6 +283,21 @@ class ReportGenerator {
 
         return report;
     }
+
+    /**
+     * 리포트 리치 메시지 생성
+     * 대시보드 URL이 있으면 GitHub 탭으로 이동하는 버튼을 붙이고, 없으면 텍스트 메시지로 반환
+     */
+    generateRichReportMessage(reportText, type = 'weekly', dashboardUrl = '') {
+        if (!dashboardUrl) {
+            return createTextMessage(reportText);
+        }
+
+        const typeName = type === 'monthly' ? '월간' : type === 'weekly' ? '주간' : '';
+        return createButtonMessage(reportText, [
+            uriAction(`${typeName} 리포트 대시보드 보기`.trim(), `${dashboardUrl.replace(/\/+$/, '')}/#github`)
+        ]);
+    }
 }
 
-module.exports = ReportGenerator;
\ No newline at end of file
+module.exports = ReportGenerator;
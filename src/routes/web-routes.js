@@ -9,6 +9,15 @@ const scheduleService = require('../services/schedule-service');
 const dutyService = require('../services/duty-service');
 const teamService = require('../services/team-service');
 const messageService = require('../services/message-service');
+const templateService = require('../services/template-service');
+const holidayService = require('../services/holiday-service');
+const blackoutService = require('../services/blackout-service');
+const availabilityService = require('../services/availability-service');
+const dutySwapService = require('../services/duty-swap-service');
+const dutyAckService = require('../services/duty-ack-service');
+const botCallbackService = require('../services/bot-callback-service');
+const lockService = require('../services/lock-service');
+const { isValidTimezone } = require('../utils/cron-utils');
 
 /**
  * 웹 라우팅 핸들러
@@ -41,6 +50,45 @@ async function handleWebRoutes(req, res) {
         else if (req.url === '/update-team-members' && req.method === 'POST') {
             await handleUpdateTeamMembers(req, res);
         }
+        else if (req.url === '/update-channels' && req.method === 'POST') {
+            await handleUpdateChannels(req, res);
+        }
+        else if (req.url === '/update-job-targets' && req.method === 'POST') {
+            await handleUpdateJobTargets(req, res);
+        }
+        else if (req.url === '/default-jobs' && req.method === 'GET') {
+            await handleGetDefaultJobs(req, res);
+        }
+        else if (req.url === '/default-jobs/update' && req.method === 'POST') {
+            await handleUpdateDefaultJob(req, res);
+        }
+        else if (req.url === '/default-jobs/reset' && req.method === 'POST') {
+            await handleResetDefaultJob(req, res);
+        }
+        else if (req.url === '/cron/preview' && req.method === 'POST') {
+            await handlePreviewCron(req, res);
+        }
+        else if (req.url === '/schedules/status' && req.method === 'GET') {
+            await handleSchedulesStatus(req, res);
+        }
+        else if (req.url === '/cluster/status' && req.method === 'GET') {
+            await handleClusterStatus(req, res);
+        }
+        else if ((req.url === '/holidays' || req.url.startsWith('/holidays?')) && req.method === 'GET') {
+            await handleGetHolidays(req, res);
+        }
+        else if (req.url === '/update-custom-holidays' && req.method === 'POST') {
+            await handleUpdateCustomHolidays(req, res);
+        }
+        else if (req.url === '/update-blackout-periods' && req.method === 'POST') {
+            await handleUpdateBlackoutPeriods(req, res);
+        }
+        else if (req.url === '/member-availability' && req.method === 'GET') {
+            await handleGetMemberAvailability(req, res);
+        }
+        else if (req.url === '/update-member-availability' && req.method === 'POST') {
+            await handleUpdateMemberAvailability(req, res);
+        }
         else if (req.url === '/execute-schedule' && req.method === 'POST') {
             await handleExecuteSchedule(req, res);
         }
@@ -62,6 +110,59 @@ async function handleWebRoutes(req, res) {
         else if (req.url === '/today-duty' && req.method === 'GET') {
             await handleTodayDuty(req, res);
         }
+        // 당직 확인 (대시보드 / 메시지의 웹 확인 링크)
+        else if (req.url === '/duty-ack' && req.method === 'POST') {
+            await handleDutyAck(req, res);
+        }
+        else if (req.url.startsWith('/duty-ack?') && req.method === 'GET') {
+            await handleDutyAckLink(req, res);
+        }
+        // 당직 교환 관련 엔드포인트
+        else if (req.url === '/duty-swaps' && req.method === 'GET') {
+            await handleGetDutySwaps(req, res);
+        }
+        else if (req.url === '/duty-swaps' && req.method === 'POST') {
+            await handleCreateDutySwap(req, res);
+        }
+        else if (req.url === '/duty-swaps/respond' && req.method === 'POST') {
+            await handleRespondDutySwap(req, res);
+        }
+        else if (req.url === '/duty-swaps/decide' && req.method === 'POST') {
+            await handleDecideDutySwap(req, res);
+        }
+        else if (req.url === '/duty-swaps/cancel' && req.method === 'POST') {
+            await handleCancelDutySwap(req, res);
+        }
+        // 네이버웍스 봇 콜백 (메시지 버튼)
+        else if (req.url === '/bot/callback' && req.method === 'POST') {
+            await handleBotCallback(req, res);
+        }
+        // 메시지 발송함 관련 엔드포인트
+        else if (req.url === '/messages/outbox' && req.method === 'GET') {
+            await handleMessageOutbox(req, res);
+        }
+        else if ((req.url === '/messages/history' || req.url.startsWith('/messages/history?')) && req.method === 'GET') {
+            await handleMessageHistory(req, res);
+        }
+        else if (req.url === '/messages/dead-letters/retry' && req.method === 'POST') {
+            await handleRetryDeadLetters(req, res);
+        }
+        else if (req.url === '/messages/dead-letters/purge' && req.method === 'POST') {
+            await handlePurgeDeadLetters(req, res);
+        }
+        // 메시지 템플릿 관련 엔드포인트
+        else if (req.url === '/templates' && req.method === 'GET') {
+            await handleGetTemplates(req, res);
+        }
+        else if (req.url === '/templates/update' && req.method === 'POST') {
+            await handleUpdateTemplate(req, res);
+        }
+        else if (req.url === '/templates/reset' && req.method === 'POST') {
+            await handleResetTemplate(req, res);
+        }
+        else if (req.url === '/templates/preview' && req.method === 'POST') {
+            await handlePreviewTemplate(req, res);
+        }
         // GitHub 관련 엔드포인트
         else if (req.url === '/github/status' && req.method === 'GET') {
             await handleGitHubStatus(req, res);
@@ -182,10 +283,16 @@ async function handleUpdateSchedules(req, res) {
     logger.info('Processing schedule update request');
     const body = await getRequestBody(req);
     
-    const updatedSchedules = JSON.parse(body);
+    const config = configService.loadConfig();
+    const result = scheduleService.prepareSchedules(JSON.parse(body), config);
+    if (!result.success) {
+        res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end(JSON.stringify({ status: 'error', message: result.message }));
+        return;
+    }
+    const updatedSchedules = result.schedules;
     logger.debug(`Updating schedules: ${updatedSchedules.length} schedules received`);
     
-    const config = configService.loadConfig();
     config.schedules = updatedSchedules;
     configService.saveConfig(config);
     scheduleService.rescheduleJobs(config);
@@ -209,6 +316,13 @@ async function handleUpdateTeamMembers(req, res) {
     const updatedTeamMembers = JSON.parse(body);
     logger.debug(`Updating team members: ${updatedTeamMembers.length} members received`);
     
+    const invalidMember = updatedTeamMembers.find(member => member.timezone && !isValidTimezone(member.timezone));
+    if (invalidMember) {
+        res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end(JSON.stringify({ status: 'error', message: `올바르지 않은 시간대입니다: ${invalidMember.timezone} (${invalidMember.id})` }));
+        return;
+    }
+    
     configService.updateTeamMembers(updatedTeamMembers);
     logger.logConfigChange('team-members', `Updated ${updatedTeamMembers.length} team members`, updatedTeamMembers);
     
@@ -220,8 +334,199 @@ async function handleUpdateTeamMembers(req, res) {
     }));
 }
 
+/**
+ * 채널 목록 업데이트 핸들러
+ */
+async function handleUpdateChannels(req, res) {
+    logger.info('Processing channels update request');
+    const body = await getRequestBody(req);
+    
+    const updatedChannels = JSON.parse(body);
+    const invalidChannel = updatedChannels.find(channel => !channel.id || !channel.channelId);
+    if (invalidChannel) {
+        res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end(JSON.stringify({ status: 'error', message: '채널 키와 채널 ID는 필수입니다.' }));
+        return;
+    }
+    
+    configService.updateChannels(updatedChannels);
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ 
+        status: 'success', 
+        message: '채널 설정이 성공적으로 업데이트되었습니다.', 
+        channels: updatedChannels 
+    }));
+}
+
+/**
+ * 기본 작업 발송 대상 업데이트 핸들러
+ */
+async function handleUpdateJobTargets(req, res) {
+    logger.info('Processing job targets update request');
+    const body = await getRequestBody(req);
+    
+    const updatedJobTargets = JSON.parse(body);
+    configService.updateJobTargets(updatedJobTargets);
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ 
+        status: 'success', 
+        message: '기본 작업 발송 대상이 성공적으로 업데이트되었습니다.', 
+        jobTargets: configService.loadConfig().jobTargets 
+    }));
+}
+
+/**
+ * 기본 작업 목록 조회 핸들러
+ */
+async function handleGetDefaultJobs(req, res) {
+    logger.debug('Serving default jobs');
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, data: scheduleService.getDefaultJobs() }));
+}
+
+/**
+ * 기본 작업 설정 저장 핸들러
+ */
+async function handleUpdateDefaultJob(req, res) {
+    logger.info('Processing default job update request');
+    const body = await getRequestBody(req);
+    const { id, cronSchedule, timezone, enabled, target, template, catchUpPolicy, skipOnHolidays } = JSON.parse(body);
+    
+    const result = scheduleService.updateDefaultJob(id, { cronSchedule, timezone, enabled, target, template, catchUpPolicy, skipOnHolidays });
+    if (result.success) {
+        scheduleService.rescheduleJobs(configService.loadConfig());
+    }
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * Cron 표현식 미리보기 핸들러 (검증, 설명, 다음 실행 시각)
+ */
+async function handlePreviewCron(req, res) {
+    logger.debug('Processing cron preview request');
+    const body = await getRequestBody(req);
+    const { cronSchedule, timezone, count } = JSON.parse(body);
+    
+    const result = scheduleService.previewCronSchedule(cronSchedule, { timezone, count });
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 기본 작업 설정 기본값 복원 핸들러
+ */
+async function handleResetDefaultJob(req, res) {
+    logger.info('Processing default job reset request');
+    const body = await getRequestBody(req);
+    const { id } = JSON.parse(body);
+    
+    const result = scheduleService.resetDefaultJob(id);
+    if (result.success) {
+        scheduleService.rescheduleJobs(configService.loadConfig());
+    }
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 작업 실행 현황 조회 핸들러 (다음 실행 시각, 최근 실행 결과)
+ */
+async function handleSchedulesStatus(req, res) {
+    logger.debug('Serving schedules status');
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, data: scheduleService.getSchedulesStatus() }));
+}
+
+/**
+ * 클러스터 현황 조회 핸들러 (이 인스턴스, 리더 인스턴스, 살아 있는 인스턴스 목록)
+ */
+async function handleClusterStatus(req, res) {
+    logger.debug('Serving cluster status');
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, data: await lockService.getClusterStatus() }));
+}
+
+/**
+ * 휴일 목록 조회 핸들러 (공휴일 + 회사 지정 휴일)
+ * 쿼리: year (생략 시 올해)
+ */
+async function handleGetHolidays(req, res) {
+    logger.debug(`Serving holidays: ${req.url}`);
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const year = parseInt(url.searchParams.get('year')) || new Date().getFullYear();
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({
+        success: true,
+        data: {
+            year,
+            holidays: holidayService.getHolidays(year),
+            customHolidays: holidayService.getCustomHolidays()
+        }
+    }));
+}
+
+/**
+ * 회사 지정 휴일 저장 핸들러
+ */
+async function handleUpdateCustomHolidays(req, res) {
+    logger.info('Processing custom holidays update request');
+    const body = await getRequestBody(req);
+    
+    const result = holidayService.updateCustomHolidays(JSON.parse(body));
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 발송 중지 기간 업데이트 핸들러
+ */
+async function handleUpdateBlackoutPeriods(req, res) {
+    logger.info('Processing blackout periods update request');
+    const body = await getRequestBody(req);
+    
+    const result = blackoutService.updateBlackoutPeriods(JSON.parse(body));
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 팀원 부재 일정 조회 핸들러
+ */
+async function handleGetMemberAvailability(req, res) {
+    logger.debug('Processing member availability request');
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, records: availabilityService.getMemberAvailability() }));
+}
+
+/**
+ * 팀원 부재 일정 업데이트 핸들러
+ */
+async function handleUpdateMemberAvailability(req, res) {
+    logger.info('Processing member availability update request');
+    const body = await getRequestBody(req);
+    
+    const result = availabilityService.updateMemberAvailability(JSON.parse(body));
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
 /**
  * 스케줄 실행 핸들러
+ * 일시 중지·유효 기간·발송 중지 기간으로 실행할 수 없으면 409
  */
 async function handleExecuteSchedule(req, res) {
     logger.info('Processing schedule execution request');
@@ -231,10 +536,28 @@ async function handleExecuteSchedule(req, res) {
     logger.info(`Executing schedule immediately: ${scheduleId}`);
     
     const config = configService.loadConfig();
-    await scheduleService.executeScheduleById(scheduleId, config);
+    const result = await scheduleService.executeScheduleById(scheduleId, config);
     
-    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
-    res.end(JSON.stringify({ status: 'success', message: '스케줄이 성공적으로 실행되었습니다.' }));
+    let statusCode = result.success ? 200 : 500;
+    if (result.suppressed) {
+        statusCode = 409;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ 
+        status: getResultStatus(result), 
+        message: result.message,
+        sendResults: result.sendResults
+    }));
+}
+
+/**
+ * 발송을 포함한 작업 결과의 응답 상태
+ * @param {Object} result - { success, partialFailure }
+ * @returns {string} - 'success' | 'partial' | 'error'
+ */
+function getResultStatus(result) {
+    if (!result.success) return 'error';
+    return result.partialFailure ? 'partial' : 'success';
 }
 
 /**
@@ -242,12 +565,14 @@ async function handleExecuteSchedule(req, res) {
  */
 async function handleExecuteWeeklyDuty(req, res) {
     logger.info('Processing manual weekly duty assignment');
-    const result = await dutyService.assignWeeklyDutySchedule();
+    // 수동 실행은 이미 편성된 주도 다시 편성
+    const result = await dutyService.assignWeeklyDutySchedule({ source: 'manual_weekly_duty', replan: true });
     
     res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
     res.end(JSON.stringify({ 
-        status: result.success ? 'success' : 'error', 
-        message: result.message 
+        status: getResultStatus(result), 
+        message: result.message,
+        sendResults: result.sendResults
     }));
 }
 
@@ -256,14 +581,20 @@ async function handleExecuteWeeklyDuty(req, res) {
  */
 async function handlePreviewWeeklyDuty(req, res) {
     logger.info('Processing weekly duty preview request');
-    const previewResult = await dutyService.previewWeeklyDutySchedule();
+    // 본문은 선택 사항 ({ seed, range, month, startDate, endDate }, 없으면 이번 주·무작위 시드)
+    const body = await getRequestBody(req);
+    const { seed, range, month, startDate, endDate } = body ? JSON.parse(body) : {};
+    const previewResult = await dutyService.previewWeeklyDutySchedule({ seed, range, month, startDate, endDate });
     
     res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
     res.end(JSON.stringify({ 
         status: previewResult.success ? 'success' : 'error', 
         message: previewResult.message,
+        range: previewResult.range,
         data: previewResult.data,
-        preview: previewResult.preview
+        preview: previewResult.preview,
+        memberSummary: previewResult.memberSummary,
+        solution: previewResult.solution
     }));
 }
 
@@ -275,26 +606,212 @@ async function handleConfirmWeeklyDuty(req, res) {
     const body = await getRequestBody(req);
     const { previewData } = JSON.parse(body);
     
-    const result = await dutyService.confirmWeeklyDutySchedule(previewData);
+    const result = await dutyService.confirmWeeklyDutySchedule(previewData, { source: 'manual_weekly_duty' });
     
     res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
     res.end(JSON.stringify({ 
-        status: result.success ? 'success' : 'error', 
-        message: result.message 
+        status: getResultStatus(result), 
+        message: result.message,
+        sendResults: result.sendResults
     }));
 }
 
+/**
+ * 당직 확인 핸들러 (대시보드에서 JSON { date, memberId, token } 으로, 웹 확인 링크 화면에서 폼 { date, member, token } 으로 확인 처리)
+ */
+async function handleDutyAck(req, res) {
+    logger.info('Processing duty acknowledgement');
+    const body = await getRequestBody(req);
+    
+    // 웹 확인 링크 화면의 확인 버튼 (폼 제출, 토큰 검증)
+    if ((req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+        const form = new URLSearchParams(body);
+        const linkResult = dutyAckService.acknowledgeByLink(form.get('date'), form.get('member'), form.get('token'));
+        sendDutyAckPage(res, linkResult.success ? 200 : 400, `${linkResult.success ? '✅' : '⚠️'} ${linkResult.message}`);
+        return;
+    }
+    
+    // 대시보드의 확인 처리 버튼 (JSON, 당직 현황에 담긴 팀원별 토큰 검증)
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end(JSON.stringify({ success: false, message: '요청 본문이 올바른 JSON 이 아닙니다.' }));
+        return;
+    }
+    const { date, memberId, token } = payload || {};
+    
+    const result = dutyAckService.acknowledgeByLink(date, memberId, token, 'dashboard');
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 웹 확인 링크 핸들러 (메시지에서 링크를 열면 확인 버튼이 있는 화면 표시)
+ * 링크 미리보기나 크롤러가 링크를 열기만 해도 확인되지 않도록 여기서는 기록하지 않고, 버튼이 POST /duty-ack 로 제출
+ * 쿼리: date, member, token
+ */
+async function handleDutyAckLink(req, res) {
+    logger.debug('Processing duty acknowledgement link');
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const date = url.searchParams.get('date');
+    const member = url.searchParams.get('member');
+    const token = url.searchParams.get('token');
+    
+    const result = dutyAckService.verifyAckLink(date, member, token);
+    if (!result.success) {
+        sendDutyAckPage(res, 400, `⚠️ ${result.message}`);
+        return;
+    }
+    if (result.acknowledged) {
+        sendDutyAckPage(res, 200, `✅ 이미 ${date} 당직을 확인했습니다.`);
+        return;
+    }
+    
+    sendDutyAckPage(res, 200, `${result.member.name}님, ${result.message}`, `
+        <form method="POST" action="/duty-ack">
+            <input type="hidden" name="date" value="${escapeHtml(date)}">
+            <input type="hidden" name="member" value="${escapeHtml(member)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">당직 확인</button>
+        </form>`);
+}
+
+/**
+ * 웹 확인 링크 화면 응답
+ * @param {Object} res - 응답 객체
+ * @param {number} statusCode - 상태 코드
+ * @param {string} message - 표시할 문구
+ * @param {string} [formHtml] - 확인 버튼 폼 HTML
+ */
+function sendDutyAckPage(res, statusCode, message, formHtml = '') {
+    res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=UTF-8' });
+    res.end(`<!DOCTYPE html>
+<html lang="ko">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex, nofollow">
+    <title>당직 확인</title>
+</head>
+<body style="font-family: sans-serif; text-align: center; padding: 40px 16px;">
+    <p>${escapeHtml(message)}</p>${formHtml}
+</body>
+</html>`);
+}
+
+/**
+ * HTML 특수 문자 이스케이프
+ * @param {string} value - 문자열
+ * @returns {string} - 이스케이프된 문자열
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 당직 교환 요청 목록 핸들러
+ */
+async function handleGetDutySwaps(req, res) {
+    logger.debug('Processing duty swap list request');
+    const config = configService.loadConfig();
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({
+        success: true,
+        requireApproval: config.dutySwap.requireApproval,
+        statuses: dutySwapService.SWAP_STATUSES,
+        requests: dutySwapService.getSwapRequests(config)
+    }));
+}
+
+/**
+ * 당직 교환 요청 생성 핸들러
+ */
+async function handleCreateDutySwap(req, res) {
+    logger.info('Processing duty swap request');
+    const body = await getRequestBody(req);
+    
+    const result = await dutySwapService.createSwapRequest(JSON.parse(body));
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 당직 교환 수락/거절 핸들러
+ */
+async function handleRespondDutySwap(req, res) {
+    logger.info('Processing duty swap response');
+    const body = await getRequestBody(req);
+    const { id, memberId, accept } = JSON.parse(body);
+    
+    const result = await dutySwapService.respondToSwapRequest(id, memberId, accept === true);
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ ...result, status: getResultStatus(result) }));
+}
+
+/**
+ * 당직 교환 승인/반려 핸들러
+ */
+async function handleDecideDutySwap(req, res) {
+    logger.info('Processing duty swap approval');
+    const body = await getRequestBody(req);
+    const { id, approverId, approve } = JSON.parse(body);
+    
+    const result = await dutySwapService.decideSwapRequest(id, approverId, approve === true);
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ ...result, status: getResultStatus(result) }));
+}
+
+/**
+ * 당직 교환 취소 핸들러
+ */
+async function handleCancelDutySwap(req, res) {
+    logger.info('Processing duty swap cancellation');
+    const body = await getRequestBody(req);
+    const { id, memberId } = JSON.parse(body);
+    
+    const result = dutySwapService.cancelSwapRequest(id, memberId);
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 네이버웍스 봇 콜백 핸들러 (서명이 틀리면 401, 그 외에는 봇이 재전송하지 않도록 200)
+ */
+async function handleBotCallback(req, res) {
+    logger.debug('Processing bot callback');
+    const body = await getRequestBody(req);
+    
+    const result = await botCallbackService.handleBotCallback(body, req.headers['x-works-signature']);
+    
+    res.writeHead(result.statusCode, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: result.success, message: result.message }));
+}
+
 /**
  * 코드리뷰 실행 핸들러
  */
 async function handleExecuteCodeReview(req, res) {
     logger.info('Processing manual code review pair assignment');
-    await teamService.assignCodeReviewPairsAndSendMessage();
+    const result = await teamService.assignCodeReviewPairsAndSendMessage({ source: 'manual_code_review_pairs' });
     
-    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.writeHead(result.success ? 200 : 500, { 'Content-Type': 'application/json; charset=UTF-8' });
     res.end(JSON.stringify({ 
-        status: 'success', 
-        message: '코드 리뷰 짝꿍이 성공적으로 편성되었습니다.' 
+        status: getResultStatus(result), 
+        message: result.message,
+        sendResults: result.sendResults
     }));
 }
 
@@ -320,6 +837,127 @@ async function handleTodayDuty(req, res) {
     res.end(JSON.stringify(todayDuty));
 }
 
+/**
+ * 메시지 발송함 조회 핸들러
+ */
+async function handleMessageOutbox(req, res) {
+    logger.debug('Serving message outbox status');
+    const outboxStatus = messageService.getOutboxStatus();
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, data: outboxStatus }));
+}
+
+/**
+ * 발송 이력 조회 핸들러
+ * 쿼리: recipient, kind(single|channel), source, status(success|failed), from, to, q, page, pageSize
+ */
+async function handleMessageHistory(req, res) {
+    logger.debug(`Serving message history: ${req.url}`);
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    
+    const filters = {};
+    ['recipient', 'kind', 'source', 'status', 'from', 'to', 'q', 'page', 'pageSize'].forEach(key => {
+        const value = url.searchParams.get(key);
+        if (value) {
+            filters[key] = value;
+        }
+    });
+    
+    const historyResult = messageService.getMessageHistory(filters);
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, data: historyResult }));
+}
+
+/**
+ * 발송 실패 메시지 재시도 핸들러
+ */
+async function handleRetryDeadLetters(req, res) {
+    logger.info('Processing dead letter retry request');
+    const body = await getRequestBody(req);
+    const { id } = body ? JSON.parse(body) : {};
+    
+    const results = await messageService.retryDeadLetters(id || null);
+    const successCount = results.filter(r => r.success).length;
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ 
+        success: true, 
+        message: `${results.length}건 중 ${successCount}건 재전송에 성공했습니다.`,
+        data: results
+    }));
+}
+
+/**
+ * 발송 실패 메시지 삭제 핸들러
+ */
+async function handlePurgeDeadLetters(req, res) {
+    logger.info('Processing dead letter purge request');
+    const body = await getRequestBody(req);
+    const { id } = body ? JSON.parse(body) : {};
+    
+    const purgedCount = messageService.purgeDeadLetters(id || null);
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ 
+        success: true, 
+        message: `${purgedCount}건의 발송 실패 메시지가 삭제되었습니다.`
+    }));
+}
+
+/**
+ * 메시지 템플릿 목록 조회 핸들러
+ */
+async function handleGetTemplates(req, res) {
+    logger.debug('Serving message templates');
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify({ success: true, data: templateService.getTemplates() }));
+}
+
+/**
+ * 메시지 템플릿 저장 핸들러
+ */
+async function handleUpdateTemplate(req, res) {
+    logger.info('Processing template update request');
+    const body = await getRequestBody(req);
+    const { key, body: templateBody, locale } = JSON.parse(body);
+    
+    const result = templateService.updateTemplate(key, templateBody, locale);
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 메시지 템플릿 기본값 복원 핸들러
+ */
+async function handleResetTemplate(req, res) {
+    logger.info('Processing template reset request');
+    const body = await getRequestBody(req);
+    const { key, locale } = JSON.parse(body);
+    
+    const result = templateService.resetTemplate(key, locale);
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
+/**
+ * 메시지 템플릿 미리보기 핸들러 (저장하지 않음)
+ */
+async function handlePreviewTemplate(req, res) {
+    logger.debug('Processing template preview request');
+    const body = await getRequestBody(req);
+    const { key, body: templateBody, locale } = JSON.parse(body);
+    
+    const result = templateService.previewTemplate(key, templateBody, locale);
+    
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(result));
+}
+
 /**
  * GitHub 상태 조회 핸들러
  */
@@ -417,7 +1055,8 @@ async function handleGitHubWeeklyReport(req, res) {
     
     if (result.success) {
         // 메시지 발송
-        await messageService.sendChannelMessage(result.message);
+        const { dashboardUrl } = messageService.getMessageConfig();
+        await messageService.sendToJobTarget('github_weekly_report', gitHubService.buildReportMessage(result.message, 'weekly', dashboardUrl), { source: 'manual_github_weekly_report' });
         
         // 아카이브에 저장
         const archiveResult = gitHubService.sendAndArchiveReport(result.message, 'weekly', {
@@ -483,7 +1122,8 @@ async function handleGitHubMonthlyReport(req, res) {
     
     if (result.success) {
         // 메시지 발송
-        await messageService.sendChannelMessage(result.message);
+        const { dashboardUrl } = messageService.getMessageConfig();
+        await messageService.sendToJobTarget('github_monthly_report', gitHubService.buildReportMessage(result.message, 'monthly', dashboardUrl), { source: 'manual_github_monthly_report' });
         
         // 아카이브에 저장
         const archiveResult = gitHubService.sendAndArchiveReport(result.message, 'monthly', {
@@ -530,12 +1170,18 @@ async function handleGitHubSendReport(req, res) {
                 }
                 
                 // 메시지 발송
-                await messageService.sendChannelMessage(message);
+                const gitHubService = scheduleService.getGitHubService();
+                const { dashboardUrl } = messageService.getMessageConfig();
+                const reportMessage = gitHubService.buildReportMessage(message, reportType, dashboardUrl);
+                if (reportType === 'weekly' || reportType === 'monthly') {
+                    await messageService.sendToJobTarget(`github_${reportType}_report`, reportMessage, { source: 'manual_github_report' });
+                } else {
+                    await messageService.sendChannelMessage(reportMessage, null, { source: 'manual_github_report' });
+                }
                 
                 // 아카이브에 저장 (reportType이 있는 경우만)
                 let archiveResult = null;
                 if (reportType) {
-                    const gitHubService = scheduleService.getGitHubService();
                     archiveResult = gitHubService.sendAndArchiveReport(message, reportType, {
                         sentVia: 'manual_send',
                         originalReportType: reportType
@@ -574,7 +1220,7 @@ async function handleGitHubCustomReport(req, res) {
     
     if (result.success) {
         if (sendToChannel) {
-            await messageService.sendChannelMessage(result.message);
+            await messageService.sendChannelMessage(result.message, null, { source: 'manual_github_custom_report' });
         }
         res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
         res.end(JSON.stringify({
@@ -618,7 +1264,7 @@ async function handleGitHubCheckAlerts(req, res) {
     const result = await gitHubService.checkAndSendActivityAlerts();
     
     if (result.success) {
-        await messageService.sendChannelMessage(result.message);
+        await messageService.sendChannelMessage(result.message, null, { source: 'github_activity_alert' });
         res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
         res.end(JSON.stringify({ success: true, message: '활동 알림이 전송되었습니다.' }));
     } else {
@@ -0,0 +1,158 @@
+// src/services/availability-service.js
+// 팀원 부재 일정 서비스 - 휴가, 외근, 반차, 매주 정해진 요일 부재를 기록하고 당직 편성·코드 리뷰 짝꿍에서 제외
+
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { isValidDateKey } = require('./blackout-service');
+const { getDayOfWeek } = require('./holiday-service');
+
+/**
+ * 부재 시간대
+ * full 은 당직 편성에서 제외(필수 조건), am/pm 반차는 가능하면 제외(비용)
+ */
+const AVAILABILITY_PERIODS = {
+    full: '종일',
+    am: '오전 반차',
+    pm: '오후 반차'
+};
+
+/**
+ * 팀원 부재 일정 목록
+ * @param {Object} [config] - 설정 객체
+ * @returns {Array} - [{ id, memberId, startDate, endDate, weekdays, period, reason }]
+ */
+function getMemberAvailability(config = configService.loadConfig()) {
+    return config.memberAvailability || [];
+}
+
+/**
+ * 부재 일정이 날짜에 해당하는지 확인
+ * 기간(startDate~endDate)만 있으면 기간 내 모든 날, 요일(weekdays)이 있으면 기간 내(기간이 없으면 항상) 그 요일
+ * @param {Object} record - 부재 일정
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @returns {boolean} - 해당하면 true
+ */
+function appliesOn(record, dateKey) {
+    if (record.startDate && dateKey < record.startDate) return false;
+    if (record.endDate && dateKey > record.endDate) return false;
+    return record.weekdays.length === 0 || record.weekdays.includes(getDayOfWeek(dateKey));
+}
+
+/**
+ * 팀원의 특정 날짜 부재 정보
+ * @param {string} memberId - 팀원 id
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {Object} [config] - 설정 객체
+ * @returns {Object|null} - { period: 'full'|'half', reasons } (부재가 없으면 null, 오전·오후 반차가 겹치면 full)
+ */
+function getUnavailability(memberId, dateKey, config = configService.loadConfig()) {
+    const records = getMemberAvailability(config).filter(record => record.memberId === memberId && appliesOn(record, dateKey));
+    if (records.length === 0) {
+        return null;
+    }
+
+    const periods = new Set(records.map(record => record.period));
+    const isFullDay = periods.has('full') || (periods.has('am') && periods.has('pm'));
+    return {
+        period: isFullDay ? 'full' : 'half',
+        reasons: records.map(record => record.reason || AVAILABILITY_PERIODS[record.period])
+    };
+}
+
+/**
+ * 날짜별 부재 팀원 (당직 솔버 입력용)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {Array} members - 팀원 목록
+ * @param {Object} [config] - 설정 객체
+ * @returns {Object} - { unavailableMemberIds: 종일 부재, halfDayMemberIds: 반차 }
+ */
+function getUnavailableMembersOn(dateKey, members, config = configService.loadConfig()) {
+    const unavailableMemberIds = [];
+    const halfDayMemberIds = [];
+    members.forEach(member => {
+        const unavailability = getUnavailability(member.id, dateKey, config);
+        if (!unavailability) return;
+        (unavailability.period === 'full' ? unavailableMemberIds : halfDayMemberIds).push(member.id);
+    });
+    return { unavailableMemberIds, halfDayMemberIds };
+}
+
+/**
+ * 주어진 날짜 모두 종일 부재인지 확인 (코드 리뷰 짝꿍에서 한 주 내내 자리를 비우는 팀원 제외용)
+ * @param {string} memberId - 팀원 id
+ * @param {Array} dateKeys - 날짜 키 목록
+ * @param {Object} [config] - 설정 객체
+ * @returns {boolean} - 모든 날짜에 종일 부재이면 true
+ */
+function isAwayOnAll(memberId, dateKeys, config = configService.loadConfig()) {
+    return dateKeys.length > 0 && dateKeys.every(dateKey => {
+        const unavailability = getUnavailability(memberId, dateKey, config);
+        return !!unavailability && unavailability.period === 'full';
+    });
+}
+
+/**
+ * 팀원 부재 일정 저장
+ * @param {Array} records - [{ id, memberId, startDate, endDate, weekdays: [0=일 ~ 6=토], period: 'full'|'am'|'pm', reason }]
+ * @returns {Object} - { success, message, records }
+ */
+function updateMemberAvailability(records) {
+    if (!Array.isArray(records)) {
+        return { success: false, message: '부재 일정 목록 형식이 올바르지 않습니다.' };
+    }
+
+    const config = configService.loadConfig();
+    const memberAvailability = [];
+    for (const record of records) {
+        const memberId = String(record.memberId || '').trim();
+        const startDate = String(record.startDate || '').trim();
+        const endDate = String(record.endDate || startDate).trim();
+        const weekdays = Array.isArray(record.weekdays) ? [...new Set(record.weekdays.map(Number))].sort() : [];
+        const period = record.period || 'full';
+        const reason = String(record.reason || '').trim();
+
+        if (!config.teamMembers.some(member => member.id === memberId)) {
+            return { success: false, message: `등록되지 않은 팀원입니다: ${memberId}` };
+        }
+        if (!startDate && weekdays.length === 0) {
+            return { success: false, message: `부재 기간이나 요일을 입력해주세요: ${memberId}` };
+        }
+        if ((startDate && !isValidDateKey(startDate)) || (endDate && !isValidDateKey(endDate))) {
+            return { success: false, message: `올바르지 않은 날짜입니다: ${memberId}` };
+        }
+        if (startDate && endDate && startDate > endDate) {
+            return { success: false, message: `종료일이 시작일보다 빠릅니다: ${memberId}` };
+        }
+        if (weekdays.some(weekday => !Number.isInteger(weekday) || weekday < 0 || weekday > 6)) {
+            return { success: false, message: `올바르지 않은 요일입니다: ${memberId}` };
+        }
+        if (!AVAILABILITY_PERIODS[period]) {
+            return { success: false, message: `알 수 없는 부재 시간대입니다: ${period}` };
+        }
+
+        memberAvailability.push({
+            id: record.id || `${memberId}_${Date.now()}_${memberAvailability.length}`,
+            memberId,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            weekdays,
+            period,
+            reason
+        });
+    }
+
+    memberAvailability.sort((a, b) => (a.startDate || '').localeCompare(b.startDate || '') || a.memberId.localeCompare(b.memberId));
+    configService.updateMemberAvailability(memberAvailability);
+    logger.info(`Member availability updated: ${memberAvailability.length} entries`);
+
+    return { success: true, message: '부재 일정이 저장되었습니다.', records: memberAvailability };
+}
+
+module.exports = {
+    AVAILABILITY_PERIODS,
+    getMemberAvailability,
+    getUnavailability,
+    getUnavailableMembersOn,
+    isAwayOnAll,
+    updateMemberAvailability
+};
@@ -4,8 +4,9 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../../logger');
+const configService = require('./config-service');
 
-const TASKS_DIR = path.join(__dirname, '../../cache/background-tasks');
+const TASKS_DIR = configService.getCacheDirectory('background-tasks');
 const TASK_STATUS_FILE = path.join(TASKS_DIR, 'task-status.json');
 
 class BackgroundTaskManager {
@@ -20,7 +21,7 @@ class BackgroundTaskManager {
         // 주기적으로 작업 상태 저장
         setInterval(() => {
             this.saveTasksToDisk();
-        }, 5000); // 5초마다 저장
+        }, 5000).unref(); // 5초마다 저장
     }
 
     /**
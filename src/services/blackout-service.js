@@ -0,0 +1,103 @@
+// src/services/blackout-service.js
+// 발송 중지 기간 서비스 - 전사 휴가 주간 등 지정한 기간에 선택한 종류의 작업을 자동·즉시 실행하지 않음
+
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { toDateKey } = require('./holiday-service');
+
+/**
+ * 발송 중지 대상 작업 종류
+ * 기본 작업은 DEFAULT_JOBS 의 jobType, 사용자 정의 스케줄은 스케줄 type 으로 구분
+ */
+const BLACKOUT_JOB_TYPES = {
+    duty: '당직 편성·알림',
+    laptop_duty: '노트북 지참 알림',
+    code_review: '코드 리뷰 짝꿍',
+    github_report: 'GitHub 리포트',
+    message: '일반 메시지'
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 날짜 키 형식 확인
+ * @param {string} value - 날짜 키 (YYYY-MM-DD)
+ * @returns {boolean} - 올바른 날짜이면 true
+ */
+function isValidDateKey(value) {
+    return DATE_KEY_PATTERN.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/**
+ * 발송 중지 기간 목록
+ * @param {Object} [config] - 설정 객체
+ * @returns {Array} - [{ id, name, startDate, endDate, jobTypes }]
+ */
+function getBlackoutPeriods(config = configService.loadConfig()) {
+    return config.blackoutPeriods || [];
+}
+
+/**
+ * 특정 날짜에 작업 종류를 막는 발송 중지 기간
+ * @param {string} jobType - 작업 종류 (BLACKOUT_JOB_TYPES)
+ * @param {Date|string} [date] - 날짜 또는 날짜 키 (Date 는 KST 기준 날짜로 판단)
+ * @param {Object} [config] - 설정 객체
+ * @returns {Object|null} - 발송 중지 기간 (해당 없으면 null)
+ */
+function getActiveBlackout(jobType, date = new Date(), config = configService.loadConfig()) {
+    const dateKey = toDateKey(date);
+    return getBlackoutPeriods(config).find(period =>
+        period.startDate <= dateKey && dateKey <= period.endDate &&
+        // 작업 종류를 지정하지 않은 기간은 모든 작업에 적용
+        (period.jobTypes.length === 0 || period.jobTypes.includes(jobType))
+    ) || null;
+}
+
+/**
+ * 발송 중지 기간 저장
+ * @param {Array} periods - [{ id, name, startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', jobTypes: [] }]
+ * @returns {Object} - { success, message, periods }
+ */
+function updateBlackoutPeriods(periods) {
+    if (!Array.isArray(periods)) {
+        return { success: false, message: '발송 중지 기간 목록 형식이 올바르지 않습니다.' };
+    }
+
+    const blackoutPeriods = [];
+    for (const period of periods) {
+        const name = String(period.name || '').trim();
+        const startDate = String(period.startDate || '').trim();
+        const endDate = String(period.endDate || startDate).trim();
+        const jobTypes = Array.isArray(period.jobTypes) ? [...new Set(period.jobTypes)] : [];
+
+        if (!name) {
+            return { success: false, message: '발송 중지 기간 이름을 입력해주세요.' };
+        }
+        if (!isValidDateKey(startDate) || !isValidDateKey(endDate)) {
+            return { success: false, message: `올바르지 않은 날짜입니다: ${name}` };
+        }
+        if (startDate > endDate) {
+            return { success: false, message: `종료일이 시작일보다 빠릅니다: ${name}` };
+        }
+        const unknownType = jobTypes.find(jobType => !BLACKOUT_JOB_TYPES[jobType]);
+        if (unknownType) {
+            return { success: false, message: `알 수 없는 작업 종류입니다: ${unknownType}` };
+        }
+
+        blackoutPeriods.push({ id: period.id || `${startDate}_${Date.now()}_${blackoutPeriods.length}`, name, startDate, endDate, jobTypes });
+    }
+
+    blackoutPeriods.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    configService.updateBlackoutPeriods(blackoutPeriods);
+    logger.info(`Blackout periods updated: ${blackoutPeriods.length} entries`);
+
+    return { success: true, message: '발송 중지 기간이 저장되었습니다.', periods: blackoutPeriods };
+}
+
+module.exports = {
+    BLACKOUT_JOB_TYPES,
+    isValidDateKey,
+    getBlackoutPeriods,
+    getActiveBlackout,
+    updateBlackoutPeriods
+};
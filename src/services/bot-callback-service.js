@@ -0,0 +1,101 @@
+// src/services/bot-callback-service.js
+// 네이버웍스 봇 콜백 처리 - 메시지 버튼(messageAction)을 누르면 전달되는 postback 을 기능별 처리기로 연결
+
+const crypto = require('crypto');
+const logger = require('../../logger');
+const configService = require('./config-service');
+const messageService = require('./message-service');
+const dutySwapService = require('./duty-swap-service');
+const dutyAckService = require('./duty-ack-service');
+
+/**
+ * postback 처리기 ('<접두사>:<동작>:<대상 id>' 형식의 접두사별)
+ * 처리기는 (action, targetId, member) => Promise<{ success, message }>
+ */
+const POSTBACK_HANDLERS = {
+    [dutySwapService.POSTBACK_PREFIX]: (action, targetId, member) => dutySwapService.handlePostback(action, targetId, member.id),
+    [dutyAckService.POSTBACK_PREFIX]: (action, targetId, member) => dutyAckService.handlePostback(action, targetId, member.id)
+};
+
+/**
+ * 콜백 서명 확인 (X-WORKS-Signature = base64(HMAC-SHA256(Bot Secret, 본문)))
+ * Bot Secret 이 설정되지 않았으면 누구나 다른 팀원으로 위장할 수 있으므로 모든 콜백을 거부
+ * @param {string} body - 요청 본문 원문
+ * @param {string} [signature] - X-WORKS-Signature 헤더 값
+ * @returns {boolean} - 서명이 맞으면 true
+ */
+function verifySignature(body, signature) {
+    const { botSecret } = configService.getMessagingConfig().transports['naverworks-bot'] || {};
+    if (!botSecret || !signature) {
+        return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', botSecret).update(body, 'utf8').digest('base64'));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 콜백 발신자를 팀원으로 찾기 (팀원 id 또는 수신자 이메일로 비교)
+ * @param {string} userId - 콜백의 source.userId
+ * @param {Object} config - 설정 객체
+ * @returns {Object|null} - 팀원 (없으면 null)
+ */
+function findMember(userId, config) {
+    const { recipientDomain } = config.messaging;
+    return config.teamMembers.find(member =>
+        member.id === userId || messageService.toRecipientEmail(member.id, recipientDomain) === userId
+    ) || null;
+}
+
+/**
+ * 봇 콜백 처리
+ * 메시지 액션은 content.postback, postback 액션은 data 로 전달됨
+ * 처리 결과는 버튼을 누른 팀원에게 DM으로 회신
+ * @param {string} body - 요청 본문 원문
+ * @param {string} [signature] - X-WORKS-Signature 헤더 값
+ * @returns {Promise<Object>} - { success, message, statusCode }
+ */
+async function handleBotCallback(body, signature) {
+    const { botSecret } = configService.getMessagingConfig().transports['naverworks-bot'] || {};
+    if (!botSecret) {
+        logger.warn('Rejected bot callback: Bot Secret is not configured');
+        return { success: false, message: 'Bot Secret 이 설정되지 않아 봇 콜백을 받을 수 없습니다.', statusCode: 403 };
+    }
+    if (!verifySignature(body, signature)) {
+        logger.warn('Rejected bot callback with invalid signature');
+        return { success: false, message: '서명이 올바르지 않습니다.', statusCode: 401 };
+    }
+
+    const event = JSON.parse(body);
+    const postback = event.data || (event.content && event.content.postback);
+    const userId = event.source && event.source.userId;
+    if (!postback) {
+        // 일반 대화 메시지 등 postback 이 없는 콜백은 무시
+        return { success: true, message: '처리할 postback 이 없습니다.', statusCode: 200 };
+    }
+
+    const [prefix, action, ...rest] = postback.split(':');
+    const handler = POSTBACK_HANDLERS[prefix];
+    if (!handler) {
+        logger.warn(`Unknown bot postback: ${postback}`);
+        return { success: false, message: `알 수 없는 postback 입니다: ${prefix}`, statusCode: 200 };
+    }
+
+    const config = configService.loadConfig();
+    const member = findMember(userId, config);
+    if (!member) {
+        logger.warn(`Bot postback from unknown user ${userId}: ${postback}`);
+        return { success: false, message: '등록된 팀원이 아닙니다.', statusCode: 200 };
+    }
+
+    logger.info(`Processing bot postback ${postback} from ${member.id}`);
+    const result = await handler(action, rest.join(':'), member);
+    await messageService.sendSingleMessage(messageService.toRecipientEmail(member.id, config.messaging.recipientDomain), result.message, { source: 'bot_callback' });
+    return { success: result.success, message: result.message, statusCode: 200 };
+}
+
+module.exports = {
+    verifySignature,
+    handleBotCallback
+};
@@ -5,7 +5,15 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../../logger');
 
-const CONFIG_FILE = path.join(__dirname, '../../config.json');
+// CONFIG_FILE 환경 변수로 다른 설정 파일을 지정할 수 있음 (테스트 등)
+const CONFIG_FILE = process.env.CONFIG_FILE
+    ? path.resolve(process.env.CONFIG_FILE)
+    : path.join(__dirname, '../../config.json');
+
+// CACHE_DIR 환경 변수로 런타임 캐시 위치를 바꿀 수 있음 (테스트 등)
+const CACHE_DIR = process.env.CACHE_DIR
+    ? path.resolve(process.env.CACHE_DIR)
+    : path.join(__dirname, '../../cache');
 
 /**
  * 기본 설정 구조
@@ -14,9 +22,153 @@ const DEFAULT_CONFIG = {
     schedules: [],
     teamMembers: [],
     codeReviewPairs: [],
-    dailyDutySchedule: {}
+    dailyDutySchedule: {},
+    // 이름 있는 채널 목록 [{ id, name, channelId, description, locale }]
+    channels: [],
+    // 기본 작업별 발송 대상 { channels: [채널 id], users: [팀원 ID 또는 이메일], groups: ['all' | 'authorized'] }
+    // 대상이 비어 있으면 messaging.defaultChannelId 채널로 발송
+    jobTargets: {
+        weekly_duty: { channels: [], users: [], groups: [] },
+        duty_reminder: { channels: [], users: [], groups: [] },
+        code_review_pairs: { channels: [], users: [], groups: [] },
+        laptop_duty: { channels: [], users: [], groups: ['all'] },
+        github_weekly_report: { channels: [], users: ['tmddud333@naver.com'], groups: [] },
+        github_monthly_report: { channels: [], users: [], groups: [] },
+        // 놓친 스케줄 등 관리자 알림
+        admin_alerts: { channels: [], users: [], groups: ['authorized'] },
+        // 당직자가 정한 시각까지 당직을 확인하지 않았을 때 알림
+        duty_ack_escalation: { channels: [], users: [], groups: ['authorized'] }
+    },
+    // 사용자 지정 메시지 템플릿 { 템플릿 키: { 언어: 템플릿 본문 } } - 없는 키/언어는 기본 템플릿 사용
+    templates: {},
+    // 기본 작업 설정 { 작업 id: { cronSchedule, enabled, target, template, catchUpPolicy, skipOnHolidays } } - 없는 작업은 기본값 사용
+    // target 이 없으면 jobTargets, template 이 없으면 공용 템플릿 사용
+    defaultJobs: {},
+    // 회사 지정 휴일 [{ date: 'YYYY-MM-DD', name }] - 법정 공휴일은 holiday-service 에 내장
+    customHolidays: [],
+    // 발송 중지 기간 [{ id, name, startDate, endDate, jobTypes: [작업 종류] }] - jobTypes 가 비어 있으면 모든 작업
+    blackoutPeriods: [],
+    // 팀원 부재 일정 [{ id, memberId, startDate, endDate, weekdays: [요일], period: 'full'|'am'|'pm', reason }] - 당직 편성·코드 리뷰 짝꿍에서 제외
+    memberAvailability: [],
+    // 당직 교환 설정 - requireApproval 이 true 이면 상대 팀원이 수락한 뒤 권한 있는 팀원이 승인해야 당직표에 반영
+    dutySwap: {
+        requireApproval: false
+    },
+    // 당직 교환 요청 [{ id, requesterId, requesterDate, targetId, targetDate, reason, status, ... }] (최근 요청부터)
+    dutySwapRequests: [],
+    // 당직 확인 설정 - linkSecret 은 웹 확인 링크 서명 키 (비워두면 처음 링크를 만들 때 생성)
+    // 확인 요청 DM·미확인 알림 시각은 기본 작업 duty_ack_followup, duty_ack_escalation 의 스케줄로 변경
+    dutyAck: {
+        linkSecret: ''
+    },
+    // 실행이 끝난 일회성 스케줄 [{ ...스케줄 항목, firedAt, outcome, resultMessage }] (최근 항목부터)
+    scheduleArchive: [],
+    // 다중 인스턴스 실행 설정 - 예약 실행마다 잠금을 잡은 한 인스턴스만 실행하고, 리더 인스턴스가 놓친 실행을 처리
+    cluster: {
+        // 비워두면 '호스트명-프로세스 id'
+        instanceId: '',
+        lockBackend: 'file',
+        // 리더 임기 (임기의 1/3 마다 연장, 리더가 멈추면 임기가 끝난 뒤 다른 인스턴스가 이어받음)
+        leaseMs: 30000,
+        // 예약 실행 잠금 유지 시간 (인스턴스 사이 시계 차이보다 길어야 함)
+        executionLockTtlMs: 600000,
+        backends: {
+            'file': {
+                // 비워두면 캐시 디렉토리의 locks
+                lockDir: ''
+            }
+        }
+    },
+    messaging: {
+        transport: 'naverworks-alarm',
+        recipientDomain: '@danal.co.kr',
+        defaultChannelId: 'daonbe1',
+        // 언어를 지정하지 않은 팀원/채널의 메시지 언어 (ko | en)
+        defaultLocale: 'ko',
+        dashboardUrl: '',
+        outbox: {
+            maxAttempts: 5,
+            baseDelayMs: 30000,
+            maxDelayMs: 1800000
+        },
+        history: {
+            maxEntries: 5000
+        },
+        rateLimit: {
+            ratePerSecond: 10,
+            burst: 10,
+            concurrency: 3,
+            maxRateLimitRetries: 3
+        },
+        transports: {
+            'naverworks-alarm': {
+                userApiUrlBase: 'https://naverworks.danal.co.kr/message/direct/alarm/users/',
+                channelApiUrlBase: 'https://naverworks.danal.co.kr/message/alarm/channels/'
+            },
+            'naverworks-bot': {
+                apiBaseUrl: 'https://www.worksapis.com/v1.0',
+                authUrl: 'https://auth.worksmobile.com/oauth2/v2.0/token',
+                botId: '',
+                clientId: '',
+                clientSecret: '',
+                serviceAccount: '',
+                privateKeyPath: '',
+                scope: 'bot',
+                // 봇 콜백(POST /bot/callback) 서명 확인용 Bot Secret (설정해야 콜백을 받음)
+                botSecret: ''
+            },
+            'webhook': {
+                url: '',
+                headers: {}
+            },
+            'slack': {
+                webhookUrl: '',
+                channelWebhooks: {}
+            },
+            'dry-run': {
+                output: 'console',
+                filePath: 'logs/dry-run-messages.log'
+            }
+        }
+    }
 };
 
+/**
+ * 메시징 설정 기본값 병합
+ * @param {Object} messaging - 저장된 messaging 섹션 (없을 수 있음)
+ * @returns {Object} - 기본값이 채워진 messaging 섹션
+ */
+function applyMessagingDefaults(messaging = {}) {
+    const defaults = DEFAULT_CONFIG.messaging;
+    const transports = { ...defaults.transports };
+
+    Object.keys(messaging.transports || {}).forEach(name => {
+        transports[name] = { ...(defaults.transports[name] || {}), ...messaging.transports[name] };
+    });
+
+    const outbox = { ...defaults.outbox, ...(messaging.outbox || {}) };
+    const history = { ...defaults.history, ...(messaging.history || {}) };
+    const rateLimit = { ...defaults.rateLimit, ...(messaging.rateLimit || {}) };
+
+    return { ...defaults, ...messaging, outbox, history, rateLimit, transports };
+}
+
+/**
+ * 클러스터 설정 기본값 병합
+ * @param {Object} cluster - 저장된 cluster 섹션 (없을 수 있음)
+ * @returns {Object} - 기본값이 채워진 cluster 섹션
+ */
+function applyClusterDefaults(cluster = {}) {
+    const defaults = DEFAULT_CONFIG.cluster;
+    const backends = { ...defaults.backends };
+
+    Object.keys(cluster.backends || {}).forEach(name => {
+        backends[name] = { ...(defaults.backends[name] || {}), ...cluster.backends[name] };
+    });
+
+    return { ...defaults, ...cluster, backends };
+}
+
 /**
  * 설정 파일 로드 함수
  * @returns {Object} - 설정 객체
@@ -37,6 +189,19 @@ function loadConfig() {
         if (!config.teamMembers) config.teamMembers = [];
         if (!config.codeReviewPairs) config.codeReviewPairs = [];
         if (!config.dailyDutySchedule) config.dailyDutySchedule = {};
+        if (!config.channels) config.channels = [];
+        config.jobTargets = { ...DEFAULT_CONFIG.jobTargets, ...(config.jobTargets || {}) };
+        if (!config.templates) config.templates = {};
+        if (!config.defaultJobs) config.defaultJobs = {};
+        if (!config.customHolidays) config.customHolidays = [];
+        if (!config.blackoutPeriods) config.blackoutPeriods = [];
+        if (!config.memberAvailability) config.memberAvailability = [];
+        config.dutySwap = { ...DEFAULT_CONFIG.dutySwap, ...(config.dutySwap || {}) };
+        if (!config.dutySwapRequests) config.dutySwapRequests = [];
+        config.dutyAck = { ...DEFAULT_CONFIG.dutyAck, ...(config.dutyAck || {}) };
+        if (!config.scheduleArchive) config.scheduleArchive = [];
+        config.cluster = applyClusterDefaults(config.cluster);
+        config.messaging = applyMessagingDefaults(config.messaging);
         
         // 레거시 속성 정리 (기존 코드와의 호환성을 위해 유지)
         if (!config.currentLaptopDutyPair) config.currentLaptopDutyPair = [];
@@ -116,6 +281,78 @@ function updateCodeReviewPairs(pairs) {
     updateConfigSection('codeReviewPairs', pairs);
 }
 
+/**
+ * 채널 목록 업데이트
+ * @param {Array} channels - 채널 배열 [{ id, name, channelId, description, locale }]
+ */
+function updateChannels(channels) {
+    updateConfigSection('channels', channels);
+}
+
+/**
+ * 기본 작업별 발송 대상 업데이트
+ * @param {Object} jobTargets - { 작업 이름: { channels, users, groups } }
+ */
+function updateJobTargets(jobTargets) {
+    updateConfigSection('jobTargets', jobTargets);
+}
+
+/**
+ * 사용자 지정 메시지 템플릿 업데이트
+ * @param {Object} templates - { 템플릿 키: { 언어: 템플릿 본문 } }
+ */
+function updateTemplates(templates) {
+    updateConfigSection('templates', templates);
+}
+
+/**
+ * 기본 작업 설정 업데이트
+ * @param {Object} defaultJobs - { 작업 id: { cronSchedule, enabled, target, template, catchUpPolicy, skipOnHolidays } }
+ */
+function updateDefaultJobs(defaultJobs) {
+    updateConfigSection('defaultJobs', defaultJobs);
+}
+
+/**
+ * 회사 지정 휴일 업데이트
+ * @param {Array} customHolidays - [{ date: 'YYYY-MM-DD', name }]
+ */
+function updateCustomHolidays(customHolidays) {
+    updateConfigSection('customHolidays', customHolidays);
+}
+
+/**
+ * 발송 중지 기간 업데이트
+ * @param {Array} blackoutPeriods - [{ id, name, startDate, endDate, jobTypes }]
+ */
+function updateBlackoutPeriods(blackoutPeriods) {
+    updateConfigSection('blackoutPeriods', blackoutPeriods);
+}
+
+/**
+ * 팀원 부재 일정 업데이트
+ * @param {Array} memberAvailability - [{ id, memberId, startDate, endDate, weekdays, period, reason }]
+ */
+function updateMemberAvailability(memberAvailability) {
+    updateConfigSection('memberAvailability', memberAvailability);
+}
+
+/**
+ * 메시징 설정 조회
+ * @returns {Object} - 기본값이 채워진 messaging 섹션
+ */
+function getMessagingConfig() {
+    return loadConfig().messaging;
+}
+
+/**
+ * 클러스터 설정 조회
+ * @returns {Object} - 기본값이 채워진 cluster 섹션
+ */
+function getClusterConfig() {
+    return loadConfig().cluster;
+}
+
 /**
  * 설정 파일 경로 반환
  * @returns {string} - 설정 파일 경로
@@ -124,6 +361,15 @@ function getConfigFilePath() {
     return CONFIG_FILE;
 }
 
+/**
+ * 런타임 캐시 하위 디렉토리 경로 반환
+ * @param {string} name - 하위 디렉토리 이름 (예: 'message-outbox')
+ * @returns {string} - 디렉토리 경로
+ */
+function getCacheDirectory(name) {
+    return path.join(CACHE_DIR, name);
+}
+
 module.exports = {
     loadConfig,
     saveConfig,
@@ -132,6 +378,16 @@ module.exports = {
     updateSchedules,
     updateDailyDutySchedule,
     updateCodeReviewPairs,
+    updateChannels,
+    updateJobTargets,
+    updateTemplates,
+    updateDefaultJobs,
+    updateCustomHolidays,
+    updateBlackoutPeriods,
+    updateMemberAvailability,
+    getMessagingConfig,
+    getClusterConfig,
     getConfigFilePath,
+    getCacheDirectory,
     DEFAULT_CONFIG
 };
@@ -0,0 +1,298 @@
+// src/services/duty-ack-service.js
+// 당직 확인 서비스 - 당직자가 당직 알림을 봤는지 메시지 버튼·웹 링크로 확인받고, 정한 시각까지 확인하지 않으면 DM 후 권한 있는 팀원에게 알림
+
+const crypto = require('crypto');
+const logger = require('../../logger');
+const configService = require('./config-service');
+const messageService = require('./message-service');
+const templateService = require('./template-service');
+const { isValidDateKey } = require('./blackout-service');
+const { toDateKey } = require('./holiday-service');
+const { createButtonMessage, messageAction, uriAction } = require('../utils/message-content');
+const { translate } = require('../utils/i18n');
+
+// 메시지 버튼 postback 접두사 (duty_ack:ack:<날짜>, 주간 당직표 확인은 duty_ack:week:<주차>)
+const POSTBACK_PREFIX = 'duty_ack';
+
+/**
+ * 확인 방법
+ */
+const ACK_METHODS = {
+    button: '메시지 버튼',
+    link: '웹 링크',
+    dashboard: '대시보드'
+};
+
+/**
+ * 당직 확인 현황
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {Object} [config] - 설정 객체
+ * 확인하지 않은 당직자에게는 대시보드의 확인 처리 버튼이 POST /duty-ack 로 보낼 토큰(ackToken)을 함께 돌려줌
+ * @returns {Object} - { date, members: [{ id, name, acknowledgedAt, method, ackToken }], pendingMemberIds, escalations: { members, authorized } }
+ */
+function getAckStatus(dateKey, config = configService.loadConfig()) {
+    const duty = config.dailyDutySchedule[dateKey] || {};
+    const acknowledgements = duty.acknowledgements || {};
+
+    // 교환으로 빠진 팀원의 확인 기록은 무시 (현재 당직자 기준)
+    const members = (duty.members || []).map(id => {
+        const member = config.teamMembers.find(m => m.id === id);
+        const ack = acknowledgements[id];
+        return {
+            id,
+            name: member ? member.name : id,
+            acknowledgedAt: ack ? ack.at : null,
+            method: ack ? ack.method : null,
+            ackToken: ack ? null : createAckToken(dateKey, id, config)
+        };
+    });
+
+    return {
+        date: dateKey,
+        members,
+        pendingMemberIds: members.filter(member => !member.acknowledgedAt).map(member => member.id),
+        escalations: duty.escalations || {}
+    };
+}
+
+/**
+ * 웹 확인 링크 서명 키 (처음 사용할 때 생성해 설정에 저장)
+ * @param {Object} config - 설정 객체
+ * @returns {string} - 서명 키
+ */
+function getLinkSecret(config) {
+    if (!config.dutyAck.linkSecret) {
+        config.dutyAck.linkSecret = crypto.randomBytes(32).toString('hex');
+        configService.saveConfig(config);
+        logger.info('Generated duty acknowledgement link secret');
+    }
+    return config.dutyAck.linkSecret;
+}
+
+/**
+ * 웹 확인 링크 토큰 (날짜·팀원별 HMAC - 다른 팀원 대신 확인할 수 없도록)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} memberId - 팀원 id
+ * @param {Object} config - 설정 객체
+ * @returns {string} - 토큰
+ */
+function createAckToken(dateKey, memberId, config) {
+    return crypto.createHmac('sha256', getLinkSecret(config)).update(`${dateKey}:${memberId}`).digest('hex');
+}
+
+/**
+ * 웹 확인 링크 (dashboardUrl 이 없으면 null)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} memberId - 팀원 id
+ * @param {Object} config - 설정 객체
+ * @returns {string|null} - GET /duty-ack 링크
+ */
+function buildAckLink(dateKey, memberId, config) {
+    const { dashboardUrl } = config.messaging;
+    if (!dashboardUrl) {
+        return null;
+    }
+    const query = new URLSearchParams({ date: dateKey, member: memberId, token: createAckToken(dateKey, memberId, config) });
+    return `${dashboardUrl.replace(/\/+$/, '')}/duty-ack?${query}`;
+}
+
+/**
+ * 당직 확인 버튼 (당직 알림·확인 요청 DM 공용)
+ * 팀원을 지정하면 그 팀원의 웹 확인 링크, 지정하지 않으면 대시보드 링크를 함께 붙임 (dashboardUrl 이 설정된 경우)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} locale - 언어 코드
+ * @param {Object} config - 설정 객체
+ * @param {string} [memberId] - 팀원 id
+ * @returns {Array} - message-content 액션 배열
+ */
+function buildAckActions(dateKey, locale, config, memberId = null) {
+    const actions = [messageAction(translate(locale, '당직 확인'), `${POSTBACK_PREFIX}:ack:${dateKey}`)];
+    const link = memberId ? buildAckLink(dateKey, memberId, config) : config.messaging.dashboardUrl;
+    if (link) {
+        actions.push(uriAction(translate(locale, memberId ? '웹에서 확인' : '대시보드에서 보기'), link));
+    }
+    return actions;
+}
+
+/**
+ * 당직 확인 기록
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} memberId - 확인한 팀원 id
+ * @param {string} method - 확인 방법 (ACK_METHODS)
+ * @returns {Object} - { success, message, status }
+ */
+function acknowledgeDuty(dateKey, memberId, method) {
+    if (!isValidDateKey(dateKey)) {
+        return { success: false, message: '올바르지 않은 날짜입니다.' };
+    }
+    if (!ACK_METHODS[method]) {
+        return { success: false, message: `알 수 없는 확인 방법입니다: ${method}` };
+    }
+
+    const config = configService.loadConfig();
+    const duty = config.dailyDutySchedule[dateKey];
+    if (!duty || !(duty.members || []).includes(memberId)) {
+        return { success: false, message: `${dateKey}의 당직자가 아닙니다.` };
+    }
+
+    const acknowledgements = duty.acknowledgements || {};
+    if (acknowledgements[memberId]) {
+        return { success: true, message: `이미 ${dateKey} 당직을 확인했습니다.`, status: getAckStatus(dateKey, config) };
+    }
+
+    duty.acknowledgements = { ...acknowledgements, [memberId]: { at: new Date().toISOString(), method } };
+    configService.saveConfig(config);
+    logger.info(`Duty on ${dateKey} acknowledged by ${memberId} via ${method}`);
+
+    return { success: true, message: `${dateKey} 당직 확인이 기록되었습니다.`, status: getAckStatus(dateKey, config) };
+}
+
+/**
+ * 웹 확인 링크 검증 (확인을 기록하지 않음, 링크를 연 화면에서 확인 버튼을 보여주기 전에 호출)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} memberId - 팀원 id
+ * @param {string} token - 링크 토큰
+ * @returns {Object} - { success, message, member: { id, name }, acknowledged: 이미 확인했는지 }
+ */
+function verifyAckLink(dateKey, memberId, token) {
+    const config = configService.loadConfig();
+    if (!config.dutyAck.linkSecret || !dateKey || !memberId || !token) {
+        return { success: false, message: '올바르지 않은 확인 링크입니다.' };
+    }
+
+    const expected = Buffer.from(createAckToken(dateKey, memberId, config));
+    const actual = Buffer.from(String(token));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        logger.warn(`Rejected duty acknowledgement link for ${memberId} on ${dateKey}`);
+        return { success: false, message: '올바르지 않은 확인 링크입니다.' };
+    }
+
+    const member = config.teamMembers.find(item => item.id === memberId) || { id: memberId, name: memberId };
+    const duty = config.dailyDutySchedule[dateKey];
+    return {
+        success: true,
+        message: `${dateKey} 당직을 확인하시겠습니까?`,
+        member: { id: member.id, name: member.name },
+        acknowledged: Boolean(duty && duty.acknowledgements && duty.acknowledgements[memberId])
+    };
+}
+
+/**
+ * 웹 링크로 당직 확인 (토큰이 맞아야 기록, 링크를 연 화면의 확인 버튼이 POST 로 호출)
+ * 링크 미리보기나 크롤러가 링크를 열기만 해서는 확인되지 않도록 GET 에서는 호출하지 않음
+ * 대시보드의 확인 처리도 getAckStatus 가 준 토큰으로 이 함수를 호출 (method: 'dashboard')
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} memberId - 팀원 id
+ * @param {string} token - 링크 토큰
+ * @param {string} [method] - 확인 방법 (ACK_METHODS)
+ * @returns {Object} - { success, message }
+ */
+function acknowledgeByLink(dateKey, memberId, token, method = 'link') {
+    const verification = verifyAckLink(dateKey, memberId, token);
+    if (!verification.success) {
+        return verification;
+    }
+    return acknowledgeDuty(dateKey, memberId, method);
+}
+
+/**
+ * 봇 postback 처리 (bot-callback-service 에서 호출)
+ * @param {string} action - 'ack' (당일 당직 확인) | 'week' (주간 당직표 확인)
+ * @param {string} targetId - 날짜 키 또는 주차 키
+ * @param {string} memberId - 버튼을 누른 팀원 id
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function handlePostback(action, targetId, memberId) {
+    switch (action) {
+        case 'ack':
+            return acknowledgeDuty(targetId, memberId, 'button');
+        case 'week':
+            logger.info(`Weekly duty schedule ${targetId} acknowledged by ${memberId}`);
+            return { success: true, message: `${targetId} 주간 당직표 확인 감사합니다.` };
+        default:
+            return { success: false, message: `알 수 없는 당직 확인 동작입니다: ${action}` };
+    }
+}
+
+/**
+ * 단계별 알림 시각 기록
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} stage - 'members' (당직자 DM) | 'authorized' (권한 있는 팀원 알림)
+ */
+function recordEscalation(dateKey, stage) {
+    const config = configService.loadConfig();
+    const duty = config.dailyDutySchedule[dateKey];
+    if (!duty) return;
+    duty.escalations = { ...(duty.escalations || {}), [stage]: new Date().toISOString() };
+    configService.saveConfig(config);
+}
+
+/**
+ * 1단계: 아직 확인하지 않은 오늘 당직자에게 확인 요청 DM (당직 확인 버튼, 웹 확인 링크 포함)
+ * @param {Object} [options] - { source, template: 작업별 템플릿 재정의 { 언어: 본문 }, timezone: 작업 시간대 }
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults }
+ */
+async function sendAckFollowUps(options = {}) {
+    const config = configService.loadConfig();
+    const dateKey = toDateKey(new Date(), options.timezone);
+    const status = getAckStatus(dateKey, config);
+
+    if (status.members.length === 0) {
+        return { success: true, message: '오늘 당직자가 없습니다.', sendResults: [] };
+    }
+    if (status.pendingMemberIds.length === 0) {
+        return { success: true, message: '오늘 당직자가 모두 확인했습니다.', sendResults: [] };
+    }
+
+    const sendResults = [];
+    for (const member of status.members.filter(m => !m.acknowledgedAt)) {
+        const text = templateService.localizedMessage('duty_ack_followup', { name: member.name, dutyDate: dateKey }, options.template);
+        const message = (locale, timezone) => createButtonMessage(text(locale, timezone), buildAckActions(dateKey, locale, config, member.id));
+        sendResults.push(await messageService.sendSingleMessage(messageService.toRecipientEmail(member.id, config.messaging.recipientDomain), message, options));
+    }
+
+    recordEscalation(dateKey, 'members');
+    logger.info(`Duty acknowledgement follow-up sent to ${status.pendingMemberIds.join(', ')}`);
+    return messageService.buildSendOutcome('확인하지 않은 당직자에게 확인 요청을 보냈습니다.', sendResults);
+}
+
+/**
+ * 2단계: 그래도 확인하지 않은 당직자를 권한 있는 팀원(jobTargets.duty_ack_escalation)에게 알림
+ * @param {Object} [options] - { source, target, template, timezone }
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults }
+ */
+async function sendAckEscalation(options = {}) {
+    const config = configService.loadConfig();
+    const dateKey = toDateKey(new Date(), options.timezone);
+    const status = getAckStatus(dateKey, config);
+    const pendingMembers = status.members.filter(member => !member.acknowledgedAt);
+
+    if (pendingMembers.length === 0) {
+        return { success: true, message: status.members.length === 0 ? '오늘 당직자가 없습니다.' : '오늘 당직자가 모두 확인했습니다.', sendResults: [] };
+    }
+
+    const message = templateService.localizedMessage('duty_ack_escalation', {
+        dutyDate: dateKey,
+        members: pendingMembers.map(member => `${member.name}(${member.id})`).join(' & '),
+        memberList: pendingMembers.map(member => ({ id: member.id, name: member.name })),
+        followUpSent: !!status.escalations.members
+    }, options.template);
+    const sendResults = await messageService.sendToJobTarget('duty_ack_escalation', message, options);
+
+    recordEscalation(dateKey, 'authorized');
+    logger.info(`Unacknowledged duty escalated for ${dateKey}: ${pendingMembers.map(member => member.id).join(', ')}`);
+    return messageService.buildSendOutcome('당직 미확인 알림이 전송되었습니다.', sendResults);
+}
+
+module.exports = {
+    POSTBACK_PREFIX,
+    ACK_METHODS,
+    getAckStatus,
+    buildAckActions,
+    acknowledgeDuty,
+    verifyAckLink,
+    acknowledgeByLink,
+    handlePostback,
+    sendAckFollowUps,
+    sendAckEscalation
+};
@@ -4,7 +4,29 @@
 const logger = require('../../logger');
 const configService = require('./config-service');
 const messageService = require('./message-service');
-const { getCurrentKSTDate, formatDateToKey, getWeekDates, DAY_NAMES } = require('../utils/date-utils');
+const templateService = require('./template-service');
+const holidayService = require('./holiday-service');
+const dutySolver = require('./duty-solver');
+const availabilityService = require('./availability-service');
+const dutyAckService = require('./duty-ack-service');
+const blackoutService = require('./blackout-service');
+const { getCurrentDateInTimezone, formatDateToKey, getWeekDates, DAY_NAMES } = require('../utils/date-utils');
+const { createButtonMessage, createFlexMessage, messageAction, uriAction } = require('../utils/message-content');
+const { translate, formatDate, formatDateKey, translateHolidayName, formatHour } = require('../utils/i18n');
+
+/**
+ * 당직 편성 기간 (미리보기·확정 단위)
+ */
+const PLAN_RANGES = {
+    this_week: '이번 주',
+    next_week: '다음 주',
+    next_4_weeks: '다음 4주',
+    month: '한 달',
+    custom: '직접 지정'
+};
+
+// 한 번에 편성할 수 있는 최대 일수
+const MAX_PLAN_DAYS = 62;
 
 /**
  * 주간 당직 편성표 조회 (7일간의 일일 당직자)
@@ -18,7 +40,6 @@ function getWeeklyDutySchedule() {
         const weeklySchedule = [];
         
         weekDates.forEach((dateKey, index) => {
-            const date = new Date(dateKey);
             let members = [];
             
             // dailyDutySchedule에서 해당 날짜의 당직자 찾기
@@ -26,11 +47,12 @@ function getWeeklyDutySchedule() {
             if (dutyData && dutyData.members) {
                 members = dutyData.members;
             }
+            const holiday = holidayService.getHoliday(dateKey, config);
             
             weeklySchedule.push({
                 date: dateKey,
                 dayName: DAY_NAMES[index],
-                displayDate: `${date.getMonth() + 1}/${date.getDate()}`,
+                holidayName: holiday ? holiday.name : null,
                 members: members.map(id => {
                     const member = config.teamMembers.find(m => m.id === id);
                     if (!member) {
@@ -50,12 +72,13 @@ function getWeeklyDutySchedule() {
 
 /**
  * 당일 당직자 조회 함수
+ * @param {string} [timezone] - '오늘'을 판단할 시간대 (기본값: KST)
  * @returns {Object|null} - 당일 당직자 정보 또는 null
  */
-function getTodayDutyMembers() {
+function getTodayDutyMembers(timezone = null) {
     try {
         const config = configService.loadConfig();
-        const kstDate = getCurrentKSTDate();
+        const kstDate = getCurrentDateInTimezone(timezone);
         const dateKey = formatDateToKey(kstDate);
         
         logger.debug(`Looking for today's duty for date: ${dateKey}`);
@@ -68,24 +91,21 @@ function getTodayDutyMembers() {
             return {
                 date: dateKey,
                 members: [],
-                displayDate: kstDate.toLocaleDateString('ko-KR'),
                 hasNoDuty: true
             };
         }
         
-        // 당직자 정보 반환
-        const dutyMembers = todayDuty.members.map(id => {
-            const member = config.teamMembers.find(m => m.id === id);
-            return member ? { id: member.id, name: member.name } : { id: id, name: id };
-        });
+        // 당직자 정보 반환 (당직 확인 여부 포함)
+        const ackStatus = dutyAckService.getAckStatus(dateKey, config);
+        const dutyMembers = ackStatus.members;
         
         logger.debug(`Today's duty members: ${dutyMembers.map(m => m.name).join(', ')}`);
         
         return {
             date: dateKey,
             members: dutyMembers,
-            displayDate: kstDate.toLocaleDateString('ko-KR'),
-            hasNoDuty: false
+            hasNoDuty: false,
+            escalations: ackStatus.escalations
         };
         
     } catch (error) {
@@ -93,7 +113,6 @@ function getTodayDutyMembers() {
         return {
             date: null,
             members: [],
-            displayDate: new Date().toLocaleDateString('ko-KR'),
             hasNoDuty: true,
             error: true
         };
@@ -135,11 +154,94 @@ async function assignDailyDuty(date, dutyMembers) {
     }
 }
 
+/**
+ * 날짜 범위 키 (M/D~M/D, 주차 키와 같은 형식)
+ * @param {string} startDate - 시작 날짜 키 (YYYY-MM-DD)
+ * @param {string} endDate - 끝 날짜 키 (YYYY-MM-DD)
+ * @returns {string} - 범위 키
+ */
+function formatRangeKey(startDate, endDate) {
+    const format = dateKey => {
+        const [, month, day] = dateKey.split('-').map(Number);
+        return `${month}/${day}`;
+    };
+    return `${format(startDate)}~${format(endDate)}`;
+}
+
+/**
+ * 편성 기간 해석 (주 단위 기간은 이번 주 월요일 기준)
+ * @param {Object} [options] - { range: PLAN_RANGES 키 (기본값: this_week), month: 'YYYY-MM' (month 기간, 기본값: 다음 달), startDate, endDate (custom 기간, YYYY-MM-DD) }
+ * @returns {Object} - { success, message, range: { type, name, startDate, endDate, key, dates } }
+ */
+function resolvePlanRange(options = {}) {
+    const type = options.range || 'this_week';
+    if (!PLAN_RANGES[type]) {
+        return { success: false, message: `알 수 없는 편성 기간입니다: ${type}` };
+    }
+
+    const monday = getWeekDates()[0];
+    let startDate;
+    let endDate;
+    switch (type) {
+        case 'this_week':
+            startDate = monday;
+            endDate = holidayService.addDays(monday, 6);
+            break;
+        case 'next_week':
+            startDate = holidayService.addDays(monday, 7);
+            endDate = holidayService.addDays(monday, 13);
+            break;
+        case 'next_4_weeks':
+            startDate = holidayService.addDays(monday, 7);
+            endDate = holidayService.addDays(monday, 34);
+            break;
+        case 'month': {
+            let month = options.month;
+            if (!month) {
+                const [year, monthNumber] = formatDateToKey(getCurrentDateInTimezone()).split('-').map(Number);
+                month = new Date(Date.UTC(year, monthNumber, 1)).toISOString().slice(0, 7);
+            }
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+                return { success: false, message: `올바르지 않은 월입니다: ${month}` };
+            }
+            const [year, monthNumber] = month.split('-').map(Number);
+            startDate = `${month}-01`;
+            endDate = holidayService.addDays(new Date(Date.UTC(year, monthNumber, 1)).toISOString().split('T')[0], -1);
+            break;
+        }
+        case 'custom':
+            startDate = options.startDate;
+            endDate = options.endDate;
+            if (!blackoutService.isValidDateKey(startDate) || !blackoutService.isValidDateKey(endDate)) {
+                return { success: false, message: '편성 시작일과 종료일을 입력해주세요.' };
+            }
+            if (startDate > endDate) {
+                return { success: false, message: '종료일이 시작일보다 빠릅니다.' };
+            }
+            break;
+    }
+
+    const dates = [];
+    for (let dateKey = startDate; dateKey <= endDate && dates.length <= MAX_PLAN_DAYS; dateKey = holidayService.addDays(dateKey, 1)) {
+        dates.push(dateKey);
+    }
+    if (dates.length > MAX_PLAN_DAYS) {
+        return { success: false, message: `한 번에 최대 ${MAX_PLAN_DAYS}일까지 편성할 수 있습니다.` };
+    }
+
+    return {
+        success: true,
+        range: { type, name: PLAN_RANGES[type], startDate, endDate, key: formatRangeKey(startDate, endDate), dates }
+    };
+}
+
 /**
  * 주간 당직 스케줄 미리보기 생성
- * 실제로 저장하지 않고 미리보기만 생성
+ * 실제로 저장하지 않고 미리보기만 생성 (이번 주 외에 다음 주, 다음 4주, 한 달, 직접 지정한 기간도 한 번에 편성)
+ * @param {Object} [options] - { seed: 시드 (같은 시드면 같은 배정, 없으면 무작위), range, month, startDate, endDate (resolvePlanRange 참고) }
+ * @returns {Object} - { success, message, range: { type, name, startDate, endDate, key }, data, preview, memberSummary, solution: { seed, optimal, score, constraints, relaxed } }
  */
-async function previewWeeklyDutySchedule() {
+async function previewWeeklyDutySchedule(options = {}) {
     logger.info('📋 Starting weekly duty schedule preview generation...');
     
     try {
@@ -165,22 +267,35 @@ async function previewWeeklyDutySchedule() {
             logger.warn('No authorized members available. Proceeding with regular members only.');
         }
         
-        const weekKey = getWeekKey();
-        logger.info(`Generating preview for week: ${weekKey}`);
+        const rangeResult = resolvePlanRange(options);
+        if (!rangeResult.success) {
+            return rangeResult;
+        }
+        const { dates, ...range } = rangeResult.range;
+        logger.info(`Generating preview for ${range.type} (${range.key}, ${dates.length} days)`);
         
-        // 미리보기 데이터 생성 (전체 멤버 정보 전달)
-        const previewData = generateWeeklyScheduleData(allMembers, weekKey);
+        // 미리보기 데이터 생성 (한 주씩 차례로 배정하며 늘어난 당직 횟수를 다음 주로 이어받음)
+        const { schedule: previewData, solution, memberSummary } = await generatePlanScheduleData(dates, { seed: options.seed });
         
         // 미리보기 메시지 생성
-        const previewMessage = generatePreviewMessage(previewData, weekKey);
+        const previewMessage = generatePreviewMessage(previewData, range.key, solution);
         
-        logger.info(`Weekly duty preview generated successfully for week ${weekKey}`);
+        logger.info(`Duty preview generated successfully for ${range.key}`);
         
         return {
             success: true,
-            message: '주간 당직 미리보기가 생성되었습니다.',
+            message: `${range.key} 당직 미리보기가 생성되었습니다.`,
+            range,
             data: previewData,
-            preview: previewMessage
+            preview: previewMessage,
+            memberSummary,
+            solution: {
+                seed: solution.seed,
+                optimal: solution.optimal,
+                score: solution.score,
+                constraints: solution.constraints,
+                relaxed: solution.relaxed
+            }
         };
         
     } catch (error) {
@@ -194,32 +309,70 @@ async function previewWeeklyDutySchedule() {
 
 /**
  * 주간 당직 스케줄 확정
- * 미리보기 데이터를 실제로 저장하고 메시지 전송
+ * 미리보기 데이터(여러 주일 수 있음)를 한 번에 저장하고 주차별로 메시지 전송
+ * 이미 편성된 날은 이전 당직자의 당직 횟수를 되돌리고 교체 (당직자가 같은 날은 확인 응답 기록 유지)
+ * 클라이언트가 보낸 편성은 저장 전에 다시 검사 (getConfirmConflict)
+ * @param {Array} previewData - 미리보기 당직 데이터
+ * @param {Object} [options] - { source: 발송 이력에 기록할 작업 이름, target: 발송 대상, template: 작업별 템플릿 재정의 { 언어: 본문 } }
+ * @returns {Object} - { success, message, partialFailure, sendResults }
  */
-async function confirmWeeklyDutySchedule(previewData) {
+async function confirmWeeklyDutySchedule(previewData, options = {}) {
     logger.info('📋 Confirming weekly duty schedule...');
     
     try {
+        if (!Array.isArray(previewData) || previewData.length === 0) {
+            return { success: false, message: '확정할 당직 편성이 없습니다.' };
+        }
+
         const config = configService.loadConfig();
-        const weekKey = getWeekKey();
-        
-        // 각 날짜별로 당직 저장
-        for (const day of previewData) {
-            const memberIds = day.members.map(m => m.id);
-            await assignDailyDuty(day.date, memberIds);
+        const memberById = new Map(config.teamMembers.map(member => [member.id, member]));
+        const invalidDay = previewData.find((day, index) =>
+            !day || !blackoutService.isValidDateKey(day.date) || previewData.findIndex(other => other && other.date === day.date) !== index ||
+            !Array.isArray(day.members) || day.members.some(m => !m || !memberById.has(m.id))
+        );
+        if (invalidDay) {
+            return { success: false, message: `확정할 수 없는 당직 편성입니다: ${invalidDay && invalidDay.date}` };
+        }
+
+        const assignments = {};
+        previewData.forEach(day => { assignments[day.date] = day.members.map(m => m.id); });
+        const dates = Object.keys(assignments).sort();
+        const conflict = await getConfirmConflict(dates, assignments, config);
+        if (conflict) {
+            logger.warn(`Duty schedule confirmation rejected: ${conflict}`);
+            return { success: false, message: conflict };
         }
+        // 알림에 쓰는 날짜 정보(요일, 휴일, 주차)도 서버에서 다시 계산
+        const scheduleData = describePlanDays(dates, config).map(day => toScheduleEntry(day, assignments[day.date].map(id => memberById.get(id))));
+
+        const addDutyCount = (memberId, delta) => {
+            const member = memberById.get(memberId);
+            if (member) {
+                member.dutyCount = Math.max(0, (member.dutyCount || 0) + delta);
+            }
+        };
+        const assignedAt = new Date().toISOString();
+        dates.forEach(dateKey => {
+            const previous = config.dailyDutySchedule[dateKey];
+            ((previous && previous.members) || []).forEach(id => addDutyCount(id, -1));
+            const memberIds = assignments[dateKey];
+            memberIds.forEach(id => addDutyCount(id, 1));
+            config.dailyDutySchedule[dateKey] = isSameDuty(previous, memberIds)
+                ? { ...previous, members: memberIds, assignedAt }
+                : { members: memberIds, assignedAt };
+        });
+        configService.saveConfig(config);
         
-        // 메시지 생성 및 전송
-        const message = generateConfirmationMessage(previewData, weekKey);
-        await messageService.sendChannelMessage(message);
+        // 주차별로 메시지 생성 및 전송 (채널/팀원 언어별로 생성, 리치 콘텐츠 미지원 전송 수단은 텍스트로 대체)
+        const { weekKeys, sendResults } = await announceDutySchedule(scheduleData, options);
         
-        logger.info(`Weekly duty schedule confirmed and saved for week: ${weekKey}`);
-        logger.logConfigChange('weekly-duty', `Weekly duty schedule confirmed for ${weekKey}`, previewData);
+        logger.info(`Duty schedule confirmed and saved for ${weekKeys.join(', ')}`);
+        logger.logConfigChange('weekly-duty', `Duty schedule confirmed for ${weekKeys.join(', ')}`, scheduleData);
         
-        return {
-            success: true,
-            message: '주간 당직이 편성되어 채널에 알림이 전송되었습니다.'
-        };
+        return messageService.buildSendOutcome(
+            weekKeys.length > 1 ? `${weekKeys.length}주 당직이 편성되어 알림이 전송되었습니다.` : '주간 당직이 편성되어 알림이 전송되었습니다.',
+            sendResults
+        );
         
     } catch (error) {
         logger.error('Error confirming weekly duty schedule:', error);
@@ -231,285 +384,284 @@ async function confirmWeeklyDutySchedule(previewData) {
 }
 
 /**
- * 주간 스케줄 데이터 생성 (수정된 버전)
- * 규칙:
- * 1. 하루에 2명씩 배정
- * 2. 그 중 최소 1명은 권한 있는 사람 (가능한 경우에만)
- * 3. 금, 토, 일은 같은 사람으로 배정
- * 4. 평일(월화수목)에서 연일 당직 방지
- * 5. 주말 당직자 선택 시 최근 당직 횟수와 이전 주말 당직 이력 고려
+ * 이미 편성된 날과 당직자가 같은지 (순서 무관)
+ * @param {Object} [previous] - 기존 dailyDutySchedule 항목
+ * @param {Array} memberIds - 새 당직자 id 배열
+ * @returns {boolean}
  */
-function generateWeeklyScheduleData(allMembersParam, weekKey) {
-    const config = configService.loadConfig();
-    const allMembers = config.teamMembers;
-    const weekDates = getWeekDates();
-    const weeklySchedule = [];
-    
-    // 현재 활성화된 팀멤버들 확인
-    logger.info(`Current active team members: ${allMembers.map(m => `${m.name}(${m.id})`).join(', ')}`);
-    
-    // 장영지(yjjang)가 팀멤버에 포함되어 있는지 확인
-    const yjjangMember = allMembers.find(m => m.id === 'yjjang');
-    if (yjjangMember) {
-        logger.info(`장영지(yjjang) found in team members: ${yjjangMember.name}`);
-    } else {
-        logger.warn('장영지(yjjang) not found in team members!');
-    }
-    
-    // 권한자와 일반 팀원 분리
-    const authorizedOnly = allMembers.filter(m => m.isAuthorized);
-    const regularMembers = allMembers.filter(m => !m.isAuthorized);
-    
-    logger.info(`Available members: ${authorizedOnly.length} authorized, ${regularMembers.length} regular`);
-    logger.info(`Regular members: ${regularMembers.map(m => `${m.name}(${m.id})`).join(', ')}`);
-    
-    // 권한자가 없는 경우 경고 로그만 남기고 계속 진행
-    if (authorizedOnly.length === 0) {
-        logger.warn('No authorized members available. Proceeding with regular members only.');
+function isSameDuty(previous, memberIds) {
+    return !!previous && [...(previous.members || [])].sort().join() === [...memberIds].sort().join();
+}
+
+/**
+ * 필수 조건 위반 비용 (duty-solver 와 같은 가중치, 권한자 조건은 권한 있는 팀원이 있을 때만)
+ * @param {Array} constraints - checkHardConstraints 결과
+ * @param {boolean} hasAuthorized - 권한 있는 팀원이 있는지
+ * @returns {number}
+ */
+function getViolationCost(constraints, hasAuthorized) {
+    const count = key => constraints.find(constraint => constraint.key === key).violations.length;
+    const ruleViolations = (hasAuthorized ? count('authorized_each_day') : 0) + count('no_consecutive_weekdays');
+    return ruleViolations * dutySolver.DEFAULT_WEIGHTS.violation + count('member_available') * dutySolver.DEFAULT_WEIGHTS.unavailable;
+}
+
+/**
+ * 확정하려는 편성을 저장 전에 서버에서 다시 검사
+ * 1. 당직 발송 중지 기간에는 확정 불가
+ * 2. 확인 응답을 받았거나 교환 요청이 처리 중인 날은 당직자를 바꿀 수 없음
+ * 3. 하루 2명, 주말 같은 조는 항상 지켜야 함
+ * 4. 권한자·평일 연일·부재 조건은 duty-solver 가 같은 기간에 어쩔 수 없이 완화하는 만큼만 허용
+ * @param {Array} dates - 날짜 키 배열 (날짜순)
+ * @param {Object} assignments - { 날짜: [팀원 id] }
+ * @param {Object} config - 설정 객체
+ * @returns {Promise<string|null>} - 확정할 수 없는 이유 (가능하면 null)
+ */
+async function getConfirmConflict(dates, assignments, config) {
+    const blackout = blackoutService.getActiveBlackout('duty', new Date(), config);
+    if (blackout) {
+        return `발송 중지 기간(${blackout.name})이라 당직을 확정할 수 없습니다.`;
     }
-    
-    // 주말 당직자 선택 로직 개선
-    const weekendDutyPerson = selectWeekendDutyPerson(allMembers, authorizedOnly);
-    
-    // 주말 두 번째 당직자 선택 (첫 번째 당직자와 다른 사람)
-    let weekendSecondPerson = selectWeekendSecondPerson(allMembers, weekendDutyPerson, authorizedOnly);
-    
-    // 평일 당직자 풀 준비 (주말 당직자를 제외한 나머지 인원)
-    const weekdayAvailableMembers = allMembers.filter(m => 
-        m.id !== weekendDutyPerson.id && 
-        (!weekendSecondPerson || m.id !== weekendSecondPerson.id)
-    );
-    
-    // 평일 당직 배정 전략: 연일 당직 방지
-    const weekdaySchedule = generateWeekdaySchedule(
-        weekdayAvailableMembers, 
-        weekendDutyPerson,
-        weekendSecondPerson
-    );
-    
-    // 각 날짜별 당직 배정
-    for (let i = 0; i < 7; i++) {
-        const dateKey = weekDates[i];
-        const currentDate = new Date(dateKey);
-        const dayName = DAY_NAMES[i];
-        const dayOfWeek = currentDate.getDay(); // 0=일요일, 1=월요일, ..., 6=토요일
-        
-        let assignedMembers = [];
-        
-        // 금요일(5), 토요일(6), 일요일(0)은 같은 사람으로 배정
-        if (dayOfWeek === 5 || dayOfWeek === 6 || dayOfWeek === 0) {
-            // 주말 연속 당직자 배정
-            assignedMembers.push(weekendDutyPerson);
-            
-            // 주말 두 번째 당직자 배정
-            if (weekendSecondPerson) {
-                assignedMembers.push(weekendSecondPerson);
-            }
-        } else {
-            // 평일 (월, 화, 수, 목) 당직 배정 - 미리 생성된 스케줄 사용
-            const weekdayIndex = [1, 2, 3, 4].indexOf(dayOfWeek); // 월(1), 화(2), 수(3), 목(4)
-            if (weekdayIndex >= 0 && weekdayIndex < weekdaySchedule.length) {
-                assignedMembers = weekdaySchedule[weekdayIndex];
-            }
+
+    // duty-swap-service 가 이 모듈을 불러오므로 순환 참조를 피해 필요할 때 불러옴
+    const dutySwapService = require('./duty-swap-service');
+    const swapDates = new Set(dutySwapService.getSwapRequests(config)
+        .filter(request => dutySwapService.OPEN_STATUSES.includes(request.status))
+        .flatMap(request => [request.requesterDate, request.targetDate].filter(Boolean)));
+    for (const dateKey of dates) {
+        const previous = config.dailyDutySchedule[dateKey];
+        if (isSameDuty(previous, assignments[dateKey])) continue;
+        if (previous && Object.keys(previous.acknowledgements || {}).length > 0) {
+            return `당직 확인 응답을 받은 날은 당직자를 바꿀 수 없습니다: ${dateKey}`;
         }
-        
-        // 2명이 아닌 경우 남은 사람 중에서 추가 배정
-        if (assignedMembers.length < 2) {
-            const allAvailable = [...allMembers]
-                .filter(m => !assignedMembers.find(assigned => assigned.id === m.id))
-                .sort((a, b) => (a.dutyCount || 0) - (b.dutyCount || 0)); // 당직 횟수 적은 순으로 정렬
-            
-            while (assignedMembers.length < 2 && allAvailable.length > 0) {
-                assignedMembers.push(allAvailable.shift());
-            }
+        if (swapDates.has(dateKey)) {
+            return `교환 요청이 처리 중인 날은 당직자를 바꿀 수 없습니다: ${dateKey}`;
         }
-        
-        weeklySchedule.push({
-            date: dateKey,
-            dayName: dayName,
-            displayDate: currentDate.toLocaleDateString('ko-KR'),
-            members: assignedMembers,
-            isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
-            weekKey: weekKey
-        });
     }
-    
-    logger.info(`Weekly schedule generated:`);
-    logger.info(`- Weekend duty person: ${weekendDutyPerson.name}`);
-    logger.info(`- Weekend second person: ${weekendSecondPerson ? weekendSecondPerson.name : 'None'}`);
-    logger.info(`- Weekday available pool: ${weekdayAvailableMembers.length} members`);
-    
-    return weeklySchedule;
+
+    const members = config.teamMembers;
+    const days = describePlanDays(dates, config).map(day => ({
+        ...day,
+        ...availabilityService.getUnavailableMembersOn(day.date, members, config)
+    }));
+    const checked = dutySolver.checkHardConstraints({ days, members, assignments });
+    const broken = checked.filter(constraint => ['two_per_day', 'weekend_same_pair'].includes(constraint.key) && !constraint.satisfied);
+    if (broken.length > 0) {
+        return `당직 편성 규칙을 어기는 편성입니다 - ${broken.map(constraint => constraint.detail).join(' / ')}`;
+    }
+
+    const hasAuthorized = members.some(member => member.isAuthorized);
+    const cost = getViolationCost(checked, hasAuthorized);
+    if (cost === 0) {
+        return null;
+    }
+    const { solution } = await generatePlanScheduleData(dates);
+    const solverCost = getViolationCost(dutySolver.checkHardConstraints({ days, members, assignments: solution.assignments }), hasAuthorized);
+    if (cost <= solverCost) {
+        return null;
+    }
+    const relaxable = checked.filter(constraint => constraint.violations.length > 0 &&
+        (constraint.key !== 'authorized_each_day' || hasAuthorized));
+    return `피할 수 있는 당직 편성 규칙 위반이 있습니다 - ${relaxable.map(constraint => `${constraint.name}: ${constraint.violations.join(', ')}`).join(' / ')}`;
 }
 
 /**
- * 주말 당직자 선택 함수 (개선된 버전)
- * 당직 횟수와 이전 주말 당직 이력을 고려하되, 더 다양한 조합이 나오도록 개선
+ * 당직표 알림 (주차별로 weekly_duty 발송 대상에 전송)
+ * @param {Array} scheduleData - 날짜별 당직 데이터
+ * @param {Object} [options] - { source, target, template }
+ * @returns {Promise<Object>} - { weekKeys, sendResults }
  */
-function selectWeekendDutyPerson(allMembers, authorizedMembers) {
-    logger.info('=== 주말 당직자 선택 시작 ===');
-    
-    // 1. 모든 멤버를 후보로 시작 (권한자 우선이지만 일반 멤버도 포함)
-    let candidates = [...allMembers];
-    
-    // 2. 최근 주말 당직 이력 확인 (지난 3주간의 금토일 당직 이력)
-    const recentWeekendDuty = getRecentWeekendDutyHistory(3);
-    logger.info(`최근 3주간 주말 당직 이력: ${recentWeekendDuty.join(', ')}`);
-    
-    // 3. 최근 주말 당직을 하지 않은 사람들 우선 선택
-    const nonRecentWeekendDuty = candidates.filter(member => 
-        !recentWeekendDuty.includes(member.id)
-    );
-    
-    if (nonRecentWeekendDuty.length > 0) {
-        candidates = nonRecentWeekendDuty;
-        logger.info(`최근 주말 당직 안한 후보들: ${candidates.map(m => m.name).join(', ')}`);
-    } else {
-        logger.info('모든 멤버가 최근 주말 당직을 함. 전체 후보 대상으로 선택');
-    }
-    
-    // 4. 권한자가 있는 경우 70% 확률로 권한자 우선, 30% 확률로 전체 후보
-    const authorizedCandidates = candidates.filter(m => m.isAuthorized);
-    const shouldPrioritizeAuthorized = Math.random() < 0.7; // 70% 확률
-    
-    if (authorizedCandidates.length > 0 && shouldPrioritizeAuthorized) {
-        candidates = authorizedCandidates;
-        logger.info('권한자 우선 선택 (70% 확률)');
-    } else {
-        logger.info('전체 후보 대상 선택 (30% 확률 또는 권한자 없음)');
+async function announceDutySchedule(scheduleData, options = {}) {
+    const weekKeys = [...new Set(scheduleData.map(day => day.weekKey || getWeekKey()))];
+    const sendResults = [];
+    for (const weekKey of weekKeys) {
+        const weekDays = scheduleData.filter(day => (day.weekKey || getWeekKey()) === weekKey);
+        const message = locale => generateConfirmationRichMessage(weekDays, weekKey, locale, options.template);
+        sendResults.push(...await messageService.sendToJobTarget('weekly_duty', message, options));
     }
-    
-    // 5. 당직 횟수 기반 가중치 선택 (완전히 공평하지는 않지만 다양성 증가)
-    const maxDutyCount = Math.max(...candidates.map(m => m.dutyCount || 0));
-    const minDutyCount = Math.min(...candidates.map(m => m.dutyCount || 0));
-    
-    // 당직 횟수가 적을수록 높은 가중치
-    const weightedCandidates = candidates.map(member => {
-        const dutyCount = member.dutyCount || 0;
-        const weight = maxDutyCount - dutyCount + 1; // 가중치 계산
-        return { member, weight };
+    return { weekKeys, sendResults };
+}
+
+/**
+ * 편성 기간의 날짜 정보 (요일, 휴일, 주말 당직 여부, 주차 키)
+ * 주차 키는 같은 주(월~일) 중 기간 안의 날짜 범위
+ * @param {Array} dates - 날짜 키 배열 (날짜순)
+ * @param {Object} config - 설정 객체
+ * @returns {Array} - [{ date, dayOfWeek, holiday, isWeekendRun, weekKey }]
+ */
+function describePlanDays(dates, config) {
+    const weekStartOf = dateKey => holidayService.addDays(dateKey, -((holidayService.getDayOfWeek(dateKey) + 6) % 7));
+    const weekKeys = new Map();
+    dates.forEach(dateKey => {
+        const weekStart = weekStartOf(dateKey);
+        const weekDates = dates.filter(other => weekStartOf(other) === weekStart);
+        weekKeys.set(dateKey, formatRangeKey(weekDates[0], weekDates[weekDates.length - 1]));
+    });
+
+    return dates.map(dateKey => {
+        const dayOfWeek = holidayService.getDayOfWeek(dateKey); // 0=일요일, 1=월요일, ..., 6=토요일
+        const holiday = holidayService.getHoliday(dateKey, config);
+        return {
+            date: dateKey,
+            dayOfWeek,
+            holiday,
+            // 금요일(5), 토요일(6), 일요일(0)과 휴일은 같은 사람으로 배정
+            isWeekendRun: dayOfWeek === 5 || dayOfWeek === 6 || dayOfWeek === 0 || !!holiday,
+            weekKey: weekKeys.get(dateKey)
+        };
     });
-    
-    // 가중치 기반 랜덤 선택
-    const totalWeight = weightedCandidates.reduce((sum, item) => sum + item.weight, 0);
-    let randomValue = Math.random() * totalWeight;
-    
-    let selected = null;
-    for (const item of weightedCandidates) {
-        randomValue -= item.weight;
-        if (randomValue <= 0) {
-            selected = item.member;
-            break;
-        }
-    }
-    
-    // 안전장치: 선택되지 않은 경우 첫 번째 후보 선택
-    if (!selected) {
-        selected = candidates[0];
-    }
-    
-    logger.info(`주말 당직자 선택 결과:`);
-    logger.info(`- 전체 후보: ${candidates.map(m => `${m.name}(${m.dutyCount || 0})`).join(', ')}`);
-    logger.info(`- 당직 횟수 범위: ${minDutyCount}~${maxDutyCount}`);
-    logger.info(`- 선택된 멤버: ${selected.name}(${selected.dutyCount || 0})`);
-    
-    return selected;
 }
 
 /**
- * 주말 두 번째 당직자 선택 함수 (개선된 버전)
- * 다양한 조합을 위해 더 유연한 선택 로직 적용
+ * 날짜별 당직 데이터 항목 (미리보기·확정·알림 공용)
+ * @param {Object} day - describePlanDays 항목
+ * @param {Array} members - 당직자 [{ id, name, ... }]
+ * 날짜와 휴일 이름은 받는 사람의 언어로 표시하도록 메시지를 만들 때 형식을 맞춤 (formatDateKey, translateHolidayName)
+ * @returns {Object} - { date, dayName, dayOfWeek, members, isWeekend, isWeekendRun, isHoliday, holidayName, weekKey }
  */
-function selectWeekendSecondPerson(allMembers, firstPerson, authorizedMembers) {
-    logger.info('=== 주말 두 번째 당직자 선택 시작 ===');
-    logger.info(`첫 번째 당직자: ${firstPerson.name}(${firstPerson.isAuthorized ? '권한자' : '일반'})`);
-    
-    // 첫 번째 당직자를 제외한 나머지 인원
-    let candidates = allMembers.filter(m => m.id !== firstPerson.id);
-    
-    if (candidates.length === 0) {
-        logger.warn('사용 가능한 두 번째 당직자가 없음');
+function toScheduleEntry(day, members) {
+    return {
+        date: day.date,
+        dayName: `${DAY_NAMES[(day.dayOfWeek + 6) % 7]}요일`,
+        dayOfWeek: day.dayOfWeek,
+        members,
+        isWeekend: day.dayOfWeek === 0 || day.dayOfWeek === 6 || !!day.holiday,
+        isWeekendRun: day.isWeekendRun,
+        isHoliday: !!day.holiday,
+        holidayName: day.holiday ? day.holiday.name : null,
+        weekKey: day.weekKey
+    };
+}
+
+/**
+ * 기간 안에 이미 편성된 팀원별 당직 횟수
+ * @param {Array} dates - 날짜 키 배열
+ * @param {Object} config - 설정 객체
+ * @returns {Object} - { 팀원 id: 횟수 }
+ */
+function countPlannedDuties(dates, config) {
+    const counts = {};
+    dates.forEach(dateKey => {
+        const dutyData = config.dailyDutySchedule[dateKey];
+        ((dutyData && dutyData.members) || []).forEach(id => {
+            counts[id] = (counts[id] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+/**
+ * 기간 전체가 이미 편성되어 있으면 편성된 당직 데이터 (하루라도 비어 있으면 null)
+ * @param {Array} dates - 날짜 키 배열
+ * @returns {Array|null} - 날짜별 당직 데이터
+ */
+function getPlannedScheduleData(dates) {
+    const config = configService.loadConfig();
+    if (!dates.every(dateKey => (config.dailyDutySchedule[dateKey]?.members || []).length > 0)) {
         return null;
     }
-    
-    // 권한자 요구사항 확인 (최소 1명은 권한자여야 함)
-    const needAuthorized = !firstPerson.isAuthorized; // 첫 번째가 일반이면 두 번째는 반드시 권한자
-    const authorizedCandidates = candidates.filter(m => m.isAuthorized);
-    
-    if (needAuthorized && authorizedCandidates.length > 0) {
-        // 반드시 권한자가 필요한 경우
-        candidates = authorizedCandidates;
-        logger.info(`권한자 필수 선택: ${candidates.map(m => m.name).join(', ')}`);
-    } else if (!needAuthorized) {
-        // 첫 번째가 이미 권한자인 경우, 50% 확률로 일반/권한자 선택
-        const shouldSelectRegular = Math.random() < 0.5;
-        const regularCandidates = candidates.filter(m => !m.isAuthorized);
-        
-        if (shouldSelectRegular && regularCandidates.length > 0) {
-            candidates = regularCandidates;
-            logger.info(`일반 멤버 선택 (50% 확률): ${candidates.map(m => m.name).join(', ')}`);
-        } else {
-            logger.info(`전체 후보 대상 선택: ${candidates.map(m => m.name).join(', ')}`);
-        }
-    } else {
-        logger.info(`전체 후보 대상 선택 (권한자 없음): ${candidates.map(m => m.name).join(', ')}`);
+    return describePlanDays(dates, config).map(day => toScheduleEntry(day, config.dailyDutySchedule[day.date].members.map(id => {
+        const member = config.teamMembers.find(m => m.id === id);
+        return member ? { id: member.id, name: member.name } : { id, name: id };
+    })));
+}
+
+/**
+ * 기간 당직 데이터 생성 (duty-solver 로 한 주씩 차례로 배정)
+ * 필수 조건:
+ * 1. 하루에 2명씩 배정
+ * 2. 그 중 최소 1명은 권한 있는 사람 (가능한 경우에만)
+ * 3. 같은 주의 금, 토, 일은 같은 사람으로 배정 (공휴일·회사 지정 휴일도 주말과 같이 주말 당직자 배정)
+ * 4. 평일 연일 당직 방지
+ * 5. 종일 부재(휴가 등) 팀원 제외
+ * 목표: 누적 당직 횟수 공평 배분 (한 주씩 배정하며 앞 주의 배정 횟수를 이어받음), 최근 주말 당직자는 주말 제외 (기간 시작 전 3주와 기간 안의 앞선 두 주말), 반차 팀원은 가능하면 제외
+ * 기간 안에 이미 편성된 당직은 새 배정으로 바뀌므로 누적 횟수에서 빼고 계산
+ * 같은 팀원·당직 이력·시드면 항상 같은 배정
+ * @param {Array} dates - 날짜 키 배열 (날짜순)
+ * @param {Object} [options] - { seed: 시드 (없으면 무작위) }
+ * @returns {Promise<Object>} - { schedule: 날짜별 배정 배열, solution: duty-solver 결과 (seed, optimal, score, constraints, relaxed), memberSummary: [{ id, name, isAuthorized, previous, added, total }] }
+ */
+async function generatePlanScheduleData(dates, options = {}) {
+    const config = configService.loadConfig();
+    const allMembers = config.teamMembers;
+
+    logger.info(`Current active team members: ${allMembers.map(m => `${m.name}(${m.id})`).join(', ')}`);
+    if (!allMembers.some(m => m.isAuthorized)) {
+        logger.warn('No authorized members available. Proceeding with regular members only.');
     }
-    
-    // 당직 횟수 기반 가중치 선택
-    const maxDutyCount = Math.max(...candidates.map(m => m.dutyCount || 0));
-    const minDutyCount = Math.min(...candidates.map(m => m.dutyCount || 0));
-    
-    const weightedCandidates = candidates.map(member => {
-        const dutyCount = member.dutyCount || 0;
-        const weight = maxDutyCount - dutyCount + 1;
-        return { member, weight };
+
+    const plannedCounts = countPlannedDuties(dates, config);
+    const members = allMembers.map(member => ({
+        ...member,
+        dutyCount: Math.max(0, (member.dutyCount || 0) - (plannedCounts[member.id] || 0))
+    }));
+
+    const planDays = describePlanDays(dates, config);
+    const days = planDays.map(day => ({
+        ...day,
+        ...availabilityService.getUnavailableMembersOn(day.date, allMembers, config)
+    }));
+
+    const solution = await dutySolver.solveDutySchedule({
+        days,
+        members,
+        recentWeekendMemberIds: getRecentWeekendDutyHistory(3, dates[0]),
+        seed: options.seed
     });
-    
-    // 가중치 기반 랜덤 선택
-    const totalWeight = weightedCandidates.reduce((sum, item) => sum + item.weight, 0);
-    let randomValue = Math.random() * totalWeight;
-    
-    let selected = null;
-    for (const item of weightedCandidates) {
-        randomValue -= item.weight;
-        if (randomValue <= 0) {
-            selected = item.member;
-            break;
-        }
+    if (!solution.success) {
+        throw new Error(solution.message);
     }
-    
-    if (!selected) {
-        selected = candidates[0];
-    }
-    
-    logger.info(`두 번째 당직자 선택 결과:`);  
-    logger.info(`- 당직 횟수 범위: ${minDutyCount}~${maxDutyCount}`);
-    logger.info(`- 선택된 멤버: ${selected.name}(${selected.dutyCount || 0})`);
-    logger.info(`- 최종 주말 조합: ${firstPerson.name} & ${selected.name}`);
-    
-    return selected;
+
+    const memberById = new Map(allMembers.map(member => [member.id, member]));
+    const schedule = planDays.map(day => toScheduleEntry(day, solution.assignments[day.date].map(id => memberById.get(id))));
+
+    const added = {};
+    Object.values(solution.assignments).forEach(ids => ids.forEach(id => {
+        added[id] = (added[id] || 0) + 1;
+    }));
+    const memberSummary = members.map(member => ({
+        id: member.id,
+        name: member.name,
+        isAuthorized: !!member.isAuthorized,
+        previous: member.dutyCount,
+        added: added[member.id] || 0,
+        total: member.dutyCount + (added[member.id] || 0)
+    }));
+
+    logger.info(`Duty schedule solved for ${dates.length} days (seed ${solution.seed}, cost ${solution.score.total}, ${solution.optimal ? 'optimal' : 'search limit reached'})`);
+    solution.relaxed.forEach(item => logger.info(`- Relaxed ${item.key}: ${item.detail}`));
+
+    return { schedule, solution, memberSummary };
+}
+
+/**
+ * 주간 스케줄 데이터 생성 (이번 주 월~일, 기존 호환성 유지)
+ * @param {Array} allMembersParam - (사용하지 않음, 설정의 팀원 목록 사용)
+ * @param {string} weekKey - (사용하지 않음, 날짜로 계산)
+ * @param {Object} [options] - { seed: 시드 (없으면 무작위) }
+ * @returns {Promise<Object>} - generatePlanScheduleData 결과
+ */
+async function generateWeeklyScheduleData(allMembersParam, weekKey, options = {}) {
+    return generatePlanScheduleData(getWeekDates(), options);
 }
 
 /**
  * 최근 주말 당직 이력 조회
  * @param {number} weeks - 조회할 주 수
+ * @param {string} [beforeDate] - 이 날짜 전날부터 거슬러 조회 (YYYY-MM-DD, 없으면 오늘부터)
  * @returns {Array} 최근 주말 당직자 ID 배열
  */
-function getRecentWeekendDutyHistory(weeks = 2) {
+function getRecentWeekendDutyHistory(weeks = 2, beforeDate = null) {
     const config = configService.loadConfig();
     const dailySchedule = config.dailyDutySchedule;
     const recentWeekendDuty = [];
     
-    const today = new Date();
+    const lastDate = beforeDate ? holidayService.addDays(beforeDate, -1) : formatDateToKey(new Date());
     
     for (let i = 0; i < weeks * 7; i++) {
-        const checkDate = new Date(today);
-        checkDate.setDate(checkDate.getDate() - i);
-        
-        const dayOfWeek = checkDate.getDay();
+        const dateKey = holidayService.addDays(lastDate, -i);
+        const dayOfWeek = holidayService.getDayOfWeek(dateKey);
         // 금요일(5), 토요일(6), 일요일(0)만 확인
         if (dayOfWeek === 5 || dayOfWeek === 6 || dayOfWeek === 0) {
-            const dateKey = formatDateToKey(checkDate);
             const dutyData = dailySchedule[dateKey];
             
             if (dutyData && dutyData.members) {
@@ -523,297 +675,161 @@ function getRecentWeekendDutyHistory(weeks = 2) {
 }
 
 /**
- * 평일 당직 스케줄 생성 (수정된 버전)
- * @param {Array} availableMembers - 사용 가능한 팀원 리스트
- * @param {Object} weekendDutyPerson - 주말 당직자 (평일에도 사용 가능)
- * @param {Object} weekendSecondPerson - 주말 두 번째 당직자
- * @returns {Array} 4일간(월화수목) 당직 배정 배열
+ * 미리보기 메시지 생성 (여러 주면 주차별로 묶음)
+ * @param {Array} previewData - 기간 스케줄 데이터
+ * @param {string} weekKey - 주차 키 (여러 주면 기간 키)
+ * @param {Object} [solution] - duty-solver 결과 (시드와 완화된 조건 설명 포함)
+ * @returns {string} - 미리보기 메시지
  */
-function generateWeekdaySchedule(availableMembers, weekendDutyPerson, weekendSecondPerson) {
-    const weekdaySchedule = [];
-    const maxAttempts = 50; // 무한 루프 방지
-    
-    // 주말 당직자들도 평일에 포함시킬 수 있도록 전체 풀에 추가
-    const allAvailableMembers = [...availableMembers, weekendDutyPerson];
-    if (weekendSecondPerson) {
-        allAvailableMembers.push(weekendSecondPerson);
-    }
-    
-    // 당직 횟수 기준으로 정렬
-    allAvailableMembers.sort((a, b) => (a.dutyCount || 0) - (b.dutyCount || 0));
-    
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        weekdaySchedule.length = 0; // 배열 초기화
-        let success = true;
-        
-        // 4일간(월화수목) 당직 배정
-        for (let dayIndex = 0; dayIndex < 4; dayIndex++) {
-            const dayMembers = selectDayMembers(allAvailableMembers, dayIndex, weekdaySchedule);
-            
-            if (dayMembers.length < 2) {
-                success = false;
-                break;
-            }
-            
-            weekdaySchedule.push(dayMembers);
-        }
-        
-        if (success) {
-            logger.info(`Weekday schedule generated successfully on attempt ${attempt + 1}`);
-            return weekdaySchedule;
-        }
-    }
-    
-    // 최대 시도 횟수를 초과한 경우 기본 스케줄 생성
-    logger.warn(`Failed to generate weekday schedule after ${maxAttempts} attempts. Using fallback.`);
-    return generateFallbackWeekdaySchedule(availableMembers, weekendDutyPerson, weekendSecondPerson);
-}
+function generatePreviewMessage(previewData, weekKey, solution = null) {
+    const weekKeys = [...new Set(previewData.map(day => day.weekKey))];
+    const multiWeek = weekKeys.length > 1;
+    let message = `📋 ${multiWeek ? '' : '주간 '}당직 편성 미리보기 - ${weekKey}\n`;
+    
+    weekKeys.forEach(key => {
+        const weekDays = previewData.filter(day => day.weekKey === key);
+        message += multiWeek ? `\n📆 ${key}\n` : '\n';
 
-/**
- * 특정 날짜의 당직자 선택 (개선된 버전)
- * 다양한 조합을 위해 가중치 기반 선택 적용
- * @param {Array} allMembers - 전체 사용 가능한 팀원
- * @param {number} dayIndex - 날짜 인덱스
- * @param {Array} schedule - 지금까지 생성된 스케줄
- * @returns {Array} 선택된 당직자 배열
- */
-function selectDayMembers(allMembers, dayIndex, schedule) {
-    const selectedMembers = [];
-    const dayNames = ['월요일', '화요일', '수요일', '목요일'];
-    
-    logger.info(`=== ${dayNames[dayIndex]} 당직자 선택 ===`);
-    
-    // 권한자와 일반 팀원 분리
-    const authorizedMembers = allMembers.filter(m => m.isAuthorized);
-    const regularMembers = allMembers.filter(m => !m.isAuthorized);
-    
-    // 첫 번째 당직자 선택 (권한자 우선, 하지만 80% 확률로 제한)
-    const shouldPrioritizeAuthorized = Math.random() < 0.8; // 80% 확률
-    const firstCandidates = (authorizedMembers.length > 0 && shouldPrioritizeAuthorized) 
-        ? authorizedMembers 
-        : allMembers;
-    
-    const availableFirst = firstCandidates.filter(m => canAssignMember(m, dayIndex, schedule));
-    
-    if (availableFirst.length > 0) {
-        // 가중치 기반 선택
-        const selected = selectWithWeight(availableFirst, '첫 번째 당직자');
-        if (selected) {
-            selectedMembers.push(selected);
-            logger.info(`첫 번째 당직자 선택: ${selected.name}(${selected.dutyCount || 0})`);
+        // 금토일 연속 당직자 찾기
+        const weekendDay = weekDays.find(day => day.isWeekendRun);
+        if (weekendDay && weekendDay.members.length > 0) {
+            message += `🎆 주말 연속 당직자: ${weekendDay.members.map(m => `${m.name}(${m.id})`).join(' & ')}\n\n`;
         }
-    }
-    
-    // 두 번째 당직자 선택
-    if (selectedMembers.length > 0) {
-        const firstPerson = selectedMembers[0];
-        const availableSecond = allMembers.filter(m => 
-            m.id !== firstPerson.id && 
-            canAssignMember(m, dayIndex, schedule)
-        );
         
-        if (availableSecond.length > 0) {
-            // 권한자 요구사항 확인
-            let secondCandidates = availableSecond;
+        weekDays.forEach(day => {
+            const membersText = day.members.length > 0 
+                ? day.members.map(m => `${m.name}(${m.id})`).join(' & ')
+                : '미배정';
             
-            if (!firstPerson.isAuthorized) {
-                // 첫 번째가 일반이면 두 번째는 반드시 권한자
-                const authorizedSecond = availableSecond.filter(m => m.isAuthorized);
-                if (authorizedSecond.length > 0) {
-                    secondCandidates = authorizedSecond;
-                    logger.info('두 번째 당직자 권한자 필수 선택');
-                }
-            } else {
-                // 첫 번째가 권한자이면 60% 확률로 일반 멤버 우선
-                const shouldSelectRegular = Math.random() < 0.6;
-                const regularSecond = availableSecond.filter(m => !m.isAuthorized);
-                
-                if (shouldSelectRegular && regularSecond.length > 0) {
-                    secondCandidates = regularSecond;
-                    logger.info('두 번째 당직자 일반 멤버 우선 선택 (60% 확률)');
-                } else {
-                    logger.info('두 번째 당직자 전체 후보 대상 선택');
-                }
-            }
+            const emoji = day.isWeekend ? '🌴' : '🏢';
+            const specialNote = day.isWeekendRun ? ' ✨' : '';
+            const holidayNote = day.holidayName ? ` 🎌 ${day.holidayName}` : '';
             
-            const selected = selectWithWeight(secondCandidates, '두 번째 당직자');
-            if (selected) {
-                selectedMembers.push(selected);
-                logger.info(`두 번째 당직자 선택: ${selected.name}(${selected.dutyCount || 0})`);
-            }
-        }
-    }
-    
-    logger.info(`${dayNames[dayIndex]} 최종 당직자: ${selectedMembers.map(m => m.name).join(' & ')}`);
-    return selectedMembers;
-}
-
-/**
- * 가중치 기반 멤버 선택 유틸리티 함수
- * @param {Array} candidates - 후보 리스트
- * @param {string} description - 설명 (로그용)
- * @returns {Object} 선택된 멤버
- */
-function selectWithWeight(candidates, description) {
-    if (candidates.length === 0) return null;
-    if (candidates.length === 1) return candidates[0];
-    
-    const maxDutyCount = Math.max(...candidates.map(m => m.dutyCount || 0));
-    const minDutyCount = Math.min(...candidates.map(m => m.dutyCount || 0));
-    
-    // 당직 횟수가 적을수록 높은 가중치 (2배 차이로 설정)
-    const weightedCandidates = candidates.map(member => {
-        const dutyCount = member.dutyCount || 0;
-        const weight = (maxDutyCount - dutyCount + 1) * 2; // 2배 가중치
-        return { member, weight };
-    });
-    
-    // 가중치 기반 랜덤 선택
-    const totalWeight = weightedCandidates.reduce((sum, item) => sum + item.weight, 0);
-    let randomValue = Math.random() * totalWeight;
-    
-    for (const item of weightedCandidates) {
-        randomValue -= item.weight;
-        if (randomValue <= 0) {
-            return item.member;
-        }
-    }
-    
-    // 안전장치
-    return candidates[0];
-}
-
-/**
- * 특정 당직자를 특정 날짜에 배정할 수 있는지 확인
- * @param {Object} member - 당직자
- * @param {number} dayIndex - 날짜 인덱스 (0=월, 1=화, 2=수, 3=목)
- * @param {Array} schedule - 지금까지 생성된 스케줄
- * @returns {boolean} 배정 가능 여부
- */
-function canAssignMember(member, dayIndex, schedule) {
-    // 이전 날짜 확인
-    if (dayIndex > 0) {
-        const prevDayMembers = schedule[dayIndex - 1];
-        if (prevDayMembers.some(m => m.id === member.id)) {
-            return false; // 연일 당직 방지
-        }
-    }
-    
-    // 다음 날짜 확인 (이미 배정된 경우)
-    if (dayIndex < schedule.length - 1) {
-        const nextDayMembers = schedule[dayIndex + 1];
-        if (nextDayMembers.some(m => m.id === member.id)) {
-            return false; // 연일 당직 방지
-        }
-    }
-    
-    return true;
-}
-
-/**
- * 연일 당직 방지 실패 시 대체 스케줄 생성 (수정된 버전)
- * @param {Array} availableMembers - 사용 가능한 팀원 리스트
- * @param {Object} weekendDutyPerson - 주말 당직자
- * @param {Object} weekendSecondPerson - 주말 두 번째 당직자
- * @returns {Array} 4일간 당직 배정 배열
- */
-function generateFallbackWeekdaySchedule(availableMembers, weekendDutyPerson, weekendSecondPerson) {
-    const weekdaySchedule = [];
-    
-    // 전체 풀에 주말 당직자들도 포함
-    const allPool = [...availableMembers, weekendDutyPerson];
-    if (weekendSecondPerson) {
-        allPool.push(weekendSecondPerson);
-    }
-    
-    // 당직 횟수 기준으로 정렬
-    allPool.sort((a, b) => (a.dutyCount || 0) - (b.dutyCount || 0));
-    
-    // 간단한 순환 방식으로 배정
-    for (let dayIndex = 0; dayIndex < 4; dayIndex++) {
-        const firstMember = allPool[dayIndex % allPool.length];
-        const secondMember = allPool[(dayIndex + Math.floor(allPool.length / 2)) % allPool.length];
-        
-        // 같은 사람이 선택되지 않도록 조정
-        if (firstMember.id === secondMember.id && allPool.length > 1) {
-            const altSecond = allPool[(dayIndex + 1) % allPool.length];
-            weekdaySchedule.push([firstMember, altSecond]);
-        } else {
-            weekdaySchedule.push([firstMember, secondMember]);
-        }
-    }
-    
-    return weekdaySchedule;
-}
-
-/**
- * 미리보기 메시지 생성
- */
-function generatePreviewMessage(previewData, weekKey) {
-    let message = `📋 주간 당직 편성 미리보기 - ${weekKey}\n\n`;
-    
-    // 금토일 연속 당직자 찾기
-    const fridayData = previewData.find(day => day.dayName === '금요일');
-    if (fridayData && fridayData.members.length > 0) {
-        const weekendDutyPerson = fridayData.members[0];
-        message += `🎆 주말 연속 당직자: ${weekendDutyPerson.name}(${weekendDutyPerson.id})\n\n`;
-    }
-    
-    previewData.forEach(day => {
-        const membersText = day.members.length > 0 
-            ? day.members.map(m => `${m.name}(${m.id})`).join(' & ')
-            : '미배정';
-        
-        const emoji = day.isWeekend ? '🌴' : '🏢';
-        const specialNote = (day.dayName === '금요일' || day.dayName === '토요일' || day.dayName === '일요일') ? ' ✨' : '';
-        
-        message += `${emoji} ${day.dayName} (${day.displayDate}): ${membersText}${specialNote}\n`;
+            message += `${emoji} ${day.dayName} (${formatDateKey(day.date, 'ko')})${holidayNote}: ${membersText}${specialNote}\n`;
+        });
     });
     
     message += '\n📝 당직 규칙:';
     message += '\n• 하루에 2명씩 배정';
     message += '\n• 최소 1명은 권한 있는 팀원';
     message += '\n• 금요일~일요일 연속 당직자 동일 (✨)';
+    message += '\n• 공휴일(🎌)은 주말 당직자가 담당';
     message += '\n• 평일(월화수목) 연일 당직 방지 🚫';
+    message += '\n• 휴가·부재 팀원 제외, 반차 팀원은 가능하면 제외';
+
+    if (solution) {
+        const unmet = solution.constraints.filter(constraint => !constraint.satisfied);
+        message += `\n\n🎲 시드: ${solution.seed}${solution.optimal ? '' : ' (탐색 한도 도달, 최적이 아닐 수 있음)'}`;
+        unmet.forEach(constraint => {
+            message += `\n⚠️ ${constraint.name} 불가: ${constraint.detail}`;
+        });
+        solution.relaxed.forEach(item => {
+            message += `\n↪️ ${item.name}: ${item.detail}`;
+        });
+    }
     message += '\n\n※ 이것은 미리보기입니다. 확정하시면 채널에 알림이 전송됩니다.';
     
     return message;
 }
 
 /**
- * 확정 메시지 생성
+ * 확정 메시지 생성 (weekly_duty_confirmation 템플릿)
+ * @param {Array} scheduleData - 주간 스케줄 데이터
+ * @param {string} weekKey - 주차 키
+ * @param {string} [locale] - 언어 코드
+ * @param {Object} [templateOverrides] - 작업별 템플릿 재정의 { 언어: 본문 }
+ * @returns {string} - 확정 메시지
  */
-function generateConfirmationMessage(scheduleData, weekKey) {
-    let message = `🚨 주간 당직 편성 완료 - ${weekKey}\n\n`;
-    message += '📅 이번 주 당직 스케줄이 확정되었습니다!\n\n';
-    
+function generateConfirmationMessage(scheduleData, weekKey, locale = 'ko', templateOverrides = {}) {
     // 금토일 연속 당직자 찾기
-    const fridayData = scheduleData.find(day => day.dayName === '금요일');
-    if (fridayData && fridayData.members.length > 0) {
-        const weekendDutyPerson = fridayData.members[0];
-        message += `🎆 주말 연속 당직자: ${weekendDutyPerson.name}(${weekendDutyPerson.id}) 고생합니다!\n\n`;
-    }
-    
-    scheduleData.forEach(day => {
-        const membersText = day.members.length > 0 
+    const weekendDay = scheduleData.find(day => day.isWeekendRun);
+    const weekendDutyPerson = weekendDay && weekendDay.members.length > 0 ? weekendDay.members[0] : null;
+    const today = new Date().toISOString().split('T')[0];
+
+    const days = scheduleData.map(day => ({
+        emoji: day.isWeekend ? '🌴' : '🏢',
+        dayName: translate(locale, day.dayName),
+        displayDate: formatDateKey(day.date, locale),
+        date: day.date,
+        members: day.members.length > 0
             ? day.members.map(m => `${m.name}(${m.id})`).join(' & ')
-            : '미배정';
-        
+            : translate(locale, '미배정'),
+        memberList: day.members.map(m => ({ id: m.id, name: m.name })),
+        isWeekend: !!day.isWeekend,
+        isWeekendRun: !!day.isWeekendRun,
+        isHoliday: !!day.isHoliday,
+        holidayName: translateHolidayName(locale, day.holidayName) || null,
+        isToday: day.date === today
+    }));
+
+    return templateService.renderMessage('weekly_duty_confirmation', {
+        weekKey,
+        weekendDutyPerson: weekendDutyPerson ? { id: weekendDutyPerson.id, name: weekendDutyPerson.name } : null,
+        days
+    }, locale, templateOverrides);
+}
+
+/**
+ * 확정 메시지의 플렉스(리치) 버전 생성
+ * 요일별 당직표와 "확인했습니다" 버튼, 대시보드 링크(설정된 경우)를 포함
+ * @param {Array} scheduleData - 주간 스케줄 데이터
+ * @param {string} weekKey - 주차 키
+ * @param {string} [locale] - 언어 코드
+ * @param {Object} [templateOverrides] - 작업별 템플릿 재정의 { 언어: 본문 }
+ * @returns {Object} - message-content 메시지 객체 (텍스트 대체 본문 포함)
+ */
+function generateConfirmationRichMessage(scheduleData, weekKey, locale = 'ko', templateOverrides = {}) {
+    const fallbackText = generateConfirmationMessage(scheduleData, weekKey, locale, templateOverrides);
+    const title = translate(locale, '주간 당직 편성 완료');
+    const { dashboardUrl } = configService.getMessagingConfig();
+
+    const rows = scheduleData.map(day => {
+        const membersText = day.members.length > 0
+            ? day.members.map(m => m.name).join(' & ')
+            : translate(locale, '미배정');
         const emoji = day.isWeekend ? '🌴' : '🏢';
-        const todayIndicator = day.date === new Date().toISOString().split('T')[0] ? ' ← 오늘' : '';
-        const specialNote = (day.dayName === '금요일' || day.dayName === '토요일' || day.dayName === '일요일') ? ' ✨' : '';
-        
-        message += `${emoji} ${day.dayName} (${day.displayDate}): ${membersText}${specialNote}${todayIndicator}\n`;
+
+        return {
+            type: 'box',
+            layout: 'horizontal',
+            contents: [
+                { type: 'text', text: `${emoji} ${translate(locale, day.dayName)} ${formatDateKey(day.date, locale)}${day.holidayName ? ` 🎌 ${translateHolidayName(locale, day.holidayName)}` : ''}`, size: 'sm', flex: 3, wrap: true },
+                { type: 'text', text: membersText, size: 'sm', flex: 4, wrap: true }
+            ]
+        };
     });
-    
-    message += '\n📝 당직 안내:';
-    message += '\n• 하루에 2명씩 배정, 최소 1명은 권한자';
-    message += '\n• 금요일~일요일 연속 당직자 동일 (✨)';
-    message += '\n• 평일(월화수목) 연일 당직 방지 🚫';
-    message += '\n\n💡 당직자분들은 매일 오후 2시, 4시에 당직 체크 알림을 받게 됩니다.';
-    message += '\n📱 노트북 지참 알림은 매일 오전 9시에 당일 당직자에게 개별 전송됩니다.';
-    
-    return message;
+
+    const buttons = [
+        { type: 'button', style: 'primary', action: messageAction(translate(locale, '확인했습니다'), `${dutyAckService.POSTBACK_PREFIX}:week:${weekKey}`) }
+    ];
+    if (dashboardUrl) {
+        buttons.push({ type: 'button', style: 'secondary', action: uriAction(translate(locale, '대시보드에서 보기'), dashboardUrl) });
+    }
+
+    const contents = {
+        type: 'bubble',
+        header: {
+            type: 'box',
+            layout: 'vertical',
+            contents: [
+                { type: 'text', text: `🚨 ${title} - ${weekKey}`, weight: 'bold', size: 'md', wrap: true }
+            ]
+        },
+        body: {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'sm',
+            contents: rows
+        },
+        footer: {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'sm',
+            contents: buttons
+        }
+    };
+
+    return createFlexMessage(fallbackText, contents, `${title} - ${weekKey}`);
 }
 
 /**
@@ -830,9 +846,21 @@ function getWeekKey() {
 
 /**
  * 주간 당직표 자동 편성 함수 (기존 호환성 유지)
+ * 이번 주가 이미 모두 편성되어 있으면(여러 주·한 달 편성 등) 다시 편성하지 않고 편성된 당직표를 알림
+ * @param {Object} [options] - { source: 발송 이력에 기록할 작업 이름, target: 발송 대상, template: 작업별 템플릿 재정의 { 언어: 본문 }, replan: 편성되어 있어도 다시 편성 }
  * @returns {Object} - 결과 객체
  */
-async function assignWeeklyDutySchedule() {
+async function assignWeeklyDutySchedule(options = {}) {
+    const { replan, ...sendOptions } = options;
+    if (!replan) {
+        const plannedData = getPlannedScheduleData(getWeekDates());
+        if (plannedData) {
+            logger.info(`Week ${plannedData[0].weekKey} is already planned. Announcing the existing schedule.`);
+            const { sendResults } = await announceDutySchedule(plannedData, sendOptions);
+            return messageService.buildSendOutcome('이미 편성된 이번 주 당직표 알림이 전송되었습니다.', sendResults);
+        }
+    }
+
     // 미리보기 생성
     const previewResult = await previewWeeklyDutySchedule();
     
@@ -841,7 +869,7 @@ async function assignWeeklyDutySchedule() {
     }
     
     // 바로 확정 (기존 동작 유지)
-    return await confirmWeeklyDutySchedule(previewResult.data);
+    return await confirmWeeklyDutySchedule(previewResult.data, sendOptions);
 }
 
 /**
@@ -921,12 +949,15 @@ function cleanupOldDutySchedule() {
 }
 
 /**
- * 당직자 알림 (매일 오후 2시, 4시) - 채널로 전송
+ * 당직자 알림 (기본: 매일 오후 2시, 4시) - 채널로 전송, 당직자가 누를 "당직 확인" 버튼 포함
+ * @param {Object} [options] - { source: 발송 이력에 기록할 작업 이름, target: 발송 대상, template: 작업별 템플릿 재정의 { 언어: 본문 }, timezone: 작업 시간대 }
+ * @returns {Promise<Array>} - 수신자별 전송 결과 (알림을 보내지 않은 경우 빈 배열)
  */
-async function sendDutyReminderMessage() {
+async function sendDutyReminderMessage(options = {}) {
     try {
         const config = configService.loadConfig();
-        const kstDate = getCurrentKSTDate();
+        // 작업 시간대 기준 '오늘'의 당직자 (기본값: KST)
+        const kstDate = getCurrentDateInTimezone(options.timezone);
         const dateKey = formatDateToKey(kstDate);
         const currentHour = kstDate.getHours();
 
@@ -934,52 +965,50 @@ async function sendDutyReminderMessage() {
         const todayDuty = config.dailyDutySchedule[dateKey];
         if (!todayDuty || !todayDuty.members || todayDuty.members.length === 0) {
             logger.warn(`No duty assignment found for ${dateKey}`);
-            return;
+            return [];
         }
 
-        const timeSlot = currentHour === 14 ? '오후 2시' : '오후 4시';
-        const dutyMembers = todayDuty.members;
-        const memberNames = dutyMembers.map(id => {
-            const member = config.teamMembers.find(m => m.id === id);
-            return member ? `${member.name}(${id})` : id;
-        }).join(' & ');
+        const dutyMembers = todayDuty.members.map(id => config.teamMembers.find(m => m.id === id) || { id, name: null });
+        const memberNames = dutyMembers.map(m => m.name ? `${m.name}(${m.id})` : m.id).join(' & ');
+        const memberList = dutyMembers.map(m => ({ id: m.id, name: m.name || m.id }));
 
-        const displayDate = kstDate.toLocaleDateString('ko-KR');
-        const message = `🔔 당직 알림 (${timeSlot}) 🔔\n\n` +
-                       `오늘(${displayDate}) 당직자: ${memberNames}\n\n` +
-                       `당직 체크사항:\n` +
-                       `- 사무실 보안 상태 확인\n` +
-                       `- 시설 이상 유무 점검\n` +
-                       `- 긴급상황 대응 준비\n\n` +
-                       `수고하세요! 💪`;
+        const reminderText = templateService.localizedMessage('duty_reminder', locale => ({
+            timeSlot: formatHour(currentHour, locale),
+            date: formatDate(kstDate, locale),
+            members: memberNames,
+            memberList
+        }), options.template);
+        // 당직자가 "당직 확인" 버튼을 누르면 확인 기록 (대시보드 링크는 설정된 경우에만)
+        const message = (locale, timezone) => createButtonMessage(reminderText(locale, timezone), dutyAckService.buildAckActions(dateKey, locale, config));
 
-        // 채널로 알림 발송
-        await messageService.sendChannelMessage(message);
-        logger.info(`Duty reminder sent to channel for ${memberNames} at ${timeSlot}`);
+        // 당직 알림 발송 대상으로 발송
+        const sendResults = await messageService.sendToJobTarget('duty_reminder', message, options);
+        logger.info(`Duty reminder sent for ${memberNames} at ${currentHour}:00`);
+        return sendResults;
 
     } catch (error) {
         logger.error(`Error in duty reminder: ${error.message}`, error);
+        return [];
     }
 }
 
 module.exports = {
+    PLAN_RANGES,
+    MAX_PLAN_DAYS,
     getWeeklyDutySchedule,
     getTodayDutyMembers,
     assignDailyDuty,
     assignWeeklyDutySchedule,
     previewWeeklyDutySchedule,
     confirmWeeklyDutySchedule,
+    resolvePlanRange,
+    describePlanDays,
+    generatePlanScheduleData,
     generateWeeklyScheduleData,
-    selectWeekendDutyPerson,
-    selectWeekendSecondPerson,
     getRecentWeekendDutyHistory,
-    generateWeekdaySchedule,
-    selectDayMembers,
-    selectWithWeight,
-    canAssignMember,
-    generateFallbackWeekdaySchedule,
     generatePreviewMessage,
     generateConfirmationMessage,
+    generateConfirmationRichMessage,
     getWeekKey,
     generateWeeklyDutyMessage,
     sendDutyReminderMessage,
@@ -0,0 +1,544 @@
+// src/services/duty-solver.js
+// 당직 제약 조건 솔버 - 필수 조건을 지키면서 공평성·주말 순환 비용이 가장 작은 배정을 찾음 (같은 입력과 시드면 항상 같은 결과)
+
+const { addDays, getDayOfWeek } = require('./holiday-service');
+
+/**
+ * 필수 조건 (만족하는 배정이 없을 때만 위반 1건당 큰 비용을 매겨 완화)
+ */
+const HARD_CONSTRAINTS = {
+    two_per_day: '하루 2명 배정',
+    authorized_each_day: '하루 최소 1명은 권한자',
+    weekend_same_pair: '금~일·휴일은 같은 2명',
+    no_consecutive_weekdays: '평일 연일 당직 금지',
+    member_available: '휴가·부재 팀원 제외'
+};
+
+/**
+ * 비용으로 최소화하는 목표
+ */
+const SOFT_OBJECTIVES = {
+    fairness: '누적 당직 횟수 공평 배분',
+    weekend_rotation: '최근 주말 당직자는 주말 제외',
+    half_day: '반차 팀원은 가능하면 제외'
+};
+
+/**
+ * 비용 가중치
+ * fairness: 팀원별 누적 당직 횟수 제곱합 (당직 1회 추가 비용 2c+1), weekendRotation: 최근 주말 당직자를 주말에 배정할 때 1명당
+ * halfDay: 반차인 날 배정할 때 1명·1일당, violation: 필수 조건을 완화할 때 위반 1건당
+ * unavailable: 종일 부재 팀원을 배정할 때 1명·1일당 (완화하더라도 권한자·연일 조건보다 먼저 지킴)
+ */
+const DEFAULT_WEIGHTS = {
+    fairness: 1,
+    weekendRotation: 20,
+    halfDay: 30,
+    violation: 1000,
+    unavailable: 10000
+};
+
+// 주마다 탐색 노드 한도 (넘으면 그 주는 지금까지 찾은 가장 좋은 배정을 쓰고 optimal: false)
+// 같은 입력과 시드면 서버 부하와 관계없이 같은 결과가 나오도록 시간이 아니라 노드 수로만 제한
+// 한 달을 편성해도 서버가 다른 요청을 처리할 수 있도록 주 단위로 나눠 탐색하고 주 사이에 이벤트 루프에 양보
+const MAX_SEARCH_NODES = 20000;
+
+// 편성 기간 안에서 주말 당직자를 피하는 이전 주말 수 (기간 시작 전 3주 이력과 합쳐 약 3주 순환)
+const WEEKEND_ROTATION_WINDOW = 2;
+
+/**
+ * 시드 정리 (숫자는 32비트 정수로, 문자열은 해시로, 없으면 무작위)
+ * @param {number|string} [seed] - 시드
+ * @returns {number} - 32비트 부호 없는 정수 시드
+ */
+function normalizeSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+    if (/^\d+$/.test(String(seed))) {
+        return Number(seed) >>> 0;
+    }
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 시드 기반 난수 생성기 (mulberry32)
+ * @param {number} seed - 32비트 정수 시드
+ * @returns {Function} - () => [0, 1) 난수
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 시드 순서로 섞기 (비용이 같은 배정 중 무엇을 고를지 정함)
+ * @param {Array} items - 배열
+ * @param {Function} random - 난수 생성기
+ * @returns {Array} - 섞인 새 배열
+ */
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * 날짜가 속한 주의 월요일 (주말 당직 묶음 기준)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @returns {string} - 월요일 날짜 키
+ */
+function getWeekStart(dateKey) {
+    return addDays(dateKey, -((getDayOfWeek(dateKey) + 6) % 7));
+}
+
+/**
+ * 배정 단위 (주마다 주말 당직 묶음 하나, 그 뒤로 나머지 날을 하루씩)
+ * 주말 당직 묶음은 같은 주(월~일)의 금~일·휴일
+ * @param {Array} days - 날짜순 날짜 목록
+ * @returns {Array} - [{ days: [날짜], weekStart: 주 시작(월요일) 날짜 키, weekendIndex: 몇 번째 주말 묶음인지 (평일이면 null) }]
+ */
+function buildUnits(days) {
+    const units = [];
+    let weekendCount = 0;
+    [...new Set(days.map(day => getWeekStart(day.date)))].forEach(weekStart => {
+        const weekDays = days.filter(day => getWeekStart(day.date) === weekStart);
+        const weekendDays = weekDays.filter(day => day.isWeekendRun);
+        if (weekendDays.length > 0) {
+            units.push({ days: weekendDays, weekStart, weekendIndex: weekendCount++ });
+        }
+        weekDays.filter(day => !day.isWeekendRun).forEach(day => units.push({ days: [day], weekStart, weekendIndex: null }));
+    });
+    return units;
+}
+
+/**
+ * 주말 순환에서 피할 팀원 (범위 시작 전 최근 주말 당직자는 첫 주말, 범위 안에서는 앞선 두 번의 주말 당직자)
+ * @param {number} weekendIndex - 몇 번째 주말 묶음인지
+ * @param {Array} weekendPairs - 앞선 주말 묶음의 당직자 id 배열 목록
+ * @param {Set} recent - 범위 시작 전 최근 주말 당직자 id
+ * @returns {Set} - 피할 팀원 id
+ */
+function getRotationExclusions(weekendIndex, weekendPairs, recent) {
+    const excluded = new Set(weekendIndex === 0 ? recent : []);
+    weekendPairs.slice(Math.max(0, weekendIndex - WEEKEND_ROTATION_WINDOW), weekendIndex).forEach(pair => pair.forEach(id => excluded.add(id)));
+    return excluded;
+}
+
+/**
+ * 당직 배정 풀기
+ * 주마다 주말 당직(금~일·휴일) 2명을 먼저 고르고 나머지 날을 날짜순으로 고르며, 한 주씩 차례로 분기 한정 탐색
+ * (앞 주의 배정으로 늘어난 당직 횟수와 주말 당직자를 다음 주 탐색에 이어받으므로, 여러 주를 편성해도 누적 당직 횟수 기준으로 공평하게 배분)
+ * 그 주의 필수 조건을 모두 만족하는 배정이 없으면 권한자·연일·부재 조건을 위반 비용으로 바꿔 그 주만 다시 탐색
+ * @param {Object} input - 입력
+ * @param {Array} input.days - [{ date: 'YYYY-MM-DD', isWeekendRun, unavailableMemberIds, halfDayMemberIds }] (날짜순, isWeekendRun 은 금~일·휴일)
+ * @param {Array} input.members - [{ id, name, isAuthorized, dutyCount }]
+ * @param {Array} [input.recentWeekendMemberIds] - 기간 시작 전 최근 주말 당직자 id
+ * @param {number|string} [input.seed] - 시드 (없으면 무작위로 정하고 결과에 포함)
+ * @param {Object} [input.weights] - 비용 가중치 (DEFAULT_WEIGHTS 병합)
+ * @returns {Promise<Object>} - { success, message, seed, assignments: { 날짜: [팀원 id] }, optimal: 모든 주를 한도 안에 끝까지 탐색했는지, score: { total, fairness, weekendRotation, halfDay, violations }, constraints: [{ key, name, satisfied, detail }], relaxed: [{ key, name, detail }] }
+ */
+async function solveDutySchedule({ days, members, recentWeekendMemberIds = [], seed, weights = {} }) {
+    const resolvedSeed = normalizeSeed(seed);
+    if (members.length < 2) {
+        return { success: false, seed: resolvedSeed, message: '당직 편성을 위해 최소 2명의 팀원이 필요합니다.' };
+    }
+
+    const weight = { ...DEFAULT_WEIGHTS, ...weights };
+    const random = createRandom(resolvedSeed);
+    const order = shuffle(members, random);
+    const minCount = Math.min(...order.map(member => member.dutyCount || 0));
+    // 최솟값 기준 상대 횟수 (전체 배정 수가 같으므로 최적해는 절대 횟수와 같음)
+    const counts = order.map(member => (member.dutyCount || 0) - minCount);
+    const hasAuthorized = order.some(member => member.isAuthorized);
+    const recent = new Set(recentWeekendMemberIds);
+
+    const pairs = [];
+    for (let i = 0; i < order.length; i++) {
+        for (let j = i + 1; j < order.length; j++) {
+            pairs.push([i, j]);
+        }
+    }
+    const pairHasAuthorized = pair => pair.some(index => order[index].isAuthorized);
+    const pairIds = pair => pair.map(index => order[index].id);
+    // 날짜별 종일 부재·반차 팀원 (order 인덱스)
+    const toIndexSet = ids => new Set(order.map((member, index) => (ids || []).includes(member.id) ? index : -1).filter(index => index >= 0));
+    const unavailableByDate = new Map(days.map(day => [day.date, toIndexSet(day.unavailableMemberIds)]));
+    const halfDayByDate = new Map(days.map(day => [day.date, toIndexSet(day.halfDayMemberIds)]));
+
+    const units = buildUnits(days);
+    const weekendUnitIndexes = units.map((unit, index) => unit.weekendIndex === null ? -1 : index).filter(index => index >= 0);
+    // 바로 전날이 평일 단위이면 그 단위 인덱스 (연일 당직 확인용, 아니면 -1)
+    const previousUnitIndexes = units.map(unit => unit.weekendIndex !== null
+        ? -1
+        : units.findIndex(other => other.weekendIndex === null && other.days[0].date === addDays(unit.days[0].date, -1)));
+    // 같은 주 안에서 단위 이후 남은 날 수 (하한 계산용)
+    const remainingDaysAfter = units.map((unit, index) => units.slice(index + 1)
+        .filter(other => other.weekStart === unit.weekStart)
+        .reduce((sum, other) => sum + other.days.length, 0));
+    // 주별 단위 인덱스 (날짜순)
+    const weeks = [];
+    units.forEach((unit, index) => {
+        const week = weeks[weeks.length - 1];
+        if (week && units[week[0]].weekStart === unit.weekStart) {
+            week.push(index);
+        } else {
+            weeks.push([index]);
+        }
+    });
+    // 단위별로 고른 2명 (order 인덱스, 앞 주의 배정은 고정된 채 다음 주를 탐색)
+    const picks = new Array(units.length).fill(null);
+
+    const increment = count => weight.fairness * (2 * count + 1);
+
+    /**
+     * 남은 배정 비용의 하한 (필수 조건을 무시하고 가장 싼 당직 추가 비용만 고름)
+     */
+    const lowerBound = remainingDays => {
+        if (remainingDays <= 0) return 0;
+        const increments = [];
+        counts.forEach(count => {
+            for (let t = 0; t < remainingDays; t++) {
+                increments.push(increment(count + t));
+            }
+        });
+        increments.sort((a, b) => a - b);
+        return increments.slice(0, remainingDays * 2).reduce((sum, value) => sum + value, 0);
+    };
+
+    /**
+     * 한 주 탐색 (앞 주의 picks 와 counts 는 고정)
+     * @param {Array} weekUnits - 그 주의 단위 인덱스
+     * @param {boolean} allowViolations - 필수 조건 위반을 비용으로 허용할지
+     * @returns {Object|null} - { cost, picks: 그 주의 단위별 2명, optimal }
+     */
+    const solveWeek = (weekUnits, allowViolations) => {
+        let best = null;
+        let nodes = 0;
+        let truncated = false;
+
+        // 부재·반차 비용 (종일 부재를 허용하지 않으면 null)
+        const availabilityCost = (pair, dayList) => {
+            let cost = 0;
+            for (const day of dayList) {
+                const away = pair.filter(index => unavailableByDate.get(day.date).has(index)).length;
+                if (away > 0) {
+                    if (!allowViolations) return null;
+                    cost += weight.unavailable * away;
+                }
+                cost += pair.filter(index => halfDayByDate.get(day.date).has(index)).length * weight.halfDay;
+            }
+            return cost;
+        };
+
+        const regularPairCost = (pair, previousPair, day) => {
+            const awayCost = availabilityCost(pair, [day]);
+            if (awayCost === null) return null;
+            let cost = increment(counts[pair[0]]) + increment(counts[pair[1]]) + awayCost;
+            if (hasAuthorized && !pairHasAuthorized(pair)) {
+                if (!allowViolations) return null;
+                cost += weight.violation;
+            }
+            if (previousPair) {
+                const repeated = pair.filter(index => previousPair.includes(index)).length;
+                if (repeated > 0) {
+                    if (!allowViolations) return null;
+                    cost += weight.violation * repeated;
+                }
+            }
+            return cost;
+        };
+
+        const weekendPairCost = (pair, unit, excluded) => {
+            const k = unit.days.length;
+            const awayCost = availabilityCost(pair, unit.days);
+            if (awayCost === null) return null;
+            let cost = pair.reduce((sum, index) => sum + weight.fairness * k * (2 * counts[index] + k), 0) + awayCost;
+            cost += pair.filter(index => excluded.has(order[index].id)).length * weight.weekendRotation;
+            if (hasAuthorized && !pairHasAuthorized(pair)) {
+                if (!allowViolations) return null;
+                cost += weight.violation * k;
+            }
+            return cost;
+        };
+
+        const unitCost = (unitIndex, pair) => {
+            const unit = units[unitIndex];
+            if (unit.weekendIndex === null) {
+                const previousIndex = previousUnitIndexes[unitIndex];
+                return regularPairCost(pair, previousIndex >= 0 ? picks[previousIndex] : null, unit.days[0]);
+            }
+            const previousWeekendPairs = weekendUnitIndexes.slice(0, unit.weekendIndex).map(index => pairIds(picks[index]));
+            return weekendPairCost(pair, unit, getRotationExclusions(unit.weekendIndex, previousWeekendPairs, recent));
+        };
+
+        const search = (position, cost) => {
+            if (++nodes > MAX_SEARCH_NODES) {
+                truncated = true;
+                return;
+            }
+            if (position === weekUnits.length) {
+                if (!best || cost < best.cost) {
+                    best = { cost, picks: weekUnits.map(index => picks[index]) };
+                }
+                return;
+            }
+
+            const unitIndex = weekUnits[position];
+            const dayCount = units[unitIndex].days.length;
+            const candidates = pairs
+                .map(pair => ({ pair, cost: unitCost(unitIndex, pair) }))
+                .filter(candidate => candidate.cost !== null)
+                .sort((a, b) => a.cost - b.cost);
+            const restBound = lowerBound(remainingDaysAfter[unitIndex]);
+
+            for (const candidate of candidates) {
+                // 후보는 비용순이므로 이후 후보도 더 나을 수 없음
+                if (best && cost + candidate.cost + restBound >= best.cost) break;
+                candidate.pair.forEach(index => { counts[index] += dayCount; });
+                picks[unitIndex] = candidate.pair;
+                search(position + 1, cost + candidate.cost);
+                picks[unitIndex] = null;
+                candidate.pair.forEach(index => { counts[index] -= dayCount; });
+                if (truncated) return;
+            }
+        };
+
+        search(0, 0);
+        return best ? { ...best, optimal: !truncated } : null;
+    };
+
+    let optimal = true;
+    for (const [weekIndex, weekUnits] of weeks.entries()) {
+        if (weekIndex > 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        const solution = solveWeek(weekUnits, false) || solveWeek(weekUnits, true);
+        if (!solution) {
+            return { success: false, seed: resolvedSeed, message: '당직 배정을 찾지 못했습니다.' };
+        }
+        optimal = optimal && solution.optimal;
+        // 고른 배정을 고정하고 늘어난 당직 횟수를 다음 주로 이어받음
+        weekUnits.forEach((unitIndex, position) => {
+            picks[unitIndex] = solution.picks[position];
+            picks[unitIndex].forEach(index => { counts[index] += units[unitIndex].days.length; });
+        });
+    }
+
+    const assignments = {};
+    units.forEach((unit, index) => unit.days.forEach(day => { assignments[day.date] = pairIds(picks[index]); }));
+    // 입력 날짜순으로 정렬
+    const orderedAssignments = {};
+    days.forEach(day => { orderedAssignments[day.date] = assignments[day.date]; });
+
+    return {
+        success: true,
+        seed: resolvedSeed,
+        assignments: orderedAssignments,
+        optimal,
+        ...explainSolution({ days, members, units, assignments: orderedAssignments, recent, weight, hasAuthorized, fairnessLowerBound: lowerBoundForAll(members, days.length, weight) })
+    };
+}
+
+/**
+ * 전체 기간 공평성 비용의 하한 (필수 조건 없이 가장 싼 당직 추가 비용만 고름, 완화 여부 설명용)
+ * @param {Array} members - 팀원 목록
+ * @param {number} dayCount - 배정할 날 수
+ * @param {Object} weight - 비용 가중치
+ * @returns {number} - 하한
+ */
+function lowerBoundForAll(members, dayCount, weight) {
+    const minCount = Math.min(...members.map(member => member.dutyCount || 0));
+    const increments = [];
+    members.forEach(member => {
+        const count = (member.dutyCount || 0) - minCount;
+        for (let t = 0; t < dayCount; t++) {
+            increments.push(weight.fairness * (2 * (count + t) + 1));
+        }
+    });
+    increments.sort((a, b) => a - b);
+    return increments.slice(0, dayCount * 2).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * 필수 조건 확인 (솔버 결과 설명과 당직 교환처럼 솔버 밖에서 당직표를 바꿀 때 같은 기준으로 확인)
+ * @param {Object} input - 입력
+ * @param {Array} input.days - [{ date: 'YYYY-MM-DD', isWeekendRun, unavailableMemberIds }] (날짜순)
+ * @param {Array} input.members - [{ id, name, isAuthorized }]
+ * @param {Object} input.assignments - { 날짜: [팀원 id] }
+ * @returns {Array} - [{ key, name, satisfied, detail, violations: [위반 항목 (날짜·팀원)] }]
+ */
+function checkHardConstraints({ days, members, assignments }) {
+    const byId = new Map(members.map(member => [member.id, member]));
+    const nameOf = id => (byId.get(id) || { name: id }).name;
+    const hasAuthorized = members.some(member => member.isAuthorized);
+    const membersOn = date => assignments[date] || [];
+
+    const understaffed = days.filter(day => new Set(membersOn(day.date)).size !== 2).map(day => day.date);
+    const authorizedMisses = days.filter(day => !membersOn(day.date).some(id => (byId.get(id) || {}).isAuthorized)).map(day => day.date);
+
+    // 같은 주(월~일)의 금~일·휴일은 첫 날과 같은 2명이어야 함
+    const weekendPairs = [];
+    const splitWeekends = [];
+    const firstWeekendDay = new Map();
+    days.filter(day => day.isWeekendRun).forEach(day => {
+        const weekStart = getWeekStart(day.date);
+        const first = firstWeekendDay.get(weekStart);
+        if (!first) {
+            firstWeekendDay.set(weekStart, day.date);
+            weekendPairs.push(membersOn(day.date));
+            return;
+        }
+        const pair = [...membersOn(first)].sort().join();
+        if ([...membersOn(day.date)].sort().join() !== pair) {
+            splitWeekends.push(`${first}~${day.date}`);
+        }
+    });
+
+    const consecutive = [];
+    const regularDates = new Set(days.filter(day => !day.isWeekendRun).map(day => day.date));
+    regularDates.forEach(date => {
+        const previousDate = addDays(date, -1);
+        if (!regularDates.has(previousDate)) return;
+        membersOn(date)
+            .filter(id => membersOn(previousDate).includes(id))
+            .forEach(id => consecutive.push(`${nameOf(id)}(${previousDate}~${date})`));
+    });
+
+    const awayAssigned = [];
+    days.forEach(day => membersOn(day.date).forEach(id => {
+        if ((day.unavailableMemberIds || []).includes(id)) awayAssigned.push(`${nameOf(id)}(${day.date})`);
+    }));
+
+    return [
+        {
+            key: 'two_per_day',
+            name: HARD_CONSTRAINTS.two_per_day,
+            satisfied: understaffed.length === 0,
+            detail: understaffed.length > 0 ? `2명이 아닌 날: ${understaffed.join(', ')}` : null,
+            violations: understaffed
+        },
+        {
+            key: 'authorized_each_day',
+            name: HARD_CONSTRAINTS.authorized_each_day,
+            satisfied: authorizedMisses.length === 0,
+            detail: !hasAuthorized ? '권한 있는 팀원이 없음' : authorizedMisses.length > 0 ? `권한자 없는 날: ${authorizedMisses.join(', ')}` : null,
+            violations: authorizedMisses
+        },
+        {
+            key: 'weekend_same_pair',
+            name: HARD_CONSTRAINTS.weekend_same_pair,
+            satisfied: splitWeekends.length === 0,
+            detail: splitWeekends.length > 0
+                ? `주말 당직자가 다른 날: ${splitWeekends.join(', ')}`
+                : weekendPairs.length > 0 ? weekendPairs.map(pair => pair.map(nameOf).join(' & ')).join(', ') : null,
+            violations: splitWeekends
+        },
+        {
+            key: 'no_consecutive_weekdays',
+            name: HARD_CONSTRAINTS.no_consecutive_weekdays,
+            satisfied: consecutive.length === 0,
+            detail: consecutive.length > 0 ? `연일 당직: ${consecutive.join(', ')}` : null,
+            violations: consecutive
+        },
+        {
+            key: 'member_available',
+            name: HARD_CONSTRAINTS.member_available,
+            satisfied: awayAssigned.length === 0,
+            detail: awayAssigned.length > 0 ? `부재 중 배정: ${awayAssigned.join(', ')}` : null,
+            violations: awayAssigned
+        }
+    ];
+}
+
+/**
+ * 배정 결과 설명 (필수 조건 충족 여부, 완화된 목표와 이유, 비용)
+ * @param {Object} context - solveDutySchedule 내부 값
+ * @returns {Object} - { score, constraints, relaxed }
+ */
+function explainSolution({ days, members, units, assignments, recent, weight, hasAuthorized, fairnessLowerBound }) {
+    const byId = new Map(members.map(member => [member.id, member]));
+    const nameOf = id => (byId.get(id) || { name: id }).name;
+    const added = {};
+    days.forEach(day => assignments[day.date].forEach(id => { added[id] = (added[id] || 0) + 1; }));
+
+    const minCount = Math.min(...members.map(member => member.dutyCount || 0));
+    const fairness = members.reduce((sum, member) => {
+        const before = (member.dutyCount || 0) - minCount;
+        const after = before + (added[member.id] || 0);
+        return sum + weight.fairness * (after * after - before * before);
+    }, 0);
+
+    const weekendUnits = units.filter(unit => unit.weekendIndex !== null);
+    const weekendPairs = weekendUnits.map(unit => assignments[unit.days[0].date]);
+    const rotationHits = [];
+    weekendUnits.forEach((unit, index) => {
+        const excluded = getRotationExclusions(index, weekendPairs, recent);
+        weekendPairs[index].filter(id => excluded.has(id)).forEach(id => rotationHits.push(`${nameOf(id)}(${unit.days[0].date})`));
+    });
+
+    const halfDayAssigned = [];
+    days.forEach(day => assignments[day.date].forEach(id => {
+        if ((day.halfDayMemberIds || []).includes(id)) halfDayAssigned.push(`${nameOf(id)}(${day.date})`);
+    }));
+
+    const checked = checkHardConstraints({ days, members, assignments });
+    const violationCount = key => checked.find(constraint => constraint.key === key).violations.length;
+    const constraints = checked.map(({ violations, ...constraint }) => constraint);
+
+    const relaxed = [];
+    if (rotationHits.length > 0) {
+        relaxed.push({
+            key: 'weekend_rotation',
+            name: SOFT_OBJECTIVES.weekend_rotation,
+            detail: `최근 주말 당직자 ${rotationHits.join(', ')} 재배정 (다른 조합은 필수 조건을 어기거나 공평성 비용이 더 큼)`
+        });
+    }
+    if (halfDayAssigned.length > 0) {
+        relaxed.push({
+            key: 'half_day',
+            name: SOFT_OBJECTIVES.half_day,
+            detail: `반차 중 배정: ${halfDayAssigned.join(', ')} (다른 조합은 필수 조건을 어기거나 비용이 더 큼)`
+        });
+    }
+    if (fairness > fairnessLowerBound) {
+        const totals = members.map(member => (member.dutyCount || 0) + (added[member.id] || 0));
+        relaxed.push({
+            key: 'fairness',
+            name: SOFT_OBJECTIVES.fairness,
+            detail: `필수 조건 때문에 가장 공평한 배분보다 비용 +${fairness - fairnessLowerBound} (편성 후 누적 당직 ${Math.min(...totals)}~${Math.max(...totals)}회)`
+        });
+    }
+
+    const ruleViolations = (hasAuthorized ? violationCount('authorized_each_day') : 0) + violationCount('no_consecutive_weekdays');
+    const awayCount = violationCount('member_available');
+    const weekendRotation = rotationHits.length * weight.weekendRotation;
+    const halfDay = halfDayAssigned.length * weight.halfDay;
+    const penalty = ruleViolations * weight.violation + awayCount * weight.unavailable;
+    return {
+        score: { total: fairness + weekendRotation + halfDay + penalty, fairness, weekendRotation, halfDay, violations: ruleViolations + awayCount },
+        constraints,
+        relaxed
+    };
+}
+
+module.exports = {
+    HARD_CONSTRAINTS,
+    SOFT_OBJECTIVES,
+    DEFAULT_WEIGHTS,
+    normalizeSeed,
+    solveDutySchedule,
+    checkHardConstraints
+};
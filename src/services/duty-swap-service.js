@@ -0,0 +1,413 @@
+// src/services/duty-swap-service.js
+// 당직 교환 서비스 - 팀원 A가 자신의 당직일을 팀원 B의 당직일과 바꾸거나 B에게 대신 맡기도록 요청하고, B 수락(과 권한자 승인) 후 당직표에 반영
+
+const logger = require('../../logger');
+const configService = require('./config-service');
+const messageService = require('./message-service');
+const templateService = require('./template-service');
+const dutyService = require('./duty-service');
+const dutySolver = require('./duty-solver');
+const availabilityService = require('./availability-service');
+const { isValidDateKey } = require('./blackout-service');
+const { toDateKey, addDays, getDayOfWeek } = require('./holiday-service');
+const { createButtonMessage, messageAction, uriAction } = require('../utils/message-content');
+const { translate } = require('../utils/i18n');
+
+// 메시지 버튼 postback 접두사 (duty_swap:<action>:<요청 id>)
+const POSTBACK_PREFIX = 'duty_swap';
+
+/**
+ * 교환 요청 상태
+ */
+const SWAP_STATUSES = {
+    pending: '수락 대기',
+    awaiting_approval: '승인 대기',
+    applied: '반영됨',
+    declined: '거절됨',
+    rejected: '반려됨',
+    cancelled: '취소됨',
+    failed: '반영 실패'
+};
+
+// 아직 처리 중인 상태 (같은 당직일에 대한 중복 요청 확인, 교환 중인 날의 재편성 방지용)
+const OPEN_STATUSES = ['pending', 'awaiting_approval'];
+
+// 보관할 처리 완료 요청 수
+const MAX_CLOSED_REQUESTS = 200;
+
+/**
+ * 교환 요청 목록 (최근 요청부터)
+ * @param {Object} [config] - 설정 객체
+ * @returns {Array} - 교환 요청 배열
+ */
+function getSwapRequests(config = configService.loadConfig()) {
+    return config.dutySwapRequests || [];
+}
+
+/**
+ * 팀원 이름 (없으면 id)
+ * @param {string} memberId - 팀원 id
+ * @param {Object} config - 설정 객체
+ * @returns {string} - 팀원 이름
+ */
+function getMemberName(memberId, config) {
+    const member = config.teamMembers.find(m => m.id === memberId);
+    return member ? member.name : memberId;
+}
+
+/**
+ * 교환 후 당직표가 당직 편성의 필수 조건(권한자, 주말 같은 2명, 평일 연일 금지, 부재 팀원 제외)을 새로 어기는지 확인
+ * 교환한 날이 속한 주(월~일)의 당직표를 교환 전후로 솔버와 같은 기준(duty-solver checkHardConstraints)으로 비교해,
+ * 원래부터 어기던 조건(권한자가 없는 팀 등)은 교환을 막지 않음
+ * @param {Object} request - { requesterId, requesterDate, targetId, targetDate }
+ * @param {Object} config - 설정 객체
+ * @returns {string|null} - 어기는 조건 설명 (없으면 null)
+ */
+function getConstraintConflict(request, config) {
+    const weekStarts = [...new Set([request.requesterDate, request.targetDate].filter(Boolean)
+        .map(dateKey => addDays(dateKey, -((getDayOfWeek(dateKey) + 6) % 7))))];
+    const dates = weekStarts.flatMap(weekStart => [0, 1, 2, 3, 4, 5, 6].map(offset => addDays(weekStart, offset)))
+        .filter(dateKey => config.dailyDutySchedule[dateKey])
+        .sort();
+
+    const before = {};
+    dates.forEach(dateKey => { before[dateKey] = config.dailyDutySchedule[dateKey].members || []; });
+    const after = { ...before };
+    const replace = (dateKey, fromId, toId) => { after[dateKey] = after[dateKey].map(id => (id === fromId ? toId : id)); };
+    replace(request.requesterDate, request.requesterId, request.targetId);
+    if (request.targetDate) {
+        replace(request.targetDate, request.targetId, request.requesterId);
+    }
+
+    const days = dutyService.describePlanDays(dates, config).map(day => ({
+        ...day,
+        ...availabilityService.getUnavailableMembersOn(day.date, config.teamMembers, config)
+    }));
+    const existing = new Set(dutySolver.checkHardConstraints({ days, members: config.teamMembers, assignments: before })
+        .flatMap(constraint => constraint.violations.map(violation => `${constraint.key}:${violation}`)));
+    const broken = dutySolver.checkHardConstraints({ days, members: config.teamMembers, assignments: after })
+        .map(constraint => ({ ...constraint, violations: constraint.violations.filter(violation => !existing.has(`${constraint.key}:${violation}`)) }))
+        .filter(constraint => constraint.violations.length > 0);
+
+    if (broken.length === 0) {
+        return null;
+    }
+    return `교환하면 당직 편성 규칙을 어깁니다 - ${broken.map(constraint => `${constraint.name}: ${constraint.violations.join(', ')}`).join(' / ')}`;
+}
+
+/**
+ * 현재 당직표 기준으로 교환할 수 있는지 확인 (당직 편성 규칙을 새로 어기는 교환도 거부)
+ * @param {Object} request - { requesterId, requesterDate, targetId, targetDate }
+ * @param {Object} config - 설정 객체
+ * @returns {string|null} - 교환할 수 없는 이유 (가능하면 null)
+ */
+function getSwapConflict(request, config) {
+    const today = toDateKey(new Date());
+    const membersOn = dateKey => (config.dailyDutySchedule[dateKey] && config.dailyDutySchedule[dateKey].members) || [];
+    const requesterName = getMemberName(request.requesterId, config);
+    const targetName = getMemberName(request.targetId, config);
+
+    if (request.requesterDate < today || (request.targetDate && request.targetDate < today)) {
+        return '지난 날짜의 당직은 교환할 수 없습니다.';
+    }
+    if (!membersOn(request.requesterDate).includes(request.requesterId)) {
+        return `${requesterName}님은 ${request.requesterDate}에 당직이 아닙니다.`;
+    }
+    if (membersOn(request.requesterDate).includes(request.targetId)) {
+        return `${targetName}님은 이미 ${request.requesterDate}에 당직입니다.`;
+    }
+    if (request.targetDate) {
+        if (!membersOn(request.targetDate).includes(request.targetId)) {
+            return `${targetName}님은 ${request.targetDate}에 당직이 아닙니다.`;
+        }
+        if (membersOn(request.targetDate).includes(request.requesterId)) {
+            return `${requesterName}님은 이미 ${request.targetDate}에 당직입니다.`;
+        }
+    }
+    return getConstraintConflict(request, config);
+}
+
+/**
+ * 템플릿 변수 (duty_swap_* 템플릿 공통)
+ * @param {Object} request - 교환 요청
+ * @param {Object} config - 설정 객체
+ * @returns {Object} - 템플릿 변수
+ */
+function getSwapContext(request, config) {
+    return {
+        requesterName: getMemberName(request.requesterId, config),
+        requesterDate: request.requesterDate,
+        targetName: getMemberName(request.targetId, config),
+        targetDate: request.targetDate || '',
+        reason: request.reason || '',
+        approverName: request.approverId ? getMemberName(request.approverId, config) : ''
+    };
+}
+
+/**
+ * 교환 요청 메시지 생성 (버튼이 있으면 버튼 메시지, 대시보드 링크는 설정된 경우에만)
+ * @param {string} templateKey - 템플릿 키
+ * @param {Object} request - 교환 요청
+ * @param {Object} config - 설정 객체
+ * @param {Array} [buttons] - [[라벨, postback 동작]]
+ * @returns {Function} - (locale, timezone) => 메시지
+ */
+function buildSwapMessage(templateKey, request, config, buttons = []) {
+    const context = getSwapContext(request, config);
+    return (locale, timezone) => {
+        const text = templateService.renderMessage(templateKey, context, locale, {}, timezone);
+        if (buttons.length === 0) {
+            return text;
+        }
+        const actions = buttons.map(([label, action]) => messageAction(translate(locale, label), `${POSTBACK_PREFIX}:${action}:${request.id}`));
+        if (config.messaging.dashboardUrl) {
+            actions.push(uriAction(translate(locale, '대시보드에서 보기'), config.messaging.dashboardUrl));
+        }
+        return createButtonMessage(text, actions);
+    };
+}
+
+/**
+ * 팀원에게 DM 발송 (발송 실패는 로그만 남기고 요청 처리는 계속)
+ * @param {string} memberId - 팀원 id
+ * @param {Function} message - 언어별 메시지 함수
+ * @returns {Promise<void>}
+ */
+async function notifyMember(memberId, message) {
+    const { recipientDomain } = configService.getMessagingConfig();
+    const result = await messageService.sendSingleMessage(messageService.toRecipientEmail(memberId, recipientDomain), message, { source: 'duty_swap' });
+    if (!result.success) {
+        logger.warn(`Failed to notify ${memberId} about duty swap: ${result.error}`);
+    }
+}
+
+/**
+ * 요청 상태 저장 (다른 요청은 그대로 두고 해당 요청만 교체)
+ * @param {Object} config - 설정 객체 (저장할 설정 전체)
+ * @param {Object} request - 변경된 요청
+ */
+function putRequest(config, request) {
+    const requests = getSwapRequests(config).filter(item => item.id !== request.id);
+    const open = [request, ...requests].filter(item => OPEN_STATUSES.includes(item.status));
+    const closed = [request, ...requests].filter(item => !OPEN_STATUSES.includes(item.status)).slice(0, MAX_CLOSED_REQUESTS);
+    config.dutySwapRequests = [...open, ...closed].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 교환 요청 생성 후 상대 팀원에게 수락/거절 버튼이 있는 DM 발송
+ * @param {Object} input - { requesterId, requesterDate, targetId, targetDate: 비우면 대신 맡기 요청, reason }
+ * @returns {Promise<Object>} - { success, message, request }
+ */
+async function createSwapRequest(input) {
+    const config = configService.loadConfig();
+    const request = {
+        id: `swap_${Date.now()}`,
+        requesterId: String(input.requesterId || '').trim(),
+        requesterDate: String(input.requesterDate || '').trim(),
+        targetId: String(input.targetId || '').trim(),
+        targetDate: String(input.targetDate || '').trim() || null,
+        reason: String(input.reason || '').trim(),
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    };
+
+    for (const memberId of [request.requesterId, request.targetId]) {
+        if (!config.teamMembers.some(member => member.id === memberId)) {
+            return { success: false, message: `등록되지 않은 팀원입니다: ${memberId}` };
+        }
+    }
+    if (request.requesterId === request.targetId) {
+        return { success: false, message: '자기 자신과는 당직을 교환할 수 없습니다.' };
+    }
+    if (!isValidDateKey(request.requesterDate) || (request.targetDate && !isValidDateKey(request.targetDate))) {
+        return { success: false, message: '올바르지 않은 날짜입니다.' };
+    }
+    const conflict = getSwapConflict(request, config);
+    if (conflict) {
+        return { success: false, message: conflict };
+    }
+    const duplicate = getSwapRequests(config).find(item => OPEN_STATUSES.includes(item.status) &&
+        item.requesterId === request.requesterId && item.requesterDate === request.requesterDate);
+    if (duplicate) {
+        return { success: false, message: '이미 처리 중인 같은 당직일 교환 요청이 있습니다.' };
+    }
+
+    putRequest(config, request);
+    configService.saveConfig(config);
+    logger.info(`Duty swap requested: ${request.requesterId}(${request.requesterDate}) -> ${request.targetId}(${request.targetDate || 'cover'})`);
+
+    await notifyMember(request.targetId, buildSwapMessage('duty_swap_request', request, config, [['수락', 'accept'], ['거절', 'decline']]));
+    return { success: true, message: '당직 교환을 요청했습니다. 상대 팀원이 수락하면 반영됩니다.', request };
+}
+
+/**
+ * 교환 반영 - 당직표, 당직 횟수, 요청 상태를 한 번에 저장한 뒤 채널에 알림
+ * 요청 이후 당직표가 바뀌어 교환할 수 없거나 교환하면 당직 편성 규칙을 어기게 되면 failed 로 기록
+ * @param {Object} config - 설정 객체
+ * @param {Object} request - 교환 요청 (awaiting_approval 또는 pending 상태)
+ * @returns {Promise<Object>} - { success, message, request, sendResults }
+ */
+async function applySwap(config, request) {
+    const conflict = getSwapConflict(request, config);
+    if (conflict) {
+        const failed = { ...request, status: 'failed', failureReason: conflict, decidedAt: new Date().toISOString() };
+        putRequest(config, failed);
+        configService.saveConfig(config);
+        logger.warn(`Duty swap ${request.id} could not be applied: ${conflict}`);
+        return { success: false, message: `교환할 수 없습니다: ${conflict}`, request: failed };
+    }
+
+    const replaceMember = (dateKey, fromId, toId) => {
+        const duty = config.dailyDutySchedule[dateKey];
+        config.dailyDutySchedule[dateKey] = { ...duty, members: duty.members.map(id => (id === fromId ? toId : id)) };
+    };
+    replaceMember(request.requesterDate, request.requesterId, request.targetId);
+    if (request.targetDate) {
+        replaceMember(request.targetDate, request.targetId, request.requesterId);
+    } else {
+        // 대신 맡기는 한쪽만 당직이 늘고 줄어듦 (맞교환은 횟수 변화 없음)
+        config.teamMembers.forEach(member => {
+            if (member.id === request.requesterId) member.dutyCount = Math.max((member.dutyCount || 0) - 1, 0);
+            if (member.id === request.targetId) member.dutyCount = (member.dutyCount || 0) + 1;
+        });
+    }
+
+    const applied = { ...request, status: 'applied', appliedAt: new Date().toISOString() };
+    putRequest(config, applied);
+    configService.saveConfig(config);
+    logger.logConfigChange('duty-swap', `Duty swap ${request.id} applied`, applied);
+
+    const sendResults = await messageService.sendToJobTarget('weekly_duty', buildSwapMessage('duty_swap_applied', applied, config), { source: 'duty_swap' });
+    return { ...messageService.buildSendOutcome('당직 교환이 당직표에 반영되었습니다.', sendResults), request: applied };
+}
+
+/**
+ * 상대 팀원의 수락/거절
+ * 수락하면 승인이 필요 없을 때 바로 반영하고, 필요하면 권한 있는 팀원에게 승인 요청 발송
+ * @param {string} id - 요청 id
+ * @param {string} memberId - 응답하는 팀원 id (요청의 상대 팀원이어야 함)
+ * @param {boolean} accept - 수락이면 true
+ * @returns {Promise<Object>} - { success, message, request }
+ */
+async function respondToSwapRequest(id, memberId, accept) {
+    const config = configService.loadConfig();
+    const request = getSwapRequests(config).find(item => item.id === id);
+    if (!request) {
+        return { success: false, message: '교환 요청을 찾을 수 없습니다.' };
+    }
+    if (request.targetId !== memberId) {
+        return { success: false, message: '요청받은 팀원만 수락하거나 거절할 수 있습니다.' };
+    }
+    if (request.status !== 'pending') {
+        return { success: false, message: `이미 처리된 요청입니다 (${SWAP_STATUSES[request.status]}).` };
+    }
+
+    const responded = { ...request, respondedAt: new Date().toISOString() };
+    if (!accept) {
+        const declined = { ...responded, status: 'declined' };
+        putRequest(config, declined);
+        configService.saveConfig(config);
+        await notifyMember(request.requesterId, buildSwapMessage('duty_swap_declined', declined, config));
+        return { success: true, message: '당직 교환 요청을 거절했습니다.', request: declined };
+    }
+
+    if (!config.dutySwap.requireApproval) {
+        return applySwap(config, responded);
+    }
+
+    const awaiting = { ...responded, status: 'awaiting_approval' };
+    putRequest(config, awaiting);
+    configService.saveConfig(config);
+    await messageService.sendToTarget(buildSwapMessage('duty_swap_approval', awaiting, config, [['승인', 'approve'], ['반려', 'reject']]), { groups: ['authorized'] }, { source: 'duty_swap' });
+    return { success: true, message: '당직 교환을 수락했습니다. 권한 있는 팀원이 승인하면 반영됩니다.', request: awaiting };
+}
+
+/**
+ * 권한 있는 팀원의 승인/반려
+ * @param {string} id - 요청 id
+ * @param {string} approverId - 승인하는 팀원 id (권한 있는 팀원이어야 함)
+ * @param {boolean} approve - 승인이면 true
+ * @returns {Promise<Object>} - { success, message, request }
+ */
+async function decideSwapRequest(id, approverId, approve) {
+    const config = configService.loadConfig();
+    const request = getSwapRequests(config).find(item => item.id === id);
+    const approver = config.teamMembers.find(member => member.id === approverId);
+    if (!request) {
+        return { success: false, message: '교환 요청을 찾을 수 없습니다.' };
+    }
+    if (!approver || !approver.isAuthorized) {
+        return { success: false, message: '권한 있는 팀원만 승인하거나 반려할 수 있습니다.' };
+    }
+    if (request.status !== 'awaiting_approval') {
+        return { success: false, message: `승인 대기 중인 요청이 아닙니다 (${SWAP_STATUSES[request.status]}).` };
+    }
+
+    const decided = { ...request, approverId, decidedAt: new Date().toISOString() };
+    if (approve) {
+        return applySwap(config, decided);
+    }
+
+    const rejected = { ...decided, status: 'rejected' };
+    putRequest(config, rejected);
+    configService.saveConfig(config);
+    await notifyMember(request.requesterId, buildSwapMessage('duty_swap_declined', rejected, config));
+    return { success: true, message: '당직 교환 요청을 반려했습니다.', request: rejected };
+}
+
+/**
+ * 요청한 팀원의 취소 (처리 중인 요청만)
+ * @param {string} id - 요청 id
+ * @param {string} memberId - 취소하는 팀원 id (요청한 팀원이어야 함)
+ * @returns {Object} - { success, message, request }
+ */
+function cancelSwapRequest(id, memberId) {
+    const config = configService.loadConfig();
+    const request = getSwapRequests(config).find(item => item.id === id);
+    if (!request) {
+        return { success: false, message: '교환 요청을 찾을 수 없습니다.' };
+    }
+    if (request.requesterId !== memberId) {
+        return { success: false, message: '요청한 팀원만 취소할 수 있습니다.' };
+    }
+    if (!OPEN_STATUSES.includes(request.status)) {
+        return { success: false, message: `이미 처리된 요청입니다 (${SWAP_STATUSES[request.status]}).` };
+    }
+
+    const cancelled = { ...request, status: 'cancelled', decidedAt: new Date().toISOString() };
+    putRequest(config, cancelled);
+    configService.saveConfig(config);
+    return { success: true, message: '당직 교환 요청을 취소했습니다.', request: cancelled };
+}
+
+/**
+ * 메시지 버튼 postback 처리 (bot-callback-service 에서 호출)
+ * @param {string} action - accept | decline | approve | reject
+ * @param {string} id - 요청 id
+ * @param {string} memberId - 버튼을 누른 팀원 id
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function handlePostback(action, id, memberId) {
+    switch (action) {
+        case 'accept':
+        case 'decline':
+            return respondToSwapRequest(id, memberId, action === 'accept');
+        case 'approve':
+        case 'reject':
+            return decideSwapRequest(id, memberId, action === 'approve');
+        default:
+            return { success: false, message: `알 수 없는 당직 교환 동작입니다: ${action}` };
+    }
+}
+
+module.exports = {
+    POSTBACK_PREFIX,
+    SWAP_STATUSES,
+    OPEN_STATUSES,
+    getSwapRequests,
+    createSwapRequest,
+    respondToSwapRequest,
+    decideSwapRequest,
+    cancelSwapRequest,
+    handlePostback
+};
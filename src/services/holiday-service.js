@@ -0,0 +1,234 @@
+// src/services/holiday-service.js
+// 휴일 관리 서비스 - 대한민국 공휴일(음력 공휴일, 대체공휴일 포함)과 config.customHolidays 회사 지정 휴일
+
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { getZonedParts, DEFAULT_TIMEZONE } = require('../utils/cron-utils');
+
+/**
+ * 양력 고정 공휴일
+ * substitute: 대체공휴일 적용 기준 (weekend: 토·일요일, null: 대체공휴일 없음)
+ */
+const FIXED_HOLIDAYS = [
+    { monthDay: '01-01', name: '신정', substitute: null },
+    { monthDay: '03-01', name: '삼일절', substitute: 'weekend' },
+    { monthDay: '05-05', name: '어린이날', substitute: 'weekend' },
+    { monthDay: '06-06', name: '현충일', substitute: null },
+    { monthDay: '08-15', name: '광복절', substitute: 'weekend' },
+    { monthDay: '10-03', name: '개천절', substitute: 'weekend' },
+    { monthDay: '10-09', name: '한글날', substitute: 'weekend' },
+    { monthDay: '12-25', name: '기독탄신일', substitute: 'weekend' }
+];
+
+/**
+ * 음력 공휴일의 양력 날짜 (설날: 음력 1/1, 부처님오신날: 음력 4/8, 추석: 음력 8/15)
+ * 설날·추석은 전날과 다음 날까지 3일 연휴
+ */
+const LUNAR_HOLIDAY_DATES = {
+    2024: { seollal: '2024-02-10', buddha: '2024-05-15', chuseok: '2024-09-17' },
+    2025: { seollal: '2025-01-29', buddha: '2025-05-05', chuseok: '2025-10-06' },
+    2026: { seollal: '2026-02-17', buddha: '2026-05-24', chuseok: '2026-09-25' },
+    2027: { seollal: '2027-02-07', buddha: '2027-05-13', chuseok: '2027-09-15' },
+    2028: { seollal: '2028-01-27', buddha: '2028-05-02', chuseok: '2028-10-03' },
+    2029: { seollal: '2029-02-13', buddha: '2029-05-20', chuseok: '2029-09-22' },
+    2030: { seollal: '2030-02-03', buddha: '2030-05-09', chuseok: '2030-09-12' },
+    2031: { seollal: '2031-01-23', buddha: '2031-05-28', chuseok: '2031-10-01' },
+    2032: { seollal: '2032-02-11', buddha: '2032-05-16', chuseok: '2032-09-19' },
+    2033: { seollal: '2033-01-31', buddha: '2033-05-06', chuseok: '2033-09-08' },
+    2034: { seollal: '2034-02-19', buddha: '2034-05-25', chuseok: '2034-09-27' },
+    2035: { seollal: '2035-02-08', buddha: '2035-05-15', chuseok: '2035-09-16' }
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 연도별 공휴일 계산 결과
+const publicHolidayCache = new Map();
+
+/**
+ * 날짜 키 (YYYY-MM-DD, 기본값 KST 기준)
+ * @param {Date|string} date - 날짜 또는 날짜 키
+ * @param {string} [timezone] - 날짜를 판단할 시간대
+ * @returns {string} - 날짜 키
+ */
+function toDateKey(date, timezone = DEFAULT_TIMEZONE) {
+    if (typeof date === 'string') {
+        return date;
+    }
+    const parts = getZonedParts(date, timezone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * 날짜 키에 일수 더하기
+ * @param {string} dateKey - 날짜 키
+ * @param {number} days - 더할 일수
+ * @returns {string} - 날짜 키
+ */
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * 요일 (0=일요일 ... 6=토요일)
+ * @param {string} dateKey - 날짜 키
+ * @returns {number} - 요일
+ */
+function getDayOfWeek(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * 연도의 법정 공휴일 계산 (대체공휴일 포함)
+ * 대체공휴일: 설날·추석 연휴가 일요일 또는 다른 공휴일과 겹치거나,
+ * 삼일절·어린이날·광복절·개천절·한글날·부처님오신날·기독탄신일이 토·일요일 또는 다른 공휴일과 겹치면
+ * 그 다음 첫 번째 평일(공휴일 제외)을 휴일로 지정
+ * @param {number} year - 연도
+ * @returns {Array} - [{ date, name, type: 'public' | 'substitute' }] (날짜순)
+ */
+function getPublicHolidays(year) {
+    if (publicHolidayCache.has(year)) {
+        return publicHolidayCache.get(year);
+    }
+
+    const holidays = FIXED_HOLIDAYS.map(holiday => ({
+        date: `${year}-${holiday.monthDay}`,
+        name: holiday.name,
+        substitute: holiday.substitute
+    }));
+
+    const lunar = LUNAR_HOLIDAY_DATES[year];
+    if (lunar) {
+        [['seollal', '설날'], ['chuseok', '추석']].forEach(([key, name]) => {
+            holidays.push(
+                { date: addDays(lunar[key], -1), name: `${name} 연휴`, substitute: 'sunday' },
+                { date: lunar[key], name, substitute: 'sunday' },
+                { date: addDays(lunar[key], 1), name: `${name} 연휴`, substitute: 'sunday' }
+            );
+        });
+        holidays.push({ date: lunar.buddha, name: '부처님오신날', substitute: 'weekend' });
+    } else {
+        logger.warn(`Lunar holiday dates for ${year} are not bundled. Add them as custom holidays if needed.`);
+    }
+
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+
+    const holidayDates = new Set(holidays.map(holiday => holiday.date));
+    const takenDates = new Set(holidayDates);
+    const substitutes = [];
+
+    [...holidayDates].forEach(date => {
+        const sameDay = holidays.filter(holiday => holiday.date === date);
+        const dayOfWeek = getDayOfWeek(date);
+        const needsSubstitute = sameDay.some(holiday =>
+            (holiday.substitute === 'weekend' && (dayOfWeek === 0 || dayOfWeek === 6)) ||
+            (holiday.substitute === 'sunday' && dayOfWeek === 0) ||
+            (holiday.substitute && sameDay.length > 1)
+        );
+        if (!needsSubstitute) return;
+
+        let substituteDate = addDays(date, 1);
+        while (takenDates.has(substituteDate) || [0, 6].includes(getDayOfWeek(substituteDate))) {
+            substituteDate = addDays(substituteDate, 1);
+        }
+        takenDates.add(substituteDate);
+
+        const baseName = sameDay.find(holiday => holiday.substitute).name.replace(' 연휴', '');
+        substitutes.push({ date: substituteDate, name: `대체공휴일(${baseName})`, substitute: null });
+    });
+
+    const result = [
+        ...holidays.map(({ date, name }) => ({ date, name, type: 'public' })),
+        ...substitutes.map(({ date, name }) => ({ date, name, type: 'substitute' }))
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    publicHolidayCache.set(year, result);
+    return result;
+}
+
+/**
+ * 회사 지정 휴일 목록
+ * @param {Object} [config] - 설정 객체
+ * @returns {Array} - [{ date, name }]
+ */
+function getCustomHolidays(config = configService.loadConfig()) {
+    return config.customHolidays || [];
+}
+
+/**
+ * 연도의 전체 휴일 (공휴일 + 회사 지정 휴일)
+ * @param {number} year - 연도
+ * @param {Object} [config] - 설정 객체
+ * @returns {Array} - [{ date, name, type: 'public' | 'substitute' | 'custom' }] (날짜순)
+ */
+function getHolidays(year, config = configService.loadConfig()) {
+    const custom = getCustomHolidays(config)
+        .filter(holiday => holiday.date.startsWith(`${year}-`))
+        .map(holiday => ({ date: holiday.date, name: holiday.name, type: 'custom' }));
+
+    return [...getPublicHolidays(year), ...custom].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 특정 날짜의 휴일 정보
+ * @param {Date|string} date - 날짜 또는 날짜 키 (Date 는 KST 기준 날짜로 판단)
+ * @param {Object} [config] - 설정 객체
+ * @returns {Object|null} - { date, name, type } (휴일이 아니면 null)
+ */
+function getHoliday(date, config = configService.loadConfig()) {
+    const dateKey = toDateKey(date);
+    return getHolidays(parseInt(dateKey.slice(0, 4), 10), config).find(holiday => holiday.date === dateKey) || null;
+}
+
+/**
+ * 휴일 여부 (토·일요일은 포함하지 않음)
+ * @param {Date|string} [date] - 날짜 또는 날짜 키
+ * @param {Object} [config] - 설정 객체
+ * @returns {boolean} - 휴일 여부
+ */
+function isHoliday(date = new Date(), config = configService.loadConfig()) {
+    return getHoliday(date, config) !== null;
+}
+
+/**
+ * 회사 지정 휴일 저장
+ * @param {Array} holidays - [{ date: 'YYYY-MM-DD', name }]
+ * @returns {Object} - { success, message, holidays }
+ */
+function updateCustomHolidays(holidays) {
+    if (!Array.isArray(holidays)) {
+        return { success: false, message: '휴일 목록 형식이 올바르지 않습니다.' };
+    }
+
+    const byDate = new Map();
+    for (const holiday of holidays) {
+        const date = String(holiday.date || '').trim();
+        const name = String(holiday.name || '').trim();
+        if (!DATE_KEY_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+            return { success: false, message: `올바르지 않은 날짜입니다: ${date}` };
+        }
+        if (!name) {
+            return { success: false, message: `휴일 이름을 입력해주세요: ${date}` };
+        }
+        byDate.set(date, { date, name });
+    }
+
+    const customHolidays = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    configService.updateCustomHolidays(customHolidays);
+    logger.info(`Custom holidays updated: ${customHolidays.length} entries`);
+
+    return { success: true, message: '회사 지정 휴일이 저장되었습니다.', holidays: customHolidays };
+}
+
+module.exports = {
+    toDateKey,
+    addDays,
+    getDayOfWeek,
+    getPublicHolidays,
+    getCustomHolidays,
+    getHolidays,
+    getHoliday,
+    isHoliday,
+    updateCustomHolidays
+};
@@ -0,0 +1,186 @@
+// src/services/job-run-history.js
+// 스케줄 작업 실행 이력 - 작업별 실행 시작/종료, 소요 시간, 결과, 오류를 파일에 기록
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { readJsonFile, getFileVersion, updateJsonFile } = require('../utils/file-store');
+
+const RUNS_DIR = configService.getCacheDirectory('job-runs');
+const RUNS_FILE = path.join(RUNS_DIR, 'runs.json');
+
+const MAX_RUN_ENTRIES = 2000;
+
+class JobRunHistory {
+    constructor() {
+        this.runs = [];
+        // 작업별 최근 상태 { 작업 id: { lastRunAt, lastOutcome, lastMessage, lastError, lastSuccessAt, lastFailureAt, consecutiveFailures, lastMissedAt } }
+        this.jobs = {};
+        // 스케줄러가 마지막으로 작업을 등록한 시각 (서버 중단 중 놓친 실행을 찾는 기준)
+        this.schedulerActiveAt = null;
+
+        this.ensureRunsDirectory();
+        this.loadFromDisk();
+    }
+
+    /**
+     * 이력 디렉토리 생성
+     */
+    ensureRunsDirectory() {
+        if (!fs.existsSync(RUNS_DIR)) {
+            fs.mkdirSync(RUNS_DIR, { recursive: true });
+            logger.info('Created job run history directory');
+        }
+    }
+
+    /**
+     * 디스크에서 이력 로드
+     */
+    loadFromDisk() {
+        if (this.refresh()) {
+            logger.info(`Loaded ${this.runs.length} job run history entries`);
+        }
+    }
+
+    /**
+     * 디스크의 최신 이력 다시 읽기 (다른 인스턴스가 기록한 실행 포함)
+     * @returns {boolean} - 읽었으면 true
+     */
+    refresh() {
+        try {
+            const version = getFileVersion(RUNS_FILE);
+            if (this.fileVersion !== undefined && version === this.fileVersion) {
+                return true;
+            }
+            this.apply(readJsonFile(RUNS_FILE, {}));
+            this.fileVersion = version;
+            return true;
+        } catch (error) {
+            logger.error(`Error loading job run history: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 파일 내용을 메모리에 반영
+     * @param {Object} data - { runs, jobs, schedulerActiveAt }
+     */
+    apply(data) {
+        this.runs = data.runs || [];
+        this.jobs = data.jobs || {};
+        this.schedulerActiveAt = data.schedulerActiveAt || null;
+    }
+
+    /**
+     * 이력 갱신 (다른 인스턴스가 기록한 실행을 덮어쓰지 않도록 디스크의 최신 이력을 고쳐 저장)
+     * @param {Function} mutate - (data: { runs, jobs, schedulerActiveAt }) => void
+     * @returns {Promise<void>}
+     */
+    async update(mutate) {
+        try {
+            const { data } = await updateJsonFile(RUNS_FILE, {}, data => {
+                data.runs = data.runs || [];
+                data.jobs = data.jobs || {};
+                mutate(data);
+            });
+            this.apply(data);
+        } catch (error) {
+            logger.error(`Error saving job run history: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * 작업 실행 1건 기록 (보관 한도를 넘으면 오래된 이력부터 삭제)
+     * outcome 이 'missed'(서버 중단으로 실행하지 못함)인 기록은 마지막 실행 상태를 바꾸지 않고,
+     * 'skipped'(휴일 등으로 건너뜀)인 기록은 마지막 실행 시각만 갱신하며 성공/실패 상태는 유지
+     * @param {Object} run - { jobId, jobName, trigger, startedAt, finishedAt, outcome, message, error }
+     * @returns {Promise<Object>} - 저장된 실행 이력 항목
+     */
+    async record(run) {
+        const entry = {
+            id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...run,
+            durationMs: new Date(run.finishedAt).getTime() - new Date(run.startedAt).getTime()
+        };
+
+        await this.update(({ runs, jobs }) => {
+            runs.push(entry);
+            if (runs.length > MAX_RUN_ENTRIES) {
+                runs.splice(0, runs.length - MAX_RUN_ENTRIES);
+            }
+
+            const previous = jobs[run.jobId] || {};
+            if (run.outcome === 'missed') {
+                jobs[run.jobId] = { ...previous, lastMissedAt: run.finishedAt, lastMissedMessage: run.message || null };
+                return;
+            }
+            if (run.outcome === 'skipped') {
+                jobs[run.jobId] = { ...previous, lastRunAt: run.startedAt, lastOutcome: run.outcome, lastMessage: run.message || null, lastError: null };
+                return;
+            }
+
+            const failed = run.outcome === 'failed';
+            jobs[run.jobId] = {
+                ...previous,
+                lastRunAt: run.startedAt,
+                lastOutcome: run.outcome,
+                lastMessage: run.message || null,
+                lastError: failed ? run.error || run.message || null : null,
+                lastSuccessAt: failed ? previous.lastSuccessAt || null : run.finishedAt,
+                lastFailureAt: failed ? run.finishedAt : previous.lastFailureAt || null,
+                consecutiveFailures: failed ? (previous.consecutiveFailures || 0) + 1 : 0
+            };
+        });
+        return entry;
+    }
+
+    /**
+     * 스케줄러 동작 시각 기록 (작업을 새로 등록할 때마다 호출)
+     * @param {Date} [date] - 기록할 시각
+     * @returns {Promise<void>}
+     */
+    async markSchedulerActive(date = new Date()) {
+        await this.update(data => {
+            data.schedulerActiveAt = date.toISOString();
+        });
+    }
+
+    /**
+     * 스케줄러가 마지막으로 작업을 등록한 시각
+     * @returns {string|null} - ISO 시각 (기록이 없으면 null)
+     */
+    getSchedulerActiveAt() {
+        this.refresh();
+        return this.schedulerActiveAt;
+    }
+
+    /**
+     * 작업의 최근 상태 (다른 인스턴스가 실행한 기록 포함)
+     * @param {string} jobId - 작업 id
+     * @returns {Object|null} - 작업 상태 (실행 이력이 없으면 null)
+     */
+    getJobState(jobId) {
+        this.refresh();
+        return this.jobs[jobId] || null;
+    }
+
+    /**
+     * 작업의 최근 실행 이력 (최신순)
+     * @param {string} jobId - 작업 id
+     * @param {number} [limit] - 최대 개수
+     * @returns {Array} - 실행 이력 배열
+     */
+    getRecentRuns(jobId, limit = 10) {
+        this.refresh();
+        const runs = [];
+        for (let i = this.runs.length - 1; i >= 0 && runs.length < limit; i--) {
+            if (this.runs[i].jobId === jobId) {
+                runs.push(this.runs[i]);
+            }
+        }
+        return runs;
+    }
+}
+
+module.exports = JobRunHistory;
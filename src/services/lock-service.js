@@ -0,0 +1,201 @@
+// src/services/lock-service.js
+// 분산 잠금 서비스 - 여러 서버 인스턴스가 같은 스케줄을 등록해도 예약 실행마다 한 인스턴스만 실행하고, 리더 인스턴스를 선출
+
+const os = require('os');
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { getLockBackend } = require('./locks');
+
+const LEADER_KEY = 'leader';
+const INSTANCE_KEY_PREFIX = 'instance:';
+const RUN_KEY_PREFIX = 'run:';
+
+// 리더 선출 상태
+let leaderTimer = null;
+let leader = false;
+let leaderSince = null;
+const startedAt = new Date().toISOString();
+// 리더가 되었을 때 호출할 함수 목록
+const leadershipListeners = [];
+
+/**
+ * 이 인스턴스의 id (config.cluster.instanceId, 없으면 '호스트명-프로세스 id')
+ * @param {Object} [clusterConfig] - 클러스터 설정
+ * @returns {string} - 인스턴스 id
+ */
+function getInstanceId(clusterConfig = configService.getClusterConfig()) {
+    return clusterConfig.instanceId || `${os.hostname()}-${process.pid}`;
+}
+
+/**
+ * 예약 실행 1건 선점
+ * 같은 작업, 같은 예약 시각에 대해 먼저 잠금을 잡은 인스턴스만 true 를 받음
+ * 잠금은 실행이 끝나도 풀지 않고 유지 시간이 지나면 만료 (늦게 깨어난 인스턴스가 다시 실행하지 않도록)
+ * 잠금 백엔드 오류 시에는 여러 인스턴스가 같은 알림을 보내지 않도록 실행하지 않음 (재시작 시 놓친 실행 처리로 보완)
+ * @param {string} jobId - 작업 id
+ * @param {Date} scheduledAt - 예약 시각
+ * @returns {Promise<boolean>} - 이 인스턴스가 실행해야 하면 true
+ */
+async function claimExecution(jobId, scheduledAt) {
+    const clusterConfig = configService.getClusterConfig();
+    const key = `${RUN_KEY_PREFIX}${jobId}:${scheduledAt.toISOString()}`;
+
+    try {
+        return await getLockBackend(clusterConfig).acquire(key, getInstanceId(clusterConfig), clusterConfig.executionLockTtlMs);
+    } catch (error) {
+        logger.error(`Failed to claim ${key}, skipping this run: ${error.message}`, error);
+        return false;
+    }
+}
+
+/**
+ * 리더 임기 획득 또는 연장, 인스턴스 생존 신호 기록, 만료된 잠금 정리
+ * @returns {Promise<boolean>} - 리더이면 true
+ */
+async function refreshLeadership() {
+    const clusterConfig = configService.getClusterConfig();
+    const backend = getLockBackend(clusterConfig);
+    const instanceId = getInstanceId(clusterConfig);
+
+    try {
+        await backend.acquire(`${INSTANCE_KEY_PREFIX}${instanceId}`, instanceId, clusterConfig.leaseMs);
+        const isLeaderNow = leader
+            ? await backend.renew(LEADER_KEY, instanceId, clusterConfig.leaseMs)
+            : await backend.acquire(LEADER_KEY, instanceId, clusterConfig.leaseMs);
+
+        const gained = isLeaderNow && !leader;
+        if (gained) {
+            leaderSince = new Date().toISOString();
+            logger.info(`Instance ${instanceId} became the leader`);
+        } else if (!isLeaderNow && leader) {
+            leaderSince = null;
+            logger.warn(`Instance ${instanceId} lost leadership`);
+        }
+        leader = isLeaderNow;
+        if (gained) {
+            notifyLeadershipGained();
+        }
+
+        if (leader) {
+            const purged = await backend.purgeExpired();
+            if (purged > 0) {
+                logger.debug(`Purged ${purged} expired locks`);
+            }
+        }
+    } catch (error) {
+        logger.error(`Leader election failed: ${error.message}`, error);
+        leader = false;
+        leaderSince = null;
+    }
+    return leader;
+}
+
+/**
+ * 리더가 되었음을 등록된 함수에 알림
+ * 임기 연장이 늦어지지 않도록 끝나기를 기다리지 않고 실행하며, 오류는 기록만 함
+ */
+function notifyLeadershipGained() {
+    leadershipListeners.forEach(listener => {
+        Promise.resolve()
+            .then(listener)
+            .catch(error => logger.error(`Error handling leadership change: ${error.message}`, error));
+    });
+}
+
+/**
+ * 리더가 되었을 때 호출할 함수 등록 (시작할 때 팔로워였다가 나중에 리더가 된 경우에도 호출됨)
+ * @param {Function} listener - () => Promise<void>
+ */
+function onLeadershipGained(listener) {
+    leadershipListeners.push(listener);
+}
+
+/**
+ * 리더 선출 시작 (스케줄 등록과 놓친 실행 처리 전에 호출)
+ * 임기의 1/3 마다 임기를 연장하거나, 리더가 없으면 리더가 되기를 시도
+ * @returns {Promise<boolean>} - 시작 시점에 리더가 되었으면 true
+ */
+async function startLeaderElection() {
+    const { leaseMs } = configService.getClusterConfig();
+    const isLeaderNow = await refreshLeadership();
+
+    if (leaderTimer) {
+        clearInterval(leaderTimer);
+    }
+    leaderTimer = setInterval(refreshLeadership, Math.max(Math.floor(leaseMs / 3), 1000));
+    // 리더 선출 타이머 때문에 프로세스가 종료되지 않는 일이 없도록
+    leaderTimer.unref();
+
+    logger.info(`Leader election started for instance ${getInstanceId()} (${isLeaderNow ? 'leader' : 'follower'})`);
+    return isLeaderNow;
+}
+
+/**
+ * 리더 선출 중지 (종료 시 호출, 리더였으면 바로 다른 인스턴스가 이어받도록 잠금 해제)
+ * @returns {Promise<void>}
+ */
+async function stopLeaderElection() {
+    if (leaderTimer) {
+        clearInterval(leaderTimer);
+        leaderTimer = null;
+    }
+
+    const clusterConfig = configService.getClusterConfig();
+    const backend = getLockBackend(clusterConfig);
+    const instanceId = getInstanceId(clusterConfig);
+    try {
+        await backend.release(`${INSTANCE_KEY_PREFIX}${instanceId}`, instanceId);
+        if (leader) {
+            await backend.release(LEADER_KEY, instanceId);
+            logger.info(`Instance ${instanceId} released leadership`);
+        }
+    } catch (error) {
+        logger.error(`Failed to release locks on shutdown: ${error.message}`, error);
+    }
+    leader = false;
+    leaderSince = null;
+}
+
+/**
+ * 이 인스턴스가 리더인지 여부
+ * @returns {boolean} - 리더이면 true
+ */
+function isLeader() {
+    return leader;
+}
+
+/**
+ * 클러스터 현황 (이 인스턴스, 현재 리더, 살아 있는 인스턴스 목록)
+ * @returns {Promise<Object>} - { instanceId, lockBackend, isLeader, leaderSince, startedAt, leader: { owner, acquiredAt, expiresAt } | null, instances: [{ instanceId, isLeader, lastSeenAt }] }
+ */
+async function getClusterStatus() {
+    const clusterConfig = configService.getClusterConfig();
+    const backend = getLockBackend(clusterConfig);
+    const leaderLock = await backend.get(LEADER_KEY);
+    const instances = await backend.list(INSTANCE_KEY_PREFIX);
+
+    return {
+        instanceId: getInstanceId(clusterConfig),
+        lockBackend: clusterConfig.lockBackend,
+        isLeader: leader,
+        leaderSince,
+        startedAt,
+        leader: leaderLock ? { owner: leaderLock.owner, acquiredAt: leaderLock.acquiredAt, expiresAt: leaderLock.expiresAt } : null,
+        instances: instances.map(lock => ({
+            instanceId: lock.owner,
+            isLeader: !!leaderLock && leaderLock.owner === lock.owner,
+            // 생존 신호는 임기마다 갱신되므로 만료 시각에서 임기를 빼면 마지막 신호 시각
+            lastSeenAt: new Date(new Date(lock.expiresAt).getTime() - clusterConfig.leaseMs).toISOString()
+        }))
+    };
+}
+
+module.exports = {
+    getInstanceId,
+    claimExecution,
+    startLeaderElection,
+    stopLeaderElection,
+    isLeader,
+    onLeadershipGained,
+    getClusterStatus
+};
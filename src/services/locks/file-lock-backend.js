@@ -0,0 +1,213 @@
+// src/services/locks/file-lock-backend.js
+// 파일 잠금 백엔드 - 같은 호스트(또는 공유 디스크)에서 실행하는 인스턴스끼리 잠금 파일로 조율
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../logger');
+const configService = require('../config-service');
+const { FileGuardBusyError, withFileGuard, writeFileAtomic } = require('../../utils/file-store');
+
+const DEFAULT_LOCK_DIR = configService.getCacheDirectory('locks');
+
+class FileLockBackend {
+    /**
+     * @param {Object} options - 백엔드 설정
+     * @param {string} [options.lockDir] - 잠금 파일 디렉토리 (프로젝트 루트 기준 상대 경로 허용)
+     */
+    constructor(options = {}) {
+        this.name = 'file';
+        this.lockDir = options.lockDir
+            ? path.resolve(__dirname, '../../../', options.lockDir)
+            : DEFAULT_LOCK_DIR;
+        fs.mkdirSync(this.lockDir, { recursive: true });
+    }
+
+    /**
+     * 잠금 키의 파일 경로 (파일 이름에 쓸 수 없는 문자는 '_' 로 치환)
+     * @param {string} key - 잠금 키
+     * @returns {string} - 파일 경로
+     */
+    getLockFile(key) {
+        return path.join(this.lockDir, `${key.replace(/[^a-zA-Z0-9_.-]/g, '_')}.lock`);
+    }
+
+    /**
+     * 잠금 파일 읽기
+     * @param {string} file - 파일 경로
+     * @returns {Object|null} - 잠금 정보 (없거나 읽을 수 없으면 null)
+     */
+    readLock(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Unreadable lock file ${path.basename(file)}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 잠금 파일을 읽고 고치는 동안 다른 인스턴스가 끼어들지 못하도록 가드 안에서 실행
+     * @param {string} file - 잠금 파일 경로
+     * @param {Function} fn - 가드 안에서 실행할 함수 (동기)
+     * @returns {Promise<*>} - fn 결과 (가드를 잡지 못하면 false)
+     */
+    async withGuard(file, fn) {
+        try {
+            return await withFileGuard(file, fn);
+        } catch (error) {
+            if (!(error instanceof FileGuardBusyError)) throw error;
+            logger.warn(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 잠금 파일 쓰기 (임시 파일에 쓴 뒤 rename 으로 교체)
+     * @param {string} file - 파일 경로
+     * @param {Object} lock - 잠금 정보
+     */
+    writeLock(file, lock) {
+        writeFileAtomic(file, JSON.stringify(lock));
+    }
+
+    /**
+     * 잠금 획득
+     * 가드 안에서 잠금이 없거나 만료되었거나 자신의 잠금일 때만 새 잠금을 쓰고, 다시 읽어 자신이 소유자인지 확인
+     * @param {string} key - 잠금 키
+     * @param {string} owner - 잠금 소유자 (인스턴스 id)
+     * @param {number} ttlMs - 유지 시간
+     * @returns {Promise<boolean>} - 획득하면 true
+     */
+    async acquire(key, owner, ttlMs) {
+        const file = this.getLockFile(key);
+        return this.withGuard(file, () => {
+            const now = Date.now();
+            const current = this.readLock(file);
+            if (current && current.owner !== owner && new Date(current.expiresAt).getTime() > now) {
+                return false;
+            }
+
+            // 자신의 잠금이면 연장, 없거나 만료되었거나 깨진 잠금이면 회수
+            const expiresAt = new Date(now + ttlMs).toISOString();
+            const lock = current && current.owner === owner
+                ? { ...current, expiresAt }
+                : { key, owner, acquiredAt: new Date(now).toISOString(), expiresAt };
+            this.writeLock(file, lock);
+            return this.isHeldBy(file, owner, expiresAt);
+        });
+    }
+
+    /**
+     * 잠금 연장 (다른 인스턴스가 가져간 잠금이면 실패)
+     * @param {string} key - 잠금 키
+     * @param {string} owner - 잠금 소유자
+     * @param {number} ttlMs - 지금부터 유지할 시간
+     * @returns {Promise<boolean>} - 연장하면 true
+     */
+    async renew(key, owner, ttlMs) {
+        const file = this.getLockFile(key);
+        return this.withGuard(file, () => {
+            const current = this.readLock(file);
+            if (!current || current.owner !== owner) {
+                return false;
+            }
+            const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+            this.writeLock(file, { ...current, expiresAt });
+            return this.isHeldBy(file, owner, expiresAt);
+        });
+    }
+
+    /**
+     * 잠금 파일을 다시 읽어 owner 가 방금 쓴 잠금인지 확인
+     * @param {string} file - 파일 경로
+     * @param {string} owner - 잠금 소유자
+     * @param {string} expiresAt - 방금 쓴 만료 시각
+     * @returns {boolean} - owner 의 잠금이면 true
+     */
+    isHeldBy(file, owner, expiresAt) {
+        const written = this.readLock(file);
+        return !!written && written.owner === owner && written.expiresAt === expiresAt;
+    }
+
+    /**
+     * 잠금 해제 (자신의 잠금만)
+     * @param {string} key - 잠금 키
+     * @param {string} owner - 잠금 소유자
+     * @returns {Promise<void>}
+     */
+    async release(key, owner) {
+        const file = this.getLockFile(key);
+        await this.withGuard(file, () => {
+            const current = this.readLock(file);
+            if (current && current.owner === owner) {
+                fs.rmSync(file, { force: true });
+            }
+        });
+    }
+
+    /**
+     * 잠금 조회
+     * @param {string} key - 잠금 키
+     * @returns {Promise<Object|null>} - { key, owner, acquiredAt, expiresAt } (없거나 만료되면 null)
+     */
+    async get(key) {
+        const current = this.readLock(this.getLockFile(key));
+        return current && new Date(current.expiresAt).getTime() > Date.now() ? current : null;
+    }
+
+    /**
+     * prefix 로 시작하는 유효한 잠금 목록
+     * @param {string} prefix - 키 접두사
+     * @returns {Promise<Array>} - 잠금 정보 배열
+     */
+    async list(prefix) {
+        const now = Date.now();
+        return this.readAllLocks()
+            .filter(({ lock }) => lock && lock.key.startsWith(prefix) && new Date(lock.expiresAt).getTime() > now)
+            .map(({ lock }) => lock);
+    }
+
+    /**
+     * 만료된 잠금 파일 삭제
+     * @returns {Promise<number>} - 삭제한 파일 수
+     */
+    async purgeExpired() {
+        let purged = 0;
+        for (const { file, lock } of this.readAllLocks()) {
+            if (lock && new Date(lock.expiresAt).getTime() > Date.now()) continue;
+            // 그 사이 다른 인스턴스가 회수한 잠금은 지우지 않도록 가드 안에서 다시 확인
+            const removed = await this.withGuard(file, () => {
+                const current = this.readLock(file);
+                if (current && new Date(current.expiresAt).getTime() > Date.now()) return false;
+                try {
+                    fs.unlinkSync(file);
+                    return true;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        logger.warn(`Failed to remove expired lock ${path.basename(file)}: ${error.message}`);
+                    }
+                    return false;
+                }
+            });
+            if (removed) purged++;
+        }
+        return purged;
+    }
+
+    /**
+     * 잠금 디렉토리의 모든 잠금 파일 읽기
+     * @returns {Array} - [{ file, lock }]
+     */
+    readAllLocks() {
+        return fs.readdirSync(this.lockDir)
+            .filter(name => name.endsWith('.lock'))
+            .map(name => {
+                const file = path.join(this.lockDir, name);
+                return { file, lock: this.readLock(file) };
+            });
+    }
+}
+
+module.exports = FileLockBackend;
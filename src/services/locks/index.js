@@ -0,0 +1,61 @@
+// src/services/locks/index.js
+// 분산 잠금 백엔드 레지스트리
+//
+// 백엔드는 아래 비동기 메서드를 구현하며, 같은 key 에 대해 여러 인스턴스가 동시에 acquire 해도 한 인스턴스만 성공해야 함
+//   acquire(key, owner, ttlMs) => Promise<boolean>  잠금이 없거나 만료되었거나 이미 owner 의 잠금이면 획득(갱신)
+//   renew(key, owner, ttlMs)   => Promise<boolean>  owner 의 잠금일 때만 만료 시각 연장
+//   release(key, owner)        => Promise<void>     owner 의 잠금일 때만 해제
+//   get(key)                   => Promise<Object|null>  { key, owner, acquiredAt, expiresAt } (없거나 만료되면 null)
+//   list(prefix)               => Promise<Array>    prefix 로 시작하는 만료되지 않은 잠금 목록
+//   purgeExpired()             => Promise<number>   만료된 잠금 정리 (정리한 개수)
+// Redis 는 SET key value NX PX ttl, DB 는 key 기본 키 INSERT 와 만료 시각 조건 UPDATE 로 구현할 수 있음
+
+const FileLockBackend = require('./file-lock-backend');
+
+/**
+ * 사용 가능한 잠금 백엔드 목록
+ */
+const LOCK_BACKENDS = {
+    'file': FileLockBackend
+};
+
+// 설정이 바뀌지 않는 한 같은 인스턴스를 재사용 (연결 등 상태 유지)
+let cachedBackend = null;
+let cachedSignature = null;
+
+/**
+ * 클러스터 설정에 맞는 잠금 백엔드 인스턴스 반환
+ * @param {Object} clusterConfig - config.json의 cluster 섹션
+ * @returns {Object} - acquire/renew/release/get/list/purgeExpired 를 구현한 잠금 백엔드
+ */
+function getLockBackend(clusterConfig) {
+    const backendName = clusterConfig.lockBackend;
+    const BackendClass = LOCK_BACKENDS[backendName];
+
+    if (!BackendClass) {
+        throw new Error(`Unknown lock backend: ${backendName}`);
+    }
+
+    const options = clusterConfig.backends?.[backendName] || {};
+    const signature = JSON.stringify({ backendName, options });
+
+    if (!cachedBackend || cachedSignature !== signature) {
+        cachedBackend = new BackendClass(options);
+        cachedSignature = signature;
+    }
+
+    return cachedBackend;
+}
+
+/**
+ * 등록된 잠금 백엔드 이름 목록 반환
+ * @returns {string[]} - 잠금 백엔드 이름 배열
+ */
+function getAvailableLockBackends() {
+    return Object.keys(LOCK_BACKENDS);
+}
+
+module.exports = {
+    getLockBackend,
+    getAvailableLockBackends
+};
@@ -0,0 +1,237 @@
+// src/services/message-history.js
+// 메시지 발송 이력 - 모든 전송 시도를 구간 파일에 한 줄씩 덧붙여 기록하고 필터/페이지 단위로 조회
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { writeFileAtomic, readJsonFile, appendJsonLine, readJsonLines } = require('../utils/file-store');
+
+const HISTORY_DIR = configService.getCacheDirectory('message-history');
+// 이전 형식 (전체 이력을 담은 JSON 배열 - 처음 로드할 때 구간 파일로 옮김)
+const LEGACY_HISTORY_FILE = path.join(HISTORY_DIR, 'history.json');
+const SEGMENT_PATTERN = /^history-(\d+)\.jsonl$/;
+
+const DEFAULT_MAX_ENTRIES = 5000;
+// 보관 한도를 나누는 구간 수 (구간이 다 차면 다음 구간에 기록하고, 한도 밖으로 밀려난 구간 파일은 통째로 삭제)
+const SEGMENT_COUNT = 10;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+class MessageHistory {
+    /**
+     * @param {Function} [getSettings] - 이력 설정 조회 함수 () => { maxEntries }
+     */
+    constructor(getSettings = () => ({})) {
+        this.getSettings = getSettings;
+        this.entries = [];
+        // 구간 파일별로 읽은 위치와 항목 { 파일 이름: { number, offset, entries } }
+        this.segments = {};
+
+        this.ensureHistoryDirectory();
+        this.migrateLegacyHistory();
+        this.loadFromDisk();
+    }
+
+    /**
+     * 이력 디렉토리 생성
+     */
+    ensureHistoryDirectory() {
+        if (!fs.existsSync(HISTORY_DIR)) {
+            fs.mkdirSync(HISTORY_DIR, { recursive: true });
+            logger.info('Created message history directory');
+        }
+    }
+
+    /**
+     * 이전 형식의 이력 파일을 첫 구간 파일로 옮김
+     */
+    migrateLegacyHistory() {
+        try {
+            if (!fs.existsSync(LEGACY_HISTORY_FILE)) return;
+            const entries = readJsonFile(LEGACY_HISTORY_FILE, []);
+            if (this.listSegments().length === 0) {
+                writeFileAtomic(this.getSegmentFile(1), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+            }
+            fs.rmSync(LEGACY_HISTORY_FILE, { force: true });
+            logger.info(`Migrated ${entries.length} message history entries to segment files`);
+        } catch (error) {
+            logger.error(`Error migrating message history: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * 보관 한도
+     * @returns {number}
+     */
+    getMaxEntries() {
+        return (this.getSettings() || {}).maxEntries || DEFAULT_MAX_ENTRIES;
+    }
+
+    /**
+     * 구간 파일 경로
+     * @param {number} number - 구간 번호
+     * @returns {string} - 파일 경로
+     */
+    getSegmentFile(number) {
+        return path.join(HISTORY_DIR, `history-${String(number).padStart(6, '0')}.jsonl`);
+    }
+
+    /**
+     * 디스크의 구간 파일 목록 (오래된 순)
+     * @returns {Array} - [{ name, number }]
+     */
+    listSegments() {
+        return fs.readdirSync(HISTORY_DIR)
+            .map(name => ({ name, match: SEGMENT_PATTERN.exec(name) }))
+            .filter(({ match }) => match)
+            .map(({ name, match }) => ({ name, number: parseInt(match[1], 10) }))
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * 디스크에서 이력 로드
+     */
+    loadFromDisk() {
+        if (this.refresh()) {
+            logger.info(`Loaded ${this.entries.length} message history entries`);
+        }
+    }
+
+    /**
+     * 디스크의 최신 이력 다시 읽기 (다른 인스턴스가 기록한 이력 포함, 구간 파일마다 새로 덧붙은 줄만 읽음)
+     * @returns {boolean} - 읽었으면 true
+     */
+    refresh() {
+        try {
+            const segments = {};
+            this.listSegments().forEach(({ name, number }) => {
+                const known = this.segments[name] || { number, offset: 0, entries: [] };
+                let read;
+                try {
+                    read = readJsonLines(path.join(HISTORY_DIR, name), known.offset);
+                } catch (error) {
+                    // 목록을 읽은 뒤 다른 인스턴스가 삭제한 구간
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+                segments[name] = { number, offset: read.offset, entries: read.items.length > 0 ? known.entries.concat(read.items) : known.entries };
+            });
+            this.segments = segments;
+            this.entries = Object.values(segments)
+                .sort((a, b) => a.number - b.number)
+                .flatMap(segment => segment.entries)
+                .slice(-this.getMaxEntries());
+            return true;
+        } catch (error) {
+            logger.error(`Error loading message history: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 기록할 구간 번호 (마지막 구간이 다 찼으면 다음 구간)
+     * @param {number} maxEntries - 보관 한도
+     * @returns {number} - 구간 번호
+     */
+    getWritableSegment(maxEntries) {
+        const segments = Object.values(this.segments).sort((a, b) => a.number - b.number);
+        const last = segments[segments.length - 1];
+        if (!last) return 1;
+        return last.entries.length >= Math.ceil(maxEntries / SEGMENT_COUNT) ? last.number + 1 : last.number;
+    }
+
+    /**
+     * 보관 한도 밖으로 밀려난 구간 파일 삭제 (가장 오래된 구간을 빼도 한도만큼 남을 때만)
+     * @param {number} maxEntries - 보관 한도
+     */
+    removeExpiredSegments(maxEntries) {
+        const segments = Object.entries(this.segments).sort(([, a], [, b]) => a.number - b.number);
+        let total = segments.reduce((sum, [, segment]) => sum + segment.entries.length, 0);
+        for (const [name, segment] of segments.slice(0, -1)) {
+            if (total - segment.entries.length < maxEntries) break;
+            fs.rmSync(path.join(HISTORY_DIR, name), { force: true });
+            delete this.segments[name];
+            total -= segment.entries.length;
+        }
+    }
+
+    /**
+     * 전송 시도 1건 기록 (보관 한도를 넘으면 오래된 이력부터 삭제)
+     * 전체 이력을 다시 쓰지 않고 마지막 구간 파일에 한 줄 덧붙임
+     * @param {Object} record - { messageId, kind, recipient, source, transport, body, success, resCode, error, attempt, latencyMs }
+     * @returns {Object} - 저장된 이력 항목
+     */
+    record(record) {
+        const entry = {
+            id: `hist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            ...record
+        };
+
+        const maxEntries = this.getMaxEntries();
+        try {
+            this.refresh();
+            appendJsonLine(this.getSegmentFile(this.getWritableSegment(maxEntries)), entry);
+            this.refresh();
+            this.removeExpiredSegments(maxEntries);
+        } catch (error) {
+            logger.error(`Error saving message history: ${error.message}`, error);
+        }
+        return entry;
+    }
+
+    /**
+     * 이력 조회 (최신순)
+     * @param {Object} [filters] - { recipient, kind, source, status, from, to, q, page, pageSize }
+     * @returns {Object} - { items, total, page, pageSize, totalPages }
+     */
+    query(filters = {}) {
+        this.refresh();
+        const recipient = (filters.recipient || '').toLowerCase();
+        const keyword = (filters.q || '').toLowerCase();
+        const fromTime = filters.from ? new Date(filters.from).getTime() : null;
+        // 날짜만 지정된 경우 해당 날짜 전체를 포함
+        const toTime = filters.to
+            ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? `${filters.to}T23:59:59.999` : filters.to).getTime()
+            : null;
+
+        const matched = this.entries.filter(entry => {
+            if (recipient && !String(entry.recipient).toLowerCase().includes(recipient)) return false;
+            if (filters.kind && entry.kind !== filters.kind) return false;
+            if (filters.source && entry.source !== filters.source) return false;
+            if (filters.status === 'success' && !entry.success) return false;
+            if (filters.status === 'failed' && entry.success) return false;
+
+            const time = new Date(entry.timestamp).getTime();
+            if (fromTime !== null && time < fromTime) return false;
+            if (toTime !== null && time > toTime) return false;
+
+            if (keyword && !String(entry.body).toLowerCase().includes(keyword)) return false;
+            return true;
+        }).reverse();
+
+        const pageSize = Math.min(Math.max(parseInt(filters.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const totalPages = Math.max(Math.ceil(matched.length / pageSize), 1);
+        const page = Math.min(Math.max(parseInt(filters.page) || 1, 1), totalPages);
+
+        return {
+            items: matched.slice((page - 1) * pageSize, page * pageSize),
+            total: matched.length,
+            page,
+            pageSize,
+            totalPages
+        };
+    }
+
+    /**
+     * 이력에 기록된 발송 작업 목록 (필터 선택지용)
+     * @returns {Array} - 작업 이름 배열
+     */
+    getSources() {
+        this.refresh();
+        return [...new Set(this.entries.map(entry => entry.source).filter(Boolean))].sort();
+    }
+}
+
+module.exports = MessageHistory;
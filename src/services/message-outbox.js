@@ -0,0 +1,517 @@
+// src/services/message-outbox.js
+// 메시지 발송함(outbox) - 메시지별 파일 기반 대기열, 지수 백오프 재시도, 발송 실패(dead-letter) 보관
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { writeFileAtomic, createFileExclusive, removeStaleFile, readJsonFile, getFileVersion } = require('../utils/file-store');
+
+const OUTBOX_DIR = configService.getCacheDirectory('message-outbox');
+// 메시지마다 파일 하나 (<id>.json, 전송 중이면 선점 파일 <id>.claim 이 함께 있음)
+const PENDING_DIR = path.join(OUTBOX_DIR, 'pending');
+const DEAD_LETTER_DIR = path.join(OUTBOX_DIR, 'dead');
+// 이전 형식 (전체 발송함을 담은 JSON - 처음 로드할 때 메시지별 파일로 옮김)
+const LEGACY_OUTBOX_FILE = path.join(OUTBOX_DIR, 'outbox.json');
+
+// 재시도 대상 확인 주기
+const PROCESS_INTERVAL_MS = 15 * 1000;
+
+// 전송 중인 항목을 다른 인스턴스가 다시 보내지 않도록 선점해 두는 시간 (선점한 인스턴스가 종료되면 이후 재시도됨)
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// 같은 밀리초에 넣은 메시지도 넣은 순서대로 정렬되도록 ID 에 붙이는 순번
+let sequence = 0;
+
+const DEFAULT_SETTINGS = {
+    maxAttempts: 5,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 30 * 60 * 1000
+};
+
+/**
+ * 디렉토리의 메시지 파일 읽기 (오래된 순)
+ * 목록을 읽은 뒤 다른 인스턴스가 보내거나 옮긴 메시지는 건너뜀
+ * @param {string} dir - 디렉토리 경로
+ * @returns {Array} - 발송함 항목 배열
+ */
+function readEntries(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => readJsonFile(path.join(dir, name), null))
+        .filter(Boolean)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+}
+
+/**
+ * 선점 파일 읽기
+ * @param {string} file - 선점 파일 경로
+ * @returns {Object|null} - { claimedBy, claimedUntil } (없거나 읽을 수 없으면 null)
+ */
+function readClaim(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+class MessageOutbox {
+    /**
+     * @param {Function} deliver - 실제 전송 함수 (entry) => Promise<{ success, resCode, error }>
+     * @param {Function} [getSettings] - 재시도 설정 조회 함수 () => { maxAttempts, baseDelayMs, maxDelayMs }
+     * @param {Object} [options] - { canProcess: 주기적 재시도를 이 인스턴스에서 할지 () => boolean, owner: 항목 선점에 쓰는 인스턴스 ID () => string }
+     */
+    constructor(deliver, getSettings = () => ({}), options = {}) {
+        this.deliver = deliver;
+        this.getSettings = getSettings;
+        this.canProcess = options.canProcess || (() => true);
+        this.owner = options.owner || (() => `pid-${process.pid}`);
+        this.pending = [];
+        this.deadLetters = [];
+        this.inFlight = new Set();
+        this.processing = false;
+
+        this.ensureOutboxDirectory();
+        this.migrateLegacyOutbox();
+        this.loadFromDisk();
+
+        // 주기적으로 재시도 시점이 된 메시지 전송
+        this.timer = setInterval(() => {
+            this.processDue();
+        }, PROCESS_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    /**
+     * 발송함 디렉토리 생성
+     */
+    ensureOutboxDirectory() {
+        if (!fs.existsSync(PENDING_DIR) || !fs.existsSync(DEAD_LETTER_DIR)) {
+            fs.mkdirSync(PENDING_DIR, { recursive: true });
+            fs.mkdirSync(DEAD_LETTER_DIR, { recursive: true });
+            logger.info('Created message outbox directory');
+        }
+    }
+
+    /**
+     * 이전 형식의 발송함 파일을 메시지별 파일로 옮김
+     */
+    migrateLegacyOutbox() {
+        try {
+            if (!fs.existsSync(LEGACY_OUTBOX_FILE)) return;
+            const { pending = [], deadLetters = [] } = readJsonFile(LEGACY_OUTBOX_FILE, {});
+            pending.forEach(entry => this.writeEntry(PENDING_DIR, { ...entry, claimedBy: null, claimedUntil: null }));
+            deadLetters.forEach(entry => this.writeEntry(DEAD_LETTER_DIR, entry));
+            fs.rmSync(LEGACY_OUTBOX_FILE, { force: true });
+            logger.info(`Migrated message outbox: ${pending.length} pending, ${deadLetters.length} dead letters`);
+        } catch (error) {
+            logger.error(`Error migrating message outbox: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * 디스크에서 발송함 로드 (서버 재시작 전 대기 중이던 메시지 복원)
+     */
+    loadFromDisk() {
+        if (this.refresh()) {
+            logger.info(`Loaded message outbox: ${this.pending.length} pending, ${this.deadLetters.length} dead letters`);
+        }
+    }
+
+    /**
+     * 디스크의 최신 발송함 다시 읽기 (다른 인스턴스가 넣거나 보낸 메시지 반영, 디렉토리가 바뀌었을 때만 읽음)
+     * @returns {boolean} - 읽었으면 true
+     */
+    refresh() {
+        try {
+            const version = `${getFileVersion(PENDING_DIR)}|${getFileVersion(DEAD_LETTER_DIR)}`;
+            if (this.dirVersion !== undefined && version === this.dirVersion) {
+                return true;
+            }
+            this.pending = readEntries(PENDING_DIR).map(entry => ({
+                ...entry,
+                ...(readClaim(this.getClaimFile(entry.id)) || { claimedBy: null, claimedUntil: null })
+            }));
+            this.deadLetters = readEntries(DEAD_LETTER_DIR);
+            this.dirVersion = version;
+            return true;
+        } catch (error) {
+            logger.error(`Error loading message outbox: ${error.message}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 메시지 파일 경로
+     * @param {string} dir - PENDING_DIR 또는 DEAD_LETTER_DIR
+     * @param {string} id - 메시지 ID
+     * @returns {string} - 파일 경로
+     */
+    getEntryFile(dir, id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    /**
+     * 선점 파일 경로
+     * @param {string} id - 메시지 ID
+     * @returns {string} - 파일 경로
+     */
+    getClaimFile(id) {
+        return path.join(PENDING_DIR, `${id}.claim`);
+    }
+
+    /**
+     * 메시지 파일 저장 (선점 정보는 선점 파일에만 둠)
+     * @param {string} dir - PENDING_DIR 또는 DEAD_LETTER_DIR
+     * @param {Object} entry - 발송함 항목
+     */
+    writeEntry(dir, entry) {
+        const { claimedBy, claimedUntil, unsaved, ...stored } = entry;
+        writeFileAtomic(this.getEntryFile(dir, entry.id), JSON.stringify(stored, null, 2));
+    }
+
+    /**
+     * 다른 인스턴스가 전송 중으로 선점한 항목인지 확인
+     * @param {Object} entry - 발송함 항목
+     * @param {number} now - 현재 시각 (ms)
+     * @returns {boolean}
+     */
+    isClaimedByOther(entry, now) {
+        return Boolean(entry.claimedBy)
+            && entry.claimedBy !== this.owner()
+            && new Date(entry.claimedUntil).getTime() > now;
+    }
+
+    /**
+     * 재시도 설정 (기본값 병합)
+     * @returns {Object} - { maxAttempts, baseDelayMs, maxDelayMs }
+     */
+    getRetrySettings() {
+        return { ...DEFAULT_SETTINGS, ...(this.getSettings() || {}) };
+    }
+
+    /**
+     * 메시지를 발송함에 추가
+     * 발송함 파일에 저장하지 못하면 재시도할 수 없으므로 unsaved 로 표시하고, attempt 에서 발송함을 거치지 않고 한 번만 전송
+     * @param {string} kind - 'single' 또는 'channel'
+     * @param {string} target - 수신자 이메일 또는 채널 ID
+     * @param {string|Object} message - 메시지
+     * @param {string} [source] - 발송을 트리거한 작업 이름
+     * @returns {Object} - 발송함 항목 (저장하지 못했으면 unsaved: true)
+     */
+    enqueue(kind, target, message, source = null) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: `msg_${Date.now()}_${String(sequence++ % 10000).padStart(4, '0')}${Math.random().toString(36).substr(2, 9)}`,
+            kind,
+            target,
+            message,
+            source,
+            attempts: 0,
+            createdAt: now,
+            lastAttemptAt: null,
+            nextAttemptAt: now,
+            lastError: null,
+            lastResCode: null
+        };
+
+        try {
+            this.writeEntry(PENDING_DIR, entry);
+        } catch (error) {
+            logger.error(`Error saving message outbox: ${error.message}`, error);
+            entry.unsaved = true;
+            logger.warn(`Message ${entry.id} to ${kind}:${target} could not be saved to the outbox, sending once without retries`);
+        }
+        return entry;
+    }
+
+    /**
+     * 항목 선점 (선점 파일을 배타적으로 만들어 여러 인스턴스 중 하나만 전송)
+     * 선점한 채 종료된 인스턴스(같은 ID 로 재시작한 이전 프로세스 포함)가 남긴 선점 파일은 치우고 다시 시도
+     * @param {string} id - 메시지 ID
+     * @returns {Object|null} - 디스크에서 다시 읽은 항목 (이미 보냈거나 다른 인스턴스가 전송 중이면 null)
+     */
+    claim(id) {
+        const claimFile = this.getClaimFile(id);
+        const claim = { claimedBy: this.owner(), claimedUntil: new Date(Date.now() + CLAIM_TTL_MS).toISOString() };
+        if (!createFileExclusive(claimFile, JSON.stringify(claim))) {
+            const current = readClaim(claimFile);
+            if (current && current.claimedBy === claim.claimedBy) {
+                fs.rmSync(claimFile, { force: true });
+            } else if (!removeStaleFile(claimFile, CLAIM_TTL_MS)) {
+                return null;
+            }
+            if (!createFileExclusive(claimFile, JSON.stringify(claim))) {
+                return null;
+            }
+        }
+
+        const entry = readJsonFile(this.getEntryFile(PENDING_DIR, id), null);
+        if (!entry) {
+            fs.rmSync(claimFile, { force: true });
+            return null;
+        }
+        return { ...entry, ...claim };
+    }
+
+    /**
+     * 발송함에 저장하지 못한 항목 1회 전송 (실패해도 재시도하지 않음)
+     * @param {Object} entry - 발송함 항목 (unsaved)
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async attemptUnsaved(entry) {
+        entry.attempts += 1;
+        entry.lastAttemptAt = new Date().toISOString();
+        entry.nextAttemptAt = null;
+        this.inFlight.add(entry.id);
+
+        let result;
+        try {
+            result = await this.deliver(entry);
+        } catch (error) {
+            result = { success: false, resCode: null, error: error.message };
+        } finally {
+            this.inFlight.delete(entry.id);
+        }
+
+        if (!result.success) {
+            entry.lastError = result.error;
+            entry.lastResCode = result.resCode || null;
+            logger.error(`Message ${entry.id} to ${entry.kind}:${entry.target} failed and will not be retried (not saved to the outbox): ${entry.lastError}`);
+        }
+        return result;
+    }
+
+    /**
+     * 항목 1회 전송 시도
+     * 여러 인스턴스가 같은 메시지를 보내지 않도록 디스크의 항목을 먼저 선점한 뒤 전송하며,
+     * 성공 시 발송함에서 제거, 실패 시 다음 재시도 시각을 설정하거나 최대 횟수 초과 시 dead-letter로 이동
+     * 발송함에 저장하지 못한 항목(unsaved)은 선점 없이 한 번만 전송
+     * @param {Object} entry - 발송함 항목 (결과에 맞게 시도 횟수 등이 갱신됨)
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async attempt(entry) {
+        if (this.inFlight.has(entry.id)) {
+            return { success: false, resCode: null, error: 'Delivery already in progress' };
+        }
+        if (entry.unsaved) {
+            return this.attemptUnsaved(entry);
+        }
+
+        let claimed;
+        try {
+            claimed = this.claim(entry.id);
+            if (claimed) {
+                claimed.attempts += 1;
+                claimed.lastAttemptAt = new Date().toISOString();
+                this.writeEntry(PENDING_DIR, claimed);
+            }
+        } catch (error) {
+            logger.error(`Error claiming message ${entry.id}: ${error.message}`, error);
+            if (claimed) fs.rmSync(this.getClaimFile(entry.id), { force: true });
+            return { success: false, resCode: null, error: 'Message outbox is unavailable' };
+        }
+        if (!claimed) {
+            return { success: false, resCode: null, error: 'Delivery already in progress' };
+        }
+
+        Object.assign(entry, claimed);
+        this.inFlight.add(entry.id);
+
+        let result;
+        try {
+            result = await this.deliver(entry);
+        } catch (error) {
+            result = { success: false, resCode: null, error: error.message };
+        } finally {
+            this.inFlight.delete(entry.id);
+        }
+
+        entry.claimedBy = null;
+        entry.claimedUntil = null;
+
+        if (!result.success) {
+            entry.lastError = result.error;
+            entry.lastResCode = result.resCode || null;
+
+            const { maxAttempts, baseDelayMs, maxDelayMs } = this.getRetrySettings();
+            if (entry.attempts >= maxAttempts) {
+                entry.deadAt = new Date().toISOString();
+                entry.nextAttemptAt = null;
+                logger.error(`Message ${entry.id} to ${entry.kind}:${entry.target} moved to dead letters after ${entry.attempts} attempts: ${entry.lastError}`);
+            } else {
+                const delay = Math.min(baseDelayMs * Math.pow(2, entry.attempts - 1), maxDelayMs);
+                entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                logger.warn(`Message ${entry.id} to ${entry.kind}:${entry.target} failed (attempt ${entry.attempts}/${maxAttempts}), retrying at ${entry.nextAttemptAt}`);
+            }
+        }
+
+        // 선점한 동안은 이 인스턴스만 메시지 파일을 고치므로 가드 없이 저장한 뒤 선점 해제
+        try {
+            if (result.success || entry.deadAt) {
+                if (entry.deadAt) this.writeEntry(DEAD_LETTER_DIR, entry);
+                fs.rmSync(this.getEntryFile(PENDING_DIR, entry.id), { force: true });
+            } else {
+                this.writeEntry(PENDING_DIR, entry);
+            }
+        } catch (error) {
+            logger.error(`Error saving message outbox: ${error.message}`, error);
+        } finally {
+            fs.rmSync(this.getClaimFile(entry.id), { force: true });
+        }
+        return result;
+    }
+
+    /**
+     * 재시도 시각이 된 대기 메시지 전송
+     * @returns {Promise<number>} - 시도한 메시지 수
+     */
+    async processDue() {
+        if (this.processing) {
+            return 0;
+        }
+
+        // 여러 인스턴스가 같은 메시지를 재시도하지 않도록 리더 인스턴스에서만 처리
+        if (!this.canProcess()) {
+            return 0;
+        }
+
+        this.processing = true;
+        try {
+            this.refresh();
+            const now = Date.now();
+            const dueEntries = this.pending.filter(entry =>
+                !this.inFlight.has(entry.id)
+                && !this.isClaimedByOther(entry, now)
+                && new Date(entry.nextAttemptAt).getTime() <= now
+            );
+
+            for (const entry of dueEntries) {
+                await this.attempt(entry);
+            }
+
+            return dueEntries.length;
+        } catch (error) {
+            logger.error(`Error processing message outbox: ${error.message}`, error);
+            return 0;
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * dead-letter 메시지 재시도 (시도 횟수 초기화 후 대기열로 복귀)
+     * @param {string|null} id - 메시지 ID (null이면 전체)
+     * @returns {Promise<Array>} - 재시도 결과 배열 [{ id, success, error }]
+     */
+    async retryDeadLetters(id = null) {
+        this.refresh();
+        const targets = (id ? this.deadLetters.filter(entry => entry.id === id) : this.deadLetters)
+            .map(entry => this.moveToPending(entry.id))
+            .filter(Boolean);
+
+        const results = [];
+        for (const entry of targets) {
+            const result = await this.attempt(entry);
+            results.push({ id: entry.id, success: result.success, error: result.error || null });
+        }
+
+        logger.info(`Retried ${targets.length} dead letter messages`);
+        return results;
+    }
+
+    /**
+     * dead-letter 메시지를 시도 횟수를 초기화해 대기열로 옮김
+     * 여러 인스턴스가 같은 메시지를 옮기지 않도록 먼저 이 인스턴스만 아는 이름으로 rename
+     * @param {string} id - 메시지 ID
+     * @returns {Object|null} - 옮긴 항목 (다른 인스턴스가 먼저 옮겼거나 삭제했거나 저장하지 못했으면 null)
+     */
+    moveToPending(id) {
+        const deadFile = this.getEntryFile(DEAD_LETTER_DIR, id);
+        const movingFile = `${deadFile}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.moving`;
+        try {
+            fs.renameSync(deadFile, movingFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error retrying dead letter ${id}: ${error.message}`, error);
+            }
+            return null;
+        }
+
+        try {
+            const entry = {
+                ...readJsonFile(movingFile, null),
+                attempts: 0,
+                deadAt: null,
+                nextAttemptAt: new Date().toISOString()
+            };
+            this.writeEntry(PENDING_DIR, entry);
+            fs.rmSync(movingFile, { force: true });
+            return entry;
+        } catch (error) {
+            logger.error(`Error retrying dead letter ${id}: ${error.message}`, error);
+            fs.renameSync(movingFile, deadFile);
+            return null;
+        }
+    }
+
+    /**
+     * dead-letter 메시지 삭제
+     * @param {string|null} id - 메시지 ID (null이면 전체)
+     * @returns {number} - 삭제된 메시지 수
+     */
+    purgeDeadLetters(id = null) {
+        this.refresh();
+        let purgedCount = 0;
+        (id ? this.deadLetters.filter(entry => entry.id === id) : this.deadLetters).forEach(entry => {
+            try {
+                fs.unlinkSync(this.getEntryFile(DEAD_LETTER_DIR, entry.id));
+                purgedCount++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Error purging dead letter ${entry.id}: ${error.message}`, error);
+                }
+            }
+        });
+
+        if (purgedCount > 0) {
+            logger.info(`Purged ${purgedCount} dead letter messages`);
+        }
+
+        return purgedCount;
+    }
+
+    /**
+     * 대기 중인 메시지 목록
+     * @returns {Array} - 대기 메시지 배열
+     */
+    getPending() {
+        this.refresh();
+        return [...this.pending];
+    }
+
+    /**
+     * dead-letter 메시지 목록 (최신순)
+     * @returns {Array} - dead-letter 메시지 배열
+     */
+    getDeadLetters() {
+        this.refresh();
+        return [...this.deadLetters].reverse();
+    }
+
+    /**
+     * 발송함 통계
+     * @returns {Object} - { pending, deadLetters }
+     */
+    getStats() {
+        this.refresh();
+        return {
+            pending: this.pending.length,
+            deadLetters: this.deadLetters.length
+        };
+    }
+}
+
+module.exports = MessageOutbox;
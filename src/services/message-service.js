@@ -1,150 +1,419 @@
 // src/services/message-service.js
 // 메시지 전송 서비스
 
-const fetch = require('node-fetch');
 const logger = require('../../logger');
+const configService = require('./config-service');
+const { getTransport, getAvailableTransports } = require('./transports');
+const { toPlainText } = require('../utils/message-content');
+const MessageOutbox = require('./message-outbox');
+const MessageHistory = require('./message-history');
+const { TokenBucketRateLimiter } = require('./rate-limiter');
+const { normalizeLocale } = require('../utils/i18n');
+const lockService = require('./lock-service');
 
-// 설정 변수
-const NAVERWORKS_API_URL_BASE = "https://naverworks.danal.co.kr/message/direct/alarm/users/";
-const NAVERWORKS_CHANNEL_API_URL = "https://naverworks.danal.co.kr/message/alarm/channels/daonbe1";
-const RECIPIENT_DOMAIN = "@danal.co.kr";
+// 모든 전송 시도는 발송 이력에 기록됨
+const history = new MessageHistory(() => configService.getMessagingConfig().history);
 
-const REQUEST_HEADERS = {
-    'Content-Type': 'text/plain; charset=UTF-8'
-};
+// 모든 전송 수단이 공유하는 전송 속도 제한
+const rateLimiter = new TokenBucketRateLimiter(() => configService.getMessagingConfig().rateLimit);
 
-const CHANNEL_REQUEST_HEADERS = {
-    'Content-Type': 'application/json'
-};
+/**
+ * 전송 수단이 렌더링할 수 있는 형태로 메시지 변환
+ * 리치 콘텐츠를 지원하지 않는 전송 수단에는 텍스트 대체 본문을 전달
+ * @param {Object} transport - 전송 수단
+ * @param {string|Object} message - 문자열 또는 메시지 객체
+ * @returns {string|Object} - 전송할 메시지
+ */
+function prepareMessage(transport, message) {
+    return transport.supportsRichContent ? message : toPlainText(message);
+}
 
 /**
- * 채널로 메시지 전송 (주간당직, 당직알림, 코드리뷰용)
- * @param {string} messageText - 전송할 메시지
+ * 언어별 메시지를 수신자 언어로 확정
+ * 메시지가 함수이면 (locale, timezone) => 메시지 형태의 언어별 메시지로 보고 호출
+ * @param {string|Object|Function} message - 메시지 또는 언어별 메시지 함수
+ * @param {string} locale - 수신자 언어
+ * @param {string|null} [timezone] - 수신자 시간대 (없으면 KST)
+ * @returns {string|Object} - 전송할 메시지
+ */
+function localizeMessage(message, locale, timezone = null) {
+    return typeof message === 'function' ? message(locale, timezone) : message;
+}
+
+/**
+ * 채널 언어 조회 (config.channels 의 locale, 없으면 messaging.defaultLocale)
+ * @param {string} channelId - 채널 ID
+ * @param {Object} config - 설정 객체
+ * @returns {string} - 언어 코드
+ */
+function getChannelLocale(channelId, config) {
+    const defaultLocale = normalizeLocale(config.messaging.defaultLocale);
+    const channel = config.channels.find(c => c.channelId === channelId);
+    return normalizeLocale(channel && channel.locale, defaultLocale);
+}
+
+/**
+ * 수신자 언어 조회 (팀원의 locale, 없으면 messaging.defaultLocale)
+ * @param {string} recipientEmail - 수신자 이메일
+ * @param {Object} config - 설정 객체
+ * @returns {string} - 언어 코드
+ */
+function getRecipientLocale(recipientEmail, config) {
+    const { recipientDomain, defaultLocale } = config.messaging;
+    const member = config.teamMembers.find(m => toRecipientEmail(m.id, recipientDomain) === recipientEmail);
+    return normalizeLocale(member && member.locale, normalizeLocale(defaultLocale));
+}
+
+/**
+ * 수신자 시간대 조회 (팀원의 timezone, 없으면 null)
+ * @param {string} recipientEmail - 수신자 이메일
+ * @param {Object} config - 설정 객체
+ * @returns {string|null} - IANA 시간대
+ */
+function getRecipientTimezone(recipientEmail, config) {
+    const member = config.teamMembers.find(m => toRecipientEmail(m.id, config.messaging.recipientDomain) === recipientEmail);
+    return (member && member.timezone) || null;
+}
+
+/**
+ * 발송함 항목 전송 (발송함의 최초 시도와 재시도 모두 이 함수를 사용)
+ * @param {Object} entry - 발송함 항목 { kind, target, message, source }
+ * @returns {Promise<Object>} - 전송 결과 { success, resCode, error }
+ */
+async function deliverEntry(entry) {
+    const messaging = configService.getMessagingConfig();
+    const startTime = Date.now();
+    const result = await sendEntry(entry, messaging);
+
+    history.record({
+        messageId: entry.id,
+        kind: entry.kind,
+        recipient: entry.target,
+        source: entry.source || null,
+        transport: messaging.transport,
+        body: toPlainText(entry.message),
+        success: result.success,
+        resCode: result.resCode || null,
+        error: result.error || null,
+        attempt: entry.attempts,
+        latencyMs: Date.now() - startTime
+    });
+
+    return result;
+}
+
+/**
+ * 설정된 전송 수단으로 실제 전송
+ * 속도 제한 토큰을 얻은 뒤 전송하며, 429 응답은 Retry-After 만큼 전체 전송을 멈춘 뒤 재시도
+ * @param {Object} entry - 발송함 항목
+ * @param {Object} messaging - 메시징 설정
+ * @returns {Promise<Object>} - 전송 결과 { success, resCode, error }
  */
-async function sendChannelMessage(messageText) {
-    logger.debug(`Attempting to send channel message`);
-    logger.debug(`Channel API URL: ${NAVERWORKS_CHANNEL_API_URL}`);
-    logger.debug(`Message content: ${messageText}`);
+async function sendEntry(entry, messaging) {
+    const recipientLabel = entry.kind === 'channel' ? `${entry.target}_channel` : entry.target;
+    const { maxRateLimitRetries } = messaging.rateLimit;
 
     try {
-        const startTime = Date.now();
-        const messageBody = Buffer.from(messageText, 'utf8');
-        
-        const response = await fetch(NAVERWORKS_CHANNEL_API_URL, {
-            method: 'POST',
-            headers: CHANNEL_REQUEST_HEADERS,
-            body: messageBody
-        });
-        const duration = Date.now() - startTime;
-
-        logger.debug(`Response status: ${response.status} ${response.statusText}`);
-        logger.debug(`Response headers: ${JSON.stringify(Object.fromEntries(response.headers))}`);
-
-        if (response.ok) {
-            try {
-                const data = await response.json();
-                logger.debug(`Channel API Response data: ${JSON.stringify(data)}`);
-                
-                if (data.resCode === '0000') {
-                    logger.logMessageSent('daonbe1_channel', 'channel', true);
-                    logger.info(`Channel message sent successfully`);
-                } else {
-                    const errorDetails = `resCode: ${data.resCode}, resMsg: ${data.resMsg || 'No message'}, data: ${JSON.stringify(data)}`;
-                    logger.logMessageSent('daonbe1_channel', 'channel', false, errorDetails);
-                    logger.error(`Channel message send failed - ${errorDetails}`);
-                }
-            } catch (parseError) {
-                // JSON 파싱 실패시 텍스트로 응답 확인
-                const responseText = await response.text();
-                logger.debug(`Channel API Response (text): ${responseText}`);
-                logger.logMessageSent('daonbe1_channel', 'channel', true);
-                logger.info(`Channel message sent successfully (non-JSON response)`);
+        const transport = getTransport(messaging);
+        const prepared = prepareMessage(transport, entry.message);
+
+        let result;
+        for (let rateLimitRetry = 0; ; rateLimitRetry++) {
+            await rateLimiter.acquire();
+            result = entry.kind === 'channel'
+                ? await transport.sendToChannel(entry.target, prepared)
+                : await transport.sendToUser(entry.target, prepared);
+
+            if (result.status !== 429 || rateLimitRetry >= maxRateLimitRetries) {
+                break;
             }
+
+            const retryAfterMs = result.retryAfterMs ?? 1000 * Math.pow(2, rateLimitRetry);
+            logger.warn(`Rate limited when sending to ${recipientLabel}, retrying after ${retryAfterMs}ms`);
+            rateLimiter.pauseFor(retryAfterMs);
+        }
+
+        if (result.success) {
+            logger.logMessageSent(recipientLabel, entry.kind, true);
+            logger.info(entry.kind === 'channel'
+                ? `Channel message sent successfully`
+                : `Message sent successfully to ${entry.target}`);
         } else {
-            const errorText = await response.text();
-            const errorMsg = `HTTP ${response.status}: ${errorText}`;
-            logger.logMessageSent('daonbe1_channel', 'channel', false, errorMsg);
-            logger.error(`HTTP error when sending to channel: ${errorMsg}`);
+            logger.logMessageSent(recipientLabel, entry.kind, false, result.error);
+            logger.error(entry.kind === 'channel'
+                ? `Channel message send failed - ${result.error}`
+                : `Message send failed for ${entry.target} - ${result.error}`);
         }
-        
-        logger.logApiCall('POST', NAVERWORKS_CHANNEL_API_URL, response.status, duration);
+
+        return result;
     } catch (error) {
-        logger.logMessageSent('daonbe1_channel', 'channel', false, error.message);
-        logger.error(`Network error when sending to channel: ${error.message}`, error);
+        logger.logMessageSent(recipientLabel, entry.kind, false, error.message);
+        logger.error(`Network error when sending to ${recipientLabel}: ${error.message}`, error);
+        return { success: false, resCode: null, error: error.message };
     }
 }
 
+// 모든 발송은 발송함을 거쳐 실패 시 재시도됨 (재시도는 리더 인스턴스만, 각 전송은 항목을 선점한 인스턴스만 수행)
+const outbox = new MessageOutbox(deliverEntry, () => configService.getMessagingConfig().outbox, {
+    canProcess: () => lockService.isLeader(),
+    owner: () => lockService.getInstanceId()
+});
+
 /**
- * 단일 수신자에게 메시지 전송
- * @param {string} recipientEmail - 수신자 이메일
- * @param {string} messageText - 전송할 메시지
+ * 발송함 항목과 전송 결과로 수신자별 결과 객체 생성
+ * @param {Object} entry - 발송함 항목
+ * @param {Object} result - 전송 결과
+ * @returns {Object} - { messageId, kind, recipient, success, resCode, error, attempts, willRetry }
  */
-async function sendSingleMessage(recipientEmail, messageText) {
-    const api_url = `${NAVERWORKS_API_URL_BASE}${recipientEmail}`;
-    const messageBody = messageText;
-
-    logger.debug(`Attempting to send message to ${recipientEmail}`);
-    logger.debug(`API URL: ${api_url}`);
-    logger.debug(`Message content: ${messageText}`);
+function toSendResult(entry, result) {
+    return {
+        messageId: entry.id,
+        kind: entry.kind,
+        recipient: entry.target,
+        success: result.success,
+        resCode: result.resCode || null,
+        error: result.error || null,
+        attempts: entry.attempts,
+        // 실패했지만 발송함에서 재시도 예정인지 여부 (발송함에 저장하지 못한 메시지는 재시도하지 않음)
+        willRetry: !result.success && !entry.deadAt && !entry.unsaved
+    };
+}
 
+/**
+ * 발송함에 넣고 즉시 1회 전송
+ * @param {string} kind - 'single' 또는 'channel'
+ * @param {string} target - 수신자 이메일 또는 채널 ID
+ * @param {string|Object} message - 메시지
+ * @param {Object} options - { source }
+ * @returns {Promise<Object>} - 수신자별 결과 객체
+ */
+async function enqueueAndAttempt(kind, target, message, options) {
+    const entry = outbox.enqueue(kind, target, message, options.source);
     try {
-        const startTime = Date.now();
-        const response = await fetch(api_url, {
-            method: 'POST',
-            headers: REQUEST_HEADERS,
-            body: messageBody
-        });
-        const duration = Date.now() - startTime;
-
-        logger.debug(`Response status: ${response.status} ${response.statusText}`);
-
-        if (response.ok) {
-            const data = await response.json();
-            logger.debug(`API Response data: ${JSON.stringify(data)}`);
-            
-            if (data.resCode === '0000') {
-                logger.logMessageSent(recipientEmail, 'single', true);
-                logger.info(`Message sent successfully to ${recipientEmail}`);
-            } else {
-                const errorDetails = `resCode: ${data.resCode}, resMsg: ${data.resMsg || 'No message'}, data: ${JSON.stringify(data)}`;
-                logger.logMessageSent(recipientEmail, 'single', false, errorDetails);
-                logger.error(`Message send failed for ${recipientEmail} - ${errorDetails}`);
-            }
-        } else {
-            const errorText = await response.text();
-            const errorMsg = `HTTP ${response.status}: ${errorText}`;
-            logger.logMessageSent(recipientEmail, 'single', false, errorMsg);
-            logger.error(`HTTP error when sending to ${recipientEmail}: ${errorMsg}`);
-        }
-        
-        logger.logApiCall('POST', api_url, response.status, duration);
+        const result = await outbox.attempt(entry);
+        return toSendResult(entry, result);
     } catch (error) {
-        logger.logMessageSent(recipientEmail, 'single', false, error.message);
-        logger.error(`Network error when sending to ${recipientEmail}: ${error.message}`, error);
+        logger.error(`Error sending message to ${kind}:${target}: ${error.message}`, error);
+        return toSendResult(entry, { success: false, resCode: null, error: error.message });
     }
 }
 
+/**
+ * 채널로 메시지 전송 (주간당직, 당직알림, 코드리뷰용)
+ * 발송함에 넣은 뒤 즉시 1회 시도하며, 실패하면 백그라운드에서 재시도
+ * @param {string|Object|Function} message - 전송할 메시지 (문자열, message-content 메시지 객체 또는 언어별 메시지 함수)
+ * @param {string} [channelId] - 채널 ID (기본값: 설정의 defaultChannelId)
+ * @param {Object} [options] - { source: 발송을 트리거한 작업 이름, locale: 채널 언어 대신 사용할 언어, timezone: 작업 시간대 }
+ * @returns {Promise<Object>} - 전송 결과 { messageId, kind, recipient, success, resCode, error, attempts, willRetry }
+ */
+async function sendChannelMessage(message, channelId = null, options = {}) {
+    const config = configService.loadConfig();
+    const messaging = config.messaging;
+    const targetChannelId = channelId || messaging.defaultChannelId;
+    const content = localizeMessage(message, options.locale || getChannelLocale(targetChannelId, config), options.timezone);
+
+    logger.debug(`Attempting to send channel message to ${targetChannelId} via ${messaging.transport}`);
+    logger.debug(`Message content: ${toPlainText(content)}`);
+
+    return enqueueAndAttempt('channel', targetChannelId, content, options);
+}
+
+/**
+ * 단일 수신자에게 메시지 전송
+ * 발송함에 넣은 뒤 즉시 1회 시도하며, 실패하면 백그라운드에서 재시도
+ * @param {string} recipientEmail - 수신자 이메일
+ * @param {string|Object|Function} message - 전송할 메시지 (문자열, message-content 메시지 객체 또는 언어별 메시지 함수)
+ * @param {Object} [options] - { source: 발송을 트리거한 작업 이름, locale: 팀원 언어 대신 사용할 언어, timezone: 팀원 시간대가 없을 때 사용할 작업 시간대 }
+ * @returns {Promise<Object>} - 전송 결과 { messageId, kind, recipient, success, resCode, error, attempts, willRetry }
+ */
+async function sendSingleMessage(recipientEmail, message, options = {}) {
+    const config = configService.loadConfig();
+    const locale = options.locale || getRecipientLocale(recipientEmail, config);
+    const content = localizeMessage(message, locale, getRecipientTimezone(recipientEmail, config) || options.timezone);
+
+    logger.debug(`Attempting to send message to ${recipientEmail} via ${config.messaging.transport}`);
+    logger.debug(`Message content: ${toPlainText(content)}`);
+
+    return enqueueAndAttempt('single', recipientEmail, content, options);
+}
+
 /**
  * 여러 수신자에게 메시지 전송
- * @param {string} messageText - 전송할 메시지
+ * rateLimit.concurrency 개의 전송을 동시에 진행하며, 전송 속도는 공유 토큰 버킷으로 제한
+ * @param {string|Object|Function} message - 전송할 메시지 (언어별 메시지 함수이면 수신자마다 팀원 언어로 생성)
  * @param {string} recipientsString - 수신자 ID 문자열 (콤마로 구분)
+ * @param {Object} [options] - { source: 발송을 트리거한 작업 이름 }
+ * @returns {Promise<Array>} - 수신자별 전송 결과 배열 (sendSingleMessage 결과 형식)
  */
-async function sendMessagesToMultipleRecipients(messageText, recipientsString) {
-    try {
-        const recipientIDs = recipientsString.split(',').map(id => id.trim()).filter(id => id.length > 0);
-        logger.info(`Starting bulk message send to ${recipientIDs.length} recipients`);
-        logger.debug(`Recipients: ${recipientIDs.join(', ')}`);
-        
-        for (const id of recipientIDs) {
-            const recipientEmail = `${id}${RECIPIENT_DOMAIN}`;
-            await sendSingleMessage(recipientEmail, messageText);
-            await new Promise(resolve => setTimeout(resolve, 100)); // Rate limiting
+async function sendMessagesToMultipleRecipients(message, recipientsString, options = {}) {
+    const { recipientDomain, rateLimit } = configService.getMessagingConfig();
+    const recipientIDs = recipientsString.split(',').map(id => id.trim()).filter(id => id.length > 0);
+    const recipientEmails = recipientIDs.map(id => toRecipientEmail(id, recipientDomain));
+    logger.info(`Starting bulk message send to ${recipientIDs.length} recipients`);
+    logger.debug(`Recipients: ${recipientIDs.join(', ')}`);
+
+    const results = new Array(recipientEmails.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < recipientEmails.length) {
+            const index = nextIndex++;
+            results[index] = await sendSingleMessage(recipientEmails[index], message, options);
         }
-        
-        logger.info(`Completed bulk message send to ${recipientIDs.length} recipients`);
-    } catch (error) {
-        logger.error(`Error in bulk message send: ${error.message}`, error);
+    };
+
+    const concurrency = Math.max(1, Math.min(rateLimit.concurrency, recipientEmails.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const successCount = results.filter(result => result.success).length;
+    logger.info(`Completed bulk message send: ${successCount}/${recipientIDs.length} succeeded`);
+    return results;
+}
+
+// 발송 대상으로 지정할 수 있는 팀 그룹
+const TEAM_GROUPS = {
+    all: { name: '전체 팀원', select: members => members },
+    authorized: { name: '권한 있는 팀원', select: members => members.filter(m => m.isAuthorized) }
+};
+
+/**
+ * 발송 대상을 채널 ID와 수신자 이메일 목록으로 변환
+ * 채널은 config.channels 의 id로 찾고, 없으면 값 자체를 채널 ID로 사용
+ * @param {Object} target - { channels, users, groups }
+ * @param {Object} config - 설정 객체
+ * @returns {Object} - { channelIds, recipientEmails }
+ */
+function resolveTarget(target, config) {
+    const { recipientDomain, defaultChannelId } = config.messaging;
+    const channels = target?.channels || [];
+    const users = target?.users || [];
+    const groups = target?.groups || [];
+
+    const channelIds = channels.map(key => {
+        const channel = config.channels.find(c => c.id === key);
+        return channel ? channel.channelId : key;
+    });
+
+    const memberIds = [...users];
+    groups.forEach(groupId => {
+        const group = TEAM_GROUPS[groupId];
+        if (!group) {
+            logger.warn(`Unknown team group: ${groupId}`);
+            return;
+        }
+        group.select(config.teamMembers).forEach(member => memberIds.push(member.id));
+    });
+
+    const recipientEmails = [...new Set(memberIds.map(id => toRecipientEmail(id.trim(), recipientDomain)))];
+
+    // 대상이 하나도 지정되지 않았으면 기본 채널로 발송
+    if (channels.length === 0 && users.length === 0 && groups.length === 0) {
+        channelIds.push(defaultChannelId);
+    }
+
+    return { channelIds: [...new Set(channelIds)], recipientEmails };
+}
+
+/**
+ * 발송 대상(채널, 개별 사용자, 팀 그룹)으로 메시지 전송
+ * @param {string|Object|Function} message - 전송할 메시지 (언어별 메시지 함수이면 채널/팀원 언어로 각각 생성)
+ * @param {Object} target - { channels, users, groups }
+ * @param {Object} [options] - { source: 발송을 트리거한 작업 이름, timezone: 작업 시간대 }
+ * @returns {Promise<Array>} - 대상별 전송 결과 배열 (sendSingleMessage 결과 형식)
+ */
+async function sendToTarget(message, target, options = {}) {
+    const config = configService.loadConfig();
+    const { channelIds, recipientEmails } = resolveTarget(target, config);
+
+    logger.info(`Sending message to ${channelIds.length} channels and ${recipientEmails.length} recipients`);
+
+    const results = [];
+    for (const channelId of channelIds) {
+        results.push(await sendChannelMessage(message, channelId, options));
     }
+
+    if (recipientEmails.length > 0) {
+        results.push(...await sendMessagesToMultipleRecipients(message, recipientEmails.join(','), options));
+    }
+
+    return results;
+}
+
+/**
+ * 기본 작업의 발송 대상으로 메시지 전송 (config.jobTargets)
+ * @param {string} jobKey - 작업 이름 (weekly_duty, duty_reminder, code_review_pairs, laptop_duty, github_weekly_report, github_monthly_report, admin_alerts, duty_ack_escalation)
+ * @param {string|Object|Function} message - 전송할 메시지 (문자열, 메시지 객체 또는 언어별 메시지 함수)
+ * @param {Object} [options] - { source, target: 설정 대신 사용할 발송 대상, timezone: 작업 시간대 }
+ * @returns {Promise<Array>} - 대상별 전송 결과
+ */
+async function sendToJobTarget(jobKey, message, options = {}) {
+    const target = options.target || configService.loadConfig().jobTargets[jobKey];
+    return sendToTarget(message, target, { source: options.source || jobKey, timezone: options.timezone });
+}
+
+/**
+ * 전송 결과 요약
+ * @param {Array} results - 수신자별 전송 결과 배열
+ * @returns {Object} - { total, succeeded, failed, failures }
+ */
+function summarizeSendResults(results = []) {
+    const failures = results.filter(result => !result.success);
+    return {
+        total: results.length,
+        succeeded: results.length - failures.length,
+        failed: failures.length,
+        failures
+    };
+}
+
+/**
+ * 화면에 표시할 전송 실패 안내 문구 (실패가 없으면 빈 문자열)
+ * @param {Array} results - 수신자별 전송 결과 배열
+ * @returns {string} - 예: "3건 중 1건 발송 실패: user@danal.co.kr (HTTP 500) - 자동 재시도 예정"
+ */
+function describeSendFailures(results = []) {
+    const { total, failed, failures } = summarizeSendResults(results);
+    if (failed === 0) {
+        return '';
+    }
+
+    const details = failures.map(failure => `${failure.recipient} (${failure.error || failure.resCode || '알 수 없는 오류'})`).join(', ');
+    const retryNote = failures.some(failure => failure.willRetry) ? ' - 자동 재시도 예정' : '';
+    return `${total}건 중 ${failed}건 발송 실패: ${details}${retryNote}`;
+}
+
+/**
+ * 발송을 포함한 작업의 결과 객체 생성 (발송 실패가 있으면 안내 문구를 덧붙임)
+ * @param {string} successMessage - 작업 성공 메시지
+ * @param {Array} sendResults - 수신자별 전송 결과 배열
+ * @returns {Object} - { success, message, partialFailure, sendResults }
+ */
+function buildSendOutcome(successMessage, sendResults = []) {
+    const failureMessage = describeSendFailures(sendResults);
+    return {
+        success: true,
+        message: failureMessage ? `${successMessage} ⚠️ ${failureMessage}` : successMessage,
+        partialFailure: !!failureMessage,
+        sendResults
+    };
+}
+
+/**
+ * 팀 그룹 목록 반환
+ * @returns {Array} - [{ id, name }]
+ */
+function getTeamGroups() {
+    return Object.entries(TEAM_GROUPS).map(([id, group]) => ({ id, name: group.name }));
+}
+
+/**
+ * 팀원 ID를 수신자 이메일로 변환 (이미 이메일이면 그대로 사용)
+ * @param {string} id - 팀원 ID 또는 이메일
+ * @param {string} recipientDomain - 수신자 도메인 (예: @danal.co.kr)
+ * @returns {string} - 수신자 이메일
+ */
+function toRecipientEmail(id, recipientDomain) {
+    return id.includes('@') ? id : `${id}${recipientDomain}`;
 }
 
 /**
@@ -152,12 +421,56 @@ async function sendMessagesToMultipleRecipients(messageText, recipientsString) {
  * @returns {Object} - 메시지 전송 설정 객체
  */
 function getMessageConfig() {
+    const messaging = configService.getMessagingConfig();
+    return {
+        transport: messaging.transport,
+        availableTransports: getAvailableTransports(),
+        recipientDomain: messaging.recipientDomain,
+        defaultChannelId: messaging.defaultChannelId,
+        dashboardUrl: messaging.dashboardUrl,
+        teamGroups: getTeamGroups()
+    };
+}
+
+/**
+ * 발송함 현황 조회
+ * @returns {Object} - { stats, pending, deadLetters }
+ */
+function getOutboxStatus() {
+    return {
+        stats: outbox.getStats(),
+        pending: outbox.getPending(),
+        deadLetters: outbox.getDeadLetters()
+    };
+}
+
+/**
+ * 발송 실패 메시지 재시도
+ * @param {string|null} id - 메시지 ID (null이면 전체)
+ * @returns {Promise<Array>} - 재시도 결과 배열
+ */
+async function retryDeadLetters(id = null) {
+    return outbox.retryDeadLetters(id);
+}
+
+/**
+ * 발송 실패 메시지 삭제
+ * @param {string|null} id - 메시지 ID (null이면 전체)
+ * @returns {number} - 삭제된 메시지 수
+ */
+function purgeDeadLetters(id = null) {
+    return outbox.purgeDeadLetters(id);
+}
+
+/**
+ * 발송 이력 조회
+ * @param {Object} [filters] - { recipient, kind, source, status, from, to, q, page, pageSize }
+ * @returns {Object} - { items, total, page, pageSize, totalPages, sources }
+ */
+function getMessageHistory(filters = {}) {
     return {
-        NAVERWORKS_API_URL_BASE,
-        NAVERWORKS_CHANNEL_API_URL,
-        RECIPIENT_DOMAIN,
-        REQUEST_HEADERS,
-        CHANNEL_REQUEST_HEADERS
+        ...history.query(filters),
+        sources: history.getSources()
     };
 }
 
@@ -165,5 +478,16 @@ module.exports = {
     sendChannelMessage,
     sendSingleMessage,
     sendMessagesToMultipleRecipients,
-    getMessageConfig
+    sendToTarget,
+    sendToJobTarget,
+    summarizeSendResults,
+    describeSendFailures,
+    buildSendOutcome,
+    getTeamGroups,
+    toRecipientEmail,
+    getMessageConfig,
+    getOutboxStatus,
+    retryDeadLetters,
+    purgeDeadLetters,
+    getMessageHistory
 };
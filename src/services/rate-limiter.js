@@ -0,0 +1,118 @@
+// src/services/rate-limiter.js
+// 토큰 버킷 전송 속도 제한 - 모든 전송 수단이 공유
+
+const logger = require('../../logger');
+
+const DEFAULT_SETTINGS = {
+    ratePerSecond: 10,
+    burst: 10
+};
+
+class TokenBucketRateLimiter {
+    /**
+     * @param {Function} [getSettings] - 속도 설정 조회 함수 () => { ratePerSecond, burst }
+     */
+    constructor(getSettings = () => ({})) {
+        this.getSettings = getSettings;
+        this.tokens = null;
+        this.lastRefillAt = Date.now();
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 속도 설정 (기본값 병합)
+     * @returns {Object} - { ratePerSecond, burst }
+     */
+    getRateSettings() {
+        return { ...DEFAULT_SETTINGS, ...(this.getSettings() || {}) };
+    }
+
+    /**
+     * 경과 시간만큼 토큰 보충
+     * @param {Object} settings - { ratePerSecond, burst }
+     */
+    refill({ ratePerSecond, burst }) {
+        const now = Date.now();
+        if (this.tokens === null) {
+            this.tokens = burst;
+        }
+        this.tokens = Math.min(burst, this.tokens + ((now - this.lastRefillAt) / 1000) * ratePerSecond);
+        this.lastRefillAt = now;
+    }
+
+    /**
+     * 토큰 1개 획득 (토큰이 없거나 일시 중지 중이면 대기)
+     * 대기 순서를 지키기 위해 요청을 직렬로 처리
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        const ticket = this.queue.then(() => this.waitForToken());
+        this.queue = ticket.catch(() => {});
+        return ticket;
+    }
+
+    /**
+     * 토큰이 생길 때까지 대기 후 소비
+     * @returns {Promise<void>}
+     */
+    async waitForToken() {
+        for (;;) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                await sleep(this.pausedUntil - now);
+                continue;
+            }
+
+            const settings = this.getRateSettings();
+            this.refill(settings);
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+
+            await sleep(Math.ceil(((1 - this.tokens) / settings.ratePerSecond) * 1000));
+        }
+    }
+
+    /**
+     * 일정 시간 동안 전송 중지 (429 Retry-After 대응)
+     * @param {number} delayMs - 중지 시간 (ms)
+     */
+    pauseFor(delayMs) {
+        const until = Date.now() + delayMs;
+        if (until > this.pausedUntil) {
+            this.pausedUntil = until;
+            this.tokens = 0;
+            logger.warn(`Message sending paused for ${delayMs}ms due to rate limiting`);
+        }
+    }
+}
+
+/**
+ * Retry-After 헤더 해석 (초 단위 숫자 또는 HTTP 날짜)
+ * @param {string|null} headerValue - Retry-After 헤더 값
+ * @returns {number|null} - 대기 시간 (ms), 해석할 수 없으면 null
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) {
+        return null;
+    }
+
+    const seconds = Number(headerValue);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    TokenBucketRateLimiter,
+    parseRetryAfter
+};
@@ -0,0 +1,126 @@
+// src/services/schedule-condition-service.js
+// 스케줄 실행 조건 - 사용자 정의 스케줄이 자동 실행되기 직전에 확인하는 내장 조건
+
+const logger = require('../../logger');
+const dutyService = require('./duty-service');
+const dutyAckService = require('./duty-ack-service');
+const holidayService = require('./holiday-service');
+
+/**
+ * 내장 실행 조건
+ * check 는 { passed, detail } 을 반환하며, 스케줄에는 [{ type, negate }] 로 저장 (모든 조건을 만족해야 실행)
+ * negate 가 true 이면 조건이 성립하지 않을 때 실행
+ */
+const SCHEDULE_CONDITIONS = {
+    has_duty_today: {
+        name: '오늘 당직자 있음',
+        check: async ({ timezone }) => {
+            const todayDuty = dutyService.getTodayDutyMembers(timezone);
+            return {
+                passed: !!todayDuty && !todayDuty.hasNoDuty,
+                detail: todayDuty && !todayDuty.hasNoDuty ? todayDuty.members.map(member => member.name).join(', ') : '당직자 없음'
+            };
+        }
+    },
+    duty_not_acknowledged: {
+        name: '당직 미확인 당직자 있음',
+        check: async ({ timezone, config }) => {
+            const status = dutyAckService.getAckStatus(holidayService.toDateKey(new Date(), timezone), config);
+            const pendingMembers = status.members.filter(member => !member.acknowledgedAt);
+            return {
+                passed: pendingMembers.length > 0,
+                detail: status.members.length === 0 ? '당직자 없음' : pendingMembers.length > 0 ? pendingMembers.map(member => member.name).join(', ') : '모두 확인함'
+            };
+        }
+    },
+    workday: {
+        name: '근무일 (주말·휴일 아님)',
+        check: async ({ timezone, config }) => {
+            const dateKey = holidayService.toDateKey(new Date(), timezone);
+            const dayOfWeek = holidayService.getDayOfWeek(dateKey);
+            if (dayOfWeek === 0 || dayOfWeek === 6) {
+                return { passed: false, detail: '주말' };
+            }
+            const holiday = holidayService.getHoliday(dateKey, config);
+            return { passed: !holiday, detail: holiday ? holiday.name : '평일' };
+        }
+    },
+    github_low_activity: {
+        name: 'GitHub 활동 부족 팀원 있음',
+        check: async ({ gitHubService }) => {
+            // 활동 부족 팀원이 없거나 GitHub 기능·활동 알림이 꺼져 있으면 success: false
+            const result = await gitHubService.checkAndSendActivityAlerts();
+            const members = result.success ? result.data.lowActivityMembers : [];
+            return {
+                passed: members.length > 0,
+                detail: members.length > 0 ? members.map(member => member.name).join(', ') : result.message
+            };
+        }
+    }
+};
+
+/**
+ * 실행 조건 목록 검증 및 정리
+ * @param {Array} [conditions] - [{ type, negate }]
+ * @returns {Object} - { success, message, conditions }
+ */
+function normalizeConditions(conditions) {
+    if (conditions === undefined || conditions === null) {
+        return { success: true, conditions: [] };
+    }
+    if (!Array.isArray(conditions)) {
+        return { success: false, message: '실행 조건 형식이 올바르지 않습니다.' };
+    }
+
+    const normalized = [];
+    for (const condition of conditions) {
+        if (!condition || !SCHEDULE_CONDITIONS[condition.type]) {
+            return { success: false, message: `알 수 없는 실행 조건입니다: ${condition && condition.type}` };
+        }
+        if (normalized.some(item => item.type === condition.type)) {
+            continue;
+        }
+        normalized.push({ type: condition.type, negate: condition.negate === true });
+    }
+    return { success: true, conditions: normalized };
+}
+
+/**
+ * 실행 조건 표시 이름 (예: '오늘 당직자 있음', '아님: 근무일 (주말·휴일 아님)')
+ * @param {Object} condition - { type, negate }
+ * @returns {string} - 표시 이름
+ */
+function describeCondition(condition) {
+    const name = SCHEDULE_CONDITIONS[condition.type] ? SCHEDULE_CONDITIONS[condition.type].name : condition.type;
+    return condition.negate ? `아님: ${name}` : name;
+}
+
+/**
+ * 실행 조건 확인 (순서대로 확인하다가 만족하지 않는 조건이 있으면 중단)
+ * @param {Array} conditions - [{ type, negate }]
+ * @param {Object} context - { timezone, config, gitHubService }
+ * @returns {Promise<Object>} - { passed, failed: { type, negate, name, detail } | null }
+ */
+async function evaluateConditions(conditions, context) {
+    for (const condition of conditions || []) {
+        const definition = SCHEDULE_CONDITIONS[condition.type];
+        if (!definition) {
+            throw new Error(`Unknown schedule condition: ${condition.type}`);
+        }
+
+        const result = await definition.check(context);
+        const passed = condition.negate ? !result.passed : result.passed;
+        logger.debug(`Schedule condition ${describeCondition(condition)}: ${passed ? 'passed' : 'failed'} (${result.detail})`);
+        if (!passed) {
+            return { passed: false, failed: { ...condition, name: describeCondition(condition), detail: result.detail } };
+        }
+    }
+    return { passed: true, failed: null };
+}
+
+module.exports = {
+    SCHEDULE_CONDITIONS,
+    normalizeConditions,
+    describeCondition,
+    evaluateConditions
+};
@@ -4,12 +4,59 @@
 const cron = require('node-cron');
 const logger = require('../../logger');
 const dutyService = require('./duty-service');
+const dutyAckService = require('./duty-ack-service');
 const teamService = require('./team-service');
 const messageService = require('./message-service');
+const templateService = require('./template-service');
+const configService = require('./config-service');
+const holidayService = require('./holiday-service');
+const blackoutService = require('./blackout-service');
+const lockService = require('./lock-service');
+const scheduleConditionService = require('./schedule-condition-service');
+const JobRunHistory = require('./job-run-history');
+const { validateTemplate } = require('../utils/template-engine');
+const { getNextRuns, getZonedParts, isValidTimezone, describeCronExpression, DEFAULT_TIMEZONE } = require('../utils/cron-utils');
 
 // 스케줄 관리 변수
 let scheduledJobs = {};
 
+// 작업 실행 이력
+const jobRunHistory = new JobRunHistory();
+
+// 이 프로세스가 리더로서 놓친 실행을 처리했는지 (처리하기 전에는 스케줄러 동작 시각을 앞당기지 않음)
+let missedRunsHandled = false;
+// 진행 중인 놓친 실행 처리 (시작 시 처리와 리더가 되었을 때의 처리가 겹치면 함께 기다림)
+let catchUpInProgress = null;
+
+// 사용자 정의 스케줄 타입별 이름
+const CUSTOM_SCHEDULE_NAMES = {
+    message: '일반 메시지',
+    laptop_duty: '노트북 지참 알림',
+    code_review: '코드 리뷰 짝꿍 알림'
+};
+
+// 서버 중단으로 놓친 실행 처리 방식 (run_once: 한 번 실행, skip: 건너뛰기, notify: 관리자에게 알림)
+const CATCH_UP_POLICIES = ['run_once', 'skip', 'notify'];
+
+// 놓친 실행 횟수를 셀 때 최대 개수 (매분 실행 작업 등이 오래 중단된 경우)
+const MAX_MISSED_RUNS = 100;
+
+// 다음 실행 시각 표시에서 건너뛸 시각을 제외하며 살펴보는 최대 실행 횟수
+const NEXT_RUN_LOOKAHEAD = 50;
+
+// Cron 미리보기에서 보여줄 다음 실행 시각 개수 (기본값, 최대값)
+const DEFAULT_PREVIEW_RUNS = 5;
+const MAX_PREVIEW_RUNS = 20;
+
+// 자동 실행 시 예약 시각을 찾는 허용 오차 (타이머 지연으로 예약 시각보다 늦게 실행되는 경우)
+const FIRED_RUN_TOLERANCE_MS = 30000;
+
+// setTimeout 최대 지연 (약 24.8일) - 더 먼 일회성 스케줄은 나눠서 대기
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// config.scheduleArchive 에 보관하는 실행 완료 일회성 스케줄 최대 개수
+const MAX_ARCHIVED_SCHEDULES = 100;
+
 // GitHub 서비스 인스턴스
 const GitHubService = require('./github-service');
 const gitHubService = new GitHubService();
@@ -32,147 +79,691 @@ function clearAllScheduledJobs() {
 }
 
 /**
- * 기본 스케줄 설정
+ * 기본 작업 정의
+ * cronSchedule/enabled 는 기본값이며 config.defaultJobs 로 작업별로 변경할 수 있음
+ * targetKey: 기본 발송 대상(config.jobTargets) 키 (없으면 당직자 등 정해진 팀원에게만 발송), templateKey: 작업 메시지 템플릿 키 (없으면 템플릿 재정의 불가)
+ * catchUpPolicy: 서버 중단으로 놓친 실행 처리 방식 기본값 (CATCH_UP_POLICIES)
+ * 모든 작업은 기본적으로 KST(DEFAULT_TIMEZONE) 기준으로 실행하며 config.defaultJobs 의 timezone 으로 바꿀 수 있음
+ * jobType: 발송 중지 기간에 쓰는 작업 종류 (blackout-service 의 BLACKOUT_JOB_TYPES)
+ * 작업별 skipOnHolidays 설정이 켜져 있으면 공휴일·회사 지정 휴일에는 자동 실행하지 않음
  */
-function setupDefaultSchedules() {
-    logger.info('Setting up default schedules');
-    
-    // 주간 당직 편성 (매주 월요일 오전 8시) - 채널로 발송
-    const weeklyDutyJob = cron.schedule('0 8 * * 1', async () => {
-        try {
-            logger.info('Executing weekly duty assignment (Monday 8 AM) - Channel');
-            await dutyService.assignWeeklyDutySchedule();
-        } catch (error) {
-            logger.error(`Error in weekly duty assignment job: ${error.message}`, error);
-        }
-    }, {
-        scheduled: true,
-        timezone: "Asia/Seoul"
-    });
-    scheduledJobs['weekly_duty'] = weeklyDutyJob;
-    
-    // 당직자 알림 (매일 오후 2시) - 채널로 발송
-    const dutyReminder2pm = cron.schedule('0 14 * * *', async () => {
-        try {
-            logger.info('Executing duty reminder (2 PM) - Channel');
-            await dutyService.sendDutyReminderMessage();
-        } catch (error) {
-            logger.error(`Error in duty reminder (2 PM) job: ${error.message}`, error);
+const DEFAULT_JOBS = [
+    {
+        id: 'weekly_duty',
+        jobType: 'duty',
+        name: '주간 당직 편성',
+        description: '일주일치 당직자를 배정하고 당직표를 발송',
+        cronSchedule: '0 8 * * 1',
+        targetKey: 'weekly_duty',
+        templateKey: 'weekly_duty_confirmation',
+        catchUpPolicy: 'run_once',
+        run: options => dutyService.assignWeeklyDutySchedule(options)
+    },
+    {
+        id: 'duty_reminder_2pm',
+        jobType: 'duty',
+        name: '당직 알림 (1차)',
+        description: '당일 당직자 알림',
+        cronSchedule: '0 14 * * *',
+        targetKey: 'duty_reminder',
+        templateKey: 'duty_reminder',
+        catchUpPolicy: 'skip',
+        run: async options => messageService.buildSendOutcome('당직 알림이 전송되었습니다.', await dutyService.sendDutyReminderMessage(options))
+    },
+    {
+        id: 'duty_reminder_4pm',
+        jobType: 'duty',
+        name: '당직 알림 (2차)',
+        description: '당일 당직자 알림',
+        cronSchedule: '0 16 * * *',
+        targetKey: 'duty_reminder',
+        templateKey: 'duty_reminder',
+        catchUpPolicy: 'skip',
+        run: async options => messageService.buildSendOutcome('당직 알림이 전송되었습니다.', await dutyService.sendDutyReminderMessage(options))
+    },
+    {
+        id: 'duty_ack_followup',
+        jobType: 'duty',
+        name: '당직 확인 요청',
+        description: '당직 알림을 확인하지 않은 당직자에게 개인 메시지로 확인 요청',
+        cronSchedule: '30 14 * * *',
+        targetKey: null,
+        templateKey: 'duty_ack_followup',
+        catchUpPolicy: 'skip',
+        run: options => dutyAckService.sendAckFollowUps(options)
+    },
+    {
+        id: 'duty_ack_escalation',
+        jobType: 'duty',
+        name: '당직 미확인 알림',
+        description: '확인 요청 후에도 당직을 확인하지 않은 당직자를 권한 있는 팀원에게 알림',
+        cronSchedule: '0 15 * * *',
+        targetKey: 'duty_ack_escalation',
+        templateKey: 'duty_ack_escalation',
+        catchUpPolicy: 'skip',
+        run: options => dutyAckService.sendAckEscalation(options)
+    },
+    {
+        id: 'code_review_pairs',
+        jobType: 'code_review',
+        name: '코드 리뷰 짝꿍',
+        description: '코드 리뷰 짝꿍을 편성하고 결과를 발송',
+        cronSchedule: '0 9 * * 1',
+        targetKey: 'code_review_pairs',
+        templateKey: 'code_review_pairs',
+        catchUpPolicy: 'run_once',
+        run: options => teamService.assignCodeReviewPairsAndSendMessage(options)
+    },
+    {
+        id: 'laptop_duty',
+        jobType: 'laptop_duty',
+        name: '노트북 지참 알림',
+        description: '당일 당직자 노트북 지참 알림',
+        cronSchedule: '0 9 * * *',
+        targetKey: 'laptop_duty',
+        templateKey: 'laptop_duty',
+        catchUpPolicy: 'skip',
+        run: options => teamService.assignLaptopDutyAndSendMessage(options)
+    },
+    {
+        id: 'github_weekly_report',
+        jobType: 'github_report',
+        name: 'GitHub 주간 리포트',
+        description: '주간 개발 활동 요약 리포트',
+        cronSchedule: '0 10 * * 1',
+        targetKey: 'github_weekly_report',
+        templateKey: null,
+        githubReport: 'weeklyReports',
+        catchUpPolicy: 'notify',
+        run: options => runGitHubReport('weekly', options)
+    },
+    {
+        id: 'github_monthly_report',
+        jobType: 'github_report',
+        name: 'GitHub 월간 리포트',
+        description: '월간 개발 활동 요약 리포트',
+        cronSchedule: '0 11 1 * *',
+        targetKey: 'github_monthly_report',
+        templateKey: null,
+        githubReport: 'monthlyReports',
+        catchUpPolicy: 'notify',
+        run: options => runGitHubReport('monthly', options)
+    }
+];
+
+/**
+ * GitHub 리포트 생성 및 발송
+ * @param {string} type - 'weekly' | 'monthly'
+ * @param {Object} [options] - { source, target }
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults }
+ */
+async function runGitHubReport(type, options = {}) {
+    const jobKey = `github_${type}_report`;
+    const result = type === 'weekly'
+        ? await gitHubService.generateWeeklyReport()
+        : await gitHubService.generateMonthlyReport();
+
+    if (!result.success) {
+        logger.warn(`GitHub ${type} report failed: ${result.message}`);
+        return { success: false, message: result.message, sendResults: [] };
+    }
+
+    const { dashboardUrl } = messageService.getMessageConfig();
+    const sendResults = await messageService.sendToJobTarget(jobKey, gitHubService.buildReportMessage(result.message, type, dashboardUrl), options);
+    logger.info(`GitHub ${type} report sent successfully`);
+    return messageService.buildSendOutcome('GitHub 리포트가 전송되었습니다.', sendResults);
+}
+
+/**
+ * 기본 작업 목록 (config.defaultJobs 설정 병합)
+ * GitHub 리포트의 기본 스케줄과 사용 여부는 github-config.json 의 reporting 설정을 따름
+ * @param {Object} [config] - 설정 객체
+ * @returns {Array} - [{ id, name, description, jobType, cronSchedule, timezone, enabled, catchUpPolicy, skipOnHolidays, target, template, targetKey, templateKey, isCustomized, available, defaults }]
+ */
+function getDefaultJobs(config = configService.loadConfig()) {
+    const overrides = config.defaultJobs || {};
+
+    return DEFAULT_JOBS.map(job => {
+        let defaults = { cronSchedule: job.cronSchedule, timezone: DEFAULT_TIMEZONE, enabled: true, catchUpPolicy: job.catchUpPolicy, skipOnHolidays: false };
+        let available = true;
+
+        if (job.githubReport) {
+            const reporting = gitHubService.config?.reporting?.[job.githubReport] || {};
+            defaults = { cronSchedule: reporting.schedule || job.cronSchedule, timezone: DEFAULT_TIMEZONE, enabled: !!reporting.enabled, catchUpPolicy: job.catchUpPolicy, skipOnHolidays: false };
+            available = !!gitHubService.isEnabled;
         }
-    }, {
-        scheduled: true,
-        timezone: "Asia/Seoul"
+
+        const override = overrides[job.id] || {};
+        return {
+            id: job.id,
+            name: job.name,
+            description: job.description,
+            jobType: job.jobType,
+            cronSchedule: override.cronSchedule || defaults.cronSchedule,
+            timezone: override.timezone || defaults.timezone,
+            enabled: typeof override.enabled === 'boolean' ? override.enabled : defaults.enabled,
+            catchUpPolicy: CATCH_UP_POLICIES.includes(override.catchUpPolicy) ? override.catchUpPolicy : defaults.catchUpPolicy,
+            skipOnHolidays: typeof override.skipOnHolidays === 'boolean' ? override.skipOnHolidays : defaults.skipOnHolidays,
+            target: override.target || null,
+            template: job.templateKey ? override.template || {} : {},
+            targetKey: job.targetKey,
+            templateKey: job.templateKey,
+            isCustomized: !!overrides[job.id],
+            available,
+            defaults
+        };
     });
-    scheduledJobs['duty_reminder_2pm'] = dutyReminder2pm;
-    
-    // 당직자 알림 (매일 오후 4시) - 채널로 발송
-    const dutyReminder4pm = cron.schedule('0 16 * * *', async () => {
-        try {
-            logger.info('Executing duty reminder (4 PM) - Channel');
-            await dutyService.sendDutyReminderMessage();
-        } catch (error) {
-            logger.error(`Error in duty reminder (4 PM) job: ${error.message}`, error);
+}
+
+/**
+ * 기본 작업 실행 옵션
+ * @param {Object} job - getDefaultJobs() 항목
+ * @param {string} source - 발송 이력에 기록할 작업 이름
+ * @returns {Object} - { source, target, template, timezone }
+ */
+function getDefaultJobOptions(job, source) {
+    const options = { source, template: job.template, timezone: job.timezone };
+    if (job.target) {
+        options.target = job.target;
+    }
+    return options;
+}
+
+/**
+ * 기본 스케줄 설정
+ * @param {Object} [config] - 설정 객체
+ */
+function setupDefaultSchedules(config = configService.loadConfig()) {
+    logger.info('Setting up default schedules');
+
+    getDefaultJobs(config).forEach(job => {
+        if (!job.available) {
+            logger.info(`ℹ️ Default job ${job.id} is unavailable (check github-config.json)`);
+            return;
         }
-    }, {
-        scheduled: true,
-        timezone: "Asia/Seoul"
-    });
-    scheduledJobs['duty_reminder_4pm'] = dutyReminder4pm;
-    
-    // 코드 리뷰 짝꿍 편성 (매주 월요일 오전 9시) - 채널로 발송
-    const codeReviewJob = cron.schedule('0 9 * * 1', async () => {
-        try {
-            logger.info('Executing code review pair assignment (Monday 9 AM) - Channel');
-            await teamService.assignCodeReviewPairsAndSendMessage();
-        } catch (error) {
-            logger.error(`Error in code review pair assignment job: ${error.message}`, error);
+        if (!job.enabled) {
+            logger.info(`Default job ${job.id} is disabled`);
+            return;
         }
-    }, {
-        scheduled: true,
-        timezone: "Asia/Seoul"
-    });
-    scheduledJobs['code_review_pairs'] = codeReviewJob;
-    
-    // 노트북 지참 알림 (매일 오전 9시) - 개별 발송
-    const laptopDutyJob = cron.schedule('0 9 * * *', async () => {
-        try {
-            logger.info('Executing laptop duty notification (9 AM) - Individual');
-            await teamService.assignLaptopDutyAndSendMessage();
-        } catch (error) {
-            logger.error(`Error in laptop duty notification job: ${error.message}`, error);
+        if (!cron.validate(job.cronSchedule)) {
+            logger.error(`Invalid cron schedule: ${job.cronSchedule} for default job ${job.id}`);
+            return;
         }
-    }, {
-        scheduled: true,
-        timezone: "Asia/Seoul"
-    });
-    scheduledJobs['laptop_duty'] = laptopDutyJob;
-    
-    // GitHub 주간 리포트 (매주 월요일 오전 10시) - 채널로 발송
-    if (gitHubService.isEnabled && gitHubService.config?.reporting?.weeklyReports?.enabled) {
-        const githubWeeklyJob = cron.schedule('0 10 * * 1', async () => {
+
+        const definition = DEFAULT_JOBS.find(d => d.id === job.id);
+        scheduledJobs[job.id] = cron.schedule(job.cronSchedule, async () => {
             try {
-                logger.info('Executing GitHub weekly report (Monday 10 AM) - Channel');
-                const result = await gitHubService.generateWeeklyReport();
-                if (result.success) {
-                    await messageService.sendSingleMessage("tmddud333@naver.com", result.message);
-                    logger.info('GitHub weekly report sent successfully to channel');
-                } else {
-                    logger.warn(`GitHub weekly report failed: ${result.message}`);
-                }
+                if (!await claimScheduledRun(job.id, getFiredRunTime(job.cronSchedule, job.timezone))) return;
+                if (await skipIfSuppressed(job.id, job.name, job)) return;
+                logger.info(`Executing default job: ${job.id} (${job.cronSchedule})`);
+                await runTrackedJob(job.id, job.name, 'cron', () => definition.run(getDefaultJobOptions(job, job.id)));
             } catch (error) {
-                logger.error(`Error in GitHub weekly report job: ${error.message}`, error);
+                logger.error(`Error in default job ${job.id}: ${error.message}`, error);
             }
         }, {
             scheduled: true,
-            timezone: "Asia/Seoul"
+            timezone: job.timezone
         });
-        scheduledJobs['github_weekly_report'] = githubWeeklyJob;
-        logger.logScheduledTask('github_weekly_report', '0 10 * * 1', 'GitHub weekly report every Monday 10 AM - Channel');
+        logger.logScheduledTask(job.id, job.cronSchedule, job.name);
+    });
+
+    logger.info('Default schedules set up successfully');
+}
+
+/**
+ * 기본 작업 설정 변경
+ * @param {string} jobId - 작업 id
+ * @param {Object} changes - { cronSchedule, timezone, enabled, target, template, catchUpPolicy, skipOnHolidays }
+ * @returns {Object} - { success, message, jobs }
+ */
+function updateDefaultJob(jobId, changes = {}) {
+    const definition = DEFAULT_JOBS.find(job => job.id === jobId);
+    if (!definition) {
+        return { success: false, message: `존재하지 않는 기본 작업입니다: ${jobId}` };
     }
-    
-    // GitHub 월간 리포트 (매월 1일 오전 11시) - 채널로 발송
-    if (gitHubService.isEnabled && gitHubService.config?.reporting?.monthlyReports?.enabled) {
-        const githubMonthlyJob = cron.schedule('0 11 1 * *', async () => {
-            try {
-                logger.info('Executing GitHub monthly report (1st day 11 AM) - Channel');
-                const result = await gitHubService.generateMonthlyReport();
-                if (result.success) {
-                    await messageService.sendChannelMessage(result.message);
-                    logger.info('GitHub monthly report sent successfully to channel');
-                } else {
-                    logger.warn(`GitHub monthly report failed: ${result.message}`);
-                }
-            } catch (error) {
-                logger.error(`Error in GitHub monthly report job: ${error.message}`, error);
+    if (!changes.cronSchedule || !cron.validate(changes.cronSchedule)) {
+        return { success: false, message: `올바르지 않은 Cron 형식입니다: ${changes.cronSchedule || ''}` };
+    }
+    if (changes.catchUpPolicy && !CATCH_UP_POLICIES.includes(changes.catchUpPolicy)) {
+        return { success: false, message: `올바르지 않은 놓친 실행 처리 방식입니다: ${changes.catchUpPolicy}` };
+    }
+    if (changes.timezone && !isValidTimezone(changes.timezone)) {
+        return { success: false, message: `올바르지 않은 시간대입니다: ${changes.timezone}` };
+    }
+
+    const template = {};
+    if (definition.templateKey) {
+        for (const [locale, body] of Object.entries(changes.template || {})) {
+            if (typeof body !== 'string' || body.trim().length === 0) continue;
+            const validation = validateTemplate(body);
+            if (!validation.valid) {
+                return { success: false, message: `템플릿 오류 (${locale}): ${validation.error}` };
             }
-        }, {
-            scheduled: true,
-            timezone: "Asia/Seoul"
+            template[locale] = body;
+        }
+    }
+
+    const config = configService.loadConfig();
+    const defaultJobs = {
+        ...config.defaultJobs,
+        [jobId]: {
+            cronSchedule: changes.cronSchedule,
+            timezone: changes.timezone || DEFAULT_TIMEZONE,
+            enabled: changes.enabled !== false,
+            target: changes.target || null,
+            template,
+            catchUpPolicy: changes.catchUpPolicy || definition.catchUpPolicy,
+            skipOnHolidays: changes.skipOnHolidays === true
+        }
+    };
+    configService.updateDefaultJobs(defaultJobs);
+    logger.info(`Default job updated: ${jobId} (${changes.cronSchedule})`);
+
+    return { success: true, message: '기본 작업 설정이 저장되었습니다.', jobs: getDefaultJobs() };
+}
+
+/**
+ * 기본 작업 설정을 기본값으로 되돌리기
+ * @param {string} jobId - 작업 id
+ * @returns {Object} - { success, message, jobs }
+ */
+function resetDefaultJob(jobId) {
+    if (!DEFAULT_JOBS.some(job => job.id === jobId)) {
+        return { success: false, message: `존재하지 않는 기본 작업입니다: ${jobId}` };
+    }
+
+    const defaultJobs = { ...configService.loadConfig().defaultJobs };
+    delete defaultJobs[jobId];
+    configService.updateDefaultJobs(defaultJobs);
+    logger.info(`Default job reset to default: ${jobId}`);
+
+    return { success: true, message: '기본 작업 설정이 기본값으로 복원되었습니다.', jobs: getDefaultJobs() };
+}
+
+/**
+ * 사용자 정의 스케줄의 발송 대상
+ * target이 없는 기존 스케줄은 recipients(콤마 구분 ID)를 개별 수신자로 사용
+ * @param {Object} schedule - 스케줄 항목
+ * @returns {Object} - { channels, users, groups }
+ */
+function getScheduleTarget(schedule) {
+    if (schedule.target) {
+        return schedule.target;
+    }
+    const users = (schedule.recipients || '').split(',').map(id => id.trim()).filter(id => id.length > 0);
+    return { channels: [], users, groups: [] };
+}
+
+/**
+ * 사용자 정의 메시지 스케줄의 언어별 메시지
+ * messageTranslations 에 수신자 언어 본문이 있으면 사용하고, 없으면 기본 본문(message) 사용
+ * @param {Object} schedule - 스케줄 항목
+ * @returns {Function} - (locale, timezone) => 렌더링된 메시지
+ */
+function getScheduleMessage(schedule) {
+    return (locale, timezone) => {
+        const translated = (schedule.messageTranslations || {})[locale];
+        return templateService.renderText(translated || schedule.message, locale, timezone);
+    };
+}
+
+/**
+ * 사용자 정의 스케줄의 시간대 (cron 실행 시각과 '오늘' 판단 기준, 기본값 KST)
+ * @param {Object} schedule - 스케줄 항목
+ * @returns {string} - IANA 시간대
+ */
+function getScheduleTimezone(schedule) {
+    return schedule.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * 사용자 정의 스케줄의 작업 id
+ * @param {Object} schedule - 스케줄 항목
+ * @param {number} index - 스케줄 순번 (id 가 없는 예전 스케줄용)
+ * @returns {string} - 작업 id
+ */
+function getCustomJobId(schedule, index) {
+    return `custom_job_${schedule.id || index}`;
+}
+
+/**
+ * 사용자 정의 스케줄 표시 이름 (일반 메시지는 메시지 앞부분 포함)
+ * @param {Object} schedule - 스케줄 항목
+ * @returns {string} - 표시 이름
+ */
+function getCustomScheduleName(schedule) {
+    if (schedule.type === 'message') {
+        const text = String(schedule.message || '').replace(/\s+/g, ' ').trim();
+        return `${CUSTOM_SCHEDULE_NAMES.message}: ${text.length > 30 ? `${text.slice(0, 30)}…` : text}`;
+    }
+    return CUSTOM_SCHEDULE_NAMES[schedule.type] || schedule.type;
+}
+
+/**
+ * 일회성 스케줄 여부 (cronSchedule 대신 runAt 에 지정한 일시에 한 번만 실행)
+ * @param {Object} schedule - 스케줄 항목
+ * @returns {boolean} - 일회성 스케줄이면 true
+ */
+function isOneOffSchedule(schedule) {
+    return !!schedule.runAt;
+}
+
+/**
+ * 지정한 시각에 한 번 실행하는 타이머 (node-cron 작업처럼 stop() 으로 취소)
+ * @param {Date} runAt - 실행 시각 (이미 지났으면 바로 실행)
+ * @param {Function} callback - 실행할 함수
+ * @returns {Object} - { stop }
+ */
+function scheduleAt(runAt, callback) {
+    let timer = null;
+    const arm = () => {
+        const delay = runAt.getTime() - Date.now();
+        timer = delay > MAX_TIMER_DELAY_MS
+            ? setTimeout(arm, MAX_TIMER_DELAY_MS)
+            : setTimeout(callback, Math.max(delay, 0));
+    };
+    arm();
+    return { stop: () => clearTimeout(timer) };
+}
+
+/**
+ * 실행이 끝난 일회성 스케줄 정리
+ * 스케줄 목록에서 제거하고, afterRun 이 'delete' 가 아니면 config.scheduleArchive 에 결과(firedAt, outcome, resultMessage)와 함께 보관
+ * @param {Object} schedule - 스케줄 항목
+ * @param {string} outcome - 실행 결과 ('success' | 'partial' | 'failed' | 'missed' | 'skipped')
+ * @param {string|null} resultMessage - 결과 메시지
+ */
+function completeOneOffSchedule(schedule, outcome, resultMessage) {
+    const config = configService.loadConfig();
+    config.schedules = config.schedules.filter(item => item.id !== schedule.id);
+    if (schedule.afterRun !== 'delete') {
+        const archived = { ...schedule, firedAt: new Date().toISOString(), outcome, resultMessage: resultMessage || null };
+        config.scheduleArchive = [archived, ...config.scheduleArchive.filter(item => item.id !== schedule.id)].slice(0, MAX_ARCHIVED_SCHEDULES);
+    }
+    configService.saveConfig(config);
+    logger.info(`One-off schedule ${schedule.id} completed (${outcome}) and ${schedule.afterRun === 'delete' ? 'removed' : 'archived'}`);
+}
+
+/**
+ * 사용자 정의 스케줄 저장 전 검증
+ * 시간대(timezone)와 실행 조건(conditions)을, 반복 스케줄은 유효 기간(startDate/endDate)을, 일회성 스케줄은 발송 일시를 확인하고
+ * 이미 실행되어 보관된 일회성 스케줄(이전 화면에 남아 있던 항목)은 다시 등록하지 않음
+ * @param {Array} schedules - 저장할 스케줄 목록
+ * @param {Object} [config] - 현재 설정 객체
+ * @returns {Object} - { success, message, schedules }
+ */
+function prepareSchedules(schedules, config = configService.loadConfig()) {
+    if (!Array.isArray(schedules)) {
+        return { success: false, message: '스케줄 목록 형식이 올바르지 않습니다.' };
+    }
+
+    const existing = new Map(config.schedules.map(schedule => [schedule.id, schedule]));
+    const archivedIds = new Set(config.scheduleArchive.map(schedule => schedule.id));
+    const prepared = [];
+
+    for (let schedule of schedules) {
+        if (schedule.timezone && !isValidTimezone(schedule.timezone)) {
+            return { success: false, message: `올바르지 않은 시간대입니다: ${schedule.timezone}` };
+        }
+        const conditionResult = scheduleConditionService.normalizeConditions(schedule.conditions);
+        if (!conditionResult.success) {
+            return { success: false, message: conditionResult.message };
+        }
+        schedule = { ...schedule, conditions: conditionResult.conditions };
+        if (!isOneOffSchedule(schedule)) {
+            const { startDate, endDate } = schedule;
+            if ((startDate && !blackoutService.isValidDateKey(startDate)) || (endDate && !blackoutService.isValidDateKey(endDate))) {
+                return { success: false, message: `올바르지 않은 유효 기간입니다: ${startDate || ''} ~ ${endDate || ''}` };
+            }
+            if (startDate && endDate && startDate > endDate) {
+                return { success: false, message: `유효 기간의 종료일이 시작일보다 빠릅니다: ${startDate} ~ ${endDate}` };
+            }
+            prepared.push(schedule);
+            continue;
+        }
+
+        const runAt = new Date(schedule.runAt);
+        if (Number.isNaN(runAt.getTime())) {
+            return { success: false, message: `올바르지 않은 발송 일시입니다: ${schedule.runAt}` };
+        }
+        const current = existing.get(schedule.id);
+        if (!current && archivedIds.has(schedule.id)) {
+            logger.debug(`Ignoring already executed one-off schedule: ${schedule.id}`);
+            continue;
+        }
+        if (runAt.getTime() <= Date.now() && (!current || new Date(current.runAt).getTime() !== runAt.getTime())) {
+            return { success: false, message: `발송 일시가 이미 지났습니다: ${formatRunTime(runAt, getScheduleTimezone(schedule))}` };
+        }
+
+        prepared.push({
+            ...schedule,
+            runAt: runAt.toISOString(),
+            cronSchedule: '',
+            afterRun: schedule.afterRun === 'delete' ? 'delete' : 'archive'
         });
-        scheduledJobs['github_monthly_report'] = githubMonthlyJob;
-        logger.logScheduledTask('github_monthly_report', '0 11 1 * *', 'GitHub monthly report every 1st day 11 AM - Channel');
     }
-    
-    logger.info('Default schedules set up successfully');
-    logger.logScheduledTask('weekly_duty', '0 8 * * 1', 'Weekly duty assignment every Monday 8 AM - Channel');
-    logger.logScheduledTask('duty_reminder', '0 14,16 * * *', 'Duty reminders every day at 2 PM and 4 PM - Channel');
-    logger.logScheduledTask('code_review_pairs', '0 9 * * 1', 'Code review pair assignment every Monday 9 AM - Channel');
-    logger.logScheduledTask('laptop_duty', '0 9 * * *', 'Laptop duty notification every day 9 AM - Individual (for today\'s duty members)');
-    
-    // GitHub 기능 상태 로깅
-    if (gitHubService.isEnabled) {
-        logger.info('🔥 GitHub features are enabled:');
-        if (gitHubService.config?.reporting?.weeklyReports?.enabled) {
-            logger.info('- GitHub weekly reports: Monday 10 AM → Channel');
+
+    return { success: true, schedules: prepared };
+}
+
+/**
+ * 작업 실행 (실행 결과를 실행 이력에 기록)
+ * 결과가 { success: false } 이거나 오류가 발생하면 실패로, { skipped: true } 이면 건너뜀으로 기록하며, 오류는 호출한 쪽으로 다시 던짐
+ * @param {string} jobId - 작업 id
+ * @param {string} jobName - 작업 이름
+ * @param {string} trigger - 'cron' | 'manual'
+ * @param {Function} run - 작업 함수 () => Promise<{ success, message, partialFailure, skipped }>
+ * @returns {Promise<Object>} - 작업 결과
+ */
+async function runTrackedJob(jobId, jobName, trigger, run) {
+    const startedAt = new Date().toISOString();
+
+    try {
+        const result = await run();
+        let outcome = 'success';
+        if (result && result.success === false) {
+            outcome = 'failed';
+        } else if (result && result.skipped) {
+            outcome = 'skipped';
+        } else if (result && result.partialFailure) {
+            outcome = 'partial';
         }
-        if (gitHubService.config?.reporting?.monthlyReports?.enabled) {
-            logger.info('- GitHub monthly reports: 1st day 11 AM → Channel');
+
+        await jobRunHistory.record({
+            jobId,
+            jobName,
+            trigger,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            outcome,
+            message: result ? result.message || null : null
+        });
+        if (outcome === 'failed') {
+            logger.warn(`Job ${jobId} finished with failure: ${result.message}`);
+        } else if (outcome === 'skipped') {
+            logger.info(`Job ${jobId} skipped: ${result.message}`);
         }
-    } else {
-        logger.info('ℹ️ GitHub features are disabled (check github-config.json)');
+        return result;
+    } catch (error) {
+        await jobRunHistory.record({
+            jobId,
+            jobName,
+            trigger,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            outcome: 'failed',
+            message: error.message,
+            error: error.message
+        });
+        throw error;
     }
 }
 
+/**
+ * 사용자 정의 스케줄의 작업 정보 (실행 제한 확인용)
+ * @param {Object} schedule - 스케줄 항목
+ * @returns {Object} - { jobType, skipOnHolidays, schedule }
+ */
+function getCustomJobInfo(schedule) {
+    return {
+        jobType: schedule.type,
+        // 일회성 스케줄은 지정한 일시에 그대로 실행
+        skipOnHolidays: !isOneOffSchedule(schedule) && schedule.skipOnHolidays === true,
+        schedule
+    };
+}
+
+/**
+ * 반복 스케줄의 유효 기간이 끝났는지 확인 (endDate 다음 날부터 종료, 스케줄 시간대 기준)
+ * @param {Object} schedule - 스케줄 항목
+ * @param {Date} [date] - 기준 시각
+ * @returns {boolean} - 종료되었으면 true
+ */
+function isScheduleExpired(schedule, date = new Date()) {
+    return !isOneOffSchedule(schedule) && !!schedule.endDate && holidayService.toDateKey(date, getScheduleTimezone(schedule)) > schedule.endDate;
+}
+
+/**
+ * 작업 실행을 막는 사유 (일시 중지, 유효 기간, 발송 중지 기간, 휴일 순으로 확인)
+ * 유효 기간은 스케줄 시간대 기준, 발송 중지 기간과 휴일은 회사 달력(KST) 기준으로 판단
+ * 반환값은 '~이라', '~이 아니라' 처럼 끝나므로 뒤에 '건너뜀', '실행할 수 없습니다.' 를 붙여 사용
+ * @param {Object} job - { jobType, skipOnHolidays, schedule } (schedule 은 사용자 정의 스케줄 항목, 기본 작업은 없음)
+ * @param {Date} [date] - 실행 시각
+ * @param {Object} [config] - 설정 객체
+ * @param {Object} [options] - { includeHolidays: 휴일 건너뛰기 확인 여부 (즉시 실행은 false) }
+ * @returns {string|null} - 사유 (실행할 수 있으면 null)
+ */
+function getSkipReason(job, date = new Date(), config = configService.loadConfig(), { includeHolidays = true } = {}) {
+    const schedule = job.schedule;
+    if (schedule && !isOneOffSchedule(schedule)) {
+        if (schedule.paused) {
+            return '일시 중지된 스케줄이라';
+        }
+        const dateKey = holidayService.toDateKey(date, getScheduleTimezone(schedule));
+        if ((schedule.startDate && dateKey < schedule.startDate) || (schedule.endDate && dateKey > schedule.endDate)) {
+            return `유효 기간(${schedule.startDate || ''} ~ ${schedule.endDate || ''})이 아니라`;
+        }
+    }
+
+    const blackout = blackoutService.getActiveBlackout(job.jobType, date, config);
+    if (blackout) {
+        return `발송 중지 기간(${blackout.name})이라`;
+    }
+
+    if (includeHolidays && job.skipOnHolidays) {
+        const holiday = holidayService.getHoliday(date, config);
+        if (holiday) {
+            return `휴일(${holiday.name})이라`;
+        }
+    }
+    return null;
+}
+
+/**
+ * 자동 실행이 맡은 예약 시각 (지금과 가장 가까운 cron 실행 시각, 인스턴스마다 타이머가 조금씩 달라도 같은 값)
+ * @param {string} cronSchedule - Cron 표현식
+ * @param {string} timezone - 시간대
+ * @param {Date} [now] - 실제 실행 시각
+ * @returns {Date} - 예약 시각 (찾지 못하면 초 단위로 내린 실제 실행 시각)
+ */
+function getFiredRunTime(cronSchedule, timezone, now = new Date()) {
+    const candidates = getNextRuns(cronSchedule, { from: new Date(now.getTime() - FIRED_RUN_TOLERANCE_MS), count: 61, timezone })
+        .filter(time => time.getTime() <= now.getTime() + FIRED_RUN_TOLERANCE_MS);
+    if (candidates.length === 0) {
+        return new Date(Math.floor(now.getTime() / 1000) * 1000);
+    }
+    return candidates.reduce((closest, time) =>
+        Math.abs(time.getTime() - now.getTime()) < Math.abs(closest.getTime() - now.getTime()) ? time : closest
+    );
+}
+
+/**
+ * 예약 실행 선점 (여러 인스턴스 중 잠금을 잡은 한 인스턴스만 실행, 자동 실행 전에 가장 먼저 호출)
+ * 선점하지 못한 인스턴스는 실행 이력을 남기지 않음 (실행한 인스턴스가 기록)
+ * @param {string} jobId - 작업 id
+ * @param {Date} scheduledAt - 예약 시각
+ * @returns {Promise<boolean>} - 이 인스턴스가 실행해야 하면 true
+ */
+async function claimScheduledRun(jobId, scheduledAt) {
+    if (await lockService.claimExecution(jobId, scheduledAt)) {
+        return true;
+    }
+    logger.info(`Skipping ${jobId} scheduled at ${scheduledAt.toISOString()}: claimed by another instance`);
+    return false;
+}
+
+/**
+ * 자동 실행 제한 확인 (자동 실행 전에 호출)
+ * 유효 기간 밖이거나 발송 중지 기간, 휴일 건너뛰기 설정된 작업의 휴일이면 실행 이력에 '건너뜀'으로 기록
+ * @param {string} jobId - 작업 id
+ * @param {string} jobName - 작업 이름
+ * @param {Object} job - { jobType, skipOnHolidays, schedule }
+ * @returns {Promise<string|null>} - 건너뛰어야 하면 기록한 메시지, 아니면 null
+ */
+async function skipIfSuppressed(jobId, jobName, job) {
+    const reason = getSkipReason(job);
+    if (!reason) {
+        return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const message = `${reason} 건너뜀`;
+    await jobRunHistory.record({
+        jobId,
+        jobName,
+        trigger: 'cron',
+        startedAt: timestamp,
+        finishedAt: timestamp,
+        outcome: 'skipped',
+        message
+    });
+    logger.info(`Skipping ${jobId}: ${message}`);
+    return message;
+}
+
+/**
+ * 사용자 정의 스케줄 실행
+ * @param {Object} schedule - 스케줄 항목
+ * @param {string} source - 발송 이력에 기록할 작업 이름
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults }
+ */
+async function runCustomSchedule(schedule, source) {
+    const timezone = getScheduleTimezone(schedule);
+    switch(schedule.type) {
+        case 'message': {
+            logger.debug(`Message: ${schedule.message}, Recipients: ${schedule.recipients}`);
+            const sendResults = await messageService.sendToTarget(getScheduleMessage(schedule), getScheduleTarget(schedule), { source, timezone });
+            return messageService.buildSendOutcome('스케줄이 실행되었습니다.', sendResults);
+        }
+        case 'laptop_duty':
+            return teamService.assignLaptopDutyAndSendMessage({ source, target: schedule.target, timezone });
+        case 'code_review':
+            return teamService.assignCodeReviewPairsAndSendMessage({ source, target: schedule.target, timezone });
+        default:
+            throw new Error(`Unknown schedule type: ${schedule.type}`);
+    }
+}
+
+/**
+ * 실행 조건을 확인한 뒤 사용자 정의 스케줄 실행 (자동 실행과 놓친 실행 처리에서 사용, 즉시 실행은 조건 확인 없이 실행)
+ * 조건을 만족하지 않으면 발송하지 않고 { skipped: true } 를 반환
+ * @param {Object} schedule - 스케줄 항목
+ * @param {string} source - 발송 이력에 기록할 작업 이름
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults, skipped }
+ */
+async function runConditionalSchedule(schedule, source) {
+    const evaluation = await scheduleConditionService.evaluateConditions(schedule.conditions, {
+        timezone: getScheduleTimezone(schedule),
+        config: configService.loadConfig(),
+        gitHubService
+    });
+    if (!evaluation.passed) {
+        const { name, detail } = evaluation.failed;
+        return { success: true, skipped: true, message: `실행 조건(${name})을 만족하지 않아 건너뜀 (${detail})`, sendResults: [] };
+    }
+    return runCustomSchedule(schedule, source);
+}
+
 /**
  * 스케줄 재설정
  * @param {Object} config - 설정 객체
@@ -182,59 +773,48 @@ function rescheduleJobs(config) {
     clearAllScheduledJobs();
     
     // 기본 스케줄 먼저 설정
-    setupDefaultSchedules();
+    setupDefaultSchedules(config);
 
     // 사용자 정의 스케줄 추가
     config.schedules.forEach((item, index) => {
-        const jobId = `custom_job_${item.id || index}`;
+        const jobId = getCustomJobId(item, index);
         
+        if (isOneOffSchedule(item)) {
+            scheduleOneOffJob(item, jobId);
+            return;
+        }
+        if (item.paused) {
+            logger.info(`Custom job ${jobId} is paused`);
+            return;
+        }
+        if (isScheduleExpired(item)) {
+            logger.info(`Custom job ${jobId} ended on ${item.endDate}`);
+            return;
+        }
         if (!cron.validate(item.cronSchedule)) {
             logger.error(`Invalid cron schedule: ${item.cronSchedule} for job ${jobId}`);
             return;
         }
-
-        let taskFunction;
-        switch(item.type) {
-            case 'message':
-                taskFunction = async () => {
-                    try {
-                        logger.info(`Executing scheduled message task: ${jobId}`);
-                        logger.debug(`Message: ${item.message}, Recipients: ${item.recipients}`);
-                        await messageService.sendMessagesToMultipleRecipients(item.message, item.recipients);
-                    } catch (error) {
-                        logger.error(`Error in scheduled message task ${jobId}: ${error.message}`, error);
-                    }
-                };
-                break;
-            case 'laptop_duty':
-                taskFunction = async () => {
-                    try {
-                        logger.info(`Executing scheduled laptop duty notification task: ${jobId}`);
-                        await teamService.assignLaptopDutyAndSendMessage();
-                    } catch (error) {
-                        logger.error(`Error in scheduled laptop duty notification task ${jobId}: ${error.message}`, error);
-                    }
-                };
-                break;
-            case 'code_review':
-                taskFunction = async () => {
-                    try {
-                        logger.info(`Executing scheduled code review task: ${jobId}`);
-                        await teamService.assignCodeReviewPairsAndSendMessage();
-                    } catch (error) {
-                        logger.error(`Error in scheduled code review task ${jobId}: ${error.message}`, error);
-                    }
-                };
-                break;
-            default:
-                logger.error(`Unknown schedule type: ${item.type} for job ${jobId}`);
-                return;
+        if (!CUSTOM_SCHEDULE_NAMES[item.type]) {
+            logger.error(`Unknown schedule type: ${item.type} for job ${jobId}`);
+            return;
         }
 
+        const taskFunction = async () => {
+            try {
+                if (!await claimScheduledRun(jobId, getFiredRunTime(item.cronSchedule, getScheduleTimezone(item)))) return;
+                if (await skipIfSuppressed(jobId, getCustomScheduleName(item), getCustomJobInfo(item))) return;
+                logger.info(`Executing scheduled ${item.type} task: ${jobId}`);
+                await runTrackedJob(jobId, getCustomScheduleName(item), 'cron', () => runConditionalSchedule(item, jobId));
+            } catch (error) {
+                logger.error(`Error in scheduled ${item.type} task ${jobId}: ${error.message}`, error);
+            }
+        };
+
         try {
             const job = cron.schedule(item.cronSchedule, taskFunction, {
                 scheduled: true,
-                timezone: "Asia/Seoul"
+                timezone: getScheduleTimezone(item)
             });
             scheduledJobs[jobId] = job;
             logger.logScheduledTask(item.type, item.cronSchedule, `Custom job ${jobId} scheduled successfully`);
@@ -243,40 +823,411 @@ function rescheduleJobs(config) {
         }
     });
     
+    // 이 시각 이후로 놓친 실행은 다음 시작 시 처리
+    // 놓친 실행을 아직 처리하지 못했으면(팔로워로 시작) 처리할 구간이 지워지지 않도록 앞당기지 않음
+    if (missedRunsHandled) {
+        jobRunHistory.markSchedulerActive();
+    } else {
+        logger.info('Missed runs have not been handled yet, keeping the previous scheduler activity time');
+    }
     logger.info(`Job rescheduling completed. Active jobs: ${Object.keys(scheduledJobs).length}`);
 }
 
+/**
+ * 일회성 스케줄 등록
+ * 발송 일시가 이미 지난 스케줄은 등록하지 않음 (서버 시작 시 놓친 실행 처리에서 처리)
+ * @param {Object} item - 스케줄 항목
+ * @param {string} jobId - 작업 id
+ */
+function scheduleOneOffJob(item, jobId) {
+    const runAt = new Date(item.runAt);
+    if (Number.isNaN(runAt.getTime())) {
+        logger.error(`Invalid run time: ${item.runAt} for one-off job ${jobId}`);
+        return;
+    }
+    if (!CUSTOM_SCHEDULE_NAMES[item.type]) {
+        logger.error(`Unknown schedule type: ${item.type} for job ${jobId}`);
+        return;
+    }
+    if (runAt.getTime() <= Date.now()) {
+        logger.warn(`One-off job ${jobId} run time ${item.runAt} has already passed, leaving it to missed run handling`);
+        return;
+    }
+
+    scheduledJobs[jobId] = scheduleAt(runAt, async () => {
+        delete scheduledJobs[jobId];
+        // 다른 인스턴스가 실행하고 스케줄 목록에서 정리
+        if (!await claimScheduledRun(jobId, runAt)) return;
+        const skipMessage = await skipIfSuppressed(jobId, getCustomScheduleName(item), getCustomJobInfo(item));
+        if (skipMessage) {
+            completeOneOffSchedule(item, 'skipped', skipMessage);
+            return;
+        }
+        try {
+            logger.info(`Executing one-off ${item.type} task: ${jobId}`);
+            await runTrackedJob(jobId, getCustomScheduleName(item), 'cron', () => runConditionalSchedule(item, jobId));
+        } catch (error) {
+            logger.error(`Error in one-off ${item.type} task ${jobId}: ${error.message}`, error);
+        }
+        const state = jobRunHistory.getJobState(jobId) || {};
+        completeOneOffSchedule(item, state.lastOutcome || 'failed', state.lastMessage);
+    });
+    logger.logScheduledTask(item.type, `once at ${runAt.toISOString()}`, `One-off job ${jobId} scheduled successfully`);
+}
+
+/**
+ * 실행 대상 작업 목록 (사용 중인 기본 작업 + 일시 중지되지 않은 올바른 사용자 정의 스케줄)
+ * 사용자 정의 스케줄은 원본 스케줄 항목(schedule)을 가지며, 일회성 스케줄은 cronSchedule 대신 runAt 을 가짐
+ * @param {Object} config - 설정 객체
+ * @returns {Array} - [{ id, name, jobType, cronSchedule, timezone, runAt, catchUpPolicy, skipOnHolidays, schedule, run: (source) => Promise<Object> }]
+ */
+function getRunnableJobs(config) {
+    const defaultJobs = getDefaultJobs(config)
+        .filter(job => job.available && job.enabled && cron.validate(job.cronSchedule))
+        .map(job => {
+            const definition = DEFAULT_JOBS.find(d => d.id === job.id);
+            return {
+                id: job.id,
+                name: job.name,
+                jobType: job.jobType,
+                cronSchedule: job.cronSchedule,
+                timezone: job.timezone,
+                catchUpPolicy: job.catchUpPolicy,
+                skipOnHolidays: job.skipOnHolidays,
+                schedule: null,
+                run: source => definition.run(getDefaultJobOptions(job, source))
+            };
+        });
+
+    const customJobs = config.schedules
+        .map((schedule, index) => ({ schedule, index }))
+        .filter(({ schedule }) => CUSTOM_SCHEDULE_NAMES[schedule.type] &&
+            (isOneOffSchedule(schedule) ? !Number.isNaN(new Date(schedule.runAt).getTime()) : cron.validate(schedule.cronSchedule) && !schedule.paused))
+        .map(({ schedule, index }) => ({
+            ...getCustomJobInfo(schedule),
+            id: getCustomJobId(schedule, index),
+            name: getCustomScheduleName(schedule),
+            cronSchedule: schedule.cronSchedule,
+            timezone: getScheduleTimezone(schedule),
+            runAt: schedule.runAt || null,
+            catchUpPolicy: CATCH_UP_POLICIES.includes(schedule.catchUpPolicy) ? schedule.catchUpPolicy : 'skip',
+            run: source => runConditionalSchedule(schedule, source)
+        }));
+
+    return [...defaultJobs, ...customJobs];
+}
+
+/**
+ * 실행 시각 표시 문자열 (예: 2025-06-02 08:00, KST 가 아니면 시간대 표시)
+ * @param {Date} date - 시각
+ * @param {string} [timezone] - 표시할 시간대 (기본값: KST)
+ * @returns {string} - 표시 문자열
+ */
+function formatRunTime(date, timezone = DEFAULT_TIMEZONE) {
+    const parts = getZonedParts(date, timezone);
+    const pad = value => String(value).padStart(2, '0');
+    const text = `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+    return timezone === DEFAULT_TIMEZONE ? text : `${text} (${timezone})`;
+}
+
+/**
+ * Cron 표현식 미리보기 (검증, 한국어 설명, 다음 실행 시각)
+ * @param {string} expression - Cron 표현식
+ * @param {Object} [options] - { timezone: 시간대 (기본값 KST), count: 다음 실행 시각 개수 }
+ * @returns {Object} - { success, message, description, timezone, nextRuns: [{ at, display }] }
+ */
+function previewCronSchedule(expression, { timezone, count } = {}) {
+    const zone = timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(zone)) {
+        return { success: false, message: `올바르지 않은 시간대입니다: ${zone}` };
+    }
+
+    let description;
+    try {
+        description = describeCronExpression(expression);
+    } catch (error) {
+        return { success: false, message: `올바르지 않은 Cron 형식입니다: ${error.message}` };
+    }
+    if (!cron.validate(String(expression).trim())) {
+        return { success: false, message: `올바르지 않은 Cron 형식입니다: ${expression}` };
+    }
+
+    const runCount = Math.min(Math.max(parseInt(count, 10) || DEFAULT_PREVIEW_RUNS, 1), MAX_PREVIEW_RUNS);
+    const nextRuns = getNextRuns(expression, { count: runCount, timezone: zone }).map(time => ({
+        at: time.toISOString(),
+        display: formatRunTime(time, zone)
+    }));
+
+    return {
+        success: true,
+        description,
+        timezone: zone,
+        nextRuns,
+        // 2월 30일처럼 실제로 오지 않는 날짜만 지정한 경우
+        message: nextRuns.length === 0 ? '앞으로 5년 안에 실행되는 시각이 없습니다.' : null
+    };
+}
+
+/**
+ * 서버 중단으로 놓친 실행 처리 (스케줄 등록 전에 호출)
+ * 마지막 실행 시각(없으면 스케줄러가 마지막으로 동작한 시각) 이후 지금까지 실행됐어야 할 작업을 찾아
+ * (유효 기간 밖, 발송 중지 기간, 휴일 건너뛰기 대상 시각은 제외)
+ * 작업별 처리 방식에 따라 한 번 실행하거나, 건너뛰거나, 관리자에게 알림
+ * 발송 일시가 지난 일회성 스케줄은 처리한 뒤 스케줄 목록에서 제거(보관)
+ * 여러 인스턴스를 실행하면 리더 인스턴스만 처리하며, 시작할 때 팔로워였으면 리더가 되었을 때 처리 (handleLeadershipGained)
+ * 처리한 뒤에야 스케줄러 동작 시각을 앞당김
+ * @param {Object} [config] - 설정 객체
+ * @returns {Promise<Array>} - [{ id, name, policy, missedCount, firstMissedAt, lastMissedAt }] (missedCount 는 숫자 또는 '100+')
+ */
+async function catchUpMissedRuns(config = configService.loadConfig()) {
+    if (!lockService.isLeader()) {
+        logger.info('This instance is not the leader, leaving missed run handling to the leader (or until this instance becomes the leader)');
+        return [];
+    }
+
+    if (!catchUpInProgress) {
+        catchUpInProgress = (async () => {
+            const now = new Date();
+            const missed = await processMissedRuns(config, now);
+            missedRunsHandled = true;
+            await jobRunHistory.markSchedulerActive(now);
+            return missed;
+        })().finally(() => {
+            catchUpInProgress = null;
+        });
+    }
+    return catchUpInProgress;
+}
+
+/**
+ * 리더가 되었을 때 놓친 실행 처리
+ * 재시작 전 이 서버의 임기가 남아 있는 등의 이유로 팔로워로 시작해 아직 처리하지 못한 경우에만 처리
+ * @returns {Promise<void>}
+ */
+async function handleLeadershipGained() {
+    if (missedRunsHandled) {
+        return;
+    }
+    logger.info('Became the leader before handling missed runs, handling them now');
+    await catchUpMissedRuns();
+}
+
+/**
+ * 놓친 실행을 찾아 작업별 처리 방식대로 처리 (catchUpMissedRuns 참고)
+ * @param {Object} config - 설정 객체
+ * @param {Date} now - 처리 기준 시각
+ * @returns {Promise<Array>} - 놓친 작업 목록
+ */
+async function processMissedRuns(config, now) {
+    const schedulerActiveAt = jobRunHistory.getSchedulerActiveAt();
+    if (!schedulerActiveAt) {
+        logger.info('No previous scheduler activity recorded, skipping missed run check');
+        return [];
+    }
+
+    const missedJobs = [];
+
+    for (const job of getRunnableJobs(config)) {
+        // 발송 일시가 발송 중지 기간에 걸린 일회성 스케줄은 실행하지 않고 정리
+        const oneOffSkipReason = job.runAt && new Date(job.runAt) <= now ? getSkipReason(job, new Date(job.runAt), config) : null;
+        if (oneOffSkipReason) {
+            const timestamp = new Date().toISOString();
+            await jobRunHistory.record({ jobId: job.id, jobName: job.name, trigger: 'catch_up', startedAt: timestamp, finishedAt: timestamp, outcome: 'skipped', message: `${oneOffSkipReason} 건너뜀` });
+            completeOneOffSchedule(job.schedule, 'skipped', `${oneOffSkipReason} 건너뜀`);
+            continue;
+        }
+
+        const state = jobRunHistory.getJobState(job.id) || {};
+        const checkpoints = [schedulerActiveAt, state.lastRunAt].filter(Boolean).map(time => new Date(time).getTime());
+        const scheduledTimes = job.runAt
+            ? [new Date(job.runAt)]
+            : getNextRuns(job.cronSchedule, { from: new Date(Math.max(...checkpoints)), count: MAX_MISSED_RUNS, timezone: job.timezone });
+        const missedTimes = scheduledTimes
+            .filter(time => time <= now)
+            // 원래 실행되지 않았을 시각은 놓친 실행으로 세지 않음
+            .filter(time => !getSkipReason(job, time, config));
+
+        if (missedTimes.length > 0) {
+            missedJobs.push({
+                job,
+                id: job.id,
+                name: job.name,
+                policy: job.catchUpPolicy,
+                // 최대 개수까지만 세므로 넘으면 '100+' 로 표시
+                missedCount: missedTimes.length >= MAX_MISSED_RUNS ? `${MAX_MISSED_RUNS}+` : missedTimes.length,
+                lastMissedTime: missedTimes[missedTimes.length - 1],
+                firstMissedAt: formatRunTime(missedTimes[0], job.timezone),
+                lastMissedAt: formatRunTime(missedTimes[missedTimes.length - 1], job.timezone)
+            });
+        }
+    }
+
+    if (missedJobs.length === 0) {
+        logger.info('No missed scheduled runs detected');
+        return [];
+    }
+
+    for (const missed of missedJobs) {
+        logger.warn(`Missed ${missed.missedCount} run(s) of ${missed.id} since ${missed.firstMissedAt} (policy: ${missed.policy})`);
+
+        if (missed.policy === 'run_once') {
+            // 마지막으로 놓친 시각의 예약 실행과 같은 잠금을 잡아, 다른 인스턴스가 이미 실행했거나 처리 중이면 다시 실행하지 않음
+            if (!await claimScheduledRun(missed.id, missed.lastMissedTime)) {
+                continue;
+            }
+            try {
+                await runTrackedJob(missed.id, missed.name, 'catch_up', () => missed.job.run(`catch_up_${missed.id}`));
+            } catch (error) {
+                logger.error(`Error catching up missed job ${missed.id}: ${error.message}`, error);
+            }
+            if (missed.job.runAt) {
+                const state = jobRunHistory.getJobState(missed.id) || {};
+                completeOneOffSchedule(missed.job.schedule, state.lastOutcome || 'failed', state.lastMessage);
+            }
+            continue;
+        }
+
+        const timestamp = new Date().toISOString();
+        const message = `서버 중단으로 ${missed.missedCount}회 실행되지 않음 (${missed.firstMissedAt}부터, ${missed.policy === 'notify' ? '관리자 알림' : '건너뜀'})`;
+        await jobRunHistory.record({
+            jobId: missed.id,
+            jobName: missed.name,
+            trigger: 'catch_up',
+            startedAt: timestamp,
+            finishedAt: timestamp,
+            outcome: 'missed',
+            message
+        });
+        if (missed.job.runAt) {
+            completeOneOffSchedule(missed.job.schedule, 'missed', message);
+        }
+    }
+
+    const notifyJobs = missedJobs.filter(missed => missed.policy === 'notify');
+    if (notifyJobs.length > 0) {
+        try {
+            const jobs = notifyJobs.map(({ job, policy, lastMissedTime, ...missed }) => missed);
+            await messageService.sendToJobTarget('admin_alerts', templateService.localizedMessage('missed_run_alert', { jobs }), { source: 'missed_run_alert' });
+            logger.info(`Missed run alert sent for ${notifyJobs.length} job(s)`);
+        } catch (error) {
+            logger.error(`Error sending missed run alert: ${error.message}`, error);
+        }
+    }
+
+    return missedJobs.map(({ job, lastMissedTime, ...missed }) => missed);
+}
+
 /**
  * 스케줄 즉시 실행
- * @param {string} scheduleId - 실행할 스케줄 ID
+ * 일시 중지, 유효 기간, 발송 중지 기간에 걸리면 실행하지 않음 (휴일 건너뛰기와 실행 조건은 적용하지 않음)
+ * @param {string} scheduleId - 실행할 스케줄 ID (사용자 정의 스케줄 id 또는 기본 작업 id)
  * @param {Object} config - 설정 객체
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults, suppressed }
  */
 async function executeScheduleById(scheduleId, config) {
-    const schedule = config.schedules.find(s => s.id === scheduleId);
+    // 기본 작업 즉시 실행
+    const defaultJob = getDefaultJobs(config).find(job => job.id === scheduleId);
+    if (defaultJob) {
+        if (!defaultJob.available) {
+            throw new Error('GitHub 기능이 비활성화되어 있어 실행할 수 없습니다.');
+        }
+        const reason = getSkipReason(defaultJob, new Date(), config, { includeHolidays: false });
+        if (reason) {
+            logger.info(`Refusing to execute ${scheduleId}: ${reason}`);
+            return { success: false, suppressed: true, message: `${reason} 실행할 수 없습니다.`, sendResults: [] };
+        }
+        logger.info(`Executing default job immediately: ${scheduleId}`);
+        const definition = DEFAULT_JOBS.find(job => job.id === scheduleId);
+        return runTrackedJob(defaultJob.id, defaultJob.name, 'manual', () => definition.run(getDefaultJobOptions(defaultJob, `manual_${scheduleId}`)));
+    }
+
+    const index = config.schedules.findIndex(s => s.id === scheduleId);
     
-    if (!schedule) {
+    if (index === -1) {
         throw new Error('스케줄을 찾을 수 없습니다.');
     }
     
-    logger.info(`Executing schedule immediately: ${scheduleId}`);
-    
-    // 스케줄 즉시 실행
-    switch(schedule.type) {
-        case 'message':
-            logger.info(`Executing message schedule: ${schedule.message}`);
-            await messageService.sendMessagesToMultipleRecipients(schedule.message, schedule.recipients);
-            break;
-        case 'laptop_duty':
-            logger.info('Executing laptop duty notification schedule');
-            await teamService.assignLaptopDutyAndSendMessage();
-            break;
-        case 'code_review':
-            logger.info('Executing code review schedule');
-            await teamService.assignCodeReviewPairsAndSendMessage();
-            break;
-        default:
-            throw new Error(`Unknown schedule type: ${schedule.type}`);
+    const schedule = config.schedules[index];
+    const reason = getSkipReason(getCustomJobInfo(schedule), new Date(), config, { includeHolidays: false });
+    if (reason) {
+        logger.info(`Refusing to execute ${scheduleId}: ${reason}`);
+        return { success: false, suppressed: true, message: `${reason} 실행할 수 없습니다.`, sendResults: [] };
     }
+    logger.info(`Executing schedule immediately: ${scheduleId} (${schedule.type})`);
+    return runTrackedJob(getCustomJobId(schedule, index), getCustomScheduleName(schedule), 'manual', () => runCustomSchedule(schedule, `manual_${scheduleId}`));
+}
+
+/**
+ * 전체 작업 실행 현황 (기본 작업 + 사용자 정의 스케줄)
+ * @param {Object} [config] - 설정 객체
+ * @returns {Object} - { jobs: [{ id, name, kind, cronSchedule, timezone, runAt, catchUpPolicy, paused, expired, conditions, isActive, nextRunAt, lastRunAt, lastOutcome, lastError, consecutiveFailures, lastMissedAt, recentRuns, ... }], summary: { total, active, failing } }
+ */
+function getSchedulesStatus(config = configService.loadConfig()) {
+    const defaultJobs = getDefaultJobs(config).map(job => ({
+        id: job.id,
+        scheduleId: job.id,
+        name: job.name,
+        kind: 'default',
+        cronSchedule: job.cronSchedule,
+        timezone: job.timezone,
+        catchUpPolicy: job.catchUpPolicy,
+        paused: false,
+        expired: false,
+        info: job
+    }));
+    const customJobs = config.schedules.map((schedule, index) => ({
+        id: getCustomJobId(schedule, index),
+        scheduleId: schedule.id,
+        name: getCustomScheduleName(schedule),
+        kind: 'custom',
+        cronSchedule: schedule.cronSchedule,
+        timezone: getScheduleTimezone(schedule),
+        runAt: schedule.runAt || null,
+        catchUpPolicy: CATCH_UP_POLICIES.includes(schedule.catchUpPolicy) ? schedule.catchUpPolicy : 'skip',
+        paused: !isOneOffSchedule(schedule) && schedule.paused === true,
+        expired: isScheduleExpired(schedule),
+        startDate: schedule.startDate || null,
+        endDate: schedule.endDate || null,
+        conditions: (schedule.conditions || []).map(scheduleConditionService.describeCondition),
+        info: getCustomJobInfo(schedule)
+    }));
+
+    const jobs = [...defaultJobs, ...customJobs].map(({ info, ...job }) => {
+        const task = scheduledJobs[job.id];
+        let nextRun = null;
+        if (task) {
+            // 유효 기간, 발송 중지 기간, 휴일 건너뛰기로 실행되지 않을 시각은 건너뜀
+            nextRun = job.runAt
+                ? new Date(job.runAt)
+                : getNextRuns(job.cronSchedule, { count: NEXT_RUN_LOOKAHEAD, timezone: job.timezone }).find(time => !getSkipReason(info, time, config)) || null;
+        }
+        const state = jobRunHistory.getJobState(job.id) || {};
+
+        return {
+            ...job,
+            isActive: !!task,
+            nextRunAt: nextRun ? nextRun.toISOString() : null,
+            lastRunAt: state.lastRunAt || null,
+            lastOutcome: state.lastOutcome || null,
+            lastMessage: state.lastMessage || null,
+            lastError: state.lastError || null,
+            lastSuccessAt: state.lastSuccessAt || null,
+            lastFailureAt: state.lastFailureAt || null,
+            consecutiveFailures: state.consecutiveFailures || 0,
+            lastMissedAt: state.lastMissedAt || null,
+            lastMissedMessage: state.lastMissedMessage || null,
+            recentRuns: jobRunHistory.getRecentRuns(job.id, 10)
+        };
+    });
+
+    return {
+        jobs,
+        summary: {
+            total: jobs.length,
+            active: jobs.filter(job => job.isActive).length,
+            failing: jobs.filter(job => job.lastOutcome === 'failed').length
+        }
+    };
 }
 
 /**
@@ -305,8 +1256,16 @@ if (!gitHubService) {
 module.exports = {
     clearAllScheduledJobs,
     setupDefaultSchedules,
+    getDefaultJobs,
+    updateDefaultJob,
+    resetDefaultJob,
+    prepareSchedules,
+    previewCronSchedule,
     rescheduleJobs,
+    catchUpMissedRuns,
+    handleLeadershipGained,
     executeScheduleById,
+    getSchedulesStatus,
     getActiveSchedules,
     getGitHubService
 };
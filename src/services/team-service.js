@@ -4,12 +4,40 @@
 const logger = require('../../logger');
 const configService = require('./config-service');
 const messageService = require('./message-service');
-const { getWeekKey, getCurrentKSTDate } = require('../utils/date-utils');
+const templateService = require('./template-service');
+const availabilityService = require('./availability-service');
+const holidayService = require('./holiday-service');
+const { getWeekKey, getCurrentDateInTimezone, getWeekDates } = require('../utils/date-utils');
+const { formatDate } = require('../utils/i18n');
+
+/**
+ * 이번 주 근무일(월~금, 휴일 제외) 내내 종일 부재인 팀원은 코드 리뷰 짝꿍에서 제외
+ * @param {Array} teamMembers - 팀원 목록
+ * @param {Object} config - 설정 객체
+ * @returns {Array} - 짝꿍을 배정할 팀원 목록
+ */
+function getCodeReviewCandidates(teamMembers, config) {
+    const workdays = getWeekDates().filter(dateKey => {
+        const dayOfWeek = holidayService.getDayOfWeek(dateKey);
+        return dayOfWeek !== 0 && dayOfWeek !== 6 && !holidayService.isHoliday(dateKey, config);
+    });
+
+    return teamMembers.filter(member => {
+        const away = availabilityService.isAwayOnAll(member.id, workdays, config);
+        if (away) {
+            logger.info(`Excluding ${member.name}(${member.id}) from code review pairs: away all week`);
+        }
+        return !away;
+    });
+}
 
 /**
  * 코드 리뷰 짝꿍 배정 및 전송 (매주 월요일 오전 9시) - 채널로 전송
+ * 이번 주 내내 부재인 팀원은 제외
+ * @param {Object} [options] - { source: 발송 이력에 기록할 작업 이름, target: 발송 대상, template: 작업별 템플릿 재정의 { 언어: 본문 }, timezone: 작업 시간대 }
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults }
  */
-async function assignCodeReviewPairsAndSendMessage() {
+async function assignCodeReviewPairsAndSendMessage(options = {}) {
     try {
         const config = configService.loadConfig();
         let teamMembers = config.teamMembers;
@@ -17,14 +45,16 @@ async function assignCodeReviewPairsAndSendMessage() {
         logger.info('Starting code review pair assignment');
         logger.debug(`Team members: ${teamMembers.map(m => `${m.name}(${m.id})`).join(', ')}`);
 
-        if (teamMembers.length < 2) {
-            const message = "👥 코드 리뷰 짝꿍 알림 👥\n\n팀원이 부족하여 코드 리뷰 짝꿍을 배정할 수 없습니다.";
+        const candidates = getCodeReviewCandidates(teamMembers, config);
+
+        if (candidates.length < 2) {
+            const message = templateService.localizedMessage('code_review_insufficient');
             logger.warn('Insufficient team members for code review pair assignment');
-            await messageService.sendChannelMessage(message);
-            return;
+            const sendResults = await messageService.sendToJobTarget('code_review_pairs', message, options);
+            return messageService.buildSendOutcome('팀원이 부족하여 코드 리뷰 짝꿍을 배정하지 못했습니다.', sendResults);
         }
 
-        const shuffledMembers = [...teamMembers].sort(() => 0.5 - Math.random());
+        const shuffledMembers = [...candidates].sort(() => 0.5 - Math.random());
         let pairs = [];
         let remainingMembers = [...shuffledMembers];
 
@@ -42,11 +72,7 @@ async function assignCodeReviewPairsAndSendMessage() {
             logger.debug(`Pair ${index + 1}: ${pairInfo}`);
         });
 
-        let message = "👥 이번 주 코드 리뷰 짝꿍 알림 👥\n\n";
-        pairs.forEach((pair, index) => {
-            const pairNames = pair.map(member => teamMembers.find(m => m.id === member.id)?.name || member.id);
-            message += `${index + 1}. ${pairNames.join(' & ')}\n`;
-            
+        pairs.forEach(pair => {
             pair.forEach(member => {
                 const teamMember = teamMembers.find(m => m.id === member.id);
                 if (teamMember) {
@@ -55,11 +81,13 @@ async function assignCodeReviewPairsAndSendMessage() {
             });
         });
 
-        message += "\n💡 코드 리뷰 가이드:\n";
-        message += "- 서로의 코드를 정기적으로 리뷰해주세요\n";
-        message += "- 건설적인 피드백 제공\n";
-        message += "- 코드 품질 향상에 집중\n";
-        message += "- 학습과 성장의 기회로 활용";
+        const message = templateService.localizedMessage('code_review_pairs', {
+            pairs: pairs.map((pair, index) => ({
+                number: index + 1,
+                names: pair.map(member => member.name || member.id).join(' & '),
+                members: pair.map(member => ({ id: member.id, name: member.name }))
+            }))
+        }, options.template);
 
         // 짝꿍 정보 저장
         const codeReviewPairs = pairs.map((pair, index) => ({
@@ -74,65 +102,61 @@ async function assignCodeReviewPairsAndSendMessage() {
         configService.updateCodeReviewPairs(codeReviewPairs);
         configService.updateTeamMembers(teamMembers);
 
-        // 채널로 알림 발송
-        await messageService.sendChannelMessage(message);
-        logger.info('Code review pair notification sent successfully to channel');
+        // 코드 리뷰 알림 발송 대상으로 발송
+        const sendResults = await messageService.sendToJobTarget('code_review_pairs', message, options);
+        logger.info('Code review pair notification sent');
+        return messageService.buildSendOutcome('코드 리뷰 짝꿍이 성공적으로 편성되었습니다.', sendResults);
     } catch (error) {
         logger.error(`Error in code review pair assignment: ${error.message}`, error);
+        return { success: false, message: `코드 리뷰 짝꿍 편성 중 오류가 발생했습니다: ${error.message}`, sendResults: [] };
     }
 }
 
 /**
  * 노트북 지참 알림 전송 (당일 당직자에게 노트북 지참 알림)
  * 기존 복잡한 로직을 단순화: 오늘의 당직자 = 노트북 지참자
+ * @param {Object} [options] - { source: 발송 이력에 기록할 작업 이름, target: 발송 대상, template: 작업별 템플릿 재정의 { 언어: 본문 }, timezone: 작업 시간대 }
+ * @returns {Promise<Object>} - { success, message, partialFailure, sendResults }
  */
-async function assignLaptopDutyAndSendMessage() {
+async function assignLaptopDutyAndSendMessage(options = {}) {
     try {
-        const config = configService.loadConfig();
         const dutyService = require('./duty-service');
         
         logger.info('Starting laptop duty notification (using today\'s duty members)');
         
-        // 오늘의 당직자 조회
-        const todayDuty = dutyService.getTodayDutyMembers();
+        // 오늘의 당직자 조회 (작업 시간대 기준, 기본값: KST)
+        const todayDuty = dutyService.getTodayDutyMembers(options.timezone);
         
         if (!todayDuty || todayDuty.hasNoDuty || todayDuty.members.length === 0) {
             logger.warn('No duty assignment found for today - laptop duty notification skipped');
             
             // 당직자가 없으면 알림만 보내고 종료
-            const message = "⚠️ 노트북 지참 알림 ⚠️\n\n" +
-                          "오늘 당직자가 배정되지 않았습니다.\n" +
-                          "주간 당직 편성을 확인해주세요.";
+            const message = templateService.localizedMessage('laptop_duty_unassigned');
             
-            const recipients = config.teamMembers.map(m => m.id).join(',');
-            await messageService.sendMessagesToMultipleRecipients(message, recipients);
-            return;
+            const sendResults = await messageService.sendToJobTarget('laptop_duty', message, options);
+            return messageService.buildSendOutcome('오늘 당직자가 없어 미배정 안내를 전송했습니다.', sendResults);
         }
         
         // 당직자들에게 노트북 지참 알림 발송
         const memberNames = todayDuty.members.map(m => `${m.name}(${m.id})`).join(' & ');
         
-        let message = "⚠️ 노트북 지참 알림 ⚠️\n\n";
-        message += `오늘(${todayDuty.displayDate}) 당직자 노트북 지참 안내:\n\n`;
-        todayDuty.members.forEach(member => {
-            message += `- ${member.name} (${member.id})\n`;
-        });
-        message += "\n📱 당직 업무 안내:\n";
-        message += "- 노트북 지참 필수\n";
-        message += "- 긴급상황 대응 준비\n";
-        message += "- 당직 업무 수행\n\n";
-        message += "수고하세요! 💪";
+        const today = getCurrentDateInTimezone(options.timezone);
+        const message = templateService.localizedMessage('laptop_duty', locale => ({
+            date: formatDate(today, locale),
+            members: memberNames,
+            memberList: todayDuty.members
+        }), options.template);
         
-        // 모든 팀원에게 개별 발송
-        const recipients = config.teamMembers.map(m => m.id).join(',');
-        logger.info(`Sending laptop duty notification to all team members: ${recipients}`);
+        // 노트북 지참 알림 발송 대상으로 발송 (기본값: 전체 팀원 개별 발송)
         logger.info(`Today's duty members for laptop notification: ${memberNames}`);
         
-        await messageService.sendMessagesToMultipleRecipients(message, recipients);
-        logger.info('Laptop duty notification sent successfully');
+        const sendResults = await messageService.sendToJobTarget('laptop_duty', message, options);
+        logger.info('Laptop duty notification sent');
+        return messageService.buildSendOutcome('노트북 지참 알림이 전송되었습니다.', sendResults);
         
     } catch (error) {
         logger.error(`Error in laptop duty notification: ${error.message}`, error);
+        return { success: false, message: `노트북 지참 알림 중 오류가 발생했습니다: ${error.message}`, sendResults: [] };
     }
 }
 
@@ -0,0 +1,562 @@
+// src/services/template-service.js
+// 메시지 템플릿 관리 서비스 - 언어별 기본 템플릿과 config.templates 사용자 지정 템플릿
+
+const logger = require('../../logger');
+const configService = require('./config-service');
+const { renderTemplate, validateTemplate } = require('../utils/template-engine');
+const { getCurrentDateInTimezone } = require('../utils/date-utils');
+const { DEFAULT_LOCALE, normalizeLocale, translate, formatDate, formatDateKey, translateHolidayName, formatHour, getSupportedLocales } = require('../utils/i18n');
+
+const WEEKDAY_NAMES = ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일'];
+
+/**
+ * 기본 제공 템플릿
+ * bodies: 언어별 기본 본문, variables: 템플릿에서 사용할 수 있는 변수 설명,
+ * sample: 미리보기용 예시 데이터 (locale) => 변수
+ */
+const DEFAULT_TEMPLATES = {
+    weekly_duty_confirmation: {
+        name: '주간 당직 편성 완료',
+        description: '주간 당직 확정 시 발송되는 당직표',
+        bodies: {
+            ko: '🚨 주간 당직 편성 완료 - {{weekKey}}\n\n' +
+            '📅 이번 주 당직 스케줄이 확정되었습니다!\n\n' +
+            '{{#if weekendDutyPerson}}🎆 주말 연속 당직자: {{weekendDutyPerson.name}}({{weekendDutyPerson.id}}) 고생합니다!\n\n{{/if}}' +
+            '{{#each days}}{{emoji}} {{dayName}} ({{displayDate}}){{#if holidayName}} 🎌 {{holidayName}}{{/if}}: {{members}}{{#if isWeekendRun}} ✨{{/if}}{{#if isToday}} ← 오늘{{/if}}\n{{/each}}' +
+            '\n📝 당직 안내:' +
+            '\n• 하루에 2명씩 배정, 최소 1명은 권한자' +
+            '\n• 금요일~일요일 연속 당직자 동일 (✨)' +
+            '\n• 공휴일(🎌)은 주말 당직자가 담당' +
+            '\n• 평일(월화수목) 연일 당직 방지 🚫' +
+            '\n\n💡 당직자분들은 매일 오후 2시, 4시에 당직 체크 알림을 받게 됩니다.' +
+            '\n📱 노트북 지참 알림은 매일 오전 9시에 당일 당직자에게 개별 전송됩니다.',
+            en: '🚨 Weekly duty schedule confirmed - {{weekKey}}\n\n' +
+            '📅 This week\'s duty schedule has been finalized!\n\n' +
+            '{{#if weekendDutyPerson}}🎆 Weekend duty (Fri-Sun): {{weekendDutyPerson.name}}({{weekendDutyPerson.id}}) - thank you!\n\n{{/if}}' +
+            '{{#each days}}{{emoji}} {{dayName}} ({{displayDate}}){{#if holidayName}} 🎌 {{holidayName}}{{/if}}: {{members}}{{#if isWeekendRun}} ✨{{/if}}{{#if isToday}} ← today{{/if}}\n{{/each}}' +
+            '\n📝 Duty notes:' +
+            '\n• Two people per day, at least one authorized member' +
+            '\n• The same person covers Friday through Sunday (✨)' +
+            '\n• Public holidays (🎌) are covered by the weekend duty members' +
+            '\n• No back-to-back weekday (Mon-Thu) duty 🚫' +
+            '\n\n💡 Duty members receive a duty check reminder every day at 2 PM and 4 PM.' +
+            '\n📱 A laptop reminder is sent to each day\'s duty members at 9 AM.'
+        },
+        variables: {
+            weekKey: '주차 (예: 6/2~6/8)',
+            weekendDutyPerson: '주말 연속 당직자 { id, name } (없으면 빈 값)',
+            days: '요일별 목록 - 각 항목: emoji, dayName, displayDate (받는 사람 언어의 날짜), date, members, memberList, isWeekend, isWeekendRun, isHoliday, holidayName (받는 사람 언어의 휴일 이름), isToday'
+        },
+        sample: locale => ({
+            weekKey: '6/2~6/8',
+            weekendDutyPerson: { id: 'hong', name: '홍길동' },
+            days: [
+                { emoji: '🏢', dayName: translate(locale, '월요일'), displayDate: formatDateKey('2025-06-02', locale), date: '2025-06-02', members: '김철수(kim) & 이영희(lee)', memberList: [{ id: 'kim', name: '김철수' }, { id: 'lee', name: '이영희' }], isWeekend: false, isWeekendRun: false, isToday: true },
+                { emoji: '🌴', dayName: translate(locale, '금요일'), displayDate: formatDateKey('2025-06-06', locale), date: '2025-06-06', members: '홍길동(hong) & 김철수(kim)', memberList: [{ id: 'hong', name: '홍길동' }, { id: 'kim', name: '김철수' }], isWeekend: true, isWeekendRun: true, isHoliday: true, holidayName: translateHolidayName(locale, '현충일'), isToday: false },
+                { emoji: '🌴', dayName: translate(locale, '토요일'), displayDate: formatDateKey('2025-06-07', locale), date: '2025-06-07', members: translate(locale, '미배정'), memberList: [], isWeekend: true, isWeekendRun: true, isToday: false }
+            ]
+        })
+    },
+    duty_reminder: {
+        name: '당직 알림',
+        description: '매일 오후 2시, 4시 당직자 알림',
+        bodies: {
+            ko: '🔔 당직 알림 ({{timeSlot}}) 🔔\n\n' +
+            '오늘({{date}}) 당직자: {{members}}\n\n' +
+            '당직 체크사항:\n' +
+            '- 사무실 보안 상태 확인\n' +
+            '- 시설 이상 유무 점검\n' +
+            '- 긴급상황 대응 준비\n\n' +
+            '수고하세요! 💪',
+            en: '🔔 Duty reminder ({{timeSlot}}) 🔔\n\n' +
+            'Today\'s ({{date}}) duty: {{members}}\n\n' +
+            'Duty checklist:\n' +
+            '- Check office security\n' +
+            '- Inspect facilities for issues\n' +
+            '- Be ready for emergencies\n\n' +
+            'Thank you! 💪'
+        },
+        variables: {
+            timeSlot: '알림 시각 (예: 오후 2시)',
+            members: '당직자 표시 문자열 (예: 홍길동(hong) & 김철수(kim))',
+            memberList: '당직자 목록 - 각 항목: id, name'
+        },
+        sample: locale => ({
+            timeSlot: formatHour(14, locale),
+            members: '홍길동(hong) & 김철수(kim)',
+            memberList: [{ id: 'hong', name: '홍길동' }, { id: 'kim', name: '김철수' }]
+        })
+    },
+    laptop_duty: {
+        name: '노트북 지참 알림',
+        description: '매일 오전 당일 당직자 노트북 지참 안내',
+        bodies: {
+            ko: '⚠️ 노트북 지참 알림 ⚠️\n\n' +
+            '오늘({{date}}) 당직자 노트북 지참 안내:\n\n' +
+            '{{#each memberList}}- {{name}} ({{id}})\n{{/each}}' +
+            '\n📱 당직 업무 안내:\n' +
+            '- 노트북 지참 필수\n' +
+            '- 긴급상황 대응 준비\n' +
+            '- 당직 업무 수행\n\n' +
+            '수고하세요! 💪',
+            en: '⚠️ Laptop reminder ⚠️\n\n' +
+            'Today\'s ({{date}}) duty members, please bring your laptop:\n\n' +
+            '{{#each memberList}}- {{name}} ({{id}})\n{{/each}}' +
+            '\n📱 Duty notes:\n' +
+            '- Laptop required\n' +
+            '- Be ready for emergencies\n' +
+            '- Carry out duty tasks\n\n' +
+            'Thank you! 💪'
+        },
+        variables: {
+            members: '당직자 표시 문자열 (예: 홍길동(hong) & 김철수(kim))',
+            memberList: '당직자 목록 - 각 항목: id, name'
+        },
+        sample: () => ({
+            members: '홍길동(hong) & 김철수(kim)',
+            memberList: [{ id: 'hong', name: '홍길동' }, { id: 'kim', name: '김철수' }]
+        })
+    },
+    laptop_duty_unassigned: {
+        name: '노트북 지참 알림 (당직자 미배정)',
+        description: '오늘 당직자가 없을 때 발송되는 안내',
+        bodies: {
+            ko: '⚠️ 노트북 지참 알림 ⚠️\n\n' +
+            '오늘 당직자가 배정되지 않았습니다.\n' +
+            '주간 당직 편성을 확인해주세요.',
+            en: '⚠️ Laptop reminder ⚠️\n\n' +
+            'No duty members are assigned for today.\n' +
+            'Please check the weekly duty schedule.'
+        },
+        variables: {},
+        sample: () => ({})
+    },
+    code_review_pairs: {
+        name: '코드 리뷰 짝꿍',
+        description: '매주 코드 리뷰 짝꿍 편성 결과와 리뷰 가이드',
+        bodies: {
+            ko: '👥 이번 주 코드 리뷰 짝꿍 알림 👥\n\n' +
+            '{{#each pairs}}{{number}}. {{names}}\n{{/each}}' +
+            '\n💡 코드 리뷰 가이드:\n' +
+            '- 서로의 코드를 정기적으로 리뷰해주세요\n' +
+            '- 건설적인 피드백 제공\n' +
+            '- 코드 품질 향상에 집중\n' +
+            '- 학습과 성장의 기회로 활용',
+            en: '👥 This week\'s code review pairs 👥\n\n' +
+            '{{#each pairs}}{{number}}. {{names}}\n{{/each}}' +
+            '\n💡 Code review guide:\n' +
+            '- Review each other\'s code regularly\n' +
+            '- Give constructive feedback\n' +
+            '- Focus on improving code quality\n' +
+            '- Use it as a chance to learn and grow'
+        },
+        variables: {
+            pairs: '짝꿍 목록 - 각 항목: number, names (예: 홍길동 & 김철수), members (id, name 목록)'
+        },
+        sample: () => ({
+            pairs: [
+                { number: 1, names: '홍길동 & 김철수', members: [{ id: 'hong', name: '홍길동' }, { id: 'kim', name: '김철수' }] },
+                { number: 2, names: '이영희 & 박민수 & 최지우', members: [{ id: 'lee', name: '이영희' }, { id: 'park', name: '박민수' }, { id: 'choi', name: '최지우' }] }
+            ]
+        })
+    },
+    code_review_insufficient: {
+        name: '코드 리뷰 짝꿍 (팀원 부족)',
+        description: '팀원이 2명 미만일 때 발송되는 안내',
+        bodies: {
+            ko: '👥 코드 리뷰 짝꿍 알림 👥\n\n' +
+            '팀원이 부족하여 코드 리뷰 짝꿍을 배정할 수 없습니다.',
+            en: '👥 Code review pairs 👥\n\n' +
+            'There are not enough team members to assign code review pairs.'
+        },
+        variables: {},
+        sample: () => ({})
+    },
+    duty_swap_request: {
+        name: '당직 교환 요청',
+        description: '당직 교환(또는 대신 맡기) 요청을 상대 팀원에게 DM으로 알림 (수락/거절 버튼 포함)',
+        bodies: {
+            ko: '🔄 당직 교환 요청\n\n' +
+            '{{requesterName}}님이 당직 교환을 요청했습니다.\n' +
+            '{{#if targetDate}}• {{requesterName}}님의 {{requesterDate}} 당직 ↔ {{targetName}}님의 {{targetDate}} 당직{{else}}• {{requesterName}}님의 {{requesterDate}} 당직을 {{targetName}}님이 대신 맡기{{/if}}\n' +
+            '{{#if reason}}사유: {{reason}}\n{{/if}}' +
+            '\n수락 또는 거절해주세요.',
+            en: '🔄 Duty swap request\n\n' +
+            '{{requesterName}} asked to swap duty.\n' +
+            '{{#if targetDate}}• {{requesterName}} on {{requesterDate}} ↔ {{targetName}} on {{targetDate}}{{else}}• {{targetName}} covers {{requesterName}} on {{requesterDate}}{{/if}}\n' +
+            '{{#if reason}}Reason: {{reason}}\n{{/if}}' +
+            '\nPlease accept or decline.'
+        },
+        variables: {
+            requesterName: '요청한 팀원 이름',
+            requesterDate: '요청한 팀원의 당직 날짜',
+            targetName: '상대 팀원 이름',
+            targetDate: '상대 팀원의 당직 날짜 (대신 맡기 요청이면 비어 있음)',
+            reason: '요청 사유'
+        },
+        sample: () => ({ requesterName: '홍길동', requesterDate: '2025-06-05', targetName: '김철수', targetDate: '2025-06-10', reason: '병원 예약' })
+    },
+    duty_swap_approval: {
+        name: '당직 교환 승인 요청',
+        description: '상대 팀원이 수락한 당직 교환을 권한 있는 팀원에게 승인 요청 (승인/반려 버튼 포함)',
+        bodies: {
+            ko: '🔄 당직 교환 승인 요청\n\n' +
+            '{{#if targetDate}}• {{requesterName}}님의 {{requesterDate}} 당직 ↔ {{targetName}}님의 {{targetDate}} 당직{{else}}• {{requesterName}}님의 {{requesterDate}} 당직을 {{targetName}}님이 대신 맡기{{/if}}\n' +
+            '{{#if reason}}사유: {{reason}}\n{{/if}}' +
+            '\n두 팀원이 합의했습니다. 승인하면 당직표에 바로 반영됩니다.',
+            en: '🔄 Duty swap approval\n\n' +
+            '{{#if targetDate}}• {{requesterName}} on {{requesterDate}} ↔ {{targetName}} on {{targetDate}}{{else}}• {{targetName}} covers {{requesterName}} on {{requesterDate}}{{/if}}\n' +
+            '{{#if reason}}Reason: {{reason}}\n{{/if}}' +
+            '\nBoth members agreed. Approving updates the duty schedule right away.'
+        },
+        variables: {
+            requesterName: '요청한 팀원 이름',
+            requesterDate: '요청한 팀원의 당직 날짜',
+            targetName: '상대 팀원 이름',
+            targetDate: '상대 팀원의 당직 날짜 (대신 맡기 요청이면 비어 있음)',
+            reason: '요청 사유'
+        },
+        sample: () => ({ requesterName: '홍길동', requesterDate: '2025-06-05', targetName: '김철수', targetDate: '2025-06-10', reason: '병원 예약' })
+    },
+    duty_swap_applied: {
+        name: '당직 교환 완료',
+        description: '당직 교환이 당직표에 반영되면 채널에 알림',
+        bodies: {
+            ko: '🔄 당직 변경 안내\n\n' +
+            '{{#if targetDate}}• {{requesterDate}}: {{requesterName}} → {{targetName}}\n• {{targetDate}}: {{targetName}} → {{requesterName}}{{else}}• {{requesterDate}}: {{requesterName}} → {{targetName}}{{/if}}' +
+            '{{#if approverName}}\n\n승인: {{approverName}}{{/if}}',
+            en: '🔄 Duty change\n\n' +
+            '{{#if targetDate}}• {{requesterDate}}: {{requesterName}} → {{targetName}}\n• {{targetDate}}: {{targetName}} → {{requesterName}}{{else}}• {{requesterDate}}: {{requesterName}} → {{targetName}}{{/if}}' +
+            '{{#if approverName}}\n\nApproved by {{approverName}}{{/if}}'
+        },
+        variables: {
+            requesterName: '요청한 팀원 이름',
+            requesterDate: '요청한 팀원의 당직 날짜',
+            targetName: '상대 팀원 이름',
+            targetDate: '상대 팀원의 당직 날짜 (대신 맡기 요청이면 비어 있음)',
+            approverName: '승인한 팀원 이름 (승인 없이 반영되면 비어 있음)'
+        },
+        sample: () => ({ requesterName: '홍길동', requesterDate: '2025-06-05', targetName: '김철수', targetDate: '2025-06-10', approverName: '이영희' })
+    },
+    duty_swap_declined: {
+        name: '당직 교환 거절',
+        description: '당직 교환 요청이 거절·반려되면 요청한 팀원에게 DM으로 알림',
+        bodies: {
+            ko: '🔄 당직 교환 요청이 {{#if approverName}}{{approverName}}님에게 반려{{else}}{{targetName}}님에게 거절{{/if}}되었습니다.\n\n' +
+            '{{#if targetDate}}• {{requesterDate}} ↔ {{targetDate}}{{else}}• {{requesterDate}} 대신 맡기{{/if}}',
+            en: '🔄 Your duty swap request was {{#if approverName}}rejected by {{approverName}}{{else}}declined by {{targetName}}{{/if}}.\n\n' +
+            '{{#if targetDate}}• {{requesterDate}} ↔ {{targetDate}}{{else}}• Cover for {{requesterDate}}{{/if}}'
+        },
+        variables: {
+            requesterDate: '요청한 팀원의 당직 날짜',
+            targetName: '상대 팀원 이름',
+            targetDate: '상대 팀원의 당직 날짜 (대신 맡기 요청이면 비어 있음)',
+            approverName: '반려한 팀원 이름 (상대 팀원이 거절했으면 비어 있음)'
+        },
+        sample: () => ({ requesterDate: '2025-06-05', targetName: '김철수', targetDate: '2025-06-10', approverName: '' })
+    },
+    duty_ack_followup: {
+        name: '당직 확인 요청',
+        description: '당직 알림을 확인하지 않은 당직자에게 DM으로 확인 요청 (당직 확인 버튼, 웹 확인 링크 포함)',
+        bodies: {
+            ko: '🔔 {{name}}님, 오늘({{dutyDate}}) 당직입니다.\n\n' +
+            '아직 당직 알림을 확인하지 않으셨습니다. 아래 버튼을 눌러 확인해주세요.',
+            en: '🔔 {{name}}, you are on duty today ({{dutyDate}}).\n\n' +
+            'You have not acknowledged the duty reminder yet. Please confirm with the button below.'
+        },
+        variables: {
+            name: '당직자 이름',
+            dutyDate: '당직 날짜 (YYYY-MM-DD)'
+        },
+        sample: () => ({ name: '홍길동', dutyDate: '2025-06-02' })
+    },
+    duty_ack_escalation: {
+        name: '당직 미확인 알림',
+        description: '확인 요청 후에도 당직을 확인하지 않은 당직자를 권한 있는 팀원에게 알림',
+        bodies: {
+            ko: '⚠️ 당직 미확인 알림 ⚠️\n\n' +
+            '오늘({{dutyDate}}) 당직자 중 아래 팀원이 아직 당직을 확인하지 않았습니다.\n\n' +
+            '{{#each memberList}}- {{name}} ({{id}})\n{{/each}}' +
+            '{{#if followUpSent}}\n개인 메시지로 확인을 요청했지만 응답이 없습니다.{{/if}}' +
+            '\n당직자에게 직접 연락해주세요.',
+            en: '⚠️ Unacknowledged duty ⚠️\n\n' +
+            'The following duty members have not acknowledged today\'s ({{dutyDate}}) duty.\n\n' +
+            '{{#each memberList}}- {{name}} ({{id}})\n{{/each}}' +
+            '{{#if followUpSent}}\nThey were asked by direct message but have not responded.{{/if}}' +
+            '\nPlease contact them directly.'
+        },
+        variables: {
+            dutyDate: '당직 날짜 (YYYY-MM-DD)',
+            members: '미확인 당직자 표시 문자열 (예: 홍길동(hong) & 김철수(kim))',
+            memberList: '미확인 당직자 목록 - 각 항목: id, name',
+            followUpSent: '확인 요청 DM을 보냈는지 여부'
+        },
+        sample: () => ({
+            dutyDate: '2025-06-02',
+            members: '홍길동(hong)',
+            memberList: [{ id: 'hong', name: '홍길동' }],
+            followUpSent: true
+        })
+    },
+    missed_run_alert: {
+        name: '놓친 스케줄 알림',
+        description: '서버 중단으로 실행되지 못한 작업을 관리자에게 알림',
+        bodies: {
+            ko: '⚠️ 놓친 스케줄 알림 ⚠️\n\n' +
+            '서버가 중단된 동안 아래 작업이 실행되지 않았습니다.\n\n' +
+            '{{#each jobs}}• {{name}}: {{missedCount}}회 (처음 놓친 시각 {{firstMissedAt}})\n{{/each}}' +
+            '\n필요하면 웹 화면에서 "즉시 실행"으로 실행해주세요.',
+            en: '⚠️ Missed schedule alert ⚠️\n\n' +
+            'The following jobs did not run while the server was down.\n\n' +
+            '{{#each jobs}}• {{name}}: {{missedCount}} time(s) (first missed at {{firstMissedAt}})\n{{/each}}' +
+            '\nUse "Run now" in the web console if they still need to run.'
+        },
+        variables: {
+            jobs: '놓친 작업 목록 - 각 항목: id, name, missedCount, firstMissedAt, lastMissedAt'
+        },
+        sample: () => ({
+            jobs: [
+                { id: 'weekly_duty', name: '주간 당직 편성', missedCount: 1, firstMissedAt: '2025-06-02 08:00', lastMissedAt: '2025-06-02 08:00' },
+                { id: 'duty_reminder_2pm', name: '당직 알림 (1차)', missedCount: 2, firstMissedAt: '2025-06-01 14:00', lastMissedAt: '2025-06-02 14:00' }
+            ]
+        })
+    }
+};
+
+// 모든 템플릿에서 사용할 수 있는 공통 변수 설명
+const COMMON_VARIABLES = {
+    date: '오늘 날짜 (언어별 형식, 예: 2025. 6. 2. / 6/2/2025)',
+    time: '현재 시각 (HH:MM)',
+    weekday: '오늘 요일 (예: 월요일 / Monday)'
+};
+
+/**
+ * 공통 템플릿 변수 (수신자 시간대 기준 날짜/시각, 기본값 KST)
+ * @param {string} [locale] - 언어 코드
+ * @param {string} [timezone] - IANA 시간대
+ * @returns {Object} - { date, time, weekday }
+ */
+function getCommonContext(locale = DEFAULT_LOCALE, timezone = null) {
+    const zonedDate = getCurrentDateInTimezone(timezone);
+    return {
+        date: formatDate(zonedDate, locale),
+        time: `${String(zonedDate.getHours()).padStart(2, '0')}:${String(zonedDate.getMinutes()).padStart(2, '0')}`,
+        weekday: translate(locale, WEEKDAY_NAMES[zonedDate.getDay()])
+    };
+}
+
+/**
+ * 사용자 지정 템플릿 조회 (이전 형식인 문자열은 한국어 본문으로 취급)
+ * @param {string} key - 템플릿 키
+ * @returns {Object} - { 언어: 템플릿 본문 }
+ */
+function getCustomBodies(key) {
+    const custom = (configService.loadConfig().templates || {})[key];
+    if (typeof custom === 'string') {
+        return { [DEFAULT_LOCALE]: custom };
+    }
+    return custom && typeof custom === 'object' ? custom : {};
+}
+
+/**
+ * 기본 템플릿 본문 조회 (해당 언어가 없으면 한국어)
+ * @param {string} key - 템플릿 키
+ * @param {string} locale - 언어 코드
+ * @returns {string} - 기본 템플릿 본문
+ */
+function getDefaultBody(key, locale) {
+    const { bodies } = DEFAULT_TEMPLATES[key];
+    return bodies[locale] || bodies[DEFAULT_LOCALE];
+}
+
+/**
+ * 템플릿 본문 조회 (작업별 재정의 본문 → 사용자 지정 본문 → 기본 본문 순)
+ * @param {string} key - 템플릿 키
+ * @param {string} locale - 언어 코드
+ * @param {Object} [overrides] - 작업별 재정의 본문 { 언어: 템플릿 본문 }
+ * @returns {string} - 템플릿 본문
+ */
+function getTemplateBody(key, locale, overrides = {}) {
+    if (!DEFAULT_TEMPLATES[key]) {
+        throw new Error(`존재하지 않는 템플릿입니다: ${key}`);
+    }
+
+    if (overrides && typeof overrides[locale] === 'string' && overrides[locale].trim().length > 0) {
+        return overrides[locale];
+    }
+
+    const customBody = getCustomBodies(key)[locale];
+    return typeof customBody === 'string' ? customBody : getDefaultBody(key, locale);
+}
+
+/**
+ * 템플릿 목록 조회 (웹 UI용)
+ * @returns {Array} - [{ key, name, description, locales: { 언어: { body, defaultBody, isCustomized } }, isCustomized, variables }]
+ */
+function getTemplates() {
+    return Object.entries(DEFAULT_TEMPLATES).map(([key, template]) => {
+        const customBodies = getCustomBodies(key);
+        const locales = {};
+        getSupportedLocales().forEach(({ code }) => {
+            const isCustomized = typeof customBodies[code] === 'string';
+            locales[code] = {
+                body: isCustomized ? customBodies[code] : getDefaultBody(key, code),
+                defaultBody: getDefaultBody(key, code),
+                isCustomized
+            };
+        });
+
+        return {
+            key,
+            name: template.name,
+            description: template.description,
+            locales,
+            isCustomized: Object.values(locales).some(locale => locale.isCustomized),
+            variables: { ...COMMON_VARIABLES, ...template.variables }
+        };
+    });
+}
+
+/**
+ * 템플릿으로 메시지 생성
+ * 사용자 지정 템플릿에 오류가 있으면 기본 템플릿으로 대체
+ * @param {string} key - 템플릿 키
+ * @param {Object|Function} [context] - 템플릿 변수 또는 (locale) => 템플릿 변수
+ * @param {string} [locale] - 언어 코드
+ * @param {Object} [overrides] - 작업별 재정의 본문 { 언어: 템플릿 본문 }
+ * @param {string} [timezone] - 공통 변수(date, time, weekday)에 사용할 시간대
+ * @returns {string} - 렌더링된 메시지
+ */
+function renderMessage(key, context = {}, locale = DEFAULT_LOCALE, overrides = {}, timezone = null) {
+    const targetLocale = normalizeLocale(locale);
+    const variables = typeof context === 'function' ? context(targetLocale) : context;
+    const fullContext = { ...getCommonContext(targetLocale, timezone), ...variables };
+    const body = getTemplateBody(key, targetLocale, overrides);
+
+    try {
+        return renderTemplate(body, fullContext);
+    } catch (error) {
+        logger.error(`Error rendering template ${key} (${targetLocale}), falling back to default: ${error.message}`, error);
+        return renderTemplate(getDefaultBody(key, targetLocale), fullContext);
+    }
+}
+
+/**
+ * 수신자 언어·시간대로 렌더링되는 언어별 메시지 생성 (message-service 에 전달)
+ * @param {string} key - 템플릿 키
+ * @param {Object|Function} [context] - 템플릿 변수 또는 (locale) => 템플릿 변수
+ * @param {Object} [overrides] - 작업별 재정의 본문 { 언어: 템플릿 본문 }
+ * @returns {Function} - (locale, timezone) => 렌더링된 메시지
+ */
+function localizedMessage(key, context = {}, overrides = {}) {
+    return (locale, timezone) => renderMessage(key, context, locale, overrides, timezone);
+}
+
+/**
+ * 임의의 본문을 공통 변수로 렌더링 (사용자 정의 메시지 스케줄용)
+ * 템플릿 문법 오류가 있으면 원문 그대로 반환
+ * @param {string} text - 메시지 본문
+ * @param {string} [locale] - 언어 코드
+ * @param {string} [timezone] - 공통 변수에 사용할 시간대
+ * @returns {string} - 렌더링된 메시지
+ */
+function renderText(text, locale = DEFAULT_LOCALE, timezone = null) {
+    try {
+        return renderTemplate(text, getCommonContext(normalizeLocale(locale), timezone));
+    } catch (error) {
+        logger.warn(`Message text is not a valid template, sending as is: ${error.message}`);
+        return text;
+    }
+}
+
+/**
+ * 템플릿 미리보기 (예시 데이터로 렌더링, 저장하지 않음)
+ * @param {string} key - 템플릿 키
+ * @param {string} [body] - 미리볼 본문 (없으면 현재 템플릿)
+ * @param {string} [locale] - 언어 코드
+ * @returns {Object} - { success, preview, message }
+ */
+function previewTemplate(key, body, locale = DEFAULT_LOCALE) {
+    const defaults = DEFAULT_TEMPLATES[key];
+    if (!defaults) {
+        return { success: false, message: `존재하지 않는 템플릿입니다: ${key}` };
+    }
+
+    const targetLocale = normalizeLocale(locale);
+    try {
+        const templateBody = typeof body === 'string' ? body : getTemplateBody(key, targetLocale);
+        const preview = renderTemplate(templateBody, { ...getCommonContext(targetLocale), ...defaults.sample(targetLocale) });
+        return { success: true, preview };
+    } catch (error) {
+        return { success: false, message: `템플릿 오류: ${error.message}` };
+    }
+}
+
+/**
+ * 사용자 지정 템플릿 저장
+ * @param {string} key - 템플릿 키
+ * @param {string} body - 템플릿 본문
+ * @param {string} [locale] - 언어 코드
+ * @returns {Object} - { success, message, templates }
+ */
+function updateTemplate(key, body, locale = DEFAULT_LOCALE) {
+    if (!DEFAULT_TEMPLATES[key]) {
+        return { success: false, message: `존재하지 않는 템플릿입니다: ${key}` };
+    }
+    if (typeof body !== 'string' || body.trim().length === 0) {
+        return { success: false, message: '템플릿 본문을 입력해주세요.' };
+    }
+
+    const validation = validateTemplate(body);
+    if (!validation.valid) {
+        return { success: false, message: `템플릿 오류: ${validation.error}` };
+    }
+
+    const targetLocale = normalizeLocale(locale);
+    const templates = {
+        ...(configService.loadConfig().templates || {}),
+        [key]: { ...getCustomBodies(key), [targetLocale]: body }
+    };
+    configService.updateTemplates(templates);
+    logger.info(`Message template updated: ${key} (${targetLocale})`);
+
+    return { success: true, message: '템플릿이 저장되었습니다.', templates: getTemplates() };
+}
+
+/**
+ * 템플릿을 기본값으로 되돌리기
+ * @param {string} key - 템플릿 키
+ * @param {string} [locale] - 언어 코드
+ * @returns {Object} - { success, message, templates }
+ */
+function resetTemplate(key, locale = DEFAULT_LOCALE) {
+    if (!DEFAULT_TEMPLATES[key]) {
+        return { success: false, message: `존재하지 않는 템플릿입니다: ${key}` };
+    }
+
+    const targetLocale = normalizeLocale(locale);
+    const templates = { ...(configService.loadConfig().templates || {}) };
+    const customBodies = { ...getCustomBodies(key) };
+    delete customBodies[targetLocale];
+
+    if (Object.keys(customBodies).length > 0) {
+        templates[key] = customBodies;
+    } else {
+        delete templates[key];
+    }
+    configService.updateTemplates(templates);
+    logger.info(`Message template reset to default: ${key} (${targetLocale})`);
+
+    return { success: true, message: '템플릿이 기본값으로 복원되었습니다.', templates: getTemplates() };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    getTemplates,
+    renderMessage,
+    localizedMessage,
+    renderText,
+    previewTemplate,
+    updateTemplate,
+    resetTemplate
+};
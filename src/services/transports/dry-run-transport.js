@@ -0,0 +1,64 @@
+// src/services/transports/dry-run-transport.js
+// 드라이런 전송 - 실제로 발송하지 않고 콘솔 또는 파일에 기록
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../logger');
+
+const DEFAULT_OUTPUT_FILE = path.join(__dirname, '../../../logs/dry-run-messages.log');
+
+class DryRunTransport {
+    /**
+     * @param {Object} options - 전송 설정
+     * @param {string} [options.output] - 'console' 또는 'file'
+     * @param {string} [options.filePath] - 파일 출력 시 경로 (프로젝트 루트 기준 상대 경로 허용)
+     */
+    constructor(options = {}) {
+        this.name = 'dry-run';
+        this.output = options.output === 'file' ? 'file' : 'console';
+        this.filePath = options.filePath
+            ? path.resolve(__dirname, '../../../', options.filePath)
+            : DEFAULT_OUTPUT_FILE;
+    }
+
+    /**
+     * 개인 메시지 기록
+     * @param {string} recipientEmail - 수신자 이메일
+     * @param {string} messageText - 메시지
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToUser(recipientEmail, messageText) {
+        return this.write(`single:${recipientEmail}`, messageText);
+    }
+
+    /**
+     * 채널 메시지 기록
+     * @param {string} channelId - 채널 ID
+     * @param {string} messageText - 메시지
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToChannel(channelId, messageText) {
+        return this.write(`channel:${channelId}`, messageText);
+    }
+
+    /**
+     * 메시지 기록
+     * @param {string} target - 대상 표기
+     * @param {string} messageText - 메시지
+     * @returns {Object} - 전송 결과 (항상 성공)
+     */
+    write(target, messageText) {
+        const entry = `[${new Date().toISOString()}] DRY-RUN → ${target}\n${messageText}\n`;
+
+        if (this.output === 'file') {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${entry}\n`, 'utf8');
+        } else {
+            logger.info(entry);
+        }
+
+        return { success: true, resCode: 'DRY_RUN', status: null, error: null };
+    }
+}
+
+module.exports = DryRunTransport;
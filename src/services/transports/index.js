@@ -0,0 +1,60 @@
+// src/services/transports/index.js
+// 메시지 전송 수단(transport) 레지스트리
+
+const NaverworksAlarmTransport = require('./naverworks-alarm-transport');
+const NaverworksBotTransport = require('./naverworks-bot-transport');
+const WebhookTransport = require('./webhook-transport');
+const SlackTransport = require('./slack-transport');
+const DryRunTransport = require('./dry-run-transport');
+
+/**
+ * 사용 가능한 전송 수단 목록
+ */
+const TRANSPORTS = {
+    'naverworks-alarm': NaverworksAlarmTransport,
+    'naverworks-bot': NaverworksBotTransport,
+    'webhook': WebhookTransport,
+    'slack': SlackTransport,
+    'dry-run': DryRunTransport
+};
+
+// 설정이 바뀌지 않는 한 같은 인스턴스를 재사용 (토큰 캐시 등 상태 유지)
+let cachedTransport = null;
+let cachedSignature = null;
+
+/**
+ * 메시징 설정에 맞는 전송 수단 인스턴스 반환
+ * @param {Object} messagingConfig - config.json의 messaging 섹션
+ * @returns {Object} - sendToUser/sendToChannel을 구현한 전송 수단
+ */
+function getTransport(messagingConfig) {
+    const transportName = messagingConfig.transport;
+    const TransportClass = TRANSPORTS[transportName];
+
+    if (!TransportClass) {
+        throw new Error(`Unknown messaging transport: ${transportName}`);
+    }
+
+    const options = messagingConfig.transports?.[transportName] || {};
+    const signature = JSON.stringify({ transportName, options });
+
+    if (!cachedTransport || cachedSignature !== signature) {
+        cachedTransport = new TransportClass(options);
+        cachedSignature = signature;
+    }
+
+    return cachedTransport;
+}
+
+/**
+ * 등록된 전송 수단 이름 목록 반환
+ * @returns {string[]} - 전송 수단 이름 배열
+ */
+function getAvailableTransports() {
+    return Object.keys(TRANSPORTS);
+}
+
+module.exports = {
+    getTransport,
+    getAvailableTransports
+};
@@ -0,0 +1,122 @@
+// src/services/transports/naverworks-alarm-transport.js
+// 사내 네이버웍스 알람 프록시 전송 (기존 danal alarm API)
+
+const fetch = require('node-fetch');
+const logger = require('../../../logger');
+const { parseRetryAfter } = require('../rate-limiter');
+
+const REQUEST_HEADERS = {
+    'Content-Type': 'text/plain; charset=UTF-8'
+};
+
+const CHANNEL_REQUEST_HEADERS = {
+    'Content-Type': 'application/json'
+};
+
+class NaverworksAlarmTransport {
+    /**
+     * @param {Object} options - 전송 설정
+     * @param {string} options.userApiUrlBase - 개인 메시지 API 기본 URL (수신자 이메일이 뒤에 붙음)
+     * @param {string} options.channelApiUrlBase - 채널 메시지 API 기본 URL (채널 ID가 뒤에 붙음)
+     */
+    constructor(options = {}) {
+        this.name = 'naverworks-alarm';
+        this.userApiUrlBase = options.userApiUrlBase;
+        this.channelApiUrlBase = options.channelApiUrlBase;
+
+        if (!this.userApiUrlBase || !this.channelApiUrlBase) {
+            throw new Error('naverworks-alarm transport requires userApiUrlBase and channelApiUrlBase');
+        }
+    }
+
+    /**
+     * 개인 메시지 전송
+     * @param {string} recipientEmail - 수신자 이메일
+     * @param {string} messageText - 전송할 메시지
+     * @returns {Promise<Object>} - 전송 결과 { success, resCode, status, error, retryAfterMs }
+     */
+    async sendToUser(recipientEmail, messageText) {
+        const apiUrl = `${this.userApiUrlBase}${recipientEmail}`;
+        logger.debug(`API URL: ${apiUrl}`);
+
+        const startTime = Date.now();
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: REQUEST_HEADERS,
+            body: messageText
+        });
+        const duration = Date.now() - startTime;
+
+        logger.debug(`Response status: ${response.status} ${response.statusText}`);
+        logger.logApiCall('POST', apiUrl, response.status, duration);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            return { success: false, resCode: null, status: response.status, error: `HTTP ${response.status}: ${errorText}`, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+        }
+
+        const data = await response.json();
+        logger.debug(`API Response data: ${JSON.stringify(data)}`);
+        return this.parseResponseData(data, response.status);
+    }
+
+    /**
+     * 채널 메시지 전송
+     * @param {string} channelId - 채널 ID
+     * @param {string} messageText - 전송할 메시지
+     * @returns {Promise<Object>} - 전송 결과 { success, resCode, status, error, retryAfterMs }
+     */
+    async sendToChannel(channelId, messageText) {
+        const apiUrl = `${this.channelApiUrlBase}${channelId}`;
+        logger.debug(`Channel API URL: ${apiUrl}`);
+
+        const startTime = Date.now();
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: CHANNEL_REQUEST_HEADERS,
+            body: Buffer.from(messageText, 'utf8')
+        });
+        const duration = Date.now() - startTime;
+
+        logger.debug(`Response status: ${response.status} ${response.statusText}`);
+        logger.debug(`Response headers: ${JSON.stringify(Object.fromEntries(response.headers))}`);
+        logger.logApiCall('POST', apiUrl, response.status, duration);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            return { success: false, resCode: null, status: response.status, error: `HTTP ${response.status}: ${errorText}`, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+        }
+
+        // 채널 API는 JSON이 아닌 응답을 주는 경우가 있어 텍스트로 먼저 읽음
+        const responseText = await response.text();
+        try {
+            const data = JSON.parse(responseText);
+            logger.debug(`Channel API Response data: ${JSON.stringify(data)}`);
+            return this.parseResponseData(data, response.status);
+        } catch (parseError) {
+            logger.debug(`Channel API Response (text): ${responseText}`);
+            return { success: true, resCode: null, status: response.status, error: null };
+        }
+    }
+
+    /**
+     * 알람 API 응답 데이터 해석 (resCode '0000'이 성공)
+     * @param {Object} data - 응답 JSON
+     * @param {number} status - HTTP 상태 코드
+     * @returns {Object} - 전송 결과
+     */
+    parseResponseData(data, status) {
+        if (data.resCode === '0000') {
+            return { success: true, resCode: data.resCode, status, error: null };
+        }
+
+        return {
+            success: false,
+            resCode: data.resCode || null,
+            status,
+            error: `resCode: ${data.resCode}, resMsg: ${data.resMsg || 'No message'}, data: ${JSON.stringify(data)}`
+        };
+    }
+}
+
+module.exports = NaverworksAlarmTransport;
@@ -0,0 +1,183 @@
+// src/services/transports/naverworks-auth.js
+// 네이버웍스 서비스 계정(JWT) 인증 - Access Token 발급/캐시/갱신
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const logger = require('../../../logger');
+
+// 만료 직전 토큰 사용을 피하기 위한 여유 시간
+const EXPIRY_MARGIN_MS = 60 * 1000;
+// JWT assertion 유효 시간 (네이버웍스 최대 60분)
+const ASSERTION_TTL_SECONDS = 60 * 60;
+
+/**
+ * base64url 인코딩
+ * @param {Buffer|string} input - 인코딩할 값
+ * @returns {string} - base64url 문자열
+ */
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=/g, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+class NaverworksTokenProvider {
+    /**
+     * @param {Object} options - 인증 설정
+     * @param {string} options.authUrl - 토큰 발급 URL
+     * @param {string} options.clientId - 앱 Client ID
+     * @param {string} options.clientSecret - 앱 Client Secret
+     * @param {string} options.serviceAccount - 서비스 계정 ID
+     * @param {string} [options.privateKey] - PEM 형식 개인키
+     * @param {string} [options.privateKeyPath] - 개인키 파일 경로 (프로젝트 루트 기준 상대 경로 허용)
+     * @param {string} [options.scope] - 요청 scope (기본값: bot)
+     */
+    constructor(options = {}) {
+        this.authUrl = options.authUrl;
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.serviceAccount = options.serviceAccount;
+        this.scope = options.scope || 'bot';
+        this.privateKey = options.privateKey || null;
+        this.privateKeyPath = options.privateKeyPath
+            ? path.resolve(__dirname, '../../../', options.privateKeyPath)
+            : null;
+
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.expiresAt = 0;
+        this.pendingRequest = null;
+    }
+
+    /**
+     * 유효한 Access Token 반환 (만료 시 자동 갱신)
+     * @returns {Promise<string>} - Access Token
+     */
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.expiresAt - EXPIRY_MARGIN_MS) {
+            return this.accessToken;
+        }
+
+        // 동시에 여러 전송이 갱신을 시도하지 않도록 진행 중인 요청 공유
+        if (!this.pendingRequest) {
+            this.pendingRequest = this.renewToken().finally(() => {
+                this.pendingRequest = null;
+            });
+        }
+
+        return this.pendingRequest;
+    }
+
+    /**
+     * 캐시된 토큰 폐기 (401 응답 시 호출)
+     */
+    invalidate() {
+        this.accessToken = null;
+        this.expiresAt = 0;
+    }
+
+    /**
+     * 토큰 갱신 - Refresh Token이 있으면 우선 사용하고 실패 시 JWT로 재발급
+     * @returns {Promise<string>} - Access Token
+     */
+    async renewToken() {
+        if (this.refreshToken) {
+            try {
+                return await this.requestToken({
+                    grant_type: 'refresh_token',
+                    refresh_token: this.refreshToken,
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret
+                });
+            } catch (error) {
+                logger.warn(`NAVER WORKS token refresh failed, issuing new token via JWT: ${error.message}`);
+                this.refreshToken = null;
+            }
+        }
+
+        return this.requestToken({
+            assertion: this.createAssertion(),
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            scope: this.scope
+        });
+    }
+
+    /**
+     * 토큰 엔드포인트 호출
+     * @param {Object} params - form 파라미터
+     * @returns {Promise<string>} - Access Token
+     */
+    async requestToken(params) {
+        const startTime = Date.now();
+        const response = await fetch(this.authUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(params).toString()
+        });
+        const duration = Date.now() - startTime;
+
+        logger.logApiCall('POST', this.authUrl, response.status, duration);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`NAVER WORKS token request failed - HTTP ${response.status}: ${errorText}`);
+        }
+
+        const data = await response.json();
+        if (!data.access_token) {
+            throw new Error(`NAVER WORKS token response has no access_token: ${JSON.stringify(data)}`);
+        }
+
+        this.accessToken = data.access_token;
+        this.expiresAt = Date.now() + (parseInt(data.expires_in, 10) || 0) * 1000;
+        if (data.refresh_token) {
+            this.refreshToken = data.refresh_token;
+        }
+
+        logger.info(`NAVER WORKS access token issued (${params.grant_type}), expires in ${data.expires_in}s`);
+        return this.accessToken;
+    }
+
+    /**
+     * 서비스 계정 JWT assertion 생성 (RS256)
+     * @returns {string} - 서명된 JWT
+     */
+    createAssertion() {
+        const now = Math.floor(Date.now() / 1000);
+        const header = { alg: 'RS256', typ: 'JWT' };
+        const claims = {
+            iss: this.clientId,
+            sub: this.serviceAccount,
+            iat: now,
+            exp: now + ASSERTION_TTL_SECONDS
+        };
+
+        const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+        const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.loadPrivateKey());
+
+        return `${unsigned}.${base64url(signature)}`;
+    }
+
+    /**
+     * 개인키 로드
+     * @returns {string} - PEM 형식 개인키
+     */
+    loadPrivateKey() {
+        if (this.privateKey) {
+            return this.privateKey;
+        }
+
+        if (this.privateKeyPath && fs.existsSync(this.privateKeyPath)) {
+            return fs.readFileSync(this.privateKeyPath, 'utf8');
+        }
+
+        throw new Error('NAVER WORKS private key is not configured (privateKey or privateKeyPath)');
+    }
+}
+
+module.exports = NaverworksTokenProvider;
@@ -0,0 +1,149 @@
+// src/services/transports/naverworks-bot-transport.js
+// 네이버웍스 Bot API 2.0 전송 (서비스 계정 JWT 인증)
+
+const fetch = require('node-fetch');
+const logger = require('../../../logger');
+const { parseRetryAfter } = require('../rate-limiter');
+const NaverworksTokenProvider = require('./naverworks-auth');
+const { normalizeMessage, MAX_CONTENT_TEXT_LENGTH } = require('../../utils/message-content');
+
+class NaverworksBotTransport {
+    /**
+     * @param {Object} options - 전송 설정
+     * @param {string} options.apiBaseUrl - Bot API 기본 URL (예: https://www.worksapis.com/v1.0)
+     * @param {string} options.authUrl - 토큰 발급 URL
+     * @param {string} options.botId - Bot ID
+     * @param {string} options.clientId - 앱 Client ID
+     * @param {string} options.clientSecret - 앱 Client Secret
+     * @param {string} options.serviceAccount - 서비스 계정 ID
+     * @param {string} [options.privateKey] - PEM 형식 개인키
+     * @param {string} [options.privateKeyPath] - 개인키 파일 경로
+     */
+    constructor(options = {}) {
+        this.name = 'naverworks-bot';
+        this.supportsRichContent = true;
+        this.apiBaseUrl = (options.apiBaseUrl || '').replace(/\/+$/, '');
+        this.botId = options.botId;
+
+        const missing = ['apiBaseUrl', 'authUrl', 'botId', 'clientId', 'clientSecret', 'serviceAccount']
+            .filter(key => !options[key]);
+        if (missing.length > 0) {
+            throw new Error(`naverworks-bot transport requires ${missing.join(', ')}`);
+        }
+
+        this.tokenProvider = new NaverworksTokenProvider(options);
+    }
+
+    /**
+     * 개인 메시지 전송
+     * @param {string} userId - 수신자 (네이버웍스 사용자 ID 또는 이메일)
+     * @param {string|Object} message - 전송할 메시지 (문자열 또는 메시지 객체)
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToUser(userId, message) {
+        const url = `${this.apiBaseUrl}/bots/${encodeURIComponent(this.botId)}/users/${encodeURIComponent(userId)}/messages`;
+        return this.postMessage(url, message);
+    }
+
+    /**
+     * 채널 메시지 전송
+     * @param {string} channelId - 채널 ID
+     * @param {string|Object} message - 전송할 메시지 (문자열 또는 메시지 객체)
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToChannel(channelId, message) {
+        const url = `${this.apiBaseUrl}/bots/${encodeURIComponent(this.botId)}/channels/${encodeURIComponent(channelId)}/messages`;
+        return this.postMessage(url, message);
+    }
+
+    /**
+     * 메시지 객체를 Bot API content 목록으로 변환
+     * 템플릿 본문이 길이 제한을 넘으면 전체 본문은 텍스트로 먼저 보내고 템플릿은 요약만 담아 보냄
+     * @param {string|Object} message - 문자열 또는 메시지 객체
+     * @returns {Array} - content 객체 배열
+     */
+    buildContents(message) {
+        const { text, content } = normalizeMessage(message);
+
+        if (!content) {
+            return [{ type: 'text', text }];
+        }
+
+        if (content.contentText && content.contentText.length > MAX_CONTENT_TEXT_LENGTH) {
+            const summary = text.split('\n')[0].slice(0, MAX_CONTENT_TEXT_LENGTH);
+            return [
+                { type: 'text', text },
+                { ...content, contentText: summary }
+            ];
+        }
+
+        return [content];
+    }
+
+    /**
+     * 메시지 전송 (여러 content로 나뉜 경우 순서대로 전송)
+     * @param {string} url - 메시지 API URL
+     * @param {string|Object} message - 전송할 메시지
+     * @returns {Promise<Object>} - 마지막 전송 결과 (중간 실패 시 해당 결과)
+     */
+    async postMessage(url, message) {
+        let result = null;
+        for (const content of this.buildContents(message)) {
+            result = await this.postContent(url, content);
+            if (!result.success) {
+                break;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 메시지 API 호출 (401 응답 시 토큰을 재발급하여 1회 재시도)
+     * @param {string} url - 메시지 API URL
+     * @param {Object} content - Bot API content 객체
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async postContent(url, content) {
+        const body = JSON.stringify({ content });
+
+        let response = await this.request(url, body);
+        if (response.status === 401) {
+            logger.warn('NAVER WORKS Bot API returned 401, renewing access token and retrying');
+            this.tokenProvider.invalidate();
+            response = await this.request(url, body);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            return { success: false, resCode: null, status: response.status, error: `HTTP ${response.status}: ${errorText}`, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+        }
+
+        return { success: true, resCode: String(response.status), status: response.status, error: null };
+    }
+
+    /**
+     * 인증 헤더를 포함한 POST 요청
+     * @param {string} url - 요청 URL
+     * @param {string} body - JSON 본문
+     * @returns {Promise<Object>} - fetch 응답
+     */
+    async request(url, body) {
+        const accessToken = await this.tokenProvider.getAccessToken();
+
+        const startTime = Date.now();
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json; charset=UTF-8'
+            },
+            body
+        });
+        const duration = Date.now() - startTime;
+
+        logger.logApiCall('POST', url, response.status, duration);
+        return response;
+    }
+}
+
+module.exports = NaverworksBotTransport;
@@ -0,0 +1,72 @@
+// src/services/transports/slack-transport.js
+// Slack 호환 Incoming Webhook 전송
+
+const fetch = require('node-fetch');
+const logger = require('../../../logger');
+const { parseRetryAfter } = require('../rate-limiter');
+
+class SlackTransport {
+    /**
+     * @param {Object} options - 전송 설정
+     * @param {string} options.webhookUrl - 기본 Incoming Webhook URL
+     * @param {Object} [options.channelWebhooks] - 채널 ID별 Webhook URL 매핑
+     */
+    constructor(options = {}) {
+        this.name = 'slack';
+        this.webhookUrl = options.webhookUrl;
+        this.channelWebhooks = options.channelWebhooks || {};
+
+        if (!this.webhookUrl) {
+            throw new Error('slack transport requires webhookUrl');
+        }
+    }
+
+    /**
+     * 개인 메시지 전송
+     * Incoming Webhook은 DM을 지원하지 않으므로 기본 Webhook에 수신자를 표기하여 게시
+     * @param {string} recipientEmail - 수신자 이메일
+     * @param {string} messageText - 전송할 메시지
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToUser(recipientEmail, messageText) {
+        return this.post(this.webhookUrl, `*[${recipientEmail}]*\n${messageText}`);
+    }
+
+    /**
+     * 채널 메시지 전송
+     * @param {string} channelId - 채널 ID
+     * @param {string} messageText - 전송할 메시지
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToChannel(channelId, messageText) {
+        const url = this.channelWebhooks[channelId] || this.webhookUrl;
+        return this.post(url, messageText);
+    }
+
+    /**
+     * Webhook 호출 (Slack은 성공 시 'ok' 텍스트를 반환)
+     * @param {string} url - Webhook URL
+     * @param {string} text - 메시지 본문
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async post(url, text) {
+        const startTime = Date.now();
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body: JSON.stringify({ text })
+        });
+        const duration = Date.now() - startTime;
+
+        logger.logApiCall('POST', url, response.status, duration);
+
+        const responseText = await response.text();
+        if (!response.ok) {
+            return { success: false, resCode: null, status: response.status, error: `HTTP ${response.status}: ${responseText}`, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+        }
+
+        return { success: true, resCode: responseText || null, status: response.status, error: null };
+    }
+}
+
+module.exports = SlackTransport;
@@ -0,0 +1,72 @@
+// src/services/transports/webhook-transport.js
+// 범용 웹훅 전송 - JSON 페이로드를 지정된 URL로 POST
+
+const fetch = require('node-fetch');
+const logger = require('../../../logger');
+const { parseRetryAfter } = require('../rate-limiter');
+
+class WebhookTransport {
+    /**
+     * @param {Object} options - 전송 설정
+     * @param {string} options.url - 웹훅 URL
+     * @param {Object} [options.headers] - 추가 요청 헤더 (인증 토큰 등)
+     */
+    constructor(options = {}) {
+        this.name = 'webhook';
+        this.url = options.url;
+        this.headers = options.headers || {};
+
+        if (!this.url) {
+            throw new Error('webhook transport requires url');
+        }
+    }
+
+    /**
+     * 개인 메시지 전송
+     * @param {string} recipientEmail - 수신자 이메일
+     * @param {string} messageText - 전송할 메시지
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToUser(recipientEmail, messageText) {
+        return this.post({ type: 'single', recipient: recipientEmail, text: messageText });
+    }
+
+    /**
+     * 채널 메시지 전송
+     * @param {string} channelId - 채널 ID
+     * @param {string} messageText - 전송할 메시지
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async sendToChannel(channelId, messageText) {
+        return this.post({ type: 'channel', channelId, text: messageText });
+    }
+
+    /**
+     * 웹훅 호출
+     * @param {Object} payload - 전송할 페이로드
+     * @returns {Promise<Object>} - 전송 결과
+     */
+    async post(payload) {
+        const startTime = Date.now();
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=UTF-8',
+                ...this.headers
+            },
+            body: JSON.stringify({ ...payload, sentAt: new Date().toISOString() })
+        });
+        const duration = Date.now() - startTime;
+
+        logger.logApiCall('POST', this.url, response.status, duration);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            return { success: false, resCode: null, status: response.status, error: `HTTP ${response.status}: ${errorText}`, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+        }
+
+        return { success: true, resCode: null, status: response.status, error: null };
+    }
+}
+
+module.exports = WebhookTransport;
@@ -0,0 +1,358 @@
+// src/utils/cron-utils.js
+// Cron 표현식 해석 - 다음 실행 시각 계산 (node-cron 과 같은 형식: [초] 분 시 일 월 요일)
+
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+// 날짜 범위를 넘는 표현식(예: 2월 30일)에서 무한 탐색하지 않도록 최대 탐색 일수 제한
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: '초', min: 0, max: 59 },
+    { name: '분', min: 0, max: 59 },
+    { name: '시', min: 0, max: 23 },
+    { name: '일', min: 1, max: 31 },
+    { name: '월', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: '요일', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+/**
+ * 필드 값 변환 (숫자 또는 영문 이름)
+ * @param {string} value - 필드 값
+ * @param {Object} field - 필드 정의
+ * @returns {number} - 숫자 값
+ */
+function parseValue(value, field) {
+    if (field.names) {
+        const nameIndex = field.names.indexOf(value.toLowerCase().slice(0, 3));
+        if (nameIndex !== -1 && /^[a-z]+$/i.test(value)) {
+            return nameIndex + field.nameOffset;
+        }
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${field.name} 필드의 값이 올바르지 않습니다: ${value}`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} 필드의 값은 ${field.min}~${field.max} 사이여야 합니다: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * 필드 하나를 허용 값 집합으로 변환 (*, 목록, 범위, 간격 지원)
+ * @param {string} expression - 필드 표현식 (예: 1-5, *\/15, MON,WED)
+ * @param {Object} field - 필드 정의
+ * @returns {Set<number>} - 허용 값
+ */
+function parseField(expression, field) {
+    const values = new Set();
+
+    expression.split(',').forEach(part => {
+        const [rangePart, stepPart] = part.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+        if (stepPart !== undefined && (!/^\d+$/.test(stepPart) || step < 1)) {
+            throw new Error(`${field.name} 필드의 간격이 올바르지 않습니다: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*' || rangePart === '?') {
+            start = field.min;
+            end = field.max;
+        } else if (rangePart.includes('-')) {
+            const [from, to] = rangePart.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`${field.name} 필드의 범위가 올바르지 않습니다: ${part}`);
+            }
+        } else {
+            start = parseValue(rangePart, field);
+            end = stepPart === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Cron 표현식 해석
+ * @param {string} expression - Cron 표현식 (5개 또는 6개 필드)
+ * @returns {Object} - { seconds, minutes, hours, days, months, weekdays } 각 필드의 허용 값 (정렬된 배열)
+ */
+function parseCronExpression(expression) {
+    const parts = String(expression || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length !== 5 && parts.length !== 6) {
+        throw new Error('Cron 표현식은 5개(분 시 일 월 요일) 또는 6개(초 분 시 일 월 요일) 필드여야 합니다.');
+    }
+    if (parts.length === 5) {
+        parts.unshift('0');
+    }
+
+    const [seconds, minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+        [...parseField(part, FIELDS[index])].sort((a, b) => a - b)
+    );
+
+    // 요일 7 은 일요일(0)과 같음
+    const normalizedWeekdays = [...new Set(weekdays.map(day => day % 7))].sort((a, b) => a - b);
+
+    return { seconds, minutes, hours, days, months, weekdays: normalizedWeekdays };
+}
+
+/**
+ * IANA 시간대 이름 확인
+ * @param {string} timeZone - 시간대 (예: Asia/Ho_Chi_Minh)
+ * @returns {boolean} - 사용할 수 있는 시간대이면 true
+ */
+function isValidTimezone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.trim().length === 0) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 시간대 기준 날짜/시각 구성요소
+ * @param {Date} date - 시각
+ * @param {string} timeZone - IANA 시간대 (예: Asia/Seoul)
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    });
+    return parts;
+}
+
+/**
+ * 시간대 기준 날짜/시각을 Date 로 변환
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA 시간대
+ * @returns {Date} - 해당 시각
+ */
+function zonedTimeToDate(parts, timeZone) {
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offsetAt = time => {
+        const zoned = getZonedParts(new Date(time), timeZone);
+        return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - time;
+    };
+
+    // 서머타임 경계를 고려해 오프셋을 한 번 더 보정
+    const firstGuess = asUtc - offsetAt(asUtc);
+    return new Date(asUtc - offsetAt(firstGuess));
+}
+
+/**
+ * 다음 실행 시각 목록 계산
+ * @param {string} expression - Cron 표현식
+ * @param {Object} [options] - { from: 기준 시각 (이 시각 이후), count: 개수, timezone: 시간대 }
+ * @returns {Array<Date>} - 실행 시각 배열 (오름차순)
+ */
+function getNextRuns(expression, { from = new Date(), count = 1, timezone = DEFAULT_TIMEZONE } = {}) {
+    const cron = parseCronExpression(expression);
+    const fromTime = from.getTime();
+    const start = getZonedParts(new Date(Math.floor(fromTime / 1000) * 1000 + 1000), timezone);
+    const startTuple = [start.hour, start.minute, start.second];
+    const results = [];
+
+    for (let offset = 0; offset < MAX_SEARCH_DAYS && results.length < count; offset++) {
+        const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth() + 1;
+        const date = day.getUTCDate();
+
+        if (!cron.months.includes(month) || !cron.days.includes(date) || !cron.weekdays.includes(day.getUTCDay())) {
+            continue;
+        }
+
+        for (const hour of cron.hours) {
+            for (const minute of cron.minutes) {
+                for (const second of cron.seconds) {
+                    // 첫날은 기준 시각 이전 시각 건너뛰기
+                    if (offset === 0 && compareTuple([hour, minute, second], startTuple) < 0) continue;
+
+                    const runAt = zonedTimeToDate({ year, month, day: date, hour, minute, second }, timezone);
+                    if (runAt.getTime() > fromTime) {
+                        results.push(runAt);
+                        if (results.length >= count) return results;
+                    }
+                }
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * 다음 실행 시각
+ * @param {string} expression - Cron 표현식
+ * @param {Date} [from] - 기준 시각
+ * @param {string} [timezone] - 시간대
+ * @returns {Date|null} - 다음 실행 시각 (없으면 null)
+ */
+function getNextRun(expression, from = new Date(), timezone = DEFAULT_TIMEZONE) {
+    return getNextRuns(expression, { from, count: 1, timezone })[0] || null;
+}
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * 값 목록을 표시 문자열로 변환 (연속된 3개 이상은 범위로 묶음, 예: 1~5, 10, 12)
+ * @param {Array<number>} values - 정렬된 값
+ * @param {Function} [label] - 값 표시 함수
+ * @returns {string} - 표시 문자열
+ */
+function formatValueList(values, label = String) {
+    const groups = [];
+    values.forEach(value => {
+        const last = groups[groups.length - 1];
+        if (last && value === last[last.length - 1] + 1) {
+            last.push(value);
+        } else {
+            groups.push([value]);
+        }
+    });
+    return groups.map(group => group.length >= 3
+        ? `${label(group[0])}~${label(group[group.length - 1])}`
+        : group.map(label).join(', ')
+    ).join(', ');
+}
+
+/**
+ * 최솟값부터 일정 간격으로 끝까지 반복되는 값인지 확인 (예: *\/15 → 15)
+ * @param {Array<number>} values - 정렬된 값
+ * @param {number} min - 필드 최솟값
+ * @param {number} max - 필드 최댓값
+ * @returns {number|null} - 간격 (해당하지 않으면 null)
+ */
+function getRepeatStep(values, min, max) {
+    if (values.length < 2 || values[0] !== min) {
+        return null;
+    }
+    const step = values[1] - values[0];
+    const isRegular = values.every((value, index) => value === min + step * index);
+    return step > 1 && isRegular && values[values.length - 1] + step > max ? step : null;
+}
+
+/**
+ * 시각 표시 (예: 오전 9시, 오후 2시 30분)
+ */
+function formatClock(hour, minute, second) {
+    const text = `${hour < 12 ? '오전' : '오후'} ${hour % 12 === 0 ? 12 : hour % 12}시`;
+    return `${text}${minute ? ` ${minute}분` : ''}${second ? ` ${second}초` : ''}`;
+}
+
+/**
+ * 반복 단위 표시 (예: 매분, 15분마다, 0, 30분)
+ */
+function formatRepeat(values, min, max, unit, everyLabel) {
+    if (values.length === max - min + 1) {
+        return everyLabel;
+    }
+    const step = getRepeatStep(values, min, max);
+    return step ? `${step}${unit}마다` : `${formatValueList(values)}${unit}`;
+}
+
+/**
+ * Cron 표현식을 한국어 설명으로 변환 (예: '0 9 * * 1-5' → '매주 월~금요일 오전 9시')
+ * 일(day)과 요일을 함께 지정하면 두 조건을 모두 만족하는 날에 실행 (node-cron 과 같음)
+ * @param {string} expression - Cron 표현식
+ * @returns {string} - 설명
+ */
+function describeCronExpression(expression) {
+    const { seconds, minutes, hours, days, months, weekdays } = parseCronExpression(expression);
+    const isEvery = (values, min, max) => values.length === max - min + 1;
+
+    // 날짜 부분
+    const dateParts = [];
+    const hasMonths = !isEvery(months, 1, 12);
+    const hasDays = !isEvery(days, 1, 31);
+    const hasWeekdays = weekdays.length < 7;
+    if (hasMonths) {
+        dateParts.push(formatValueList(months, month => `${month}월`));
+    }
+    if (hasDays) {
+        dateParts.push(`${hasMonths ? '' : '매월 '}${formatValueList(days)}일`);
+    }
+    if (hasWeekdays) {
+        dateParts.push(`${hasMonths || hasDays ? '' : '매주 '}${formatValueList(weekdays, day => WEEKDAY_LABELS[day])}요일`);
+    }
+    if (!hasDays && !hasWeekdays) {
+        dateParts.push('매일');
+    }
+
+    // 시각 부분
+    const hasHours = !isEvery(hours, 0, 23);
+    let timeText;
+    if (seconds.length === 1 && minutes.length === 1) {
+        const [minute] = minutes;
+        const [second] = seconds;
+        if (hours.length <= 4) {
+            timeText = hours.map(hour => formatClock(hour, minute, second)).join(', ');
+        } else {
+            const hourStep = getRepeatStep(hours, 0, 23);
+            let hourText = '매시 ';
+            if (hasHours) {
+                hourText = hourStep ? `${hourStep}시간마다 ` : `${formatValueList(hours)}시 `;
+            }
+            timeText = `${hourText}${minute || second ? `${minute}분${second ? ` ${second}초` : ''}` : '정각'}`;
+        }
+    } else {
+        const hourText = hasHours ? `${formatValueList(hours)}시 ` : '';
+        const minuteText = seconds.length === 1
+            ? formatRepeat(minutes, 0, 59, '분', '매분')
+            : `${isEvery(minutes, 0, 59) ? '' : `${formatValueList(minutes)}분 `}${formatRepeat(seconds, 0, 59, '초', '매초')}`;
+        timeText = `${hourText}${minuteText}`;
+    }
+
+    // '매일 5분마다' 처럼 날짜 제한이 없는 반복 작업은 날짜 부분 생략
+    const isRepeating = !(seconds.length === 1 && minutes.length === 1 && hours.length <= 4);
+    if (isRepeating && dateParts.length === 1 && dateParts[0] === '매일') {
+        return timeText;
+    }
+    return `${dateParts.join(' ')} ${timeText}`;
+}
+
+function compareTuple(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    parseCronExpression,
+    getZonedParts,
+    zonedTimeToDate,
+    getNextRuns,
+    getNextRun,
+    describeCronExpression
+};
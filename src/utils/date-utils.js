@@ -1,6 +1,8 @@
 // src/utils/date-utils.js
 // 날짜 관련 유틸리티 함수들
 
+const { DEFAULT_TIMEZONE } = require('./cron-utils');
+
 /**
  * 주차 계산 함수 (년도와 주차)
  * @param {Date} date - 계산할 날짜 (기본값: 현재 날짜)
@@ -24,12 +26,21 @@ function getWeekNumber(date) {
     return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
 }
 
+/**
+ * 지정한 시간대의 현재 날짜 반환 (getCurrentKSTDate 와 같은 형식)
+ * @param {string} [timeZone] - IANA 시간대 (없으면 KST)
+ * @returns {Date} - 해당 시간대의 현재 날짜
+ */
+function getCurrentDateInTimezone(timeZone) {
+    return new Date(new Date().toLocaleString("en-US", {timeZone: timeZone || DEFAULT_TIMEZONE}));
+}
+
 /**
  * KST 시간대의 현재 날짜 반환
  * @returns {Date} - KST 시간대의 현재 날짜
  */
 function getCurrentKSTDate() {
-    return new Date(new Date().toLocaleString("en-US", {timeZone: "Asia/Seoul"}));
+    return getCurrentDateInTimezone(DEFAULT_TIMEZONE);
 }
 
 /**
@@ -69,6 +80,7 @@ module.exports = {
     getWeekKey,
     getWeekNumber,
     getCurrentKSTDate,
+    getCurrentDateInTimezone,
     formatDateToKey,
     getWeekDates,
     DAY_NAMES
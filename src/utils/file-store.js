@@ -0,0 +1,224 @@
+// src/utils/file-store.js
+// 여러 인스턴스가 함께 쓰는 파일 - 가드 파일을 배타적으로 잡은 채 디스크의 최신 내용을 다시 읽고 고쳐 저장하거나, 줄 단위로 덧붙여 기록
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+
+// 가드 파일 (파일을 읽고 고치는 동안만 유지) 재시도 횟수·간격과 오래된 가드로 보는 시간
+const GUARD_ATTEMPTS = 250;
+const GUARD_RETRY_MS = 20;
+const GUARD_STALE_MS = 10000;
+
+/**
+ * 가드를 잡지 못했을 때의 오류
+ */
+class FileGuardBusyError extends Error {
+    constructor(file) {
+        super(`File guard for ${path.basename(file)} is busy`);
+        this.name = 'FileGuardBusyError';
+    }
+}
+
+/**
+ * 파일 쓰기 (임시 파일에 쓴 뒤 rename 으로 교체해서 읽는 쪽이 쓰다 만 파일을 보지 않도록)
+ * @param {string} file - 파일 경로
+ * @param {string} content - 내용
+ */
+function writeFileAtomic(file, content) {
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+        fs.writeFileSync(tempFile, content);
+        fs.renameSync(tempFile, file);
+    } finally {
+        fs.rmSync(tempFile, { force: true });
+    }
+}
+
+/**
+ * 파일을 배타적으로 생성 ('wx' - 여러 인스턴스 중 하나만 성공)
+ * @param {string} file - 파일 경로
+ * @param {string} content - 내용
+ * @returns {boolean} - 생성했으면 true (이미 있으면 false)
+ */
+function createFileExclusive(file, content) {
+    try {
+        fs.writeFileSync(file, content, { flag: 'wx' });
+        return true;
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 오래된 파일 치우기 (가드나 선점 파일을 잡은 채 종료된 인스턴스의 것)
+ * 다른 인스턴스가 먼저 치우고 새로 만든 파일은 건드리지 않도록 rename 후 같은 파일인지 확인
+ * @param {string} file - 파일 경로
+ * @param {number} staleMs - 마지막 수정 후 이 시간이 지나면 오래된 파일로 봄
+ * @returns {boolean} - 치웠으면 true
+ */
+function removeStaleFile(file, staleMs) {
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        return false;
+    }
+    if (Date.now() - stat.mtimeMs < staleMs) return false;
+
+    const staleFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.stale`;
+    try {
+        fs.renameSync(file, staleFile);
+    } catch (error) {
+        return false;
+    }
+    const removed = fs.statSync(staleFile).ino === stat.ino;
+    if (!removed) {
+        // 그 사이 새로 만들어진 파일이었으면 되돌림 (이미 다른 파일이 생겼으면 되돌리지 않음)
+        try {
+            fs.linkSync(staleFile, file);
+        } catch (error) {
+            // 무시
+        }
+    } else {
+        logger.warn(`Removed stale file ${path.basename(file)}`);
+    }
+    fs.rmSync(staleFile, { force: true });
+    return removed;
+}
+
+/**
+ * 가드 파일(<파일>.guard)을 배타적으로 생성한 채 fn 실행
+ * 가드는 잠깐만 유지되므로 잡혀 있으면 이벤트 루프를 막지 않고 잠시 기다렸다가 다시 시도
+ * @param {string} file - 보호할 파일 경로
+ * @param {Function} fn - 가드 안에서 실행할 함수
+ * @returns {Promise<*>} - fn 결과
+ * @throws {FileGuardBusyError} - 가드를 잡지 못한 경우
+ */
+async function withFileGuard(file, fn) {
+    const guardFile = `${file}.guard`;
+    for (let attempt = 0; attempt < GUARD_ATTEMPTS; attempt++) {
+        if (!createFileExclusive(guardFile, String(process.pid))) {
+            removeStaleFile(guardFile, GUARD_STALE_MS);
+            await new Promise(resolve => setTimeout(resolve, GUARD_RETRY_MS));
+            continue;
+        }
+
+        try {
+            return await fn();
+        } finally {
+            fs.rmSync(guardFile, { force: true });
+        }
+    }
+    throw new FileGuardBusyError(file);
+}
+
+/**
+ * JSON 파일 읽기
+ * @param {string} file - 파일 경로
+ * @param {*} defaultValue - 파일이 없을 때 값
+ * @returns {*} - 파싱한 값
+ */
+function readJsonFile(file, defaultValue) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')) || defaultValue;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return defaultValue;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 파일 버전 (바뀌었을 때만 다시 읽도록, writeFileAtomic 은 쓸 때마다 새 파일이므로 inode 가 바뀜)
+ * @param {string} file - 파일 경로
+ * @returns {string|null} - 버전 문자열 (파일이 없으면 null)
+ */
+function getFileVersion(file) {
+    try {
+        const stat = fs.statSync(file);
+        return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * JSON 파일 갱신 (가드 안에서 디스크의 최신 내용을 읽어 mutate 로 고친 뒤 저장)
+ * 다른 인스턴스가 그 사이 저장한 내용을 덮어쓰지 않도록 메모리의 사본이 아니라 디스크 내용을 고침
+ * @param {string} file - 파일 경로
+ * @param {*} defaultValue - 파일이 없을 때 값
+ * @param {Function} mutate - (data) => 결과 (data 를 직접 고침)
+ * @returns {Promise<Object>} - { data: 저장한 내용, result: mutate 결과 }
+ */
+function updateJsonFile(file, defaultValue, mutate) {
+    return withFileGuard(file, () => {
+        const data = readJsonFile(file, defaultValue);
+        const result = mutate(data);
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+        return { data, result };
+    });
+}
+
+/**
+ * JSON 한 줄 덧붙이기 (O_APPEND 로 쓰므로 여러 인스턴스가 동시에 덧붙여도 가드 없이 줄이 섞이지 않음)
+ * @param {string} file - 파일 경로
+ * @param {*} value - 기록할 값
+ */
+function appendJsonLine(file, value) {
+    fs.appendFileSync(file, `${JSON.stringify(value)}\n`);
+}
+
+/**
+ * JSON 줄 파일을 offset 부터 읽기 (다른 인스턴스가 쓰는 중인 마지막 줄은 다음에 읽도록 남김)
+ * @param {string} file - 파일 경로
+ * @param {number} [offset] - 읽기 시작할 위치 (바이트)
+ * @returns {Object} - { items: 읽은 값 배열, offset: 다음에 읽기 시작할 위치 }
+ */
+function readJsonLines(file, offset = 0) {
+    let content;
+    const fd = fs.openSync(file, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        if (size <= offset) {
+            return { items: [], offset };
+        }
+        content = Buffer.alloc(size - offset);
+        fs.readSync(fd, content, 0, content.length, offset);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const end = content.lastIndexOf(0x0a) + 1;
+    const items = [];
+    content.subarray(0, end).toString('utf8').split('\n').forEach(line => {
+        if (!line) return;
+        try {
+            items.push(JSON.parse(line));
+        } catch (error) {
+            logger.warn(`Skipping unreadable line in ${path.basename(file)}: ${error.message}`);
+        }
+    });
+    return { items, offset: offset + end };
+}
+
+module.exports = {
+    FileGuardBusyError,
+    writeFileAtomic,
+    createFileExclusive,
+    removeStaleFile,
+    withFileGuard,
+    readJsonFile,
+    getFileVersion,
+    updateJsonFile,
+    appendJsonLine,
+    readJsonLines
+};
@@ -0,0 +1,151 @@
+// src/utils/i18n.js
+// 다국어 지원 유틸리티 - 발송 메시지의 언어별 문구와 날짜 형식
+
+const DEFAULT_LOCALE = 'ko';
+
+/**
+ * 지원 언어 목록
+ */
+const LOCALES = {
+    ko: { name: '한국어', dateLocale: 'ko-KR' },
+    en: { name: 'English', dateLocale: 'en-US' }
+};
+
+/**
+ * 메시지에 들어가는 고정 문구 번역 (한국어 원문을 키로 사용)
+ */
+const TRANSLATIONS = {
+    en: {
+        '월요일': 'Monday',
+        '화요일': 'Tuesday',
+        '수요일': 'Wednesday',
+        '목요일': 'Thursday',
+        '금요일': 'Friday',
+        '토요일': 'Saturday',
+        '일요일': 'Sunday',
+        '미배정': 'Unassigned',
+        '확인했습니다': 'Acknowledge',
+        '대시보드에서 보기': 'View dashboard',
+        '주간 당직 편성 완료': 'Weekly duty schedule confirmed',
+        '수락': 'Accept',
+        '거절': 'Decline',
+        '승인': 'Approve',
+        '반려': 'Reject',
+        '당직 확인': 'Acknowledge duty',
+        '웹에서 확인': 'Acknowledge on web',
+        // 법정 공휴일 (holiday-service 의 이름, 회사 지정 휴일은 입력한 이름 그대로)
+        '신정': "New Year's Day",
+        '설날': 'Seollal',
+        '삼일절': 'Independence Movement Day',
+        '어린이날': "Children's Day",
+        '부처님오신날': "Buddha's Birthday",
+        '현충일': 'Memorial Day',
+        '광복절': 'Liberation Day',
+        '추석': 'Chuseok',
+        '개천절': 'National Foundation Day',
+        '한글날': 'Hangeul Day',
+        '기독탄신일': 'Christmas Day',
+        '{name} 연휴': '{name} holiday',
+        '대체공휴일({name})': 'Substitute holiday ({name})'
+    }
+};
+
+/**
+ * 지원하는 언어 코드로 변환 (en-US → en, 지원하지 않으면 fallback)
+ * @param {string} locale - 언어 코드
+ * @param {string} [fallback] - 기본 언어
+ * @returns {string} - 지원 언어 코드
+ */
+function normalizeLocale(locale, fallback = DEFAULT_LOCALE) {
+    if (!locale) {
+        return fallback;
+    }
+
+    const language = String(locale).toLowerCase().split(/[-_]/)[0];
+    return LOCALES[language] ? language : fallback;
+}
+
+/**
+ * 고정 문구 번역 (번역이 없으면 원문 반환)
+ * @param {string} locale - 언어 코드
+ * @param {string} text - 한국어 원문
+ * @returns {string} - 번역된 문구
+ */
+function translate(locale, text) {
+    const translations = TRANSLATIONS[normalizeLocale(locale)];
+    return (translations && translations[text]) || text;
+}
+
+/**
+ * 언어에 맞는 날짜 문자열
+ * @param {Date} date - 날짜
+ * @param {string} locale - 언어 코드
+ * @returns {string} - 예: 2025. 6. 2. / 6/2/2025
+ */
+function formatDate(date, locale) {
+    return date.toLocaleDateString(LOCALES[normalizeLocale(locale)].dateLocale);
+}
+
+/**
+ * 날짜 키를 언어에 맞는 날짜 문자열로 (서버 시간대와 관계없이 그 날짜 그대로)
+ * @param {string} dateKey - 날짜 키 (YYYY-MM-DD)
+ * @param {string} locale - 언어 코드
+ * @returns {string} - 예: 2025. 6. 2. / 6/2/2025
+ */
+function formatDateKey(dateKey, locale) {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(LOCALES[normalizeLocale(locale)].dateLocale, { timeZone: 'UTC' });
+}
+
+/**
+ * 휴일 이름 번역 (설날 연휴, 대체공휴일(추석) 같은 이름은 원래 공휴일 이름을 번역해 조합, 회사 지정 휴일은 그대로)
+ * @param {string} locale - 언어 코드
+ * @param {string} name - 휴일 이름
+ * @returns {string} - 번역된 휴일 이름
+ */
+function translateHolidayName(locale, name) {
+    if (!name) {
+        return name;
+    }
+    const holiday = name.match(/^(.+) 연휴$/);
+    if (holiday) {
+        return translate(locale, '{name} 연휴').replace('{name}', translate(locale, holiday[1]));
+    }
+    const substitute = name.match(/^대체공휴일\((.+)\)$/);
+    if (substitute) {
+        return translate(locale, '대체공휴일({name})').replace('{name}', translateHolidayName(locale, substitute[1]));
+    }
+    return translate(locale, name);
+}
+
+/**
+ * 언어에 맞는 시각 문자열 (정시 기준)
+ * @param {number} hour - 시 (0-23)
+ * @param {string} locale - 언어 코드
+ * @returns {string} - 예: 오후 2시 / 2 PM
+ */
+function formatHour(hour, locale) {
+    const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+    if (normalizeLocale(locale) === 'en') {
+        return `${hour12} ${hour < 12 ? 'AM' : 'PM'}`;
+    }
+    return `${hour < 12 ? '오전' : '오후'} ${hour12}시`;
+}
+
+/**
+ * 지원 언어 목록 (웹 UI용)
+ * @returns {Array} - [{ code, name }]
+ */
+function getSupportedLocales() {
+    return Object.entries(LOCALES).map(([code, locale]) => ({ code, name: locale.name }));
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    translate,
+    formatDate,
+    formatDateKey,
+    translateHolidayName,
+    formatHour,
+    getSupportedLocales
+};
@@ -0,0 +1,192 @@
+// src/utils/message-content.js
+// 메시지 모델 - 텍스트 / 리치 콘텐츠(버튼, 링크, 리스트, 플렉스) 생성 및 텍스트 변환
+
+// 네이버웍스 button_template / link 의 contentText 최대 길이
+const MAX_CONTENT_TEXT_LENGTH = 1000;
+
+/**
+ * URI 액션 생성 (클릭 시 링크 열기)
+ * @param {string} label - 버튼 라벨
+ * @param {string} uri - 이동할 URL
+ * @returns {Object} - 액션 객체
+ */
+function uriAction(label, uri) {
+    return { type: 'uri', label, uri };
+}
+
+/**
+ * 메시지 액션 생성 (클릭 시 봇에게 postback 전달)
+ * @param {string} label - 버튼 라벨
+ * @param {string} postback - 봇 콜백으로 전달될 값
+ * @returns {Object} - 액션 객체
+ */
+function messageAction(label, postback) {
+    return { type: 'message', label, text: label, postback };
+}
+
+/**
+ * 일반 텍스트 메시지 생성
+ * @param {string} text - 메시지 본문
+ * @returns {Object} - 메시지 객체
+ */
+function createTextMessage(text) {
+    return { text, content: null };
+}
+
+/**
+ * 버튼 템플릿 메시지 생성
+ * @param {string} text - 메시지 본문 (텍스트 대체 본문으로도 사용)
+ * @param {Array} actions - uriAction/messageAction 배열
+ * @returns {Object} - 메시지 객체
+ */
+function createButtonMessage(text, actions) {
+    return {
+        text,
+        content: {
+            type: 'button_template',
+            contentText: text,
+            actions
+        }
+    };
+}
+
+/**
+ * 링크 카드 메시지 생성
+ * @param {string} text - 메시지 본문
+ * @param {string} linkText - 링크 표시 텍스트
+ * @param {string} link - 링크 URL
+ * @returns {Object} - 메시지 객체
+ */
+function createLinkMessage(text, linkText, link) {
+    return {
+        text,
+        content: {
+            type: 'link',
+            contentText: text,
+            linkText,
+            link
+        }
+    };
+}
+
+/**
+ * 리스트 템플릿 메시지 생성 (항목 최대 4개)
+ * @param {string} text - 텍스트 대체 본문
+ * @param {Array} elements - { title, subtitle, action } 배열
+ * @param {Array} [actions] - 하단 버튼 액션 배열
+ * @returns {Object} - 메시지 객체
+ */
+function createListMessage(text, elements, actions = []) {
+    return {
+        text,
+        content: {
+            type: 'list_template',
+            elements: elements.slice(0, 4),
+            actions: actions.length > 0 ? [actions] : []
+        }
+    };
+}
+
+/**
+ * 플렉스 메시지 생성
+ * @param {string} text - 텍스트 대체 본문
+ * @param {Object} contents - 플렉스 컨테이너 (bubble/carousel)
+ * @param {string} [altText] - 알림에 표시될 요약 텍스트
+ * @returns {Object} - 메시지 객체
+ */
+function createFlexMessage(text, contents, altText = null) {
+    return {
+        text,
+        content: {
+            type: 'flex',
+            altText: altText || text.split('\n')[0],
+            contents
+        }
+    };
+}
+
+/**
+ * 문자열 또는 메시지 객체를 메시지 객체로 정규화
+ * @param {string|Object} message - 문자열 또는 메시지 객체
+ * @returns {Object} - { text, content }
+ */
+function normalizeMessage(message) {
+    if (typeof message === 'string') {
+        return createTextMessage(message);
+    }
+    return { text: message.text || '', content: message.content || null };
+}
+
+/**
+ * 리치 콘텐츠 포함 여부
+ * @param {string|Object} message - 문자열 또는 메시지 객체
+ * @returns {boolean} - 리치 콘텐츠 포함 여부
+ */
+function isRichMessage(message) {
+    return typeof message === 'object' && message !== null && !!message.content;
+}
+
+/**
+ * 리치 콘텐츠를 렌더링할 수 없는 전송 수단용 텍스트 변환
+ * URI 액션은 "라벨: URL" 줄로 덧붙이고, postback 액션은 생략
+ * @param {string|Object} message - 문자열 또는 메시지 객체
+ * @returns {string} - 텍스트 메시지
+ */
+function toPlainText(message) {
+    const { text, content } = normalizeMessage(message);
+    if (!content) {
+        return text;
+    }
+
+    const links = [];
+    if (content.type === 'link') {
+        links.push(`🔗 ${content.linkText}: ${content.link}`);
+    }
+    collectActions(content)
+        .filter(action => action.type === 'uri')
+        .forEach(action => links.push(`🔗 ${action.label}: ${action.uri}`));
+
+    return links.length > 0 ? `${text}\n\n${[...new Set(links)].join('\n')}` : text;
+}
+
+/**
+ * 콘텐츠 내의 모든 액션 수집 (플렉스 버튼 포함)
+ * @param {Object} content - 리치 콘텐츠
+ * @returns {Array} - 액션 배열
+ */
+function collectActions(content) {
+    const actions = [];
+
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (node.type === 'uri' || node.type === 'message') {
+            actions.push(node);
+            return;
+        }
+        Object.values(node).forEach(visit);
+    };
+
+    visit(content.actions);
+    visit(content.elements);
+    visit(content.contents);
+
+    return actions;
+}
+
+module.exports = {
+    MAX_CONTENT_TEXT_LENGTH,
+    uriAction,
+    messageAction,
+    createTextMessage,
+    createButtonMessage,
+    createLinkMessage,
+    createListMessage,
+    createFlexMessage,
+    normalizeMessage,
+    isRichMessage,
+    toPlainText
+};
@@ -0,0 +1,181 @@
+// src/utils/template-engine.js
+// 메시지 템플릿 엔진 - {{변수}}, {{#each}}, {{#if}}/{{else}}, {{#unless}} 지원
+
+const TAG_PATTERN = /\{\{\s*([#/]?)([^{}]*?)\s*\}\}/g;
+const BLOCK_TYPES = ['each', 'if', 'unless'];
+
+/**
+ * 템플릿 문자열을 구문 트리로 변환
+ * @param {string} template - 템플릿 문자열
+ * @returns {Array} - 노드 배열
+ */
+function parseTemplate(template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    // 현재 노드를 추가할 배열 ({{else}} 이후에는 elseChildren)
+    const targetOf = block => block.elseChildren || block.children;
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+        const current = stack[stack.length - 1];
+        const [raw, prefix, rawExpression] = match;
+        const expression = rawExpression.trim();
+
+        if (match.index > lastIndex) {
+            targetOf(current).push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + raw.length;
+
+        if (prefix === '#') {
+            const [blockType, ...args] = expression.split(/\s+/);
+            if (!BLOCK_TYPES.includes(blockType)) {
+                throw new Error(`알 수 없는 템플릿 블록입니다: {{#${blockType}}}`);
+            }
+            if (args.length !== 1) {
+                throw new Error(`{{#${blockType}}} 블록에는 변수 이름이 하나 필요합니다.`);
+            }
+            const block = { type: blockType, path: args[0], children: [], elseChildren: null };
+            targetOf(current).push(block);
+            stack.push(block);
+        } else if (prefix === '/') {
+            if (current.type !== expression) {
+                throw new Error(`짝이 맞지 않는 닫는 태그입니다: {{/${expression}}}`);
+            }
+            stack.pop();
+        } else if (expression === 'else') {
+            if (current.type !== 'if' && current.type !== 'unless' || current.elseChildren) {
+                throw new Error('{{else}}는 {{#if}} 또는 {{#unless}} 블록 안에서 한 번만 사용할 수 있습니다.');
+            }
+            current.elseChildren = [];
+        } else {
+            targetOf(current).push({ type: 'variable', path: expression });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`닫히지 않은 블록이 있습니다: {{#${stack[stack.length - 1].type}}}`);
+    }
+
+    if (lastIndex < template.length) {
+        root.children.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root.children;
+}
+
+/**
+ * 스코프 체인에서 변수 값 조회 (가까운 스코프부터, 점 표기 지원)
+ * @param {Array} scopes - 스코프 배열 (마지막이 가장 안쪽)
+ * @param {string} path - 변수 경로 (예: member.name, this, this.name, @index)
+ * @returns {*} - 변수 값 (없으면 undefined)
+ */
+function lookup(scopes, path) {
+    const [head, ...rest] = path.split('.');
+    const resolve = (base, keys) => keys.reduce(
+        (value, key) => (value === null || value === undefined ? undefined : value[key]),
+        base
+    );
+
+    if (head === 'this') {
+        return resolve(scopes[scopes.length - 1].this, rest);
+    }
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const vars = scopes[i].vars;
+        if (vars && Object.prototype.hasOwnProperty.call(vars, head)) {
+            return resolve(vars[head], rest);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * 변수 값을 문자열로 변환 (배열은 쉼표로 연결)
+ * @param {*} value - 변수 값
+ * @returns {string} - 문자열
+ */
+function stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(stringify).join(', ');
+    return String(value);
+}
+
+/**
+ * 조건 판단 (빈 배열은 거짓)
+ * @param {*} value - 값
+ * @returns {boolean} - 참/거짓
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * 구문 트리 렌더링
+ * @param {Array} nodes - 노드 배열
+ * @param {Array} scopes - 스코프 배열
+ * @returns {string} - 렌더링 결과
+ */
+function renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'variable':
+                return stringify(lookup(scopes, node.path));
+            case 'if':
+            case 'unless': {
+                const condition = isTruthy(lookup(scopes, node.path));
+                const passed = node.type === 'if' ? condition : !condition;
+                return renderNodes(passed ? node.children : (node.elseChildren || []), scopes);
+            }
+            case 'each': {
+                const items = lookup(scopes, node.path);
+                if (!Array.isArray(items)) return '';
+                return items.map((item, index) => {
+                    const vars = {
+                        '@index': index,
+                        '@number': index + 1,
+                        '@first': index === 0,
+                        '@last': index === items.length - 1,
+                        ...(item !== null && typeof item === 'object' ? item : {})
+                    };
+                    return renderNodes(node.children, [...scopes, { vars, this: item }]);
+                }).join('');
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * 템플릿 렌더링
+ * @param {string} template - 템플릿 문자열
+ * @param {Object} context - 템플릿 변수
+ * @returns {string} - 렌더링된 문자열
+ */
+function renderTemplate(template, context = {}) {
+    const nodes = parseTemplate(template || '');
+    return renderNodes(nodes, [{ vars: context, this: context }]);
+}
+
+/**
+ * 템플릿 문법 검사
+ * @param {string} template - 템플릿 문자열
+ * @returns {Object} - { valid, error }
+ */
+function validateTemplate(template) {
+    try {
+        parseTemplate(template || '');
+        return { valid: true, error: null };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+module.exports = {
+    renderTemplate,
+    validateTemplate
+};
@@ -0,0 +1,71 @@
+// test/availability-service.test.js
+// 팀원 부재 일정 서비스 테스트 - 부재 일정 검증, 저장, 날짜별 부재 조회
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const availabilityService = require('../src/services/availability-service');
+
+const MEMBERS = [
+    { id: 'kim', name: '김팀원', isAuthorized: true },
+    { id: 'lee', name: '이팀원', isAuthorized: false }
+];
+
+describe('availability-service', () => {
+    beforeEach(() => {
+        env.writeConfig({ teamMembers: MEMBERS });
+    });
+
+    it('부재 일정을 정리해 저장하고 종료일이 없으면 시작일 하루로 저장', () => {
+        const result = availabilityService.updateMemberAvailability([
+            { memberId: 'lee', startDate: '2026-10-21', period: 'am', reason: '병원' },
+            { memberId: 'kim', startDate: '2026-10-19', endDate: '2026-10-20' }
+        ]);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(env.readConfig().memberAvailability.map(record => [record.memberId, record.startDate, record.endDate, record.period]), [
+            ['kim', '2026-10-19', '2026-10-20', 'full'],
+            ['lee', '2026-10-21', '2026-10-21', 'am']
+        ]);
+    });
+
+    it('등록되지 않은 팀원, 잘못된 날짜·요일·시간대는 저장하지 않음', () => {
+        const invalid = [
+            [{ memberId: 'nobody', startDate: '2026-10-19' }, /등록되지 않은 팀원/],
+            [{ memberId: 'kim' }, /부재 기간이나 요일/],
+            [{ memberId: 'kim', startDate: '2026-13-01' }, /올바르지 않은 날짜/],
+            [{ memberId: 'kim', startDate: '2026-10-20', endDate: '2026-10-19' }, /종료일이 시작일보다 빠릅니다/],
+            [{ memberId: 'kim', weekdays: [7] }, /올바르지 않은 요일/],
+            [{ memberId: 'kim', startDate: '2026-10-19', period: 'night' }, /알 수 없는 부재 시간대/]
+        ];
+
+        invalid.forEach(([record, message]) => assert.match(availabilityService.updateMemberAvailability([record]).message, message));
+        assert.deepEqual(env.readConfig().memberAvailability, undefined);
+    });
+
+    it('기간과 매주 요일 부재를 날짜별로 조회하고 오전·오후 반차가 겹치면 종일 부재', () => {
+        availabilityService.updateMemberAvailability([
+            { memberId: 'kim', startDate: '2026-10-19', endDate: '2026-10-23', reason: '휴가' },
+            { memberId: 'lee', weekdays: [3], period: 'am' },
+            { memberId: 'lee', startDate: '2026-10-21', period: 'pm' },
+            { memberId: 'lee', startDate: '2026-10-28', period: 'pm' }
+        ]);
+
+        assert.deepEqual(availabilityService.getUnavailability('kim', '2026-10-20'), { period: 'full', reasons: ['휴가'] });
+        assert.equal(availabilityService.getUnavailability('kim', '2026-10-24'), null);
+        assert.equal(availabilityService.getUnavailability('lee', '2026-10-28').period, 'full');
+        assert.deepEqual(availabilityService.getUnavailableMembersOn('2026-10-21', MEMBERS), { unavailableMemberIds: ['kim', 'lee'], halfDayMemberIds: [] });
+        assert.deepEqual(availabilityService.getUnavailableMembersOn('2026-10-14', MEMBERS), { unavailableMemberIds: [], halfDayMemberIds: ['lee'] });
+    });
+
+    it('주어진 날짜 모두 종일 부재일 때만 자리를 비운 것으로 봄', () => {
+        availabilityService.updateMemberAvailability([{ memberId: 'kim', startDate: '2026-10-19', endDate: '2026-10-22' }]);
+
+        assert.equal(availabilityService.isAwayOnAll('kim', ['2026-10-19', '2026-10-22']), true);
+        assert.equal(availabilityService.isAwayOnAll('kim', ['2026-10-19', '2026-10-23']), false);
+        assert.equal(availabilityService.isAwayOnAll('kim', []), false);
+    });
+});
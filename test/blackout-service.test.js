@@ -0,0 +1,56 @@
+// test/blackout-service.test.js
+// 발송 중지 기간 테스트 - 기간 검증, 저장, 날짜·작업 종류별 적용 여부
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const blackoutService = require('../src/services/blackout-service');
+
+describe('blackout-service', () => {
+    beforeEach(() => {
+        env.writeConfig({});
+    });
+
+    it('이름, 날짜, 기간 순서, 작업 종류가 잘못되면 저장하지 않음', () => {
+        const invalid = [
+            [{ startDate: '2026-08-01' }, /이름을 입력해주세요/],
+            [{ name: '휴가', startDate: '2026-02-30x' }, /올바르지 않은 날짜입니다: 휴가/],
+            [{ name: '휴가', startDate: '2026-08-05', endDate: '2026-08-01' }, /종료일이 시작일보다 빠릅니다/],
+            [{ name: '휴가', startDate: '2026-08-01', jobTypes: ['fax'] }, /알 수 없는 작업 종류입니다: fax/]
+        ];
+
+        invalid.forEach(([period, message]) => assert.match(blackoutService.updateBlackoutPeriods([period]).message, message));
+        assert.equal(blackoutService.updateBlackoutPeriods({}).success, false);
+        assert.equal(env.readConfig().blackoutPeriods, undefined);
+    });
+
+    it('시작일순으로 저장하고 종료일이 없으면 하루짜리 기간', () => {
+        const result = blackoutService.updateBlackoutPeriods([
+            { id: 'summer', name: ' 여름 휴가 ', startDate: '2026-08-03', endDate: '2026-08-07', jobTypes: ['duty', 'duty'] },
+            { id: 'founding', name: '창립일', startDate: '2026-07-01' }
+        ]);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(env.readConfig().blackoutPeriods, [
+            { id: 'founding', name: '창립일', startDate: '2026-07-01', endDate: '2026-07-01', jobTypes: [] },
+            { id: 'summer', name: '여름 휴가', startDate: '2026-08-03', endDate: '2026-08-07', jobTypes: ['duty'] }
+        ]);
+    });
+
+    it('기간 안의 날짜에서 지정한 작업 종류만 막고, 종류를 지정하지 않은 기간은 모든 작업을 막음', () => {
+        const config = {
+            blackoutPeriods: [
+                { id: 'summer', name: '여름 휴가', startDate: '2026-08-03', endDate: '2026-08-07', jobTypes: ['duty'] },
+                { id: 'founding', name: '창립일', startDate: '2026-07-01', endDate: '2026-07-01', jobTypes: [] }
+            ]
+        };
+
+        assert.equal(blackoutService.getActiveBlackout('duty', '2026-08-07', config).id, 'summer');
+        assert.equal(blackoutService.getActiveBlackout('message', '2026-08-05', config), null);
+        assert.equal(blackoutService.getActiveBlackout('duty', '2026-08-08', config), null);
+        assert.equal(blackoutService.getActiveBlackout('message', new Date('2026-06-30T15:30:00Z'), config).id, 'founding');
+    });
+});
@@ -0,0 +1,108 @@
+// test/catch-up-leadership.test.js
+// 팔로워로 시작한 인스턴스의 놓친 실행 처리 테스트 - 재시작 전 임기가 남아 있어도 리더가 되었을 때 처리
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+// 8일 전에 스케줄러가 멈춘 상태로 시작
+const RUNS_FILE = path.join(env.dir, 'cache', 'job-runs', 'runs.json');
+const PAUSED_AT = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+fs.mkdirSync(path.dirname(RUNS_FILE), { recursive: true });
+fs.writeFileSync(RUNS_FILE, JSON.stringify({ runs: [], jobs: {}, schedulerActiveAt: PAUSED_AT }));
+
+// 재시작 전 프로세스의 리더 임기가 잠시 남아 있음
+const LOCK_DIR = path.join(env.dir, 'locks');
+fs.mkdirSync(LOCK_DIR, { recursive: true });
+fs.writeFileSync(path.join(LOCK_DIR, 'leader.lock'), JSON.stringify({
+    key: 'leader',
+    owner: 'node-old',
+    acquiredAt: PAUSED_AT,
+    expiresAt: new Date(Date.now() + 1500).toISOString()
+}));
+
+const configService = require('../src/services/config-service');
+const messageService = require('../src/services/message-service');
+const scheduleService = require('../src/services/schedule-service');
+const lockService = require('../src/services/lock-service');
+
+const DISABLED = { enabled: false };
+
+/**
+ * 조건을 만족할 때까지 대기 (제한 시간을 넘으면 false)
+ */
+async function waitFor(condition, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return true;
+}
+
+describe('팔로워로 시작한 뒤 리더가 된 인스턴스의 놓친 실행 처리', () => {
+    let server;
+    let startedAsLeader;
+    let missedAsFollower;
+    let activeAfterReschedule;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(200);
+            res.end('ok');
+        });
+        env.writeConfig({
+            teamMembers: [{ id: 'kim', name: '김당직', isAuthorized: true }],
+            defaultJobs: {
+                weekly_duty: DISABLED,
+                duty_reminder_2pm: DISABLED,
+                duty_reminder_4pm: DISABLED,
+                code_review_pairs: DISABLED,
+                laptop_duty: DISABLED,
+                duty_ack_followup: DISABLED,
+                duty_ack_escalation: DISABLED
+            },
+            schedules: [
+                { id: 'daily', type: 'message', cronSchedule: '0 9 * * *', message: '매일 안내', recipients: 'kim', catchUpPolicy: 'run_once' }
+            ],
+            cluster: { instanceId: 'node-new', leaseMs: 3000, backends: { file: { lockDir: LOCK_DIR } } },
+            messaging: {
+                transport: 'webhook',
+                recipientDomain: '@example.com',
+                transports: { webhook: { url: `${server.url}/hook` } }
+            }
+        });
+
+        // 서버 시작 순서와 같게 처리
+        lockService.onLeadershipGained(scheduleService.handleLeadershipGained);
+        startedAsLeader = await lockService.startLeaderElection();
+        missedAsFollower = await scheduleService.catchUpMissedRuns(configService.loadConfig());
+        scheduleService.rescheduleJobs(configService.loadConfig());
+        activeAfterReschedule = JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8')).schedulerActiveAt;
+    });
+
+    after(async () => {
+        scheduleService.clearAllScheduledJobs();
+        await lockService.stopLeaderElection();
+        await server.close();
+    });
+
+    it('팔로워일 때는 처리하지 않고 스케줄러 동작 시각도 앞당기지 않음', () => {
+        assert.equal(startedAsLeader, false);
+        assert.deepEqual(missedAsFollower, []);
+        assert.equal(activeAfterReschedule, PAUSED_AT);
+    });
+
+    it('이전 임기가 끝나 리더가 되면 놓친 실행을 처리하고 스케줄러 동작 시각을 앞당김', async () => {
+        const handled = await waitFor(() => messageService.getMessageHistory({ source: 'catch_up_custom_job_daily' }).total === 1, 6000);
+        await waitFor(() => JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8')).schedulerActiveAt !== PAUSED_AT, 1000);
+
+        assert.equal(handled, true);
+        assert.equal(lockService.isLeader(), true);
+        assert.ok(Date.now() - new Date(JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8')).schedulerActiveAt).getTime() < 10000);
+    });
+});
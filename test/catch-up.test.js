@@ -0,0 +1,145 @@
+// test/catch-up.test.js
+// 놓친 실행 처리 테스트 - 서버가 중단된 동안 실행되지 못한 작업을 처리 방식대로 실행, 건너뛰기, 알림
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+// 8일 전에 스케줄러가 멈춘 상태로 시작
+const runsDir = path.join(env.dir, 'cache', 'job-runs');
+fs.mkdirSync(runsDir, { recursive: true });
+fs.writeFileSync(path.join(runsDir, 'runs.json'), JSON.stringify({
+    runs: [],
+    jobs: {},
+    schedulerActiveAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString()
+}));
+
+const configService = require('../src/services/config-service');
+const messageService = require('../src/services/message-service');
+const scheduleService = require('../src/services/schedule-service');
+const holidayService = require('../src/services/holiday-service');
+const lockService = require('../src/services/lock-service');
+
+const DISABLED = { enabled: false };
+
+// 멈춘 기간 전체를 회사 지정 휴일로 지정
+const PAUSED_HOLIDAYS = Array.from({ length: 9 }, (_, daysAgo) => ({
+    date: holidayService.toDateKey(new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000)),
+    name: '휴무'
+}));
+
+describe('catchUpMissedRuns', () => {
+    let server;
+    let missed;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(200);
+            res.end('ok');
+        });
+        env.writeConfig({
+            teamMembers: [{ id: 'kim', name: '김당직', isAuthorized: true }],
+            defaultJobs: {
+                weekly_duty: DISABLED,
+                duty_reminder_2pm: DISABLED,
+                duty_reminder_4pm: DISABLED,
+                code_review_pairs: DISABLED,
+                laptop_duty: DISABLED,
+                duty_ack_followup: DISABLED,
+                duty_ack_escalation: DISABLED
+            },
+            schedules: [
+                { id: 'daily', type: 'message', cronSchedule: '0 9 * * *', message: '매일 안내', recipients: 'kim', catchUpPolicy: 'run_once' },
+                { id: 'weekly', type: 'message', cronSchedule: '0 9 * * 1', message: '주간 안내', recipients: 'kim', catchUpPolicy: 'notify' },
+                { id: 'minutely', type: 'message', cronSchedule: '* * * * *', message: '매분 안내', recipients: 'kim' },
+                { id: 'once', type: 'message', runAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(), message: '한 번만 안내', recipients: 'kim' },
+                { id: 'conditional', type: 'message', cronSchedule: '0 9 * * *', message: '활동 알림', recipients: 'kim', catchUpPolicy: 'run_once', conditions: [{ type: 'github_low_activity' }] },
+                { id: 'workday', type: 'message', cronSchedule: '0 9 * * *', message: '근무일 안내', recipients: 'kim', catchUpPolicy: 'run_once', skipOnHolidays: true }
+            ],
+            customHolidays: PAUSED_HOLIDAYS,
+            cluster: { instanceId: 'node-a', backends: { file: { lockDir: path.join(env.dir, 'locks') } } },
+            messaging: {
+                transport: 'webhook',
+                recipientDomain: '@example.com',
+                transports: { webhook: { url: `${server.url}/hook` } }
+            }
+        });
+
+        await lockService.startLeaderElection();
+        missed = await scheduleService.catchUpMissedRuns(configService.loadConfig());
+    });
+
+    after(async () => {
+        scheduleService.clearAllScheduledJobs();
+        await lockService.stopLeaderElection();
+        await server.close();
+    });
+
+    const findMissed = id => missed.find(job => job.id === id);
+    const findStatus = id => scheduleService.getSchedulesStatus().jobs.find(job => job.id === id);
+
+    it('멈춘 동안 실행됐어야 할 작업과 횟수를 찾고, 사용하지 않는 작업과 휴일에 건너뛰는 작업은 제외', () => {
+        assert.deepEqual(missed.map(job => job.id).sort(), ['custom_job_conditional', 'custom_job_daily', 'custom_job_minutely', 'custom_job_once', 'custom_job_weekly']);
+        assert.ok(findMissed('custom_job_daily').missedCount >= 7);
+        assert.ok([1, 2].includes(findMissed('custom_job_weekly').missedCount));
+        assert.match(findMissed('custom_job_weekly').firstMissedAt, /^\d{4}-\d{2}-\d{2} 09:00$/);
+    });
+
+    it('run_once 는 놓친 횟수와 관계없이 한 번만 실행하고 catch_up 으로 기록', () => {
+        const status = findStatus('custom_job_daily');
+
+        assert.equal(findMissed('custom_job_daily').policy, 'run_once');
+        assert.equal(status.lastOutcome, 'success');
+        assert.equal(status.recentRuns.length, 1);
+        assert.equal(status.recentRuns[0].trigger, 'catch_up');
+        assert.equal(messageService.getMessageHistory({ source: 'catch_up_custom_job_daily' }).total, 1);
+    });
+
+    it('실행 조건을 만족하지 않으면 발송하지 않고 건너뜀으로 기록', () => {
+        const status = findStatus('custom_job_conditional');
+
+        assert.equal(status.lastOutcome, 'skipped');
+        assert.match(status.lastMessage, /실행 조건\(GitHub 활동 부족 팀원 있음\)을 만족하지 않아 건너뜀/);
+        assert.deepEqual(status.conditions, ['GitHub 활동 부족 팀원 있음']);
+        assert.equal(messageService.getMessageHistory({ source: 'catch_up_custom_job_conditional' }).total, 0);
+    });
+
+    it('정책을 지정하지 않은 사용자 정의 스케줄은 건너뛰고 놓친 기록만 남김', () => {
+        const status = findStatus('custom_job_minutely');
+
+        assert.equal(findMissed('custom_job_minutely').policy, 'skip');
+        assert.equal(findMissed('custom_job_minutely').missedCount, '100+');
+        assert.equal(status.lastRunAt, null);
+        assert.match(status.lastMissedMessage, /서버 중단으로 100\+회 실행되지 않음 .*건너뜀/);
+        assert.equal(messageService.getMessageHistory({ source: 'catch_up_custom_job_minutely' }).total, 0);
+    });
+
+    it('notify 는 실행하지 않고 관리자 알림 대상에게 놓친 작업을 알림', () => {
+        const [alert] = messageService.getMessageHistory({ source: 'missed_run_alert' }).items;
+
+        assert.ok(findStatus('custom_job_weekly').lastMissedAt);
+        assert.equal(alert.recipient, 'kim@example.com');
+        assert.match(alert.body, /놓친 스케줄 알림/);
+        assert.match(alert.body, /• 일반 메시지: 주간 안내: [12]회 \(처음 놓친 시각 \d{4}-\d{2}-\d{2} 09:00\)/);
+        assert.doesNotMatch(alert.body, /매분 안내/);
+    });
+
+    it('발송 일시가 지난 일회성 스케줄은 처리 방식대로 처리한 뒤 보관 목록으로 옮김', () => {
+        const saved = env.readConfig();
+
+        assert.equal(findMissed('custom_job_once').missedCount, 1);
+        assert.ok(!saved.schedules.some(schedule => schedule.id === 'once'));
+        assert.equal(saved.scheduleArchive[0].id, 'once');
+        assert.equal(saved.scheduleArchive[0].outcome, 'missed');
+    });
+
+    it('스케줄을 다시 등록한 뒤에는 놓친 실행이 없음', async () => {
+        scheduleService.rescheduleJobs(configService.loadConfig());
+
+        assert.deepEqual(await scheduleService.catchUpMissedRuns(configService.loadConfig()), []);
+    });
+});
@@ -0,0 +1,51 @@
+// test/config-service.test.js
+// 설정 서비스 테스트 - 저장된 설정에 빠진 항목을 기본값으로 채우는지 확인
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const configService = require('../src/services/config-service');
+
+describe('config-service', () => {
+    it('메시징 설정은 전송 수단별로 기본값과 병합', () => {
+        env.writeConfig({
+            messaging: {
+                transport: 'webhook',
+                outbox: { maxAttempts: 2 },
+                transports: { webhook: { url: 'http://hook' } }
+            }
+        });
+
+        const messaging = configService.getMessagingConfig();
+
+        assert.equal(messaging.transport, 'webhook');
+        assert.deepEqual(messaging.transports.webhook, { url: 'http://hook', headers: {} });
+        assert.equal(messaging.transports.slack.webhookUrl, '');
+        assert.deepEqual(messaging.outbox, { maxAttempts: 2, baseDelayMs: 30000, maxDelayMs: 1800000 });
+        assert.equal(messaging.history.maxEntries, 5000);
+    });
+
+    it('채널 목록과 작업별 발송 대상이 없으면 기본값으로 채우고 저장한 대상은 유지', () => {
+        env.writeConfig({ jobTargets: { weekly_duty: { channels: ['ops'], users: [], groups: [] } } });
+
+        const config = configService.loadConfig();
+
+        assert.deepEqual(config.channels, []);
+        assert.deepEqual(config.jobTargets.weekly_duty.channels, ['ops']);
+        assert.deepEqual(config.jobTargets.laptop_duty.groups, ['all']);
+    });
+
+    it('채널 목록과 발송 대상 변경을 설정 파일에 저장', () => {
+        env.writeConfig({});
+
+        configService.updateChannels([{ id: 'ops', name: '운영', channelId: 'ops-channel-1' }]);
+        configService.updateJobTargets({ duty_reminder: { channels: ['ops'], users: ['kim'], groups: [] } });
+
+        const saved = env.readConfig();
+        assert.equal(saved.channels[0].channelId, 'ops-channel-1');
+        assert.deepEqual(saved.jobTargets.duty_reminder.users, ['kim']);
+    });
+});
@@ -0,0 +1,135 @@
+// test/cron-utils.test.js
+// Cron 표현식 해석·다음 실행 시각 계산 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidTimezone,
+    parseCronExpression,
+    getZonedParts,
+    zonedTimeToDate,
+    getNextRuns,
+    getNextRun,
+    describeCronExpression
+} = require('../src/utils/cron-utils');
+
+// 2026-01-02(금) 09:00 KST
+const FROM = new Date('2026-01-02T00:00:00Z');
+
+describe('parseCronExpression', () => {
+    it('5개 필드는 0초로 채우고 범위, 간격, 목록, 영문 이름을 해석', () => {
+        const cron = parseCronExpression('*/15 9-11 1,15 JAN,mar MON-FRI');
+
+        assert.deepEqual(cron.seconds, [0]);
+        assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+        assert.deepEqual(cron.hours, [9, 10, 11]);
+        assert.deepEqual(cron.days, [1, 15]);
+        assert.deepEqual(cron.months, [1, 3]);
+        assert.deepEqual(cron.weekdays, [1, 2, 3, 4, 5]);
+    });
+
+    it('6개 필드는 초부터 해석하고 시작값/간격은 최댓값까지 반복', () => {
+        const cron = parseCronExpression('30 5/20 0 * * *');
+
+        assert.deepEqual(cron.seconds, [30]);
+        assert.deepEqual(cron.minutes, [5, 25, 45]);
+    });
+
+    it('요일 7 은 일요일(0)과 같음', () => {
+        assert.deepEqual(parseCronExpression('0 9 * * 0,7').weekdays, [0]);
+    });
+
+    it('필드 개수가 맞지 않으면 예외', () => {
+        assert.throws(() => parseCronExpression('* * * *'), /5개\(분 시 일 월 요일\) 또는 6개/);
+        assert.throws(() => parseCronExpression(''), /5개\(분 시 일 월 요일\) 또는 6개/);
+    });
+
+    it('범위를 벗어난 값, 거꾸로 된 범위, 잘못된 간격과 이름은 예외', () => {
+        assert.throws(() => parseCronExpression('60 * * * *'), /분 필드의 값은 0~59 사이/);
+        assert.throws(() => parseCronExpression('0 17-9 * * *'), /시 필드의 범위가 올바르지 않습니다/);
+        assert.throws(() => parseCronExpression('*/0 * * * *'), /분 필드의 간격이 올바르지 않습니다/);
+        assert.throws(() => parseCronExpression('0 9 * * FUNDAY'), /요일 필드의 값이 올바르지 않습니다/);
+    });
+});
+
+describe('isValidTimezone', () => {
+    it('IANA 시간대만 허용', () => {
+        assert.equal(isValidTimezone('Asia/Seoul'), true);
+        assert.equal(isValidTimezone('America/New_York'), true);
+        assert.equal(isValidTimezone('Mars/Base'), false);
+        assert.equal(isValidTimezone(''), false);
+        assert.equal(isValidTimezone(null), false);
+    });
+});
+
+describe('getZonedParts / zonedTimeToDate', () => {
+    it('시간대 기준 구성요소로 바꿨다가 다시 같은 시각으로 되돌림', () => {
+        const parts = getZonedParts(FROM, 'Asia/Seoul');
+
+        assert.deepEqual(parts, { year: 2026, month: 1, day: 2, hour: 9, minute: 0, second: 0 });
+        assert.equal(zonedTimeToDate(parts, 'Asia/Seoul').toISOString(), FROM.toISOString());
+    });
+});
+
+describe('getNextRuns', () => {
+    it('기본 시간대(Asia/Seoul) 기준으로 기준 시각 이후만 계산하고 주말은 건너뜀', () => {
+        const runs = getNextRuns('0 9 * * 1-5', { from: FROM, count: 3 });
+
+        assert.deepEqual(runs.map(run => run.toISOString()), [
+            '2026-01-05T00:00:00.000Z',
+            '2026-01-06T00:00:00.000Z',
+            '2026-01-07T00:00:00.000Z'
+        ]);
+    });
+
+    it('다른 시간대의 벽시계 시각으로 계산', () => {
+        const runs = getNextRuns('0 9 * * *', { from: FROM, count: 1, timezone: 'America/New_York' });
+
+        assert.deepEqual(runs.map(run => run.toISOString()), ['2026-01-02T14:00:00.000Z']);
+    });
+
+    it('같은 날의 남은 시각과 초 필드도 계산', () => {
+        const runs = getNextRuns('*/20 0 9 * * *', { from: FROM, count: 3 });
+
+        assert.deepEqual(runs.map(run => run.toISOString()), [
+            '2026-01-02T00:00:20.000Z',
+            '2026-01-02T00:00:40.000Z',
+            '2026-01-03T00:00:00.000Z'
+        ]);
+    });
+
+    it('일과 요일을 함께 지정하면 둘 다 만족하는 날만', () => {
+        // 2026년 중 13일이 금요일인 달: 2월, 3월, 11월
+        const runs = getNextRuns('0 9 13 * FRI', { from: FROM, count: 3 });
+
+        assert.deepEqual(runs.map(run => run.toISOString().slice(0, 10)), ['2026-02-13', '2026-03-13', '2026-11-13']);
+    });
+});
+
+describe('getNextRun', () => {
+    it('다음 실행 시각 하나를 반환', () => {
+        assert.equal(getNextRun('0 9 * * *', FROM).toISOString(), '2026-01-03T00:00:00.000Z');
+    });
+
+    it('존재하지 않는 날짜(2월 30일)는 무한 탐색하지 않고 null', () => {
+        assert.equal(getNextRun('0 0 30 2 *', FROM), null);
+    });
+});
+
+describe('describeCronExpression', () => {
+    it('날짜와 시각을 한국어로 설명', () => {
+        assert.equal(describeCronExpression('0 9 * * 1-5'), '매주 월~금요일 오전 9시');
+        assert.equal(describeCronExpression('30 8 1 * *'), '매월 1일 오전 8시 30분');
+        assert.equal(describeCronExpression('0 14 * * 7'), '매주 일요일 오후 2시');
+        assert.equal(describeCronExpression('0 9 * * 1,3,5'), '매주 월, 수, 금요일 오전 9시');
+    });
+
+    it('날짜 제한이 없는 반복 작업은 반복 단위만', () => {
+        assert.equal(describeCronExpression('*/5 * * * *'), '5분마다');
+        assert.equal(describeCronExpression('0 */2 * * *'), '2시간마다 정각');
+    });
+
+    it('해석할 수 없는 표현식은 오류', () => {
+        assert.throws(() => describeCronExpression('every day'));
+    });
+});
@@ -0,0 +1,111 @@
+// test/duty-ack-service.test.js
+// 당직 확인 서비스 테스트 - 버튼·웹 링크 확인 기록, 미확인 당직자 확인 요청과 권한자 알림
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const configService = require('../src/services/config-service');
+const dutyAckService = require('../src/services/duty-ack-service');
+const messageService = require('../src/services/message-service');
+const { toDateKey } = require('../src/services/holiday-service');
+
+const TODAY = toDateKey(new Date());
+
+describe('duty-ack-service', () => {
+    let server;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(200);
+            res.end('ok');
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        env.writeConfig({
+            teamMembers: [
+                { id: 'kim', name: '김당직', isAuthorized: true },
+                { id: 'lee', name: '이당직', isAuthorized: false },
+                { id: 'park', name: '박권한', isAuthorized: true }
+            ],
+            dailyDutySchedule: { [TODAY]: { members: ['kim', 'lee'] } },
+            messaging: {
+                transport: 'webhook',
+                recipientDomain: '@example.com',
+                dashboardUrl: 'https://duty.example.com/',
+                transports: { webhook: { url: `${server.url}/hook` } }
+            }
+        });
+    });
+
+    it('당직자의 버튼 확인을 한 번만 기록하고 당직자가 아니면 거절', async () => {
+        const first = await dutyAckService.handlePostback('ack', TODAY, 'kim');
+        const again = await dutyAckService.handlePostback('ack', TODAY, 'kim');
+        const notOnDuty = dutyAckService.acknowledgeDuty(TODAY, 'park', 'button');
+
+        const status = dutyAckService.getAckStatus(TODAY);
+        assert.match(first.message, /확인이 기록되었습니다/);
+        assert.match(again.message, /이미/);
+        assert.match(notOnDuty.message, /당직자가 아닙니다/);
+        assert.equal(status.members.find(member => member.id === 'kim').method, 'button');
+        assert.deepEqual(status.pendingMemberIds, ['lee']);
+    });
+
+    it('웹 확인 링크는 그 팀원의 토큰일 때만 기록', () => {
+        const [, linkAction] = dutyAckService.buildAckActions(TODAY, 'ko', configService.loadConfig(), 'lee');
+        const url = new URL(linkAction.uri);
+        const token = url.searchParams.get('token');
+
+        const forged = dutyAckService.acknowledgeByLink(TODAY, 'kim', token);
+        const result = dutyAckService.acknowledgeByLink(TODAY, 'lee', token);
+
+        assert.equal(url.origin + url.pathname, 'https://duty.example.com/duty-ack');
+        assert.equal(forged.success, false);
+        assert.equal(result.success, true);
+        assert.equal(result.status.members.find(member => member.id === 'lee').method, 'link');
+    });
+
+    it('링크 검증만으로는 확인을 기록하지 않고 확인 여부와 팀원을 알려줌', () => {
+        const [, linkAction] = dutyAckService.buildAckActions(TODAY, 'ko', configService.loadConfig(), 'lee');
+        const token = new URL(linkAction.uri).searchParams.get('token');
+
+        const unconfirmed = dutyAckService.verifyAckLink(TODAY, 'lee', token);
+        dutyAckService.acknowledgeByLink(TODAY, 'lee', token);
+        const confirmed = dutyAckService.verifyAckLink(TODAY, 'lee', token);
+
+        assert.equal(unconfirmed.success, true);
+        assert.deepEqual(unconfirmed.member, { id: 'lee', name: '이당직' });
+        assert.equal(unconfirmed.acknowledged, false);
+        assert.equal(confirmed.acknowledged, true);
+        assert.equal(dutyAckService.verifyAckLink(TODAY, 'lee', 'forged').success, false);
+    });
+
+    it('확인하지 않은 당직자에게만 확인 요청 DM 을 보내고 단계 시각을 기록', async () => {
+        dutyAckService.acknowledgeDuty(TODAY, 'kim', 'dashboard');
+
+        const result = await dutyAckService.sendAckFollowUps({ source: 'duty_ack_followup' });
+
+        const sent = messageService.getMessageHistory({ source: 'duty_ack_followup' }).items;
+        assert.equal(result.success, true);
+        assert.deepEqual(sent.map(entry => entry.recipient), ['lee@example.com']);
+        assert.ok(dutyAckService.getAckStatus(TODAY).escalations.members);
+    });
+
+    it('미확인 당직자를 권한 있는 팀원에게 알리고, 모두 확인했으면 보내지 않음', async () => {
+        const escalated = await dutyAckService.sendAckEscalation({ source: 'duty_ack_escalation' });
+        dutyAckService.acknowledgeDuty(TODAY, 'kim', 'button');
+        dutyAckService.acknowledgeDuty(TODAY, 'lee', 'button');
+        const afterAck = await dutyAckService.sendAckEscalation({ source: 'duty_ack_escalation' });
+
+        const recipients = messageService.getMessageHistory({ source: 'duty_ack_escalation' }).items.map(entry => entry.recipient).sort();
+        assert.equal(escalated.success, true);
+        assert.deepEqual(recipients, ['kim@example.com', 'park@example.com']);
+        assert.match(afterAck.message, /모두 확인했습니다/);
+        assert.deepEqual(afterAck.sendResults, []);
+    });
+});
@@ -0,0 +1,242 @@
+// test/duty-service.test.js
+// 당직 서비스 테스트 - 주간 당직표 생성 규칙과 미리보기
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const dutyService = require('../src/services/duty-service');
+const { getWeekDates } = require('../src/utils/date-utils');
+
+const MEMBERS = [
+    { id: 'kim', name: '김권한', isAuthorized: true },
+    { id: 'park', name: '박권한', isAuthorized: true },
+    { id: 'lee', name: '이팀원', isAuthorized: false },
+    { id: 'choi', name: '최팀원', isAuthorized: false },
+    { id: 'jung', name: '정팀원', isAuthorized: false }
+];
+
+describe('generateWeeklyScheduleData', () => {
+    it('평일 휴일은 주말처럼 금~일 당직자가 담당', async () => {
+        const wednesday = getWeekDates()[2];
+        env.writeConfig({ teamMembers: MEMBERS, customHolidays: [{ date: wednesday, name: '창립기념일' }] });
+
+        const { schedule } = await dutyService.generateWeeklyScheduleData(MEMBERS, 'week', { seed: 1 });
+
+        const holiday = schedule[2];
+        const friday = schedule[4];
+        const ids = day => day.members.map(member => member.id).sort();
+        assert.equal(holiday.date, wednesday);
+        assert.equal(holiday.isHoliday, true);
+        assert.equal(holiday.isWeekend, true);
+        assert.equal(holiday.holidayName, '창립기념일');
+        assert.deepEqual(ids(holiday), ids(friday));
+        assert.equal(schedule[1].isHoliday, false);
+        assert.ok(schedule.every(day => day.members.length === 2));
+    });
+
+    it('종일 부재인 날에는 그 팀원을 배정하지 않음', async () => {
+        const weekDates = getWeekDates();
+        env.writeConfig({
+            teamMembers: MEMBERS,
+            memberAvailability: [{ id: 'kim_off', memberId: 'kim', startDate: weekDates[0], endDate: weekDates[2], weekdays: [], period: 'full', reason: '휴가' }]
+        });
+
+        const { schedule, solution } = await dutyService.generateWeeklyScheduleData(MEMBERS, 'week', { seed: 5 });
+
+        assert.ok(schedule.slice(0, 3).every(day => !day.members.some(member => member.id === 'kim')));
+        assert.ok(solution.constraints.find(constraint => constraint.key === 'member_available').satisfied);
+    });
+});
+
+describe('previewWeeklyDutySchedule', () => {
+    it('같은 시드로 다시 미리보면 같은 당직표와 시드, 지킨 조건을 돌려줌', async () => {
+        env.writeConfig({ teamMembers: MEMBERS });
+
+        const first = await dutyService.previewWeeklyDutySchedule({ seed: 'spring' });
+        const second = await dutyService.previewWeeklyDutySchedule({ seed: 'spring' });
+
+        assert.equal(first.success, true);
+        assert.equal(second.solution.seed, first.solution.seed);
+        assert.deepEqual(second.data, first.data);
+        assert.ok(first.solution.constraints.every(constraint => constraint.satisfied));
+        assert.match(first.preview, new RegExp(`${first.solution.seed}`));
+    });
+
+    it('팀원이 2명보다 적으면 실패', async () => {
+        env.writeConfig({ teamMembers: MEMBERS.slice(0, 1) });
+
+        const result = await dutyService.previewWeeklyDutySchedule();
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /최소 2명/);
+    });
+});
+
+describe('resolvePlanRange', () => {
+    it('주 단위 기간은 이번 주 월요일 기준, 한 달은 그 달 1일부터 말일까지', () => {
+        const monday = getWeekDates()[0];
+
+        const nextWeek = dutyService.resolvePlanRange({ range: 'next_week' }).range;
+        const fourWeeks = dutyService.resolvePlanRange({ range: 'next_4_weeks' }).range;
+        const february = dutyService.resolvePlanRange({ range: 'month', month: '2028-02' }).range;
+
+        assert.equal(nextWeek.dates.length, 7);
+        assert.ok(nextWeek.startDate > monday);
+        assert.equal(fourWeeks.dates.length, 28);
+        assert.equal(fourWeeks.startDate, nextWeek.startDate);
+        assert.equal(february.startDate, '2028-02-01');
+        assert.equal(february.endDate, '2028-02-29');
+        assert.equal(february.key, '2/1~2/29');
+    });
+
+    it('알 수 없는 기간, 거꾸로 된 날짜, 최대 일수를 넘는 기간은 실패', () => {
+        assert.match(dutyService.resolvePlanRange({ range: 'year' }).message, /알 수 없는 편성 기간/);
+        assert.match(dutyService.resolvePlanRange({ range: 'custom', startDate: '2026-11-10', endDate: '2026-11-01' }).message, /종료일이 시작일보다/);
+        assert.match(dutyService.resolvePlanRange({ range: 'custom', startDate: '2026-01-01', endDate: '2026-12-31' }).message, /최대 62일/);
+    });
+});
+
+describe('여러 주 당직 편성', () => {
+    let server;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(200);
+            res.end('ok');
+        });
+    });
+
+    after(() => server.close());
+
+    /**
+     * 팀원과 웹훅 전송 설정 저장
+     * @param {Object} [overrides] - 덮어쓸 설정
+     */
+    const writeConfig = (overrides = {}) => env.writeConfig({
+        teamMembers: MEMBERS.map(member => ({ ...member, dutyCount: 0 })),
+        messaging: { transport: 'webhook', transports: { webhook: { url: `${server.url}/hook` } } },
+        ...overrides
+    });
+
+    it('다음 4주를 한 번에 편성하면 주마다 금~일을 같은 당직자로 배정하고 팀원별 횟수를 요약', async () => {
+        writeConfig();
+
+        const result = await dutyService.previewWeeklyDutySchedule({ range: 'next_4_weeks', seed: 9 });
+
+        const weekKeys = [...new Set(result.data.map(day => day.weekKey))];
+        assert.equal(result.success, true);
+        assert.equal(result.data.length, 28);
+        assert.equal(weekKeys.length, 4);
+        weekKeys.forEach(weekKey => {
+            const weekend = result.data.filter(day => day.weekKey === weekKey && [0, 5, 6].includes(day.dayOfWeek));
+            assert.equal(new Set(weekend.map(day => day.members.map(member => member.id).sort().join())).size, 1);
+        });
+        assert.equal(result.memberSummary.reduce((sum, member) => sum + member.added, 0), 56);
+    });
+
+    it('확정하면 기간 전체를 저장하고 이미 편성된 날은 이전 당직자의 횟수를 되돌림', async () => {
+        const { range } = dutyService.resolvePlanRange({ range: 'next_week' });
+        writeConfig({ dailyDutySchedule: { [range.startDate]: { members: ['lee', 'choi'] } } });
+        const config = env.readConfig();
+        config.teamMembers.forEach(member => { member.dutyCount = ['lee', 'choi'].includes(member.id) ? 1 : 0; });
+        env.writeConfig(config);
+        const preview = await dutyService.previewWeeklyDutySchedule({ range: 'next_week', seed: 4 });
+
+        const result = await dutyService.confirmWeeklyDutySchedule(preview.data);
+
+        const saved = env.readConfig();
+        assert.equal(result.success, true);
+        assert.ok(range.dates.every(dateKey => saved.dailyDutySchedule[dateKey].members.length === 2));
+        assert.equal(saved.teamMembers.reduce((sum, member) => sum + member.dutyCount, 0), 14);
+    });
+
+    it('등록되지 않은 팀원이 있는 편성은 확정하지 않음', async () => {
+        writeConfig();
+
+        const result = await dutyService.confirmWeeklyDutySchedule([{ date: '2026-11-02', members: [{ id: 'ghost' }] }]);
+
+        assert.match(result.message, /확정할 수 없는 당직 편성입니다: 2026-11-02/);
+        assert.deepEqual(env.readConfig().dailyDutySchedule, undefined);
+    });
+
+    /**
+     * 다음 주 미리보기와 그중 평일 하루
+     * @returns {Promise<Object>} - { data: 미리보기 데이터, weekday: 평일 항목, others: 그날 당직자가 아닌 팀원 id }
+     */
+    const previewNextWeek = async () => {
+        const preview = await dutyService.previewWeeklyDutySchedule({ range: 'next_week', seed: 4 });
+        const weekday = preview.data.find(day => !day.isWeekendRun);
+        const pair = weekday.members.map(member => member.id);
+        return { data: preview.data, weekday, others: MEMBERS.map(member => member.id).filter(id => !pair.includes(id)) };
+    };
+
+    it('미리본 뒤 부재가 등록된 팀원이 있는 편성은 서버에서 다시 검사해 거부', async () => {
+        writeConfig();
+        const { data, weekday } = await previewNextWeek();
+        const config = env.readConfig();
+        config.memberAvailability = [{ id: 'off', memberId: weekday.members[0].id, startDate: weekday.date, endDate: weekday.date, weekdays: [], period: 'full', reason: '휴가' }];
+        env.writeConfig(config);
+
+        const result = await dutyService.confirmWeeklyDutySchedule(data);
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /휴가·부재 팀원 제외/);
+        assert.equal(env.readConfig().dailyDutySchedule, undefined);
+    });
+
+    it('권한자를 넣을 수 있는데 뺀 편성과 하루 2명이 아닌 편성은 거부', async () => {
+        writeConfig();
+        const { data, weekday } = await previewNextWeek();
+
+        const withoutAuthorized = data.map(day => (day === weekday ? { ...day, members: [{ id: 'choi' }, { id: 'jung' }] } : day));
+        const understaffed = data.map(day => (day === weekday ? { ...day, members: [{ id: 'kim' }] } : day));
+
+        assert.match((await dutyService.confirmWeeklyDutySchedule(withoutAuthorized)).message, /하루 최소 1명은 권한자/);
+        assert.match((await dutyService.confirmWeeklyDutySchedule(understaffed)).message, /2명이 아닌 날/);
+        assert.equal(env.readConfig().dailyDutySchedule, undefined);
+    });
+
+    it('당직 발송 중지 기간에는 확정하지 않음', async () => {
+        writeConfig();
+        const { data } = await previewNextWeek();
+        writeConfig({ blackoutPeriods: [{ id: 'freeze', name: '연말 동결', startDate: '2000-01-01', endDate: '2999-12-31', jobTypes: ['duty'] }] });
+
+        const result = await dutyService.confirmWeeklyDutySchedule(data);
+
+        assert.match(result.message, /발송 중지 기간\(연말 동결\)/);
+        assert.equal(env.readConfig().dailyDutySchedule, undefined);
+    });
+
+    it('확인 응답을 받았거나 교환 요청이 처리 중인 날의 당직자는 바꾸지 않음', async () => {
+        writeConfig();
+        const { data, weekday, others } = await previewNextWeek();
+        const stored = { members: others.slice(0, 2) };
+
+        writeConfig({ dailyDutySchedule: { [weekday.date]: { ...stored, acknowledgements: { [others[0]]: { at: '2026-01-01T00:00:00.000Z', method: 'link' } } } } });
+        const acknowledged = await dutyService.confirmWeeklyDutySchedule(data);
+        writeConfig({
+            dailyDutySchedule: { [weekday.date]: stored },
+            dutySwapRequests: [{ id: 'swap_1', status: 'pending', requesterId: others[0], requesterDate: weekday.date, targetId: others[2], createdAt: '2026-01-01T00:00:00.000Z' }]
+        });
+        const swapping = await dutyService.confirmWeeklyDutySchedule(data);
+
+        assert.match(acknowledged.message, new RegExp(`확인 응답을 받은 날은 당직자를 바꿀 수 없습니다: ${weekday.date}`));
+        assert.match(swapping.message, new RegExp(`교환 요청이 처리 중인 날은 당직자를 바꿀 수 없습니다: ${weekday.date}`));
+        assert.deepEqual(env.readConfig().dailyDutySchedule, { [weekday.date]: stored });
+    });
+
+    it('당직자가 그대로인 날은 확인 응답 기록을 유지하고 확정', async () => {
+        writeConfig();
+        const { data, weekday } = await previewNextWeek();
+        const acknowledgements = { [weekday.members[0].id]: { at: '2026-01-01T00:00:00.000Z', method: 'link' } };
+        writeConfig({ dailyDutySchedule: { [weekday.date]: { members: weekday.members.map(member => member.id).reverse(), acknowledgements } } });
+
+        const result = await dutyService.confirmWeeklyDutySchedule(data);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(env.readConfig().dailyDutySchedule[weekday.date].acknowledgements, acknowledgements);
+    });
+});
@@ -0,0 +1,205 @@
+// test/duty-solver.test.js
+// 당직 제약 조건 솔버 테스트
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSeed, solveDutySchedule, checkHardConstraints } = require('../src/services/duty-solver');
+const { addDays, getDayOfWeek } = require('../src/services/holiday-service');
+
+// 2026-10-19(월)부터 2주, 이 기간에는 공휴일이 없음
+const START_DATE = '2026-10-19';
+
+/**
+ * 편성 날짜 목록 (금~일은 주말 당직)
+ * @param {number} count - 날 수
+ * @param {Object} [options] - { unavailable: { 날짜: [팀원 id] }, halfDay: { 날짜: [팀원 id] } }
+ * @returns {Array} - 솔버 입력 days
+ */
+function buildDays(count, { unavailable = {}, halfDay = {} } = {}) {
+    return Array.from({ length: count }, (_, index) => {
+        const date = addDays(START_DATE, index);
+        return {
+            date,
+            isWeekendRun: [0, 5, 6].includes(getDayOfWeek(date)),
+            unavailableMemberIds: unavailable[date] || [],
+            halfDayMemberIds: halfDay[date] || []
+        };
+    });
+}
+
+/**
+ * 팀원 목록
+ * @param {Array<string>} ids - 팀원 id
+ * @param {number} [authorizedCount] - 앞에서부터 권한자 수
+ * @returns {Array} - 솔버 입력 members
+ */
+function buildMembers(ids, authorizedCount = 2) {
+    return ids.map((id, index) => ({ id, name: id.toUpperCase(), isAuthorized: index < authorizedCount, dutyCount: 0 }));
+}
+
+/**
+ * 팀원별 배정 횟수
+ * @param {Object} assignments - { 날짜: [팀원 id] }
+ * @returns {Object} - { 팀원 id: 횟수 }
+ */
+function countDuties(assignments) {
+    const counts = {};
+    Object.values(assignments).forEach(pair => pair.forEach(id => { counts[id] = (counts[id] || 0) + 1; }));
+    return counts;
+}
+
+const MEMBERS = buildMembers(['a', 'b', 'c', 'd', 'e']);
+
+describe('normalizeSeed', () => {
+    it('숫자는 32비트 정수, 문자열은 같은 해시', () => {
+        assert.equal(normalizeSeed(42), 42);
+        assert.equal(normalizeSeed('42'), 42);
+        assert.equal(normalizeSeed(2 ** 32 + 5), 5);
+        assert.equal(normalizeSeed('spring'), normalizeSeed('spring'));
+        assert.notEqual(normalizeSeed('spring'), normalizeSeed('autumn'));
+    });
+
+    it('없으면 무작위 시드', () => {
+        const seed = normalizeSeed(undefined);
+
+        assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+    });
+});
+
+describe('solveDutySchedule', () => {
+    it('필수 조건을 모두 지키는 최적 배정', async () => {
+        const days = buildDays(14);
+
+        const result = await solveDutySchedule({ days, members: MEMBERS, seed: 42 });
+
+        assert.equal(result.success, true);
+        assert.equal(result.optimal, true);
+        assert.deepEqual(Object.keys(result.assignments), days.map(day => day.date));
+        assert.ok(result.constraints.every(constraint => constraint.satisfied));
+        assert.ok(checkHardConstraints({ days, members: MEMBERS, assignments: result.assignments }).every(constraint => constraint.violations.length === 0));
+        assert.equal(result.score.violations, 0);
+    });
+
+    it('같은 입력과 시드면 같은 결과, 결과에 시드를 포함', async () => {
+        const days = buildDays(14);
+
+        const first = await solveDutySchedule({ days, members: MEMBERS, seed: 'team-a' });
+        const second = await solveDutySchedule({ days, members: MEMBERS, seed: 'team-a' });
+
+        assert.equal(first.seed, normalizeSeed('team-a'));
+        assert.deepEqual(second.assignments, first.assignments);
+    });
+
+    it('서버가 바빠 탐색이 느려져도 같은 시드면 같은 결과', async () => {
+        const days = buildDays(14);
+        const members = buildMembers(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'], 3);
+        const idle = await solveDutySchedule({ days, members, seed: 'load' });
+        // 호출할 때마다 1초씩 지나는 시계로 부하가 심한 서버를 흉내
+        let now = Date.now();
+        mock.method(Date, 'now', () => (now += 1000));
+
+        let busy;
+        try {
+            busy = await solveDutySchedule({ days, members, seed: 'load' });
+        } finally {
+            mock.restoreAll();
+        }
+
+        assert.deepEqual(busy.assignments, idle.assignments);
+        assert.equal(busy.optimal, idle.optimal);
+        assert.deepEqual(busy.score, idle.score);
+    });
+
+    it('누적 당직 횟수가 적은 팀원에게 먼저 배정', async () => {
+        const members = MEMBERS.map(member => member.id === 'e' ? { ...member, dutyCount: 20 } : member);
+
+        const result = await solveDutySchedule({ days: buildDays(14), members, seed: 1 });
+
+        assert.equal(countDuties(result.assignments).e, undefined);
+    });
+
+    it('종일 부재 팀원은 배정하지 않고, 반차 팀원은 가능하면 제외', async () => {
+        const days = buildDays(7, {
+            unavailable: { '2026-10-20': ['a'], '2026-10-21': ['a'] },
+            halfDay: { '2026-10-19': ['b'] }
+        });
+
+        const result = await solveDutySchedule({ days, members: MEMBERS, seed: 7 });
+
+        assert.ok(!result.assignments['2026-10-20'].includes('a'));
+        assert.ok(!result.assignments['2026-10-21'].includes('a'));
+        assert.ok(!result.assignments['2026-10-19'].includes('b'));
+        assert.equal(result.score.halfDay, 0);
+    });
+
+    it('기간 시작 전 최근 주말 당직자는 첫 주말에서 제외', async () => {
+        const result = await solveDutySchedule({ days: buildDays(7), members: MEMBERS, recentWeekendMemberIds: ['a', 'c'], seed: 3 });
+
+        assert.ok(!result.assignments['2026-10-23'].includes('a'));
+        assert.ok(!result.assignments['2026-10-23'].includes('c'));
+        assert.equal(result.score.weekendRotation, 0);
+    });
+
+    it('만족하는 배정이 없으면 위반을 비용으로 바꿔 완화하고 어긴 조건을 표시', async () => {
+        // 권한자가 1명뿐이면 평일 연일 당직 금지와 매일 권한자 조건을 함께 지킬 수 없음
+        const members = buildMembers(['a', 'c', 'd', 'e'], 1);
+
+        const result = await solveDutySchedule({ days: buildDays(7), members, seed: 1 });
+
+        assert.equal(result.success, true);
+        assert.ok(result.score.violations > 0);
+        const authorized = result.constraints.find(constraint => constraint.key === 'authorized_each_day');
+        assert.equal(authorized.satisfied, false);
+        assert.match(authorized.detail, /권한자 없는 날/);
+        assert.ok(result.constraints.find(constraint => constraint.key === 'two_per_day').satisfied);
+        assert.ok(result.constraints.find(constraint => constraint.key === 'weekend_same_pair').satisfied);
+    });
+
+    it('팀원이 2명보다 적으면 실패', async () => {
+        const result = await solveDutySchedule({ days: buildDays(7), members: MEMBERS.slice(0, 1), seed: 1 });
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /최소 2명/);
+    });
+});
+
+describe('checkHardConstraints', () => {
+    const days = buildDays(7, { unavailable: { '2026-10-21': ['c'] } });
+    const valid = {
+        '2026-10-19': ['a', 'c'],
+        '2026-10-20': ['b', 'd'],
+        '2026-10-21': ['a', 'e'],
+        '2026-10-22': ['b', 'c'],
+        '2026-10-23': ['a', 'd'],
+        '2026-10-24': ['a', 'd'],
+        '2026-10-25': ['d', 'a']
+    };
+    const violationsOf = (assignments, key) =>
+        checkHardConstraints({ days, members: MEMBERS, assignments }).find(constraint => constraint.key === key).violations;
+
+    it('모두 지킨 배정은 위반 없음 (주말 2명의 순서는 상관없음)', () => {
+        const constraints = checkHardConstraints({ days, members: MEMBERS, assignments: valid });
+
+        assert.ok(constraints.every(constraint => constraint.satisfied && constraint.violations.length === 0));
+    });
+
+    it('2명이 아닌 날과 권한자 없는 날', () => {
+        const assignments = { ...valid, '2026-10-19': ['c'], '2026-10-20': ['d', 'e'] };
+
+        assert.deepEqual(violationsOf(assignments, 'two_per_day'), ['2026-10-19']);
+        assert.deepEqual(violationsOf(assignments, 'authorized_each_day'), ['2026-10-19', '2026-10-20']);
+    });
+
+    it('평일 연일 당직과 부재 중 배정', () => {
+        const assignments = { ...valid, '2026-10-20': ['a', 'd'], '2026-10-21': ['b', 'c'], '2026-10-22': ['a', 'e'] };
+
+        assert.deepEqual(violationsOf(assignments, 'no_consecutive_weekdays'), ['A(2026-10-19~2026-10-20)']);
+        assert.deepEqual(violationsOf(assignments, 'member_available'), ['C(2026-10-21)']);
+    });
+
+    it('같은 주 금~일 당직자가 다르면 위반', () => {
+        const assignments = { ...valid, '2026-10-25': ['b', 'd'] };
+
+        assert.deepEqual(violationsOf(assignments, 'weekend_same_pair'), ['2026-10-23~2026-10-25']);
+    });
+});
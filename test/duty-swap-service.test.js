@@ -0,0 +1,189 @@
+// test/duty-swap-service.test.js
+// 당직 교환 서비스 테스트 - 교환 요청 검증, 수락·거절, 승인 후 당직표 반영, 버튼 콜백 처리
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const dutySwapService = require('../src/services/duty-swap-service');
+const botCallbackService = require('../src/services/bot-callback-service');
+const messageService = require('../src/services/message-service');
+const { addDays, getDayOfWeek, toDateKey } = require('../src/services/holiday-service');
+
+// 다음 주 월요일과 수요일 (평일 연일 당직이 생기지 않도록 하루 띄움)
+const TODAY = toDateKey(new Date());
+const MONDAY = addDays(TODAY, 7 - ((getDayOfWeek(TODAY) + 6) % 7));
+const WEDNESDAY = addDays(MONDAY, 2);
+
+const MEMBERS = [
+    { id: 'kim', name: '김당직', isAuthorized: true, dutyCount: 3 },
+    { id: 'lee', name: '이당직', isAuthorized: false, dutyCount: 3 },
+    { id: 'park', name: '박권한', isAuthorized: true, dutyCount: 3 },
+    { id: 'choi', name: '최팀원', isAuthorized: false, dutyCount: 3 }
+];
+
+describe('duty-swap-service', () => {
+    let server;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(200);
+            res.end('ok');
+        });
+    });
+
+    after(() => server.close());
+
+    /**
+     * 월요일은 kim·lee, 수요일은 park·choi 가 당직인 설정 저장 (각 날에 권한자 1명)
+     * @param {Object} [overrides] - 덮어쓸 설정
+     */
+    const writeConfig = (overrides = {}) => env.writeConfig({
+        teamMembers: MEMBERS,
+        dailyDutySchedule: {
+            [MONDAY]: { members: ['kim', 'lee'] },
+            [WEDNESDAY]: { members: ['park', 'choi'] }
+        },
+        messaging: {
+            transport: 'webhook',
+            recipientDomain: '@example.com',
+            transports: { webhook: { url: `${server.url}/hook` } }
+        },
+        ...overrides
+    });
+
+    beforeEach(() => writeConfig());
+
+    const membersOn = dateKey => env.readConfig().dailyDutySchedule[dateKey].members;
+
+    it('당직이 아닌 날, 지난 날짜, 자기 자신과의 교환 요청은 만들지 않음', async () => {
+        const notOnDuty = await dutySwapService.createSwapRequest({ requesterId: 'kim', requesterDate: WEDNESDAY, targetId: 'choi' });
+        const past = await dutySwapService.createSwapRequest({ requesterId: 'kim', requesterDate: '2020-01-01', targetId: 'choi' });
+        const self = await dutySwapService.createSwapRequest({ requesterId: 'kim', requesterDate: MONDAY, targetId: 'kim' });
+        const alreadyOnDuty = await dutySwapService.createSwapRequest({ requesterId: 'kim', requesterDate: MONDAY, targetId: 'lee' });
+
+        assert.match(notOnDuty.message, /당직이 아닙니다/);
+        assert.match(past.message, /지난 날짜/);
+        assert.match(self.message, /자기 자신/);
+        assert.match(alreadyOnDuty.message, /이미 .* 당직입니다/);
+        assert.deepEqual(dutySwapService.getSwapRequests(), []);
+    });
+
+    it('교환하면 당직 편성 규칙을 새로 어기는 요청은 만들지 않음', async () => {
+        const result = await dutySwapService.createSwapRequest({ requesterId: 'kim', requesterDate: MONDAY, targetId: 'choi' });
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /교환하면 당직 편성 규칙을 어깁니다 - 하루 최소 1명은 권한자: /);
+        assert.deepEqual(dutySwapService.getSwapRequests(), []);
+    });
+
+    it('상대 팀원이 맞교환을 수락하면 당직표에 바로 반영하고 당직 횟수는 그대로', async () => {
+        const { request } = await dutySwapService.createSwapRequest({ requesterId: 'kim', requesterDate: MONDAY, targetId: 'park', targetDate: WEDNESDAY });
+
+        const wrongMember = await dutySwapService.respondToSwapRequest(request.id, 'choi', true);
+        const result = await dutySwapService.respondToSwapRequest(request.id, 'park', true);
+
+        assert.match(wrongMember.message, /요청받은 팀원만/);
+        assert.equal(result.request.status, 'applied');
+        assert.deepEqual(membersOn(MONDAY), ['park', 'lee']);
+        assert.deepEqual(membersOn(WEDNESDAY), ['kim', 'choi']);
+        assert.ok(env.readConfig().teamMembers.every(member => member.dutyCount === 3));
+    });
+
+    it('대신 맡기는 요청은 반영하면 두 팀원의 당직 횟수가 바뀜', async () => {
+        const { request } = await dutySwapService.createSwapRequest({ requesterId: 'lee', requesterDate: MONDAY, targetId: 'choi' });
+
+        await dutySwapService.respondToSwapRequest(request.id, 'choi', true);
+
+        const counts = Object.fromEntries(env.readConfig().teamMembers.map(member => [member.id, member.dutyCount]));
+        assert.deepEqual(membersOn(MONDAY), ['kim', 'choi']);
+        assert.equal(counts.lee, 2);
+        assert.equal(counts.choi, 4);
+    });
+
+    it('승인이 필요하면 수락 후 권한 있는 팀원이 승인해야 반영', async () => {
+        writeConfig({ dutySwap: { requireApproval: true } });
+        const { request } = await dutySwapService.createSwapRequest({ requesterId: 'lee', requesterDate: MONDAY, targetId: 'choi' });
+
+        const accepted = await dutySwapService.respondToSwapRequest(request.id, 'choi', true);
+        const notAuthorized = await dutySwapService.decideSwapRequest(request.id, 'lee', true);
+        const approved = await dutySwapService.decideSwapRequest(request.id, 'park', true);
+
+        assert.equal(accepted.request.status, 'awaiting_approval');
+        assert.match(notAuthorized.message, /권한 있는 팀원만/);
+        assert.equal(approved.request.status, 'applied');
+        assert.equal(approved.request.approverId, 'park');
+        assert.deepEqual(membersOn(MONDAY), ['kim', 'choi']);
+    });
+
+    it('거절하거나 취소한 요청은 반영하지 않고 다시 처리할 수 없음', async () => {
+        const first = await dutySwapService.createSwapRequest({ requesterId: 'lee', requesterDate: MONDAY, targetId: 'choi' });
+        const duplicate = await dutySwapService.createSwapRequest({ requesterId: 'lee', requesterDate: MONDAY, targetId: 'park' });
+
+        const declined = await dutySwapService.respondToSwapRequest(first.request.id, 'choi', false);
+        const again = await dutySwapService.respondToSwapRequest(first.request.id, 'choi', true);
+
+        assert.match(duplicate.message, /이미 처리 중인/);
+        assert.equal(declined.request.status, 'declined');
+        assert.match(again.message, /이미 처리된 요청입니다 \(거절됨\)/);
+        assert.deepEqual(membersOn(MONDAY), ['kim', 'lee']);
+    });
+
+    it('요청 뒤 당직표가 바뀌었으면 반영하지 않고 실패로 기록', async () => {
+        const { request } = await dutySwapService.createSwapRequest({ requesterId: 'lee', requesterDate: MONDAY, targetId: 'choi' });
+        const config = env.readConfig();
+        config.dailyDutySchedule[MONDAY].members = ['kim', 'park'];
+        env.writeConfig(config);
+
+        const result = await dutySwapService.respondToSwapRequest(request.id, 'choi', true);
+
+        assert.equal(result.success, false);
+        assert.equal(result.request.status, 'failed');
+        assert.deepEqual(membersOn(MONDAY), ['kim', 'park']);
+    });
+
+    /**
+     * Bot Secret 으로 서명한 봇 콜백 처리
+     * @param {Object} event - 콜백 본문
+     * @returns {Promise<Object>} - handleBotCallback 결과
+     */
+    const sendSignedCallback = event => {
+        const body = JSON.stringify(event);
+        return botCallbackService.handleBotCallback(body, crypto.createHmac('sha256', 'secret').update(body, 'utf8').digest('base64'));
+    };
+
+    it('봇 콜백의 수락 버튼 postback 으로 요청을 처리하고 누른 팀원에게 결과를 회신', async () => {
+        writeConfig({
+            messaging: {
+                transport: 'webhook',
+                recipientDomain: '@example.com',
+                transports: { webhook: { url: `${server.url}/hook` }, 'naverworks-bot': { botSecret: 'secret' } }
+            }
+        });
+        const { request } = await dutySwapService.createSwapRequest({ requesterId: 'lee', requesterDate: MONDAY, targetId: 'choi' });
+
+        const result = await sendSignedCallback({ type: 'message', source: { userId: 'choi@example.com' }, content: { type: 'text', postback: `duty_swap:accept:${request.id}` } });
+
+        const [reply] = messageService.getMessageHistory({ source: 'bot_callback' }).items;
+        assert.equal(result.success, true);
+        assert.deepEqual(membersOn(MONDAY), ['kim', 'choi']);
+        assert.equal(reply.recipient, 'choi@example.com');
+        assert.match(reply.body, /반영되었습니다/);
+    });
+
+    it('서명이 맞는 콜백만 처리하고 Bot Secret 이 없으면 모든 콜백을 거부', async () => {
+        const body = JSON.stringify({ source: { userId: 'choi' }, data: 'duty_swap:accept:nope' });
+        const signature = crypto.createHmac('sha256', 'secret').update(body, 'utf8').digest('base64');
+
+        const withoutSecret = await botCallbackService.handleBotCallback(body, signature);
+        writeConfig({ messaging: { transport: 'webhook', transports: { 'naverworks-bot': { botSecret: 'secret' } } } });
+
+        assert.equal(withoutSecret.statusCode, 403);
+        assert.equal(botCallbackService.verifySignature(body, signature), true);
+        assert.equal(botCallbackService.verifySignature(body, 'wrong'), false);
+        assert.equal((await botCallbackService.handleBotCallback(body)).statusCode, 401);
+    });
+});
@@ -0,0 +1,79 @@
+// test/file-lock-backend.test.js
+// 파일 잠금 백엔드 테스트 - 배타적 획득, 연장, 해제, 만료된 잠금 회수와 정리
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const FileLockBackend = require('../src/services/locks/file-lock-backend');
+
+const LOCK_DIR = path.join(env.dir, 'locks');
+
+describe('FileLockBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        fs.rmSync(LOCK_DIR, { recursive: true, force: true });
+        backend = new FileLockBackend({ lockDir: LOCK_DIR });
+    });
+
+    it('잠금은 한 소유자만 획득하고 같은 소유자가 다시 획득하면 연장', async () => {
+        assert.equal(await backend.acquire('leader', 'a', 60000), true);
+        assert.equal(await backend.acquire('leader', 'b', 60000), false);
+        assert.equal(await backend.acquire('leader', 'a', 120000), true);
+
+        const lock = await backend.get('leader');
+        assert.equal(lock.owner, 'a');
+        assert.ok(new Date(lock.expiresAt).getTime() > Date.now() + 60000);
+    });
+
+    it('만료된 잠금은 다른 소유자가 회수', async () => {
+        await backend.acquire('leader', 'a', -1);
+
+        assert.equal(await backend.get('leader'), null);
+        assert.equal(await backend.acquire('leader', 'b', 60000), true);
+        assert.equal(await backend.renew('leader', 'a', 60000), false);
+    });
+
+    it('자신의 잠금만 해제', async () => {
+        await backend.acquire('run:weekly_duty:2026-03-02T00:00:00.000Z', 'a', 60000);
+
+        await backend.release('run:weekly_duty:2026-03-02T00:00:00.000Z', 'b');
+        const kept = await backend.get('run:weekly_duty:2026-03-02T00:00:00.000Z');
+        await backend.release('run:weekly_duty:2026-03-02T00:00:00.000Z', 'a');
+
+        assert.equal(kept.owner, 'a');
+        assert.equal(await backend.get('run:weekly_duty:2026-03-02T00:00:00.000Z'), null);
+    });
+
+    it('접두사로 유효한 잠금을 나열하고 만료되거나 깨진 잠금 파일은 정리', async () => {
+        await backend.acquire('instance:a', 'a', 60000);
+        await backend.acquire('instance:b', 'b', -1);
+        await backend.acquire('leader', 'a', 60000);
+        fs.writeFileSync(path.join(LOCK_DIR, 'broken.lock'), '{');
+
+        const instances = await backend.list('instance:');
+        const purged = await backend.purgeExpired();
+
+        assert.deepEqual(instances.map(lock => lock.owner), ['a']);
+        assert.equal(purged, 2);
+        assert.deepEqual(fs.readdirSync(LOCK_DIR).sort(), ['instance_a.lock', 'leader.lock']);
+    });
+
+    it('가드를 잡은 채 종료된 인스턴스의 오래된 가드 파일은 치우고 잠금을 획득', async () => {
+        const guardFile = path.join(LOCK_DIR, 'leader.lock.guard');
+        fs.writeFileSync(guardFile, '99999');
+        const staleAt = new Date(Date.now() - 60000);
+        fs.utimesSync(guardFile, staleAt, staleAt);
+
+        const acquired = await backend.acquire('leader', 'a', 60000);
+
+        assert.equal(acquired, true);
+        assert.equal(fs.existsSync(guardFile), false);
+        assert.deepEqual(fs.readdirSync(LOCK_DIR), ['leader.lock']);
+    });
+});
@@ -0,0 +1,68 @@
+// test/file-store.test.js
+// 공유 파일 테스트 - 가드 안에서 디스크의 최신 내용을 고쳐 저장하고, 줄 단위로 덧붙여 기록
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const { readJsonFile, getFileVersion, updateJsonFile, appendJsonLine, readJsonLines } = require('../src/utils/file-store');
+
+describe('file-store', () => {
+    it('파일이 없으면 기본값에서 시작하고, 갱신할 때마다 디스크의 최신 내용을 고침', async () => {
+        const file = path.join(env.dir, 'items.json');
+
+        await updateJsonFile(file, [], items => { items.push('a'); });
+        fs.writeFileSync(file, JSON.stringify(['a', 'b']));
+        const { data, result } = await updateJsonFile(file, [], items => { items.push('c'); return items.length; });
+
+        assert.deepEqual(data, ['a', 'b', 'c']);
+        assert.equal(result, 3);
+        assert.deepEqual(readJsonFile(file, []), ['a', 'b', 'c']);
+        assert.equal(fs.existsSync(`${file}.guard`), false);
+    });
+
+    it('파일 버전은 다시 쓰면 바뀌고 파일이 없으면 null', async () => {
+        const file = path.join(env.dir, 'version.json');
+
+        const missing = getFileVersion(file);
+        await updateJsonFile(file, {}, data => { data.count = 1; });
+        const first = getFileVersion(file);
+        await updateJsonFile(file, {}, data => { data.count = 2; });
+
+        assert.equal(missing, null);
+        assert.notEqual(getFileVersion(file), first);
+    });
+
+    it('다른 인스턴스가 가드를 잡고 있으면 이벤트 루프를 막지 않고 기다렸다가 갱신', async () => {
+        const file = path.join(env.dir, 'busy.json');
+        fs.writeFileSync(`${file}.guard`, 'other');
+        let timerFired = false;
+        setTimeout(() => { timerFired = true; }, 5);
+        setTimeout(() => fs.rmSync(`${file}.guard`), 60);
+
+        const { data } = await updateJsonFile(file, {}, current => {
+            current.timerFiredWhileWaiting = timerFired;
+        });
+
+        assert.equal(data.timerFiredWhileWaiting, true);
+    });
+
+    it('JSON 줄은 덧붙인 위치부터 이어 읽고, 쓰는 중인 마지막 줄은 다음에 읽음', () => {
+        const file = path.join(env.dir, 'lines.jsonl');
+        appendJsonLine(file, { n: 1 });
+        fs.appendFileSync(file, '{"n":');
+
+        const first = readJsonLines(file);
+        fs.appendFileSync(file, '2}\n');
+        appendJsonLine(file, { n: 3 });
+        const second = readJsonLines(file, first.offset);
+
+        assert.deepEqual(first.items, [{ n: 1 }]);
+        assert.deepEqual(second.items, [{ n: 2 }, { n: 3 }]);
+        assert.equal(second.offset, fs.statSync(file).size);
+    });
+});
@@ -0,0 +1,74 @@
+// test/helpers/test-env.js
+// 테스트 환경 - 임시 디렉토리의 설정 파일과 캐시를 쓰도록 지정하고, 전송 수단이 호출할 로컬 HTTP 서버를 띄움
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 임시 설정 파일과 캐시 디렉토리 준비 (서비스 모듈을 require 하기 전에 호출)
+ * @param {Object} [config] - 초기 설정
+ * @returns {Object} - { dir, writeConfig(config), readConfig() }
+ */
+function setupTestEnv(config = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naverworks-test-'));
+    const configFile = path.join(dir, 'config.json');
+    process.env.CONFIG_FILE = configFile;
+    process.env.CACHE_DIR = path.join(dir, 'cache');
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const writeConfig = nextConfig => fs.writeFileSync(configFile, JSON.stringify(nextConfig, null, 2));
+    writeConfig(config);
+
+    // 테스트 출력과 logs/app.log 에 서비스 로그가 섞이지 않도록
+    require('../../logger').silent = true;
+
+    return {
+        dir,
+        writeConfig,
+        readConfig: () => JSON.parse(fs.readFileSync(configFile, 'utf8'))
+    };
+}
+
+/**
+ * 요청을 기록하고 handler 로 응답하는 로컬 HTTP 서버
+ * @param {Function} handler - (request: { method, url, headers, body }, res) => void
+ * @returns {Promise<Object>} - { url, requests, close() }
+ */
+async function startHttpServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') };
+            requests.push(request);
+            handler(request, res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * JSON 응답
+ * @param {Object} res - 응답 객체
+ * @param {number} status - HTTP 상태 코드
+ * @param {Object} body - 응답 본문
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = {
+    setupTestEnv,
+    startHttpServer,
+    sendJson
+};
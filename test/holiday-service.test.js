@@ -0,0 +1,151 @@
+// test/holiday-service.test.js
+// 공휴일·대체공휴일·회사 지정 휴일 계산 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const {
+    toDateKey,
+    addDays,
+    getDayOfWeek,
+    getPublicHolidays,
+    getHolidays,
+    getHoliday,
+    isHoliday,
+    updateCustomHolidays
+} = require('../src/services/holiday-service');
+
+// config.json 을 읽지 않도록 테스트용 설정을 직접 전달
+const EMPTY_CONFIG = { customHolidays: [] };
+
+/**
+ * 연도의 대체공휴일 목록
+ * @param {number} year - 연도
+ * @returns {Array} - [[날짜, 이름]]
+ */
+function substitutesOf(year) {
+    return getPublicHolidays(year)
+        .filter(holiday => holiday.type === 'substitute')
+        .map(holiday => [holiday.date, holiday.name]);
+}
+
+describe('날짜 키 유틸', () => {
+    it('addDays 는 월·연 경계와 윤년을 넘음', () => {
+        assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+        assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    });
+
+    it('getDayOfWeek 는 0=일요일 ... 6=토요일', () => {
+        assert.equal(getDayOfWeek('2026-03-01'), 0);
+        assert.equal(getDayOfWeek('2026-10-19'), 1);
+        assert.equal(getDayOfWeek('2026-10-24'), 6);
+    });
+
+    it('toDateKey 의 Date 는 KST(또는 지정한 시간대) 기준 날짜, 문자열은 그대로', () => {
+        assert.equal(toDateKey(new Date('2026-02-28T16:00:00Z')), '2026-03-01');
+        assert.equal(toDateKey(new Date('2026-02-28T16:00:00Z'), 'UTC'), '2026-02-28');
+        assert.equal(toDateKey('2026-05-05'), '2026-05-05');
+    });
+});
+
+describe('getPublicHolidays', () => {
+    it('양력 고정 공휴일과 설날·추석 3일 연휴, 부처님오신날을 날짜순으로', () => {
+        const holidays = getPublicHolidays(2026).filter(holiday => holiday.type === 'public');
+
+        assert.equal(holidays.length, 15);
+        assert.deepEqual(holidays.slice(0, 4).map(holiday => [holiday.date, holiday.name]), [
+            ['2026-01-01', '신정'],
+            ['2026-02-16', '설날 연휴'],
+            ['2026-02-17', '설날'],
+            ['2026-02-18', '설날 연휴']
+        ]);
+        assert.ok(holidays.some(holiday => holiday.date === '2026-05-24' && holiday.name === '부처님오신날'));
+        assert.ok(holidays.some(holiday => holiday.date === '2026-09-25' && holiday.name === '추석'));
+    });
+
+    it('토·일요일과 겹친 공휴일은 다음 평일이 대체공휴일', () => {
+        assert.deepEqual(substitutesOf(2026), [
+            ['2026-03-02', '대체공휴일(삼일절)'],
+            ['2026-05-25', '대체공휴일(부처님오신날)'],
+            ['2026-08-17', '대체공휴일(광복절)'],
+            ['2026-10-05', '대체공휴일(개천절)']
+        ]);
+    });
+
+    it('설날·추석 연휴는 일요일과 겹칠 때만 대체공휴일', () => {
+        // 2024 설날 연휴 2/11(일) → 2/12, 2025 추석 연휴 10/5(일) → 10/8 (10/6~7 은 연휴)
+        assert.ok(substitutesOf(2024).some(([date, name]) => date === '2024-02-12' && name === '대체공휴일(설날)'));
+        assert.ok(substitutesOf(2025).some(([date, name]) => date === '2025-10-08' && name === '대체공휴일(추석)'));
+        // 2026 설날 연휴는 월~수라 대체공휴일 없음
+        assert.ok(!substitutesOf(2026).some(([, name]) => name === '대체공휴일(설날)'));
+    });
+
+    it('공휴일끼리 겹치면 대체공휴일 하나 (2025 어린이날·부처님오신날)', () => {
+        const may = substitutesOf(2025).filter(([date]) => date.startsWith('2025-05'));
+
+        assert.deepEqual(may, [['2025-05-06', '대체공휴일(어린이날)']]);
+    });
+
+    it('대체공휴일이 없는 현충일은 일요일이어도 그대로', () => {
+        // 2027-06-06 은 일요일
+        assert.ok(!substitutesOf(2027).some(([, name]) => name.includes('현충일')));
+    });
+});
+
+describe('getHolidays / getHoliday / isHoliday', () => {
+    const config = {
+        customHolidays: [
+            { date: '2026-07-01', name: '창립기념일' },
+            { date: '2027-07-01', name: '창립기념일' }
+        ]
+    };
+
+    it('해당 연도의 회사 지정 휴일을 custom 으로 함께 반환', () => {
+        const holidays = getHolidays(2026, config);
+
+        assert.equal(holidays.filter(holiday => holiday.type === 'custom').length, 1);
+        assert.deepEqual(holidays.find(holiday => holiday.date === '2026-07-01'), { date: '2026-07-01', name: '창립기념일', type: 'custom' });
+    });
+
+    it('날짜 키 또는 Date(KST 기준)로 휴일 조회', () => {
+        assert.deepEqual(getHoliday('2026-10-05', EMPTY_CONFIG), { date: '2026-10-05', name: '대체공휴일(개천절)', type: 'substitute' });
+        assert.equal(getHoliday(new Date('2026-02-28T16:00:00Z'), EMPTY_CONFIG).name, '삼일절');
+        assert.equal(getHoliday('2026-10-19', EMPTY_CONFIG), null);
+    });
+
+    it('isHoliday 는 토·일요일을 휴일로 보지 않음', () => {
+        assert.equal(isHoliday('2026-07-01', config), true);
+        assert.equal(isHoliday('2026-07-01', EMPTY_CONFIG), false);
+        assert.equal(isHoliday('2026-10-24', EMPTY_CONFIG), false);
+    });
+});
+
+describe('updateCustomHolidays', () => {
+    it('형식이 잘못되면 저장하지 않고 실패', () => {
+        assert.equal(updateCustomHolidays('2026-07-01').success, false);
+        assert.match(updateCustomHolidays([{ date: '2026-13-01', name: '휴일' }]).message, /올바르지 않은 날짜/);
+        assert.match(updateCustomHolidays([{ date: '2026/07/01', name: '휴일' }]).message, /올바르지 않은 날짜/);
+        assert.match(updateCustomHolidays([{ date: '2026-07-01', name: ' ' }]).message, /휴일 이름을 입력해주세요/);
+    });
+
+    it('날짜순으로 정렬하고 같은 날짜는 마지막 항목으로 저장', () => {
+        env.writeConfig({});
+
+        const result = updateCustomHolidays([
+            { date: '2026-12-31', name: '종무식' },
+            { date: '2026-07-01', name: '창립일' },
+            { date: '2026-07-01', name: ' 창립기념일 ' }
+        ]);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(env.readConfig().customHolidays, [
+            { date: '2026-07-01', name: '창립기념일' },
+            { date: '2026-12-31', name: '종무식' }
+        ]);
+        assert.equal(isHoliday('2026-07-01'), true);
+    });
+});
@@ -0,0 +1,52 @@
+// test/i18n.test.js
+// 다국어 유틸리티 테스트 - 언어 코드 정규화, 고정 문구 번역, 날짜와 시각 형식
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLocale, translate, formatDate, formatDateKey, translateHolidayName, formatHour, getSupportedLocales } = require('../src/utils/i18n');
+
+describe('i18n', () => {
+    it('지역 코드가 붙은 언어는 언어 부분만, 지원하지 않으면 기본 언어', () => {
+        assert.equal(normalizeLocale('en-US'), 'en');
+        assert.equal(normalizeLocale('EN_gb'), 'en');
+        assert.equal(normalizeLocale('ja'), 'ko');
+        assert.equal(normalizeLocale(undefined, 'en'), 'en');
+    });
+
+    it('번역이 있는 문구만 바꾸고 나머지는 원문 그대로', () => {
+        assert.equal(translate('en', '월요일'), 'Monday');
+        assert.equal(translate('en', '없는 문구'), '없는 문구');
+        assert.equal(translate('ko', '월요일'), '월요일');
+    });
+
+    it('언어에 맞는 날짜 형식', () => {
+        const date = new Date(2025, 5, 2);
+
+        assert.equal(formatDate(date, 'ko'), '2025. 6. 2.');
+        assert.equal(formatDate(date, 'en'), '6/2/2025');
+    });
+
+    it('날짜 키는 서버 시간대와 관계없이 그 날짜를 언어에 맞게 표시', () => {
+        assert.equal(formatDateKey('2025-06-02', 'ko'), '2025. 6. 2.');
+        assert.equal(formatDateKey('2025-06-02', 'en'), '6/2/2025');
+    });
+
+    it('법정 공휴일 이름과 연휴·대체공휴일 이름을 번역하고 회사 지정 휴일은 그대로', () => {
+        assert.equal(translateHolidayName('en', '현충일'), 'Memorial Day');
+        assert.equal(translateHolidayName('en', '추석 연휴'), 'Chuseok holiday');
+        assert.equal(translateHolidayName('en', '대체공휴일(설날 연휴)'), 'Substitute holiday (Seollal holiday)');
+        assert.equal(translateHolidayName('en', '창립기념일'), '창립기념일');
+        assert.equal(translateHolidayName('ko', '추석 연휴'), '추석 연휴');
+    });
+
+    it('언어에 맞는 정시 표기', () => {
+        assert.equal(formatHour(14, 'ko'), '오후 2시');
+        assert.equal(formatHour(0, 'ko'), '오전 12시');
+        assert.equal(formatHour(16, 'en'), '4 PM');
+        assert.equal(formatHour(12, 'en'), '12 PM');
+    });
+
+    it('지원 언어 목록', () => {
+        assert.deepEqual(getSupportedLocales(), [{ code: 'ko', name: '한국어' }, { code: 'en', name: 'English' }]);
+    });
+});
@@ -0,0 +1,96 @@
+// test/job-run-history.test.js
+// 작업 실행 이력 테스트 - 소요 시간, 작업별 최근 상태와 연속 실패 횟수, 놓친 실행
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const JobRunHistory = require('../src/services/job-run-history');
+
+const RUNS_FILE = path.join(env.dir, 'cache', 'job-runs', 'runs.json');
+
+describe('JobRunHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        fs.rmSync(RUNS_FILE, { force: true });
+        history = new JobRunHistory();
+    });
+
+    /**
+     * 지정한 시각에 끝난 실행 1건 기록
+     */
+    const recordRun = (jobId, outcome, finishedAt, extra = {}) => history.record({
+        jobId,
+        jobName: jobId,
+        trigger: 'cron',
+        startedAt: new Date(new Date(finishedAt).getTime() - 1500).toISOString(),
+        finishedAt,
+        outcome,
+        ...extra
+    });
+
+    it('실행 시작과 종료 시각으로 소요 시간을 계산하고 디스크에 저장', async () => {
+        const run = await recordRun('weekly_duty', 'success', '2026-03-02T00:00:01.500Z', { message: '편성 완료' });
+
+        const restored = new JobRunHistory();
+        assert.equal(run.durationMs, 1500);
+        assert.equal(restored.getRecentRuns('weekly_duty')[0].id, run.id);
+        assert.equal(restored.getJobState('weekly_duty').lastMessage, '편성 완료');
+    });
+
+    it('연속 실패 횟수를 세고 성공하면 초기화하며 마지막 성공 시각은 유지', async () => {
+        await recordRun('laptop_duty', 'success', '2026-03-02T00:00:00.000Z');
+        await recordRun('laptop_duty', 'failed', '2026-03-03T00:00:00.000Z', { message: '발송 실패' });
+        await recordRun('laptop_duty', 'failed', '2026-03-04T00:00:00.000Z', { error: 'timeout' });
+
+        const failing = history.getJobState('laptop_duty');
+        await recordRun('laptop_duty', 'partial', '2026-03-05T00:00:00.000Z');
+        const recovered = history.getJobState('laptop_duty');
+
+        assert.equal(failing.consecutiveFailures, 2);
+        assert.equal(failing.lastError, 'timeout');
+        assert.equal(failing.lastSuccessAt, '2026-03-02T00:00:00.000Z');
+        assert.equal(failing.lastFailureAt, '2026-03-04T00:00:00.000Z');
+        assert.equal(recovered.consecutiveFailures, 0);
+        assert.equal(recovered.lastError, null);
+        assert.equal(recovered.lastOutcome, 'partial');
+        assert.equal(recovered.lastFailureAt, '2026-03-04T00:00:00.000Z');
+    });
+
+    it('작업별 최근 실행 이력을 최신순으로 지정한 개수만', async () => {
+        for (const day of ['01', '02', '03']) {
+            await recordRun('code_review_pairs', 'success', `2026-03-${day}T00:00:00.000Z`);
+        }
+        await recordRun('weekly_duty', 'success', '2026-03-04T00:00:00.000Z');
+
+        const runs = history.getRecentRuns('code_review_pairs', 2);
+
+        assert.deepEqual(runs.map(run => run.finishedAt.slice(0, 10)), ['2026-03-03', '2026-03-02']);
+        assert.equal(history.getJobState('missing'), null);
+    });
+
+    it('놓친 실행은 마지막 실행 상태를 바꾸지 않고 놓친 시각만 기록', async () => {
+        await recordRun('weekly_duty', 'success', '2026-03-02T00:00:00.000Z');
+        await recordRun('weekly_duty', 'missed', '2026-03-10T00:00:00.000Z', { message: '서버 중단으로 1회 실행되지 않음' });
+
+        const state = history.getJobState('weekly_duty');
+
+        assert.equal(state.lastOutcome, 'success');
+        assert.equal(state.lastRunAt, '2026-03-01T23:59:58.500Z');
+        assert.equal(state.lastMissedAt, '2026-03-10T00:00:00.000Z');
+        assert.equal(state.lastMissedMessage, '서버 중단으로 1회 실행되지 않음');
+    });
+
+    it('스케줄러 동작 시각을 디스크에 저장', async () => {
+        assert.equal(history.getSchedulerActiveAt(), null);
+
+        await history.markSchedulerActive(new Date('2026-03-02T00:00:00.000Z'));
+
+        assert.equal(new JobRunHistory().getSchedulerActiveAt(), '2026-03-02T00:00:00.000Z');
+    });
+});
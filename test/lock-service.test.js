@@ -0,0 +1,79 @@
+// test/lock-service.test.js
+// 분산 잠금 서비스 테스트 - 예약 실행 선점과 리더 선출
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const configService = require('../src/services/config-service');
+const lockService = require('../src/services/lock-service');
+const { getLockBackend } = require('../src/services/locks');
+
+const LOCK_DIR = path.join(env.dir, 'locks');
+const SCHEDULED_AT = new Date('2026-03-02T00:00:00.000Z');
+
+/**
+ * 인스턴스 id 만 다르고 같은 잠금 디렉토리를 쓰는 설정
+ */
+function clusterConfig(instanceId) {
+    return { cluster: { instanceId, backends: { file: { lockDir: LOCK_DIR } } } };
+}
+
+describe('lock-service', () => {
+    beforeEach(() => {
+        fs.rmSync(LOCK_DIR, { recursive: true, force: true });
+        fs.mkdirSync(LOCK_DIR, { recursive: true });
+        env.writeConfig(clusterConfig('node-a'));
+    });
+
+    const backend = () => getLockBackend(configService.getClusterConfig());
+
+    it('같은 작업의 같은 예약 시각은 먼저 선점한 인스턴스만 실행', async () => {
+        const first = await lockService.claimExecution('weekly_duty', SCHEDULED_AT);
+        env.writeConfig(clusterConfig('node-b'));
+        const second = await lockService.claimExecution('weekly_duty', SCHEDULED_AT);
+        const nextWeek = await lockService.claimExecution('weekly_duty', new Date('2026-03-09T00:00:00.000Z'));
+
+        assert.equal(first, true);
+        assert.equal(second, false);
+        assert.equal(nextWeek, true);
+    });
+
+    it('잠금 백엔드를 쓸 수 없으면 여러 인스턴스가 같은 알림을 보내지 않도록 실행하지 않음', async () => {
+        env.writeConfig({ cluster: { lockBackend: 'redis' } });
+
+        assert.equal(await lockService.claimExecution('weekly_duty', SCHEDULED_AT), false);
+    });
+
+    it('리더가 없으면 리더가 되고 종료하면 리더 잠금을 반납', async () => {
+        const elected = await lockService.startLeaderElection();
+        const status = await lockService.getClusterStatus();
+
+        await lockService.stopLeaderElection();
+
+        assert.equal(elected, true);
+        assert.equal(status.instanceId, 'node-a');
+        assert.equal(status.leader.owner, 'node-a');
+        assert.deepEqual(status.instances.map(instance => [instance.instanceId, instance.isLeader]), [['node-a', true]]);
+        assert.equal(lockService.isLeader(), false);
+        assert.equal(await backend().get('leader'), null);
+    });
+
+    it('다른 인스턴스의 리더 임기가 남아 있으면 팔로워로 시작', async () => {
+        await backend().acquire('leader', 'node-b', 30000);
+
+        const elected = await lockService.startLeaderElection();
+        const status = await lockService.getClusterStatus();
+
+        await lockService.stopLeaderElection();
+
+        assert.equal(elected, false);
+        assert.equal(status.isLeader, false);
+        assert.equal(status.leader.owner, 'node-b');
+        assert.equal((await backend().get('leader')).owner, 'node-b');
+    });
+});
@@ -0,0 +1,81 @@
+// test/message-content.test.js
+// 메시지 모델(버튼, 링크, 리스트, 플렉스)과 텍스트 대체 본문 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    uriAction,
+    messageAction,
+    createTextMessage,
+    createButtonMessage,
+    createLinkMessage,
+    createListMessage,
+    createFlexMessage,
+    normalizeMessage,
+    isRichMessage,
+    toPlainText
+} = require('../src/utils/message-content');
+
+describe('메시지 생성', () => {
+    it('버튼 템플릿은 본문을 contentText 로 쓰고 액션을 담음', () => {
+        const message = createButtonMessage('오늘 당직입니다', [messageAction('확인했습니다', 'ack:1'), uriAction('대시보드', 'https://dash')]);
+
+        assert.equal(message.text, '오늘 당직입니다');
+        assert.deepEqual(message.content, {
+            type: 'button_template',
+            contentText: '오늘 당직입니다',
+            actions: [
+                { type: 'message', label: '확인했습니다', text: '확인했습니다', postback: 'ack:1' },
+                { type: 'uri', label: '대시보드', uri: 'https://dash' }
+            ]
+        });
+    });
+
+    it('리스트 템플릿은 항목을 4개까지만 담고 하단 버튼을 한 줄로 묶음', () => {
+        const elements = [1, 2, 3, 4, 5].map(index => ({ title: `항목 ${index}` }));
+
+        const message = createListMessage('목록', elements, [uriAction('더보기', 'https://dash')]);
+
+        assert.equal(message.content.elements.length, 4);
+        assert.deepEqual(message.content.actions, [[{ type: 'uri', label: '더보기', uri: 'https://dash' }]]);
+        assert.deepEqual(createListMessage('목록', elements.slice(0, 1)).content.actions, []);
+    });
+
+    it('플렉스 메시지의 알림 요약은 지정하지 않으면 본문 첫 줄', () => {
+        assert.equal(createFlexMessage('제목\n본문', { type: 'bubble' }).content.altText, '제목');
+        assert.equal(createFlexMessage('제목\n본문', { type: 'bubble' }, '요약').content.altText, '요약');
+    });
+});
+
+describe('normalizeMessage / isRichMessage', () => {
+    it('문자열은 텍스트 메시지로 정규화', () => {
+        assert.deepEqual(normalizeMessage('안녕하세요'), createTextMessage('안녕하세요'));
+        assert.deepEqual(normalizeMessage({ text: '본문' }), { text: '본문', content: null });
+    });
+
+    it('리치 콘텐츠가 있을 때만 리치 메시지', () => {
+        assert.equal(isRichMessage('안녕하세요'), false);
+        assert.equal(isRichMessage(createTextMessage('안녕하세요')), false);
+        assert.equal(isRichMessage(createLinkMessage('본문', '열기', 'https://dash')), true);
+    });
+});
+
+describe('toPlainText', () => {
+    it('텍스트 메시지는 본문 그대로', () => {
+        assert.equal(toPlainText('안녕하세요'), '안녕하세요');
+    });
+
+    it('링크와 URI 액션은 본문 뒤에 한 줄씩 덧붙이고 postback 버튼은 생략', () => {
+        const message = createButtonMessage('오늘 당직입니다', [messageAction('확인했습니다', 'ack:1'), uriAction('대시보드', 'https://dash')]);
+
+        assert.equal(toPlainText(message), '오늘 당직입니다\n\n🔗 대시보드: https://dash');
+        assert.equal(toPlainText(createLinkMessage('리포트', '자세히 보기', 'https://report')), '리포트\n\n🔗 자세히 보기: https://report');
+    });
+
+    it('플렉스 안쪽 버튼의 링크도 찾고, 같은 링크는 한 번만', () => {
+        const button = { type: 'button', action: uriAction('대시보드', 'https://dash') };
+        const message = createFlexMessage('주간 당직표', { type: 'bubble', body: { contents: [button] }, footer: { contents: [button] } });
+
+        assert.equal(toPlainText(message), '주간 당직표\n\n🔗 대시보드: https://dash');
+    });
+});
@@ -0,0 +1,115 @@
+// test/message-history.test.js
+// 메시지 발송 이력 테스트 - 기록, 보관 한도, 필터와 페이지 조회
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const MessageHistory = require('../src/services/message-history');
+
+const HISTORY_DIR = path.join(env.dir, 'cache', 'message-history');
+
+describe('MessageHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        fs.rmSync(HISTORY_DIR, { recursive: true, force: true });
+        history = new MessageHistory(() => ({ maxEntries: 100 }));
+    });
+
+    /**
+     * 지정한 시각의 이력 1건 기록
+     */
+    const recordAt = (timestamp, record) => history.record({ kind: 'single', success: true, timestamp, ...record });
+
+    it('기록한 이력을 디스크에 저장하고 보관 한도를 넘으면 오래된 것부터 삭제', () => {
+        const limited = new MessageHistory(() => ({ maxEntries: 2 }));
+
+        ['1', '2', '3'].forEach(body => limited.record({ kind: 'channel', recipient: 'team-duty', body, success: true }));
+
+        const restored = new MessageHistory();
+        assert.deepEqual(restored.query().items.map(entry => entry.body), ['3', '2']);
+        assert.ok(restored.query().items[0].id.startsWith('hist_'));
+    });
+
+    it('이력을 다시 쓰지 않고 구간 파일에 덧붙이며, 보관 한도 밖으로 밀려난 구간 파일만 삭제', () => {
+        const limited = new MessageHistory(() => ({ maxEntries: 20 }));
+        const firstSegment = path.join(HISTORY_DIR, 'history-000001.jsonl');
+        limited.record({ kind: 'single', body: '0', success: true });
+        const { ino } = fs.statSync(firstSegment);
+        limited.record({ kind: 'single', body: '1', success: true });
+        const appended = fs.statSync(firstSegment).ino === ino;
+
+        for (let i = 2; i < 24; i++) {
+            limited.record({ kind: 'single', body: String(i), success: true });
+        }
+
+        assert.equal(appended, true);
+        assert.equal(fs.existsSync(firstSegment), false);
+        assert.equal(fs.readdirSync(HISTORY_DIR).sort()[0], 'history-000003.jsonl');
+        assert.equal(limited.query({ pageSize: 200 }).total, 20);
+        assert.equal(limited.query().items[0].body, '23');
+    });
+
+    it('다른 인스턴스가 덧붙인 이력도 조회', () => {
+        const other = new MessageHistory(() => ({ maxEntries: 100 }));
+
+        history.record({ kind: 'single', body: 'a', success: true });
+        other.record({ kind: 'single', body: 'b', success: true });
+
+        assert.deepEqual(history.query().items.map(entry => entry.body), ['b', 'a']);
+    });
+
+    it('이전 형식의 이력 파일은 구간 파일로 옮김', () => {
+        fs.writeFileSync(path.join(HISTORY_DIR, 'history.json'), JSON.stringify([{ id: 'hist_old', kind: 'single', body: '예전 이력', success: true }]));
+
+        const migrated = new MessageHistory();
+
+        assert.deepEqual(migrated.query().items.map(entry => entry.id), ['hist_old']);
+        assert.equal(fs.existsSync(path.join(HISTORY_DIR, 'history.json')), false);
+    });
+
+    it('수신자, 종류, 작업, 성공 여부, 본문 키워드로 거름', () => {
+        recordAt('2026-03-02T01:00:00.000Z', { recipient: 'kim@example.com', source: 'weekly-duty', body: '주간 당직표' });
+        recordAt('2026-03-02T02:00:00.000Z', { recipient: 'lee@example.com', source: 'code-review', body: '코드 리뷰 짝', success: false });
+        recordAt('2026-03-02T03:00:00.000Z', { kind: 'channel', recipient: 'team-duty', source: 'weekly-duty', body: '당직 알림' });
+
+        const bodies = filters => history.query(filters).items.map(entry => entry.body);
+
+        assert.deepEqual(bodies({ recipient: 'KIM' }), ['주간 당직표']);
+        assert.deepEqual(bodies({ kind: 'channel' }), ['당직 알림']);
+        assert.deepEqual(bodies({ source: 'weekly-duty' }), ['당직 알림', '주간 당직표']);
+        assert.deepEqual(bodies({ status: 'failed' }), ['코드 리뷰 짝']);
+        assert.deepEqual(bodies({ status: 'success', q: '당직' }), ['당직 알림', '주간 당직표']);
+        assert.deepEqual(history.getSources(), ['code-review', 'weekly-duty']);
+    });
+
+    it('기간 필터의 끝 날짜는 그날 전체를 포함', () => {
+        recordAt('2026-03-01T12:00:00', { body: '3월 1일' });
+        recordAt('2026-03-02T23:30:00', { body: '3월 2일' });
+        recordAt('2026-03-03T00:30:00', { body: '3월 3일' });
+
+        const result = history.query({ from: '2026-03-02', to: '2026-03-02' });
+
+        assert.deepEqual(result.items.map(entry => entry.body), ['3월 2일']);
+    });
+
+    it('최신순으로 페이지를 나누고 범위를 벗어난 페이지 번호는 보정', () => {
+        for (let i = 1; i <= 5; i++) {
+            history.record({ kind: 'single', recipient: 'kim@example.com', body: String(i), success: true });
+        }
+
+        const second = history.query({ page: 2, pageSize: 2 });
+        const beyond = history.query({ page: 99, pageSize: 2 });
+
+        assert.deepEqual(second.items.map(entry => entry.body), ['3', '2']);
+        assert.equal(second.total, 5);
+        assert.equal(second.totalPages, 3);
+        assert.equal(beyond.page, 3);
+        assert.deepEqual(beyond.items.map(entry => entry.body), ['1']);
+    });
+});
@@ -0,0 +1,215 @@
+// test/message-outbox.test.js
+// 메시지 발송함 테스트 - 디스크 보관, 지수 백오프 재시도, dead-letter 이동과 재시도/삭제
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const MessageOutbox = require('../src/services/message-outbox');
+
+const OUTBOX_DIR = path.join(env.dir, 'cache', 'message-outbox');
+const PENDING_DIR = path.join(OUTBOX_DIR, 'pending');
+const SETTINGS = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 1500 };
+
+describe('MessageOutbox', () => {
+    // 전송 함수가 돌려줄 결과와 전송된 항목
+    let results;
+    let delivered;
+
+    beforeEach(() => {
+        fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+        results = [];
+        delivered = [];
+    });
+
+    const createOutbox = () => new MessageOutbox(async entry => {
+        delivered.push(entry.id);
+        const next = results.shift() || { success: true, resCode: '0000' };
+        if (next instanceof Error) {
+            throw next;
+        }
+        return next;
+    }, () => SETTINGS);
+
+    it('넣은 메시지를 디스크에 저장해 재시작 후에도 복원', () => {
+        const entry = createOutbox().enqueue('single', 'kim@example.com', '안녕하세요');
+
+        const restored = createOutbox().getPending();
+
+        assert.equal(restored.length, 1);
+        assert.equal(restored[0].id, entry.id);
+        assert.equal(restored[0].target, 'kim@example.com');
+        assert.equal(restored[0].attempts, 0);
+    });
+
+    it('다른 인스턴스가 넣은 메시지를 덮어쓰지 않음', () => {
+        const first = createOutbox();
+        const second = createOutbox();
+
+        first.enqueue('single', 'kim@example.com', 'a');
+        second.enqueue('single', 'lee@example.com', 'b');
+
+        assert.deepEqual(first.getPending().map(entry => entry.message), ['a', 'b']);
+    });
+
+    it('발송함을 지운 뒤 새로 만든 발송함에는 이전 메시지가 남지 않음', () => {
+        createOutbox().enqueue('single', 'kim@example.com', 'a');
+        fs.rmSync(OUTBOX_DIR, { recursive: true });
+
+        assert.deepEqual(createOutbox().getPending(), []);
+    });
+
+    it('메시지마다 파일 하나에 저장해 다른 메시지 파일은 다시 쓰지 않음', async () => {
+        const outbox = createOutbox();
+        const kept = outbox.enqueue('single', 'kim@example.com', 'a');
+        const keptFile = path.join(PENDING_DIR, `${kept.id}.json`);
+        const { ino } = fs.statSync(keptFile);
+
+        await outbox.attempt(outbox.enqueue('single', 'lee@example.com', 'b'));
+
+        assert.equal(fs.statSync(keptFile).ino, ino);
+        assert.deepEqual(fs.readdirSync(PENDING_DIR), [`${kept.id}.json`]);
+    });
+
+    it('이전 형식의 발송함 파일은 메시지별 파일로 옮김', () => {
+        const entry = { id: 'msg_old', kind: 'single', target: 'kim@example.com', message: 'x', attempts: 1, createdAt: '2026-03-02T00:00:00.000Z', nextAttemptAt: '2026-03-02T00:00:00.000Z', claimedBy: 'node-a', claimedUntil: '2026-03-02T00:05:00.000Z' };
+        fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+        fs.writeFileSync(path.join(OUTBOX_DIR, 'outbox.json'), JSON.stringify({ pending: [entry], deadLetters: [{ ...entry, id: 'msg_dead' }] }));
+
+        const outbox = createOutbox();
+
+        assert.deepEqual(outbox.getPending().map(item => [item.id, item.claimedBy]), [['msg_old', null]]);
+        assert.deepEqual(outbox.getDeadLetters().map(item => item.id), ['msg_dead']);
+        assert.equal(fs.existsSync(path.join(OUTBOX_DIR, 'outbox.json')), false);
+    });
+
+    it('발송함에 저장하지 못하면 재시도 없이 한 번만 바로 전송', async () => {
+        const outbox = createOutbox();
+        fs.rmSync(PENDING_DIR, { recursive: true });
+        fs.writeFileSync(PENDING_DIR, '');
+        results = [{ success: false, error: 'down' }];
+
+        const entry = outbox.enqueue('single', 'kim@example.com', 'x');
+        const result = await outbox.attempt(entry);
+
+        assert.equal(entry.unsaved, true);
+        assert.equal(result.success, false);
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.lastError, 'down');
+        assert.deepEqual(delivered, [entry.id]);
+        assert.deepEqual(outbox.getPending(), []);
+    });
+
+    it('전송에 성공하면 발송함에서 제거', async () => {
+        const outbox = createOutbox();
+        const entry = outbox.enqueue('channel', 'team-duty', '당직 알림');
+
+        const result = await outbox.attempt(entry);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(outbox.getStats(), { pending: 0, deadLetters: 0 });
+        assert.deepEqual(createOutbox().getStats(), { pending: 0, deadLetters: 0 });
+    });
+
+    it('실패하면 지수 백오프로 다음 시도 시각을 잡고 최대 지연을 넘지 않음', async () => {
+        const outbox = createOutbox();
+        const entry = outbox.enqueue('single', 'kim@example.com', 'x');
+        results = [{ success: false, resCode: '9999', error: 'invalid user' }, new Error('socket hang up')];
+
+        const firstAt = Date.now();
+        await outbox.attempt(entry);
+        const firstDelay = new Date(entry.nextAttemptAt).getTime() - firstAt;
+        const secondAt = Date.now();
+        await outbox.attempt(entry);
+        const secondDelay = new Date(entry.nextAttemptAt).getTime() - secondAt;
+
+        assert.ok(firstDelay >= 1000 && firstDelay < 1100, `first delay ${firstDelay}`);
+        assert.ok(secondDelay >= 1500 && secondDelay < 1600, `second delay ${secondDelay}`);
+        assert.equal(entry.attempts, 2);
+        assert.equal(entry.lastError, 'socket hang up');
+        assert.equal(outbox.getStats().pending, 1);
+    });
+
+    it('최대 시도 횟수에 도달하면 dead-letter 로 옮김', async () => {
+        const outbox = createOutbox();
+        const entry = outbox.enqueue('single', 'kim@example.com', 'x');
+        results = [1, 2, 3].map(() => ({ success: false, resCode: '9999', error: 'invalid user' }));
+
+        for (let i = 0; i < SETTINGS.maxAttempts; i++) {
+            await outbox.attempt(entry);
+        }
+
+        const [dead] = outbox.getDeadLetters();
+        assert.deepEqual(outbox.getStats(), { pending: 0, deadLetters: 1 });
+        assert.equal(dead.id, entry.id);
+        assert.equal(dead.lastResCode, '9999');
+        assert.ok(dead.deadAt);
+        assert.equal(dead.nextAttemptAt, null);
+    });
+
+    it('재시도 시각이 된 메시지만 보냄', async () => {
+        const outbox = createOutbox();
+        const later = outbox.enqueue('channel', 'team-duty', 'later');
+        results = [{ success: false, error: 'down' }];
+        await outbox.attempt(later);
+        const due = outbox.enqueue('channel', 'team-duty', 'due');
+
+        const count = await outbox.processDue();
+
+        assert.equal(count, 1);
+        assert.deepEqual(delivered, [later.id, due.id]);
+        assert.deepEqual(outbox.getPending().map(entry => entry.id), [later.id]);
+    });
+
+    it('전송 중인 메시지는 중복으로 보내지 않음', async () => {
+        const outbox = createOutbox();
+        const entry = outbox.enqueue('channel', 'team-duty', 'x');
+
+        const [first, second] = await Promise.all([outbox.attempt(entry), outbox.attempt(entry)]);
+
+        assert.equal(first.success, true);
+        assert.equal(second.error, 'Delivery already in progress');
+        assert.equal(delivered.length, 1);
+    });
+
+    it('다른 인스턴스가 선점한 메시지는 보내지 않고, 선점한 채 종료된 인스턴스의 오래된 선점은 치우고 보냄', async () => {
+        const outbox = createOutbox();
+        const entry = outbox.enqueue('channel', 'team-duty', 'x');
+        const claimFile = path.join(PENDING_DIR, `${entry.id}.claim`);
+        fs.writeFileSync(claimFile, JSON.stringify({ claimedBy: 'node-b', claimedUntil: new Date(Date.now() + 60000).toISOString() }));
+
+        const blocked = await outbox.attempt(entry);
+        const staleAt = new Date(Date.now() - 10 * 60 * 1000);
+        fs.utimesSync(claimFile, staleAt, staleAt);
+        const recovered = await outbox.attempt(entry);
+
+        assert.equal(blocked.error, 'Delivery already in progress');
+        assert.equal(recovered.success, true);
+        assert.deepEqual(delivered, [entry.id]);
+        assert.deepEqual(fs.readdirSync(PENDING_DIR), []);
+    });
+
+    it('dead-letter 재시도는 시도 횟수를 초기화해 다시 보내고, 삭제는 지정한 메시지만', async () => {
+        const outbox = createOutbox();
+        const retried = outbox.enqueue('single', 'kim@example.com', 'retry');
+        const purged = outbox.enqueue('single', 'lee@example.com', 'purge');
+        results = [1, 2, 3, 4, 5, 6].map(() => ({ success: false, error: 'down' }));
+        for (let i = 0; i < SETTINGS.maxAttempts; i++) {
+            await outbox.attempt(retried);
+            await outbox.attempt(purged);
+        }
+
+        const retryResults = await outbox.retryDeadLetters(retried.id);
+        const purgedCount = outbox.purgeDeadLetters(purged.id);
+
+        assert.deepEqual(retryResults, [{ id: retried.id, success: true, error: null }]);
+        assert.equal(delivered.filter(id => id === retried.id).length, SETTINGS.maxAttempts + 1);
+        assert.equal(purgedCount, 1);
+        assert.deepEqual(outbox.getStats(), { pending: 0, deadLetters: 0 });
+        assert.equal(outbox.purgeDeadLetters('missing'), 0);
+    });
+});
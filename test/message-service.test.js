@@ -0,0 +1,261 @@
+// test/message-service.test.js
+// 메시지 전송 서비스 테스트 - 설정한 전송 수단으로 보내는지, 실패한 메시지가 발송함에 남는지 확인
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const messageService = require('../src/services/message-service');
+const { createLinkMessage } = require('../src/utils/message-content');
+
+describe('message-service', () => {
+    let server;
+    // 다음 요청들에 돌려줄 응답 상태 (비어 있으면 200)
+    let statusQueue = [];
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            const status = statusQueue.shift() || (request.url === '/fail' ? 500 : 200);
+            res.writeHead(status, status === 429 ? { 'Retry-After': '0' } : {});
+            res.end('ok');
+        });
+        env.writeConfig({
+            teamMembers: [
+                { id: 'kim', name: '김당직', isAuthorized: true },
+                { id: 'lee', name: '이리뷰', isAuthorized: false, locale: 'en', timezone: 'America/New_York' }
+            ],
+            channels: [{ id: 'ops', name: '운영', channelId: 'ops-channel-1', locale: 'en-US' }],
+            jobTargets: { laptop_duty: { channels: ['ops'], users: [], groups: [] } },
+            messaging: {
+                transport: 'webhook',
+                recipientDomain: '@example.com',
+                defaultChannelId: 'team-duty',
+                outbox: { maxAttempts: 1 },
+                transports: { webhook: { url: `${server.url}/hook` } }
+            }
+        });
+    });
+
+    after(() => server.close());
+
+    const lastPayloads = count => server.requests.slice(-count).map(request => JSON.parse(request.body));
+
+    it('채널 ID 를 생략하면 기본 채널로 보냄', async () => {
+        await messageService.sendChannelMessage('당직 알림');
+        await messageService.sendChannelMessage('공지', 'notice');
+
+        const [duty, notice] = lastPayloads(2);
+        assert.equal(duty.channelId, 'team-duty');
+        assert.equal(duty.text, '당직 알림');
+        assert.equal(notice.channelId, 'notice');
+    });
+
+    it('리치 콘텐츠를 지원하지 않는 전송 수단에는 텍스트 대체 본문을 보냄', async () => {
+        await messageService.sendSingleMessage('kim@example.com', createLinkMessage('리포트', '자세히 보기', 'https://report'));
+
+        assert.equal(lastPayloads(1)[0].text, '리포트\n\n🔗 자세히 보기: https://report');
+    });
+
+    it('여러 수신자에게 보낼 때 팀원 ID 에 수신자 도메인을 붙임', async () => {
+        await messageService.sendMessagesToMultipleRecipients('노트북 당직', 'kim, lee@other.com, ');
+
+        assert.deepEqual(lastPayloads(2).map(payload => payload.recipient).sort(), ['kim@example.com', 'lee@other.com']);
+    });
+
+    it('전송에 실패한 메시지는 dead-letter 에 남고, 복구 후 재시도하면 보내짐', async () => {
+        const config = env.readConfig();
+        env.writeConfig({ ...config, messaging: { ...config.messaging, transports: { webhook: { url: `${server.url}/fail` } } } });
+        await messageService.sendChannelMessage('장애 중 알림');
+        const [dead] = messageService.getOutboxStatus().deadLetters;
+        env.writeConfig(config);
+
+        const results = await messageService.retryDeadLetters(dead.id);
+
+        assert.equal(dead.target, 'team-duty');
+        assert.match(dead.lastError, /HTTP 500/);
+        assert.deepEqual(results, [{ id: dead.id, success: true, error: null }]);
+        assert.equal(lastPayloads(1)[0].text, '장애 중 알림');
+        assert.deepEqual(messageService.getOutboxStatus().stats, { pending: 0, deadLetters: 0 });
+    });
+
+    it('전송 시도마다 작업 이름과 결과를 발송 이력에 기록', async () => {
+        await messageService.sendSingleMessage('kim@example.com', '코드 리뷰 짝', { source: 'code-review' });
+
+        const [entry] = messageService.getMessageHistory({ source: 'code-review' }).items;
+        assert.equal(entry.recipient, 'kim@example.com');
+        assert.equal(entry.kind, 'single');
+        assert.equal(entry.transport, 'webhook');
+        assert.equal(entry.body, '코드 리뷰 짝');
+        assert.equal(entry.success, true);
+        assert.equal(entry.attempt, 1);
+        assert.ok(messageService.getMessageHistory().sources.includes('code-review'));
+    });
+
+    it('여러 수신자 발송은 실패한 수신자도 포함해 수신자별 결과를 돌려줌', async () => {
+        statusQueue = [500];
+
+        const results = await messageService.sendMessagesToMultipleRecipients('공지', 'kim');
+        const [retried] = messageService.getOutboxStatus().deadLetters;
+        await messageService.retryDeadLetters(retried.id);
+
+        assert.deepEqual(results, [{
+            messageId: retried.id,
+            kind: 'single',
+            recipient: 'kim@example.com',
+            success: false,
+            resCode: null,
+            error: 'HTTP 500: ok',
+            attempts: 1,
+            willRetry: false
+        }]);
+    });
+
+    it('재시도가 남은 실패는 자동 재시도 예정으로 표시', async () => {
+        const config = env.readConfig();
+        env.writeConfig({ ...config, messaging: { ...config.messaging, outbox: { maxAttempts: 2 } } });
+        statusQueue = [500];
+
+        const result = await messageService.sendChannelMessage('당직 알림');
+        env.writeConfig(config);
+        const [pending] = messageService.getOutboxStatus().pending;
+
+        assert.equal(result.success, false);
+        assert.equal(result.willRetry, true);
+        assert.equal(pending.id, result.messageId);
+    });
+
+    it('발송함에 저장하지 못한 실패는 자동 재시도 예정으로 표시하지 않음', async () => {
+        const config = env.readConfig();
+        env.writeConfig({ ...config, messaging: { ...config.messaging, outbox: { maxAttempts: 2 } } });
+        const pendingDir = path.join(env.dir, 'cache', 'message-outbox', 'pending');
+        fs.renameSync(pendingDir, `${pendingDir}.saved`);
+        fs.writeFileSync(pendingDir, '');
+        statusQueue = [500];
+
+        const result = await messageService.sendChannelMessage('당직 알림');
+        fs.rmSync(pendingDir);
+        fs.renameSync(`${pendingDir}.saved`, pendingDir);
+        env.writeConfig(config);
+
+        assert.equal(result.success, false);
+        assert.equal(result.willRetry, false);
+        assert.equal(result.attempts, 1);
+        assert.equal(lastPayloads(1)[0].text, '당직 알림');
+    });
+
+    it('429 응답은 Retry-After 만큼 기다린 뒤 다시 보냄', async () => {
+        statusQueue = [429, 429];
+        const before = server.requests.length;
+
+        const result = await messageService.sendChannelMessage('당직 알림');
+
+        assert.equal(result.success, true);
+        assert.equal(server.requests.length - before, 3);
+    });
+
+    it('발송 대상의 채널 이름, 개별 사용자, 팀 그룹을 풀어 중복 없이 보냄', async () => {
+        const before = server.requests.length;
+
+        await messageService.sendToTarget('공지', { channels: ['ops', 'raw-channel'], users: ['lee', 'kim'], groups: ['authorized', 'unknown'] });
+
+        const payloads = server.requests.slice(before).map(request => JSON.parse(request.body));
+        assert.deepEqual(payloads.filter(payload => payload.type === 'channel').map(payload => payload.channelId), ['ops-channel-1', 'raw-channel']);
+        assert.deepEqual(payloads.filter(payload => payload.type !== 'channel').map(payload => payload.recipient).sort(), ['kim@example.com', 'lee@example.com']);
+    });
+
+    it('발송 대상이 비어 있으면 기본 채널로 보냄', async () => {
+        await messageService.sendToTarget('공지', { channels: [], users: [], groups: [] });
+
+        assert.equal(lastPayloads(1)[0].channelId, 'team-duty');
+    });
+
+    it('작업별 발송 대상은 설정을 따르고 지정한 대상이 있으면 그것을 씀', async () => {
+        await messageService.sendToJobTarget('laptop_duty', '노트북 당직');
+        await messageService.sendToJobTarget('laptop_duty', '노트북 당직', { target: { groups: ['all'] }, source: 'manual' });
+
+        assert.equal(lastPayloads(3)[0].channelId, 'ops-channel-1');
+        assert.deepEqual(lastPayloads(2).map(payload => payload.recipient).sort(), ['kim@example.com', 'lee@example.com']);
+        assert.equal(messageService.getMessageHistory({ source: 'laptop_duty' }).total, 1);
+        assert.equal(messageService.getMessageHistory({ source: 'manual' }).total, 2);
+    });
+
+    it('언어별 메시지는 채널과 팀원 언어로 각각 만들어 보냄', async () => {
+        const message = locale => (locale === 'en' ? 'Duty' : '당직');
+        const before = server.requests.length;
+
+        await messageService.sendToTarget(message, { channels: ['ops', 'raw-channel'], users: ['kim', 'lee'] });
+        await messageService.sendSingleMessage('kim@example.com', message, { locale: 'en' });
+
+        const texts = {};
+        server.requests.slice(before).map(request => JSON.parse(request.body)).forEach(payload => {
+            texts[payload.channelId || payload.recipient] = [...(texts[payload.channelId || payload.recipient] || []), payload.text];
+        });
+        assert.deepEqual(texts, {
+            'ops-channel-1': ['Duty'],
+            'raw-channel': ['당직'],
+            'kim@example.com': ['당직', 'Duty'],
+            'lee@example.com': ['Duty']
+        });
+    });
+
+    it('팀원 시간대가 있으면 그 시간대로, 없으면 작업 시간대로 메시지를 만듦', async () => {
+        const message = (locale, timezone) => timezone || '없음';
+        const before = server.requests.length;
+
+        await messageService.sendToTarget(message, { channels: ['ops'], users: ['kim', 'lee'] }, { timezone: 'Asia/Ho_Chi_Minh' });
+        await messageService.sendSingleMessage('kim@example.com', message);
+
+        const texts = server.requests.slice(before).map(request => JSON.parse(request.body))
+            .map(payload => `${payload.channelId || payload.recipient}=${payload.text}`);
+        assert.deepEqual(texts.sort(), [
+            'kim@example.com=Asia/Ho_Chi_Minh',
+            'kim@example.com=없음',
+            'lee@example.com=America/New_York',
+            'ops-channel-1=Asia/Ho_Chi_Minh'
+        ]);
+    });
+
+    it('toRecipientEmail 은 이미 이메일이면 그대로', () => {
+        assert.equal(messageService.toRecipientEmail('kim', '@example.com'), 'kim@example.com');
+        assert.equal(messageService.toRecipientEmail('kim@other.com', '@example.com'), 'kim@other.com');
+    });
+
+    it('현재 전송 설정을 반환', () => {
+        const config = messageService.getMessageConfig();
+
+        assert.equal(config.transport, 'webhook');
+        assert.equal(config.defaultChannelId, 'team-duty');
+        assert.ok(config.availableTransports.includes('slack'));
+        assert.deepEqual(config.teamGroups.map(group => group.id), ['all', 'authorized']);
+    });
+});
+
+describe('전송 결과 요약', () => {
+    const results = [
+        { recipient: 'team-duty', success: true },
+        { recipient: 'kim@example.com', success: false, error: 'HTTP 500: down', willRetry: true },
+        { recipient: 'lee@example.com', success: false, resCode: '9999', willRetry: false }
+    ];
+
+    it('성공과 실패 건수를 셈', () => {
+        const summary = messageService.summarizeSendResults(results);
+
+        assert.equal(summary.total, 3);
+        assert.equal(summary.succeeded, 1);
+        assert.deepEqual(summary.failures.map(failure => failure.recipient), ['kim@example.com', 'lee@example.com']);
+    });
+
+    it('실패가 있으면 안내 문구를 덧붙이고 부분 실패로 표시', () => {
+        const outcome = messageService.buildSendOutcome('발송 완료', results);
+        const clean = messageService.buildSendOutcome('발송 완료', results.slice(0, 1));
+
+        assert.equal(outcome.success, true);
+        assert.equal(outcome.partialFailure, true);
+        assert.equal(outcome.message, '발송 완료 ⚠️ 3건 중 2건 발송 실패: kim@example.com (HTTP 500: down), lee@example.com (9999) - 자동 재시도 예정');
+        assert.deepEqual(clean, { success: true, message: '발송 완료', partialFailure: false, sendResults: results.slice(0, 1) });
+    });
+});
@@ -0,0 +1,195 @@
+// test/naverworks-bot-transport.test.js
+// 네이버웍스 Bot API 전송과 서비스 계정(JWT) 토큰 발급·캐시·갱신 테스트
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setupTestEnv, startHttpServer, sendJson } = require('./helpers/test-env');
+
+setupTestEnv();
+
+const NaverworksBotTransport = require('../src/services/transports/naverworks-bot-transport');
+const { createButtonMessage, messageAction } = require('../src/utils/message-content');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+/**
+ * JWT assertion 서명 확인 후 claims 반환
+ * @param {string} assertion - JWT
+ * @returns {Object} - claims
+ */
+function verifyAssertion(assertion) {
+    const [header, claims, signature] = assertion.split('.');
+    const valid = crypto.createVerify('RSA-SHA256')
+        .update(`${header}.${claims}`)
+        .verify(publicKey, Buffer.from(signature, 'base64url'));
+    assert.ok(valid, 'assertion signature');
+    return JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+}
+
+describe('NaverworksBotTransport', () => {
+    let server;
+    // 토큰 응답 설정과 메시지 API 가 받아들일 토큰
+    let tokenResponses;
+    let acceptedTokens;
+    let issued;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            if (request.url === '/token') {
+                const params = new URLSearchParams(request.body);
+                const next = tokenResponses.shift() || { status: 200 };
+                if (next.status !== 200) {
+                    res.writeHead(next.status);
+                    res.end('token error');
+                    return;
+                }
+                issued += 1;
+                const token = `token-${issued}`;
+                sendJson(res, 200, {
+                    access_token: token,
+                    refresh_token: `refresh-${issued}`,
+                    expires_in: next.expiresIn === undefined ? 86400 : next.expiresIn,
+                    grant: params.get('grant_type')
+                });
+                return;
+            }
+            const token = (request.headers.authorization || '').replace('Bearer ', '');
+            if (!acceptedTokens(token)) {
+                res.writeHead(401);
+                res.end('unauthorized');
+                return;
+            }
+            res.writeHead(201);
+            res.end();
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        tokenResponses = [];
+        acceptedTokens = () => true;
+        issued = 0;
+    });
+
+    const createTransport = (overrides = {}) => new NaverworksBotTransport({
+        apiBaseUrl: `${server.url}/v1.0/`,
+        authUrl: `${server.url}/token`,
+        botId: 'bot 1',
+        clientId: 'client-id',
+        clientSecret: 'client-secret',
+        serviceAccount: 'svc@example.com',
+        privateKey,
+        ...overrides
+    });
+
+    const tokenRequests = () => server.requests.filter(request => request.url === '/token').map(request => new URLSearchParams(request.body));
+
+    it('서비스 계정 JWT 로 토큰을 받아 Bot API 로 텍스트 메시지를 보냄', async () => {
+        const before = server.requests.length;
+
+        const result = await createTransport().sendToUser('kim@example.com', '안녕하세요');
+
+        const [tokenRequest, messageRequest] = server.requests.slice(before);
+        const params = new URLSearchParams(tokenRequest.body);
+        assert.equal(params.get('grant_type'), 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+        assert.equal(params.get('scope'), 'bot');
+        const claims = verifyAssertion(params.get('assertion'));
+        assert.equal(claims.iss, 'client-id');
+        assert.equal(claims.sub, 'svc@example.com');
+
+        assert.equal(messageRequest.url, '/v1.0/bots/bot%201/users/kim%40example.com/messages');
+        assert.equal(messageRequest.headers.authorization, 'Bearer token-1');
+        assert.deepEqual(JSON.parse(messageRequest.body), { content: { type: 'text', text: '안녕하세요' } });
+        assert.equal(result.success, true);
+        assert.equal(result.status, 201);
+    });
+
+    it('토큰을 캐시하고, 동시에 보내도 토큰은 한 번만 발급', async () => {
+        const transport = createTransport();
+        const before = tokenRequests().length;
+
+        await Promise.all([
+            transport.sendToChannel('team-duty', '1'),
+            transport.sendToChannel('team-duty', '2'),
+            transport.sendToUser('kim@example.com', '3')
+        ]);
+        await transport.sendToChannel('team-duty', '4');
+
+        assert.equal(tokenRequests().length - before, 1);
+    });
+
+    it('만료가 가까운 토큰은 Refresh Token 으로 갱신', async () => {
+        const transport = createTransport();
+        tokenResponses = [{ status: 200, expiresIn: 30 }];
+
+        await transport.sendToUser('kim@example.com', '1');
+        await transport.sendToUser('kim@example.com', '2');
+
+        const [, refresh] = tokenRequests().slice(-2);
+        assert.equal(refresh.get('grant_type'), 'refresh_token');
+        assert.equal(refresh.get('refresh_token'), 'refresh-1');
+    });
+
+    it('Refresh Token 갱신이 실패하면 JWT 로 다시 발급', async () => {
+        const transport = createTransport();
+        tokenResponses = [{ status: 200, expiresIn: 30 }, { status: 400 }];
+
+        await transport.sendToUser('kim@example.com', '1');
+        const result = await transport.sendToUser('kim@example.com', '2');
+
+        const grants = tokenRequests().slice(-3).map(params => params.get('grant_type'));
+        assert.deepEqual(grants, ['urn:ietf:params:oauth:grant-type:jwt-bearer', 'refresh_token', 'urn:ietf:params:oauth:grant-type:jwt-bearer']);
+        assert.equal(result.success, true);
+    });
+
+    it('401 응답이면 토큰을 다시 받아 한 번만 재시도', async () => {
+        const transport = createTransport();
+        await transport.sendToUser('kim@example.com', 'warm up');
+        // 서버가 기존 토큰을 폐기한 상황
+        acceptedTokens = token => token !== 'token-1';
+
+        const result = await transport.sendToUser('kim@example.com', 'retry');
+        acceptedTokens = () => false;
+        const rejected = await transport.sendToUser('kim@example.com', 'rejected');
+
+        assert.equal(result.success, true);
+        assert.equal(rejected.success, false);
+        assert.equal(rejected.status, 401);
+    });
+
+    it('리치 콘텐츠는 그대로 보냄', async () => {
+        const message = createButtonMessage('오늘 당직입니다', [messageAction('확인했습니다', 'ack:1')]);
+
+        await createTransport().sendToChannel('team-duty', message);
+
+        assert.deepEqual(JSON.parse(server.requests[server.requests.length - 1].body), { content: message.content });
+    });
+
+    it('템플릿 본문이 길이 제한을 넘으면 전체 본문을 텍스트로 먼저 보내고 템플릿에는 첫 줄만', async () => {
+        const text = `주간 당직표\n${'가'.repeat(1200)}`;
+        const message = createButtonMessage(text, [messageAction('확인했습니다', 'ack:1')]);
+
+        await createTransport().sendToChannel('team-duty', message);
+
+        const [first, second] = server.requests.slice(-2).map(request => JSON.parse(request.body).content);
+        assert.deepEqual(first, { type: 'text', text });
+        assert.equal(second.type, 'button_template');
+        assert.equal(second.contentText, '주간 당직표');
+    });
+
+    it('필수 설정이 없으면 빠진 항목을 알려줌', () => {
+        assert.throws(() => new NaverworksBotTransport({ apiBaseUrl: 'http://x' }), /requires authUrl, botId, clientId, clientSecret, serviceAccount/);
+    });
+
+    it('개인키가 없으면 토큰 발급 실패를 예외로 알림', async () => {
+        const transport = createTransport({ privateKey: undefined, privateKeyPath: 'does-not-exist.pem' });
+
+        await assert.rejects(transport.sendToUser('kim@example.com', 'x'), /private key is not configured/);
+    });
+});
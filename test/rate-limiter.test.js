@@ -0,0 +1,103 @@
+// test/rate-limiter.test.js
+// 토큰 버킷 전송 속도 제한 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucketRateLimiter, parseRetryAfter } = require('../src/services/rate-limiter');
+
+// 타이머 오차 허용 범위 (ms)
+const TOLERANCE_MS = 10;
+
+/**
+ * 함수 실행 시간 측정
+ * @param {Function} fn - 비동기 함수
+ * @returns {Promise<number>} - 걸린 시간 (ms)
+ */
+async function elapsed(fn) {
+    const startedAt = Date.now();
+    await fn();
+    return Date.now() - startedAt;
+}
+
+describe('TokenBucketRateLimiter', () => {
+    it('burst 만큼은 기다리지 않고 바로 보냄', async () => {
+        const limiter = new TokenBucketRateLimiter(() => ({ ratePerSecond: 1, burst: 3 }));
+
+        const duration = await elapsed(() => Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]));
+
+        assert.ok(duration < 100, `took ${duration}ms`);
+    });
+
+    it('토큰을 다 쓰면 보충 속도만큼 기다림', async () => {
+        const limiter = new TokenBucketRateLimiter(() => ({ ratePerSecond: 20, burst: 1 }));
+        await limiter.acquire();
+
+        const duration = await elapsed(() => limiter.acquire());
+
+        assert.ok(duration >= 50 - TOLERANCE_MS, `took ${duration}ms`);
+    });
+
+    it('요청한 순서대로 토큰을 받음', async () => {
+        const limiter = new TokenBucketRateLimiter(() => ({ ratePerSecond: 100, burst: 1 }));
+        const order = [];
+
+        await Promise.all([1, 2, 3, 4].map(index => limiter.acquire().then(() => order.push(index))));
+
+        assert.deepEqual(order, [1, 2, 3, 4]);
+    });
+
+    it('설정이 없으면 기본값 사용', () => {
+        const limiter = new TokenBucketRateLimiter(() => null);
+
+        assert.deepEqual(limiter.getRateSettings(), { ratePerSecond: 10, burst: 10 });
+    });
+
+    it('pauseFor 동안은 토큰이 남아 있어도 보내지 않음', async () => {
+        const limiter = new TokenBucketRateLimiter(() => ({ ratePerSecond: 1000, burst: 10 }));
+
+        const duration = await elapsed(() => {
+            limiter.pauseFor(80);
+            return limiter.acquire();
+        });
+
+        assert.ok(duration >= 80 - TOLERANCE_MS, `took ${duration}ms`);
+    });
+
+    it('더 짧은 pauseFor 는 이미 잡힌 중지 시간을 줄이지 않음', () => {
+        const limiter = new TokenBucketRateLimiter();
+        limiter.pauseFor(5000);
+        const pausedUntil = limiter.pausedUntil;
+
+        limiter.pauseFor(10);
+
+        assert.equal(limiter.pausedUntil, pausedUntil);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('초 단위 숫자를 ms 로 바꿈', () => {
+        assert.equal(parseRetryAfter('2'), 2000);
+        assert.equal(parseRetryAfter('0.5'), 500);
+    });
+
+    it('음수는 0', () => {
+        assert.equal(parseRetryAfter('-3'), 0);
+    });
+
+    it('HTTP 날짜는 남은 시간으로 바꿈', () => {
+        const waitMs = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+
+        // toUTCString 은 초 단위로 잘리므로 1초 오차 허용
+        assert.ok(waitMs > 58000 && waitMs <= 60000, `got ${waitMs}ms`);
+    });
+
+    it('지난 날짜는 0', () => {
+        assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+    });
+
+    it('값이 없거나 해석할 수 없으면 null', () => {
+        assert.equal(parseRetryAfter(null), null);
+        assert.equal(parseRetryAfter(''), null);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+});
@@ -0,0 +1,109 @@
+// test/schedule-condition-service.test.js
+// 스케줄 실행 조건 테스트 - 조건 목록 검증, 표시 이름, 조건 확인
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const scheduleConditionService = require('../src/services/schedule-condition-service');
+const holidayService = require('../src/services/holiday-service');
+
+const TIMEZONE = 'Asia/Seoul';
+
+/**
+ * 활동 부족 팀원 조회 결과를 흉내 내는 GitHub 서비스
+ */
+function fakeGitHubService(lowActivityMembers) {
+    return {
+        checkAndSendActivityAlerts: async () => (lowActivityMembers.length > 0
+            ? { success: true, data: { lowActivityMembers } }
+            : { success: false, message: '활동 부족 알림이 필요한 팀원이 없습니다.' })
+    };
+}
+
+describe('normalizeConditions', () => {
+    it('없으면 빈 목록, 같은 조건은 한 번만, negate 는 true 일 때만', () => {
+        const result = scheduleConditionService.normalizeConditions([
+            { type: 'workday', negate: 'yes' },
+            { type: 'has_duty_today', negate: true },
+            { type: 'workday', negate: true }
+        ]);
+
+        assert.deepEqual(scheduleConditionService.normalizeConditions(undefined).conditions, []);
+        assert.deepEqual(result.conditions, [
+            { type: 'workday', negate: false },
+            { type: 'has_duty_today', negate: true }
+        ]);
+    });
+
+    it('형식이 잘못되거나 알 수 없는 조건은 실패', () => {
+        assert.match(scheduleConditionService.normalizeConditions({ type: 'workday' }).message, /실행 조건 형식이 올바르지 않습니다/);
+        assert.match(scheduleConditionService.normalizeConditions([{ type: 'sunny' }]).message, /알 수 없는 실행 조건입니다: sunny/);
+    });
+
+    it('부정 조건은 이름 앞에 "아님:" 을 붙여 표시', () => {
+        assert.equal(scheduleConditionService.describeCondition({ type: 'has_duty_today', negate: false }), '오늘 당직자 있음');
+        assert.equal(scheduleConditionService.describeCondition({ type: 'workday', negate: true }), '아님: 근무일 (주말·휴일 아님)');
+    });
+});
+
+describe('evaluateConditions', () => {
+    it('조건이 없으면 통과', async () => {
+        assert.deepEqual(await scheduleConditionService.evaluateConditions([], {}), { passed: true, failed: null });
+    });
+
+    it('오늘 당직자가 있으면 통과하고, 만족하지 않은 조건과 사유를 돌려줌', async () => {
+        const today = holidayService.toDateKey(new Date(), TIMEZONE);
+        env.writeConfig({ teamMembers: [{ id: 'kim', name: '김당직' }], dailyDutySchedule: { [today]: { members: ['kim'] } } });
+        const withDuty = await scheduleConditionService.evaluateConditions([{ type: 'has_duty_today' }], { timezone: TIMEZONE });
+        env.writeConfig({ teamMembers: [] });
+
+        const withoutDuty = await scheduleConditionService.evaluateConditions([{ type: 'has_duty_today' }], { timezone: TIMEZONE });
+
+        assert.equal(withDuty.passed, true);
+        assert.equal(withoutDuty.passed, false);
+        assert.deepEqual(withoutDuty.failed, { type: 'has_duty_today', name: '오늘 당직자 있음', detail: '당직자 없음' });
+    });
+
+    it('회사 지정 휴일은 근무일이 아니고 부정 조건은 반대로 판단', async () => {
+        const config = { customHolidays: [{ date: holidayService.toDateKey(new Date(), TIMEZONE), name: '창립기념일' }] };
+        const context = { timezone: TIMEZONE, config };
+
+        const workday = await scheduleConditionService.evaluateConditions([{ type: 'workday' }], context);
+        const notWorkday = await scheduleConditionService.evaluateConditions([{ type: 'workday', negate: true }], context);
+
+        assert.equal(workday.passed, false);
+        assert.ok(['주말', '창립기념일'].includes(workday.failed.detail));
+        assert.equal(notWorkday.passed, true);
+    });
+
+    it('앞 조건을 만족하지 않으면 뒤 조건은 확인하지 않음', async () => {
+        let checked = false;
+        const gitHubService = { checkAndSendActivityAlerts: async () => { checked = true; return { success: false }; } };
+        env.writeConfig({ teamMembers: [] });
+
+        const result = await scheduleConditionService.evaluateConditions(
+            [{ type: 'has_duty_today' }, { type: 'github_low_activity' }],
+            { timezone: TIMEZONE, gitHubService }
+        );
+
+        assert.equal(result.failed.type, 'has_duty_today');
+        assert.equal(checked, false);
+    });
+
+    it('GitHub 활동 부족 팀원이 있으면 통과하고 이름을 사유로 남김', async () => {
+        const low = await scheduleConditionService.evaluateConditions(
+            [{ type: 'github_low_activity', negate: true }],
+            { gitHubService: fakeGitHubService([{ name: '이개발' }]) }
+        );
+        const none = await scheduleConditionService.evaluateConditions(
+            [{ type: 'github_low_activity' }],
+            { gitHubService: fakeGitHubService([]) }
+        );
+
+        assert.equal(low.failed.detail, '이개발');
+        assert.equal(none.failed.detail, '활동 부족 알림이 필요한 팀원이 없습니다.');
+    });
+});
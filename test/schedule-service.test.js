@@ -0,0 +1,284 @@
+// test/schedule-service.test.js
+// 스케줄 서비스 테스트 - 기본 작업 설정 변경, 즉시 실행, 스케줄 등록과 실행 현황
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, startHttpServer } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const configService = require('../src/services/config-service');
+const messageService = require('../src/services/message-service');
+const scheduleService = require('../src/services/schedule-service');
+const holidayService = require('../src/services/holiday-service');
+
+describe('schedule-service', () => {
+    let server;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(200);
+            res.end('ok');
+        });
+    });
+
+    after(async () => {
+        scheduleService.clearAllScheduledJobs();
+        await server.close();
+    });
+
+    beforeEach(() => {
+        env.writeConfig({
+            teamMembers: [
+                { id: 'kim', name: '김당직', isAuthorized: true },
+                { id: 'lee', name: '이리뷰', isAuthorized: false }
+            ],
+            messaging: {
+                transport: 'webhook',
+                recipientDomain: '@example.com',
+                defaultChannelId: 'team-duty',
+                transports: { webhook: { url: `${server.url}/hook` } }
+            }
+        });
+    });
+
+    const findJob = id => scheduleService.getDefaultJobs().find(job => job.id === id);
+
+    it('설정하지 않은 기본 작업은 기본 스케줄로 사용', () => {
+        const job = findJob('weekly_duty');
+
+        assert.equal(job.cronSchedule, '0 8 * * 1');
+        assert.equal(job.enabled, true);
+        assert.equal(job.isCustomized, false);
+        assert.equal(findJob('github_weekly_report').available, false);
+    });
+
+    it('스케줄, 사용 여부, 발송 대상, 템플릿, 휴일 건너뛰기를 바꿔 저장하고 기본값으로 되돌림', () => {
+        const result = scheduleService.updateDefaultJob('laptop_duty', {
+            cronSchedule: '30 8 * * 1-5',
+            enabled: false,
+            target: { channels: ['ops'] },
+            template: { ko: '노트북 {{members}}', en: ' ' },
+            skipOnHolidays: true
+        });
+
+        const job = findJob('laptop_duty');
+        assert.equal(result.success, true);
+        assert.equal(job.cronSchedule, '30 8 * * 1-5');
+        assert.equal(job.enabled, false);
+        assert.deepEqual(job.target, { channels: ['ops'] });
+        assert.deepEqual(job.template, { ko: '노트북 {{members}}' });
+        assert.equal(job.skipOnHolidays, true);
+
+        scheduleService.resetDefaultJob('laptop_duty');
+
+        assert.equal(findJob('laptop_duty').isCustomized, false);
+        assert.equal(findJob('laptop_duty').skipOnHolidays, false);
+        assert.deepEqual(env.readConfig().defaultJobs, {});
+    });
+
+    it('잘못된 Cron, 템플릿 오류, 놓친 실행 처리 방식, 시간대, 없는 작업은 저장하지 않음', () => {
+        const badCron = scheduleService.updateDefaultJob('laptop_duty', { cronSchedule: 'every day' });
+        const badTemplate = scheduleService.updateDefaultJob('laptop_duty', { cronSchedule: '0 9 * * *', template: { en: '{{#if x}}' } });
+        const unknown = scheduleService.updateDefaultJob('nope', { cronSchedule: '0 9 * * *' });
+        const badPolicy = scheduleService.updateDefaultJob('laptop_duty', { cronSchedule: '0 9 * * *', catchUpPolicy: 'always' });
+        const badTimezone = scheduleService.updateDefaultJob('laptop_duty', { cronSchedule: '0 9 * * *', timezone: 'Mars/Base' });
+
+        assert.match(badCron.message, /올바르지 않은 Cron 형식입니다: every day/);
+        assert.match(badTemplate.message, /템플릿 오류 \(en\)/);
+        assert.match(unknown.message, /존재하지 않는 기본 작업입니다: nope/);
+        assert.match(badPolicy.message, /올바르지 않은 놓친 실행 처리 방식입니다: always/);
+        assert.match(badTimezone.message, /올바르지 않은 시간대입니다: Mars\/Base/);
+        assert.equal(env.readConfig().defaultJobs, undefined);
+    });
+
+    it('즉시 실행은 작업의 템플릿으로 보내고 manual_ 작업 이름으로 기록', async () => {
+        scheduleService.updateDefaultJob('code_review_pairs', {
+            cronSchedule: '0 9 * * 1',
+            template: { ko: '짝꿍: {{#each pairs}}{{names}}{{/each}}' }
+        });
+
+        const result = await scheduleService.executeScheduleById('code_review_pairs', configService.loadConfig());
+
+        const payload = JSON.parse(server.requests[server.requests.length - 1].body);
+        assert.equal(result.success, true);
+        assert.equal(payload.channelId, 'team-duty');
+        assert.match(payload.text, /^짝꿍: (김당직 & 이리뷰|이리뷰 & 김당직)$/);
+        assert.equal(messageService.getMessageHistory({ source: 'manual_code_review_pairs' }).total, 1);
+    });
+
+    it('즉시 실행한 결과를 작업 실행 현황에 기록', async () => {
+        const config = {
+            ...env.readConfig(),
+            schedules: [{ id: 'notice', type: 'message', cronSchedule: '0 9 * * 1', message: '주간 회의 안내', recipients: 'kim' }]
+        };
+        env.writeConfig(config);
+
+        await scheduleService.executeScheduleById('notice', configService.loadConfig());
+
+        const job = scheduleService.getSchedulesStatus().jobs.find(item => item.id === 'custom_job_notice');
+        assert.equal(job.kind, 'custom');
+        assert.equal(job.name, '일반 메시지: 주간 회의 안내');
+        assert.equal(job.lastOutcome, 'success');
+        assert.equal(job.recentRuns[0].trigger, 'manual');
+        assert.equal(JSON.parse(server.requests[server.requests.length - 1].body).recipient, 'kim@example.com');
+    });
+
+    it('실행 중 오류는 실패로 기록하고 호출한 쪽으로 다시 던짐', async () => {
+        env.writeConfig({ ...env.readConfig(), schedules: [{ id: 'broken', type: 'fax', cronSchedule: '0 9 * * *' }] });
+
+        await assert.rejects(scheduleService.executeScheduleById('broken', configService.loadConfig()), /Unknown schedule type: fax/);
+        await assert.rejects(scheduleService.executeScheduleById('missing', configService.loadConfig()), /스케줄을 찾을 수 없습니다/);
+
+        const status = scheduleService.getSchedulesStatus();
+        const job = status.jobs.find(item => item.id === 'custom_job_broken');
+        assert.equal(job.lastOutcome, 'failed');
+        assert.equal(job.lastError, 'Unknown schedule type: fax');
+        assert.equal(job.consecutiveFailures, 1);
+        assert.equal(status.summary.failing, 1);
+    });
+
+    it('사용하지 않는 기본 작업과 사용할 수 없는 작업은 스케줄에 등록하지 않음', () => {
+        scheduleService.updateDefaultJob('duty_reminder_4pm', { cronSchedule: '0 16 * * *', enabled: false });
+
+        scheduleService.rescheduleJobs(configService.loadConfig());
+
+        const ids = scheduleService.getActiveSchedules().map(job => job.id);
+        assert.ok(ids.includes('duty_reminder_2pm'));
+        assert.ok(!ids.includes('duty_reminder_4pm'));
+        assert.ok(!ids.includes('github_weekly_report'));
+        const status = scheduleService.getSchedulesStatus();
+        const reminder = status.jobs.find(job => job.id === 'duty_reminder_2pm');
+        assert.equal(reminder.isActive, true);
+        assert.ok(new Date(reminder.nextRunAt).getTime() > Date.now());
+        assert.equal(status.jobs.find(job => job.id === 'duty_reminder_4pm').nextRunAt, null);
+    });
+
+    it('일회성 스케줄은 발송 일시를 검증하고 이미 실행되어 보관된 항목은 다시 등록하지 않음', () => {
+        const config = { ...configService.loadConfig(), scheduleArchive: [{ id: 'done', runAt: '2026-01-01T00:00:00.000Z' }] };
+        const future = new Date(Date.now() + 60 * 60 * 1000);
+
+        const invalid = scheduleService.prepareSchedules([{ id: 'a', type: 'message', runAt: 'tomorrow' }], config);
+        const past = scheduleService.prepareSchedules([{ id: 'b', type: 'message', runAt: '2026-01-01T00:00:00Z' }], config);
+        const result = scheduleService.prepareSchedules([
+            { id: 'done', type: 'message', runAt: '2026-01-01T00:00:00.000Z' },
+            { id: 'once', type: 'message', runAt: future.toISOString(), cronSchedule: '0 9 * * *', afterRun: 'keep' },
+            { id: 'weekly', type: 'message', cronSchedule: '0 9 * * 1' }
+        ], config);
+
+        assert.match(invalid.message, /올바르지 않은 발송 일시입니다: tomorrow/);
+        assert.match(past.message, /발송 일시가 이미 지났습니다/);
+        assert.deepEqual(result.schedules.map(schedule => schedule.id), ['once', 'weekly']);
+        assert.equal(result.schedules[0].cronSchedule, '');
+        assert.equal(result.schedules[0].afterRun, 'archive');
+    });
+
+    it('일회성 스케줄은 지정한 일시에 한 번 보내고 스케줄 목록에서 보관 목록으로 옮김', async () => {
+        const runAt = new Date(Date.now() + 200).toISOString();
+        env.writeConfig({ ...env.readConfig(), schedules: [{ id: 'once', type: 'message', runAt, message: '한 번만 안내', recipients: 'kim' }] });
+
+        scheduleService.rescheduleJobs(configService.loadConfig());
+        const pending = scheduleService.getSchedulesStatus().jobs.find(job => job.id === 'custom_job_once');
+        for (let i = 0; i < 50 && env.readConfig().schedules.length > 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        const saved = env.readConfig();
+        assert.equal(pending.nextRunAt, runAt);
+        assert.deepEqual(saved.schedules, []);
+        assert.equal(saved.scheduleArchive[0].id, 'once');
+        assert.equal(saved.scheduleArchive[0].outcome, 'success');
+        assert.equal(messageService.getMessageHistory({ source: 'custom_job_once' }).total, 1);
+        assert.ok(!scheduleService.getActiveSchedules().some(job => job.id === 'custom_job_once'));
+    });
+
+    it('반복 스케줄의 유효 기간 형식과 순서를 검증', () => {
+        const invalid = scheduleService.prepareSchedules([{ id: 'a', type: 'message', cronSchedule: '0 9 * * *', startDate: '2026-13-01' }]);
+        const reversed = scheduleService.prepareSchedules([{ id: 'a', type: 'message', cronSchedule: '0 9 * * *', startDate: '2026-08-07', endDate: '2026-08-01' }]);
+
+        assert.match(invalid.message, /올바르지 않은 유효 기간입니다/);
+        assert.match(reversed.message, /유효 기간의 종료일이 시작일보다 빠릅니다: 2026-08-07 ~ 2026-08-01/);
+    });
+
+    it('일시 중지되거나 유효 기간이 끝난 스케줄은 등록하지 않고 즉시 실행도 거부', async () => {
+        env.writeConfig({
+            ...env.readConfig(),
+            schedules: [
+                { id: 'paused', type: 'message', cronSchedule: '0 9 * * *', message: '중지', recipients: 'kim', paused: true },
+                { id: 'ended', type: 'message', cronSchedule: '0 9 * * *', message: '종료', recipients: 'kim', endDate: '2026-01-01' }
+            ]
+        });
+
+        scheduleService.rescheduleJobs(configService.loadConfig());
+        const result = await scheduleService.executeScheduleById('paused', configService.loadConfig());
+
+        const ids = scheduleService.getActiveSchedules().map(job => job.id);
+        const status = scheduleService.getSchedulesStatus().jobs;
+        assert.ok(!ids.includes('custom_job_paused'));
+        assert.ok(!ids.includes('custom_job_ended'));
+        assert.equal(status.find(job => job.id === 'custom_job_paused').paused, true);
+        assert.equal(status.find(job => job.id === 'custom_job_ended').expired, true);
+        assert.equal(result.suppressed, true);
+        assert.equal(result.message, '일시 중지된 스케줄이라 실행할 수 없습니다.');
+    });
+
+    it('발송 중지 기간에는 해당 종류의 작업을 즉시 실행하지 않고 다음 실행 시각도 기간 뒤로 표시', async () => {
+        const today = holidayService.toDateKey(new Date());
+        const endDate = holidayService.toDateKey(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+        env.writeConfig({ ...env.readConfig(), blackoutPeriods: [{ id: 'vacation', name: '전사 휴가', startDate: today, endDate, jobTypes: ['duty'] }] });
+
+        const duty = await scheduleService.executeScheduleById('duty_reminder_2pm', configService.loadConfig());
+        scheduleService.rescheduleJobs(configService.loadConfig());
+
+        const reminder = scheduleService.getSchedulesStatus().jobs.find(job => job.id === 'duty_reminder_2pm');
+        assert.equal(duty.suppressed, true);
+        assert.equal(duty.message, '발송 중지 기간(전사 휴가)이라 실행할 수 없습니다.');
+        assert.ok(holidayService.toDateKey(new Date(reminder.nextRunAt)) > endDate);
+    });
+
+    it('스케줄 시간대로 다음 실행 시각을 계산하고 메시지에 작업 시간대를 전달', async () => {
+        env.writeConfig({
+            ...env.readConfig(),
+            schedules: [{ id: 'hcm', type: 'message', cronSchedule: '0 9 * * *', timezone: 'Asia/Ho_Chi_Minh', message: '{{time}}', recipients: 'kim' }]
+        });
+        const invalid = scheduleService.prepareSchedules([{ id: 'x', type: 'message', cronSchedule: '0 9 * * *', timezone: 'Mars/Base' }]);
+
+        scheduleService.rescheduleJobs(configService.loadConfig());
+        await scheduleService.executeScheduleById('hcm', configService.loadConfig());
+
+        const job = scheduleService.getSchedulesStatus().jobs.find(item => item.id === 'custom_job_hcm');
+        const hour = new Intl.DateTimeFormat('en-GB', { timeZone: 'Asia/Ho_Chi_Minh', hour: '2-digit', hourCycle: 'h23' }).format(new Date());
+        assert.match(invalid.message, /올바르지 않은 시간대입니다: Mars\/Base/);
+        assert.equal(new Date(job.nextRunAt).getUTCHours(), 2);
+        assert.match(JSON.parse(server.requests[server.requests.length - 1].body).text, new RegExp(`^${hour}:`));
+    });
+
+    it('Cron 미리보기는 설명과 시간대 기준 다음 실행 시각을 돌려주고 잘못된 입력은 실패', () => {
+        const preview = scheduleService.previewCronSchedule('0 9 * * 1', { timezone: 'UTC', count: 2 });
+        const never = scheduleService.previewCronSchedule('0 9 30 2 *');
+
+        assert.equal(preview.description, '매주 월요일 오전 9시');
+        assert.equal(preview.nextRuns.length, 2);
+        assert.match(preview.nextRuns[0].display, /^\d{4}-\d{2}-\d{2} 09:00 \(UTC\)$/);
+        assert.equal(new Date(preview.nextRuns[0].at).getUTCDay(), 1);
+        assert.deepEqual(never.nextRuns, []);
+        assert.match(never.message, /실행되는 시각이 없습니다/);
+        assert.match(scheduleService.previewCronSchedule('every day').message, /올바르지 않은 Cron 형식입니다/);
+        assert.match(scheduleService.previewCronSchedule('0 9 * * *', { timezone: 'Mars/Base' }).message, /올바르지 않은 시간대입니다/);
+    });
+
+    it('실행 조건을 검증해 정리하고 즉시 실행은 조건 없이 실행', async () => {
+        const invalid = scheduleService.prepareSchedules([{ id: 'a', type: 'message', cronSchedule: '0 9 * * *', conditions: [{ type: 'sunny' }] }]);
+        const { schedules } = scheduleService.prepareSchedules([
+            { id: 'cond', type: 'message', cronSchedule: '0 9 * * *', message: '조건부 안내', recipients: 'kim', conditions: [{ type: 'github_low_activity', negate: 1 }] }
+        ]);
+        env.writeConfig({ ...env.readConfig(), schedules });
+
+        const result = await scheduleService.executeScheduleById('cond', configService.loadConfig());
+
+        assert.match(invalid.message, /알 수 없는 실행 조건입니다: sunny/);
+        assert.deepEqual(schedules[0].conditions, [{ type: 'github_low_activity', negate: false }]);
+        assert.equal(result.success, true);
+        assert.equal(messageService.getMessageHistory({ source: 'manual_cond' }).total, 1);
+    });
+});
@@ -0,0 +1,95 @@
+// test/template-engine.test.js
+// 메시지 템플릿 엔진 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, validateTemplate } = require('../src/utils/template-engine');
+
+describe('renderTemplate', () => {
+    it('변수를 치환하고 점 표기로 하위 값을 읽음', () => {
+        const result = renderTemplate('{{ greeting }}, {{member.name}}님', { greeting: '안녕하세요', member: { name: '홍길동' } });
+
+        assert.equal(result, '안녕하세요, 홍길동님');
+    });
+
+    it('없는 변수와 null 은 빈 문자열, 배열은 쉼표로 연결', () => {
+        const result = renderTemplate('[{{missing}}][{{empty}}][{{names}}][{{member.missing.deep}}]', { empty: null, names: ['A', 'B'], member: {} });
+
+        assert.equal(result, '[][][A, B][]');
+    });
+
+    it('each 는 항목의 속성과 @index, @number, @first, @last 를 제공', () => {
+        const template = '{{#each members}}{{@number}}.{{name}}{{#if @first}}(첫){{/if}}{{#unless @last}}, {{/unless}}{{/each}}';
+
+        const result = renderTemplate(template, { members: [{ name: 'A' }, { name: 'B' }, { name: 'C' }] });
+
+        assert.equal(result, '1.A(첫), 2.B, 3.C');
+    });
+
+    it('each 안에서 this 로 항목 자체를 읽고, 항목에 없는 변수는 바깥 스코프에서 찾음', () => {
+        const result = renderTemplate('{{#each names}}{{this}}@{{team}}{{@index}} {{/each}}', { names: ['A', 'B'], team: 'ops' });
+
+        assert.equal(result, 'A@ops0 B@ops1 ');
+    });
+
+    it('each 대상이 배열이 아니면 아무것도 출력하지 않음', () => {
+        assert.equal(renderTemplate('[{{#each items}}x{{/each}}]', { items: 'abc' }), '[]');
+    });
+
+    it('if/else 와 unless/else 로 분기, 빈 배열은 거짓', () => {
+        const template = '{{#if items}}있음{{else}}없음{{/if}}/{{#unless done}}진행 중{{else}}완료{{/unless}}';
+
+        assert.equal(renderTemplate(template, { items: [], done: true }), '없음/완료');
+        assert.equal(renderTemplate(template, { items: [1], done: false }), '있음/진행 중');
+    });
+
+    it('중첩 블록 렌더링', () => {
+        const template = '{{#each days}}{{day}}:{{#if members}}{{#each members}}{{name}}{{/each}}{{else}}-{{/if}};{{/each}}';
+
+        const result = renderTemplate(template, { days: [{ day: '월', members: [{ name: 'A' }, { name: 'B' }] }, { day: '화', members: [] }] });
+
+        assert.equal(result, '월:AB;화:-;');
+    });
+
+    it('템플릿이 비어 있으면 빈 문자열', () => {
+        assert.equal(renderTemplate(null, {}), '');
+        assert.equal(renderTemplate('', {}), '');
+    });
+
+    it('문법 오류는 예외', () => {
+        assert.throws(() => renderTemplate('{{#each items}}', {}), /닫히지 않은 블록/);
+    });
+});
+
+describe('validateTemplate', () => {
+    it('올바른 템플릿은 valid', () => {
+        assert.deepEqual(validateTemplate('{{#if a}}{{b}}{{else}}c{{/if}}'), { valid: true, error: null });
+    });
+
+    it('알 수 없는 블록', () => {
+        const result = validateTemplate('{{#with member}}{{/with}}');
+
+        assert.equal(result.valid, false);
+        assert.match(result.error, /알 수 없는 템플릿 블록/);
+    });
+
+    it('블록 변수 개수 오류', () => {
+        assert.match(validateTemplate('{{#if}}x{{/if}}').error, /변수 이름이 하나 필요/);
+        assert.match(validateTemplate('{{#if a b}}x{{/if}}').error, /변수 이름이 하나 필요/);
+    });
+
+    it('짝이 맞지 않는 닫는 태그', () => {
+        assert.match(validateTemplate('{{#if a}}x{{/each}}').error, /짝이 맞지 않는 닫는 태그/);
+        assert.match(validateTemplate('x{{/if}}').error, /짝이 맞지 않는 닫는 태그/);
+    });
+
+    it('else 는 if/unless 안에서 한 번만', () => {
+        assert.match(validateTemplate('{{#each a}}{{else}}{{/each}}').error, /\{\{else\}\}/);
+        assert.match(validateTemplate('{{#if a}}1{{else}}2{{else}}3{{/if}}').error, /\{\{else\}\}/);
+        assert.match(validateTemplate('{{else}}').error, /\{\{else\}\}/);
+    });
+
+    it('닫히지 않은 블록', () => {
+        assert.match(validateTemplate('{{#if a}}{{#each b}}{{/each}}').error, /닫히지 않은 블록이 있습니다: \{\{#if\}\}/);
+    });
+});
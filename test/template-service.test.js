@@ -0,0 +1,101 @@
+// test/template-service.test.js
+// 메시지 템플릿 서비스 테스트 - 언어별 사용자 지정 템플릿 저장, 검증, 기본값 복원과 대체
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const templateService = require('../src/services/template-service');
+
+const PAIRS = [{ number: 1, names: '홍길동 & 김철수' }];
+
+describe('template-service', () => {
+    beforeEach(() => {
+        env.writeConfig({});
+    });
+
+    it('저장한 사용자 지정 템플릿으로 메시지를 만듦', () => {
+        const result = templateService.updateTemplate('code_review_pairs', '짝꿍: {{#each pairs}}{{names}}{{/each}}');
+
+        assert.equal(result.success, true);
+        assert.equal(templateService.renderMessage('code_review_pairs', { pairs: PAIRS }), '짝꿍: 홍길동 & 김철수');
+        assert.equal(result.templates.find(template => template.key === 'code_review_pairs').isCustomized, true);
+    });
+
+    it('언어별 기본 본문이 있고, 사용자 지정 본문은 언어별로 따로 저장', () => {
+        templateService.updateTemplate('code_review_pairs', 'Pairs: {{#each pairs}}{{names}}{{/each}}', 'en-US');
+
+        assert.equal(templateService.renderMessage('code_review_pairs', { pairs: PAIRS }, 'en'), 'Pairs: 홍길동 & 김철수');
+        assert.match(templateService.renderMessage('code_review_pairs', { pairs: PAIRS }, 'ko'), /^👥 이번 주 코드 리뷰 짝꿍 알림/);
+        assert.match(templateService.renderMessage('code_review_insufficient', {}, 'en'), /not enough team members/);
+        assert.deepEqual(env.readConfig().templates, { code_review_pairs: { en: 'Pairs: {{#each pairs}}{{names}}{{/each}}' } });
+    });
+
+    it('이전 형식(문자열)의 사용자 지정 템플릿은 한국어 본문으로 취급', () => {
+        env.writeConfig({ templates: { code_review_insufficient: '팀원 부족' } });
+
+        assert.equal(templateService.renderMessage('code_review_insufficient', {}, 'ko'), '팀원 부족');
+        assert.match(templateService.renderMessage('code_review_insufficient', {}, 'en'), /not enough team members/);
+    });
+
+    it('언어별 메시지는 받는 쪽 언어로 변수를 만들어 렌더링', () => {
+        const message = templateService.localizedMessage('duty_reminder', locale => ({ timeSlot: locale === 'en' ? '2 PM' : '오후 2시', members: '홍길동(hong)' }));
+
+        assert.match(message('en'), /^🔔 Duty reminder \(2 PM\) 🔔/);
+        assert.match(message('ko'), /^🔔 당직 알림 \(오후 2시\) 🔔/);
+    });
+
+    it('문법 오류, 빈 본문, 없는 템플릿은 저장하지 않음', () => {
+        const broken = templateService.updateTemplate('code_review_pairs', '{{#each pairs}}');
+        const empty = templateService.updateTemplate('code_review_pairs', '  ');
+        const unknown = templateService.updateTemplate('nope', 'x');
+
+        assert.match(broken.message, /템플릿 오류/);
+        assert.equal(empty.success, false);
+        assert.match(unknown.message, /존재하지 않는 템플릿입니다: nope/);
+        assert.equal(env.readConfig().templates, undefined);
+    });
+
+    it('기본값으로 되돌리면 그 언어만 기본 본문을 씀', () => {
+        templateService.updateTemplate('code_review_pairs', '사용자 지정');
+        templateService.updateTemplate('code_review_pairs', 'custom', 'en');
+
+        templateService.resetTemplate('code_review_pairs');
+
+        const message = templateService.renderMessage('code_review_pairs', { pairs: PAIRS });
+        assert.match(message, /^👥 이번 주 코드 리뷰 짝꿍 알림 👥\n\n1\. 홍길동 & 김철수\n/);
+        assert.equal(templateService.renderMessage('code_review_pairs', {}, 'en'), 'custom');
+    });
+
+    it('설정 파일의 사용자 지정 템플릿이 깨져 있으면 기본 템플릿으로 대체', () => {
+        env.writeConfig({ templates: { code_review_pairs: '{{#if pairs}}' } });
+
+        const message = templateService.renderMessage('code_review_pairs', { pairs: PAIRS });
+
+        assert.match(message, /1\. 홍길동 & 김철수/);
+    });
+
+    it('미리보기는 언어별 예시 데이터로 렌더링하고 저장하지 않음', () => {
+        const result = templateService.previewTemplate('code_review_pairs', '{{#each pairs}}{{number}}. {{names}}\n{{/each}}');
+        const english = templateService.previewTemplate('duty_reminder', '{{timeSlot}}', 'en');
+
+        assert.equal(result.preview, '1. 홍길동 & 김철수\n2. 이영희 & 박민수 & 최지우\n');
+        assert.equal(english.preview, '2 PM');
+        assert.equal(env.readConfig().templates, undefined);
+    });
+
+    it('사용자 정의 메시지는 공통 변수만 치환하고 문법 오류가 있으면 원문 그대로', () => {
+        assert.match(templateService.renderText('오늘은 {{weekday}}'), /^오늘은 [일월화수목금토]요일$/);
+        assert.match(templateService.renderText('Today is {{weekday}}', 'en'), /^Today is [A-Z][a-z]+day$/);
+        assert.equal(templateService.renderText('{{#if x}} 닫히지 않음'), '{{#if x}} 닫히지 않음');
+    });
+
+    it('공통 날짜 변수는 지정한 시간대의 오늘 날짜', () => {
+        const dayOf = timeZone => new Intl.DateTimeFormat('en-US', { timeZone, day: 'numeric' }).format(new Date());
+
+        assert.match(templateService.renderText('{{date}}', 'en', 'Pacific/Kiritimati'), new RegExp(`\\b${dayOf('Pacific/Kiritimati')}\\b`));
+        assert.match(templateService.renderText('{{date}}', 'en', 'Pacific/Pago_Pago'), new RegExp(`\\b${dayOf('Pacific/Pago_Pago')}\\b`));
+    });
+});
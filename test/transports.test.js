@@ -0,0 +1,160 @@
+// test/transports.test.js
+// 메시지 전송 수단(transport) 테스트
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, startHttpServer, sendJson } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const { getTransport, getAvailableTransports } = require('../src/services/transports');
+const NaverworksAlarmTransport = require('../src/services/transports/naverworks-alarm-transport');
+const WebhookTransport = require('../src/services/transports/webhook-transport');
+const SlackTransport = require('../src/services/transports/slack-transport');
+const DryRunTransport = require('../src/services/transports/dry-run-transport');
+
+describe('getTransport', () => {
+    it('설정의 transport 이름으로 전송 수단을 고름', () => {
+        const transport = getTransport({ transport: 'webhook', transports: { webhook: { url: 'http://127.0.0.1:1/hook' } } });
+
+        assert.ok(transport instanceof WebhookTransport);
+        assert.deepEqual(getAvailableTransports(), ['naverworks-alarm', 'naverworks-bot', 'webhook', 'slack', 'dry-run']);
+    });
+
+    it('설정이 같으면 같은 인스턴스, 바뀌면 새 인스턴스', () => {
+        const messaging = { transport: 'dry-run', transports: { 'dry-run': { output: 'console' } } };
+
+        const first = getTransport(messaging);
+        const same = getTransport({ ...messaging });
+        const changed = getTransport({ transport: 'dry-run', transports: { 'dry-run': { output: 'file' } } });
+
+        assert.equal(same, first);
+        assert.notEqual(changed, first);
+    });
+
+    it('알 수 없는 전송 수단과 필수 설정 누락은 예외', () => {
+        assert.throws(() => getTransport({ transport: 'carrier-pigeon' }), /Unknown messaging transport: carrier-pigeon/);
+        assert.throws(() => getTransport({ transport: 'webhook', transports: {} }), /requires url/);
+    });
+});
+
+describe('NaverworksAlarmTransport', () => {
+    let server;
+    let nextResponse;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => nextResponse(res));
+    });
+
+    after(() => server.close());
+
+    const createTransport = () => new NaverworksAlarmTransport({
+        userApiUrlBase: `${server.url}/users/`,
+        channelApiUrlBase: `${server.url}/channels/`
+    });
+
+    it('개인 메시지는 URL 뒤에 수신자 이메일을 붙여 본문 텍스트로 보내고 resCode 0000 은 성공', async () => {
+        nextResponse = res => sendJson(res, 200, { resCode: '0000' });
+
+        const result = await createTransport().sendToUser('kim@example.com', '안녕하세요');
+
+        const request = server.requests[server.requests.length - 1];
+        assert.equal(request.url, '/users/kim@example.com');
+        assert.equal(request.body, '안녕하세요');
+        assert.deepEqual(result, { success: true, resCode: '0000', status: 200, error: null });
+    });
+
+    it('resCode 가 0000 이 아니거나 HTTP 오류면 실패', async () => {
+        nextResponse = res => sendJson(res, 200, { resCode: '9999', resMsg: 'invalid user' });
+        const rejected = await createTransport().sendToUser('nobody@example.com', 'x');
+
+        nextResponse = res => { res.writeHead(503); res.end('maintenance'); };
+        const unavailable = await createTransport().sendToUser('kim@example.com', 'x');
+
+        assert.equal(rejected.success, false);
+        assert.equal(rejected.resCode, '9999');
+        assert.match(rejected.error, /invalid user/);
+        assert.equal(unavailable.success, false);
+        assert.equal(unavailable.status, 503);
+        assert.match(unavailable.error, /HTTP 503: maintenance/);
+    });
+
+    it('채널 메시지는 JSON 이 아닌 응답도 성공으로 처리', async () => {
+        nextResponse = res => { res.writeHead(200); res.end('OK'); };
+
+        const result = await createTransport().sendToChannel('team-duty', '당직 알림');
+
+        assert.equal(server.requests[server.requests.length - 1].url, '/channels/team-duty');
+        assert.equal(result.success, true);
+    });
+
+    it('URL 설정이 없으면 예외', () => {
+        assert.throws(() => new NaverworksAlarmTransport({ userApiUrlBase: 'http://x/' }), /requires userApiUrlBase and channelApiUrlBase/);
+    });
+});
+
+describe('WebhookTransport / SlackTransport', () => {
+    let server;
+
+    before(async () => {
+        server = await startHttpServer((request, res) => {
+            res.writeHead(request.url === '/fail' ? 500 : 200);
+            res.end('ok');
+        });
+    });
+
+    after(() => server.close());
+
+    it('웹훅은 대상과 본문을 JSON 으로 보내고 설정한 헤더를 붙임', async () => {
+        const transport = new WebhookTransport({ url: `${server.url}/hook`, headers: { Authorization: 'Bearer test' } });
+
+        const result = await transport.sendToChannel('team-duty', '당직 알림');
+
+        const request = server.requests[server.requests.length - 1];
+        const payload = JSON.parse(request.body);
+        assert.equal(result.success, true);
+        assert.equal(request.headers.authorization, 'Bearer test');
+        assert.equal(payload.type, 'channel');
+        assert.equal(payload.channelId, 'team-duty');
+        assert.equal(payload.text, '당직 알림');
+    });
+
+    it('웹훅 HTTP 오류는 실패', async () => {
+        const result = await new WebhookTransport({ url: `${server.url}/fail` }).sendToUser('kim@example.com', 'x');
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, 500);
+    });
+
+    it('Slack 은 채널별 웹훅을 쓰고, 개인 메시지는 수신자를 표기해 기본 웹훅으로 보냄', async () => {
+        const transport = new SlackTransport({
+            webhookUrl: `${server.url}/default`,
+            channelWebhooks: { 'team-duty': `${server.url}/duty` }
+        });
+
+        await transport.sendToChannel('team-duty', '당직 알림');
+        await transport.sendToChannel('other', '공지');
+        await transport.sendToUser('kim@example.com', '안녕하세요');
+
+        const [duty, other, single] = server.requests.slice(-3);
+        assert.equal(duty.url, '/duty');
+        assert.equal(other.url, '/default');
+        assert.equal(JSON.parse(single.body).text, '*[kim@example.com]*\n안녕하세요');
+    });
+});
+
+describe('DryRunTransport', () => {
+    it('파일 출력은 실제로 보내지 않고 대상과 본문을 파일에 기록', async () => {
+        const filePath = path.join(env.dir, 'dry-run.log');
+        const transport = new DryRunTransport({ output: 'file', filePath });
+
+        const result = await transport.sendToUser('kim@example.com', '안녕하세요');
+
+        assert.equal(result.success, true);
+        assert.equal(result.resCode, 'DRY_RUN');
+        const written = fs.readFileSync(filePath, 'utf8');
+        assert.match(written, /DRY-RUN → single:kim@example\.com\n안녕하세요/);
+    });
+});
@@ -0,0 +1,89 @@
+// test/web-routes.test.js
+// 웹 라우트 테스트 - 대시보드 당직 확인 처리의 토큰 검증과 잘못된 요청 본문
+
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers/test-env');
+
+const env = setupTestEnv();
+
+const { handleWebRoutes } = require('../src/routes/web-routes');
+const { toDateKey } = require('../src/services/holiday-service');
+
+const TODAY = toDateKey(new Date());
+
+describe('POST /duty-ack (대시보드)', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = http.createServer(handleWebRoutes);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        env.writeConfig({
+            teamMembers: [
+                { id: 'kim', name: '김당직', isAuthorized: true },
+                { id: 'lee', name: '이당직', isAuthorized: false }
+            ],
+            dailyDutySchedule: { [TODAY]: { members: ['kim', 'lee'] } }
+        });
+    });
+
+    /**
+     * JSON 본문으로 당직 확인 요청
+     * @param {string} body - 요청 본문
+     * @returns {Promise<Object>} - { status, result }
+     */
+    const postAck = async body => {
+        const response = await fetch(`${baseUrl}/duty-ack`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+            body
+        });
+        return { status: response.status, result: await response.json() };
+    };
+
+    /**
+     * 오늘 당직 현황 (당직자별 ackToken 포함)
+     * @returns {Promise<Object>} - GET /today-duty 응답
+     */
+    const getTodayDuty = async () => (await fetch(`${baseUrl}/today-duty`)).json();
+
+    it('JSON 이 아닌 본문은 400', async () => {
+        const { status, result } = await postAck('{ not json');
+
+        assert.equal(status, 400);
+        assert.equal(result.success, false);
+    });
+
+    it('토큰이 없거나 다른 팀원의 토큰이면 기록하지 않음', async () => {
+        const todayDuty = await getTodayDuty();
+        const kimToken = todayDuty.members.find(member => member.id === 'kim').ackToken;
+
+        const withoutToken = await postAck(JSON.stringify({ date: TODAY, memberId: 'lee' }));
+        const otherToken = await postAck(JSON.stringify({ date: TODAY, memberId: 'lee', token: kimToken }));
+
+        assert.equal(withoutToken.status, 400);
+        assert.equal(otherToken.status, 400);
+        assert.equal(env.readConfig().dailyDutySchedule[TODAY].acknowledgements, undefined);
+    });
+
+    it('당직 현황의 토큰으로 확인하면 대시보드 확인으로 기록', async () => {
+        const todayDuty = await getTodayDuty();
+        const leeToken = todayDuty.members.find(member => member.id === 'lee').ackToken;
+
+        const { status, result } = await postAck(JSON.stringify({ date: TODAY, memberId: 'lee', token: leeToken }));
+
+        const lee = (await getTodayDuty()).members.find(member => member.id === 'lee');
+        assert.equal(status, 200);
+        assert.equal(result.success, true);
+        assert.equal(lee.method, 'dashboard');
+        assert.equal(lee.ackToken, null);
+    });
+});